@@ -0,0 +1,75 @@
+/**
+ * Regenerate table QR links (Table.qrCodeUrl)
+ *
+ * Run after the customer ordering domain (FRONTEND_URL) changes, or to give
+ * existing tables vanity slugs. Tables without a slug get one from their name.
+ *
+ * Usage:
+ *   node scripts/regenerateQrUrls.js [--base-url=https://order.example.com]
+ *                                    [--restaurant=<restaurantId>] [--dry-run]
+ *
+ * --base-url defaults to FRONTEND_URL from .env. Printed QR codes that point to
+ * the old domain must be reprinted (or the old domain redirected).
+ */
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const Restaurant = require("../src/models/Restaurant");
+const { getFrontendUrl } = require("../src/config/urls");
+const { refreshTableQrUrls } = require("../src/utils/tableLinks");
+
+const getArg = (name) => {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((value) => value.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+};
+
+async function regenerateQrUrls() {
+  const baseUrl = getArg("base-url") || getFrontendUrl();
+  const restaurantId = getArg("restaurant");
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    new URL(baseUrl);
+  } catch (error) {
+    console.error(`❌ Invalid base URL: ${baseUrl}`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/qrmenu";
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log("✅ Connected to MongoDB");
+    console.log(`🔗 Base URL: ${baseUrl}${dryRun ? " (dry run - nothing will be saved)" : ""}`);
+
+    const query = restaurantId ? { _id: restaurantId } : {};
+    const restaurants = await Restaurant.find(query);
+    console.log(`📊 Found ${restaurants.length} restaurant(s)`);
+
+    let checked = 0;
+    let updated = 0;
+
+    for (const restaurant of restaurants) {
+      const result = await refreshTableQrUrls(restaurant, { baseUrl, dryRun });
+      checked += result.checked;
+      updated += result.updated;
+
+      console.log(`\n🏪 ${restaurant.restaurantName}: ${result.updated}/${result.checked} tables changed`);
+      result.changes.forEach((change) => {
+        console.log(`   ${change.tableName}: ${change.from || "(none)"} -> ${change.to}`);
+      });
+    }
+
+    console.log(`\n✅ Done. ${updated} of ${checked} table link(s) ${dryRun ? "would be " : ""}updated.`);
+  } catch (error) {
+    console.error("❌ Regeneration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+regenerateQrUrls();
@@ -158,4 +158,71 @@ const sendStaffCredentials = async (to, { username, password, restaurantName, ro
   }
 };
 
-module.exports = { sendOTPEmail, sendStaffCredentials };
\ No newline at end of file
+// Customer-entered text going into email HTML
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[char]);
+
+/**
+ * Tell a waitlisted party their table is ready
+ * @param {string} to - Recipient email
+ * @param {Object} details - { customerName, restaurantName, partySize, holdMinutes, message? }
+ */
+const sendWaitlistReadyEmail = async (to, { customerName, restaurantName, partySize, holdMinutes, message }) => {
+  const mailOptions = {
+    from: `"${String(restaurantName).replace(/["\r\n]/g, "")}" <${process.env.EMAIL_USER}>`,
+    to: to,
+    subject: `Your table at ${restaurantName} is ready`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                   color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .ready-box { background: white; border-left: 4px solid #667eea; padding: 20px; 
+                      margin: 20px 0; border-radius: 4px; font-size: 18px; }
+          .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🍽️ Your table is ready!</h1>
+          </div>
+          <div class="content">
+            <p>Hi <strong>${escapeHtml(customerName)}</strong>,</p>
+            <div class="ready-box">
+              Your table for <strong>${partySize}</strong> at <strong>${escapeHtml(restaurantName)}</strong> is ready.
+            </div>
+            ${message ? `<p>${escapeHtml(message)}</p>` : ""}
+            <p>Please come to the host stand within <strong>${holdMinutes} minutes</strong> so we can hold it for you.</p>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} ${escapeHtml(restaurantName)}</p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`✅ Waitlist ready email sent to ${to}`);
+    return { success: true };
+  } catch (error) {
+    console.error("❌ Email sending failed:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = { sendOTPEmail, sendStaffCredentials, sendWaitlistReadyEmail };
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Pluggable SMS providers
+ *
+ * A provider is an object with a `name` and an async `send({ to, message })`
+ * returning { success, messageId?, error? }. Pick one with SMS_PROVIDER
+ * (default "stub"); real gateways register themselves with registerSmsProvider.
+ */
+
+const providers = new Map();
+
+/**
+ * Local stub: logs the message and keeps the last 50 in memory for inspection
+ */
+const createStubProvider = () => {
+  const outbox = [];
+  return {
+    name: "stub",
+    outbox,
+    send: async ({ to, message }) => {
+      const messageId = `stub-${Date.now()}-${outbox.length + 1}`;
+      outbox.push({ messageId, to, message, sentAt: new Date() });
+      if (outbox.length > 50) outbox.shift();
+      console.log(`📱 [SMS stub] to ${to}: ${message}`);
+      return { success: true, messageId };
+    },
+  };
+};
+
+/**
+ * Register an SMS provider factory under a name (used by SMS_PROVIDER)
+ * @param {string} name
+ * @param {Function} factory - () => provider
+ */
+const registerSmsProvider = (name, factory) => {
+  providers.set(name, { factory, instance: null });
+};
+
+registerSmsProvider("stub", createStubProvider);
+
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || "stub";
+  const entry = providers.get(name);
+  if (!entry) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+  if (!entry.instance) {
+    entry.instance = entry.factory();
+  }
+  return entry.instance;
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {string} to - Phone number
+ * @param {string} message
+ * @returns {Promise<{ success: boolean, provider: string, messageId?: string, error?: string }>}
+ */
+const sendSms = async (to, message) => {
+  try {
+    const provider = getSmsProvider();
+    const result = await provider.send({ to, message });
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    console.error("❌ SMS sending failed:", error);
+    return { success: false, provider: process.env.SMS_PROVIDER || "stub", error: error.message };
+  }
+};
+
+module.exports = { registerSmsProvider, getSmsProvider, sendSms };
@@ -0,0 +1,90 @@
+/**
+ * Public URL configuration
+ *
+ * FRONTEND_URL   - Base URL of the customer ordering app (QR codes point here)
+ * CORS_ORIGINS   - Comma-separated list of origins allowed to call the API
+ *                  (FRONTEND_URL is always allowed)
+ */
+
+const DEFAULT_FRONTEND_URL = "https://main.d3w57ekmy7c72i.amplifyapp.com";
+
+const DEFAULT_CORS_ORIGINS = [
+  "https://main.d3w57ekmy7c72i.amplifyapp.com",
+  "https://abhu.duckdns.org",
+  "http://localhost:3000",
+  "http://localhost:5173",
+  "http://localhost:5174",
+  "http://localhost:8080",
+];
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+/**
+ * Base URL of the customer ordering app.
+ * @returns {String}
+ */
+const getFrontendUrl = () =>
+  trimTrailingSlash((process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL).trim());
+
+/**
+ * Origins allowed by CORS (HTTP and socket.io).
+ * @returns {String[]}
+ */
+const getAllowedOrigins = () => {
+  const configured = (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => trimTrailingSlash(origin.trim()))
+    .filter(Boolean);
+  const origins = configured.length > 0 ? configured : DEFAULT_CORS_ORIGINS;
+  return [...new Set([...origins, getFrontendUrl()])];
+};
+
+/**
+ * Turn a name into a URL slug ("Café Blue" -> "cafe-blue").
+ * @param {String} value
+ * @returns {String}
+ */
+const slugify = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50)
+    .replace(/-+$/g, "");
+
+/**
+ * Default slug for a table: "Table 12" -> "12", "Patio 3" -> "patio-3".
+ * @param {String} tableName
+ * @returns {String}
+ */
+const slugifyTableName = (tableName) => slugify(tableName).replace(/^table-(?=.)/, "");
+
+/**
+ * Public ordering link for a table. Uses the vanity form
+ * /r/<restaurant-slug>/t/<table-slug> when the restaurant has a slug,
+ * otherwise /order/<tableId>.
+ * @param {Object} table - Table document
+ * @param {Object} restaurant - Restaurant document (may be null)
+ * @param {String} baseUrl - Override for FRONTEND_URL
+ * @returns {String}
+ */
+const buildTableOrderUrl = (table, restaurant, baseUrl = getFrontendUrl()) => {
+  const base = trimTrailingSlash(baseUrl);
+  if (restaurant && restaurant.slug && table.slug) {
+    return `${base}/r/${restaurant.slug}/t/${table.slug}`;
+  }
+  return `${base}/order/${table._id}`;
+};
+
+module.exports = {
+  SLUG_PATTERN,
+  getFrontendUrl,
+  getAllowedOrigins,
+  slugify,
+  slugifyTableName,
+  buildTableOrderUrl,
+};
@@ -25,6 +25,7 @@ const authMiddleware = async (req, res, next) => {
     if (decoded.id) {
       // Owner token - userId is the actual User ID
       req.userId = decoded.id;
+      req.userEmail = decoded.email || null;
       req.isOwner = true;
       req.isStaff = false;
       
@@ -48,6 +49,7 @@ const authMiddleware = async (req, res, next) => {
       req.isOwner = false;
       req.staffId = decoded.staffId;
       req.staffRole = decoded.role;
+      req.staffUsername = decoded.username || null;
       
       // Get the owner's User ID from the restaurant (for future multi-dashboard)
       const restaurant = await Restaurant.findById(req.restaurantId);
@@ -0,0 +1,21 @@
+// Whether the logged-in user is the restaurant owner or a manager
+const isManager = (req) => Boolean(req.isOwner || req.staffRole === "manager");
+
+/**
+ * Only the restaurant owner or a manager may continue (use after authMiddleware)
+ * Usage: requireManager("change kitchen stations")
+ * @param {String} action - what is being protected, for the 403 message
+ */
+const requireManager = (action) => {
+  return (req, res, next) => {
+    if (isManager(req)) {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      message: `Only the owner or a manager can ${action}`,
+    });
+  };
+};
+
+module.exports = { isManager, requireManager };
@@ -0,0 +1,41 @@
+/**
+ * Per-client request limit for public routes (in memory, per server process)
+ * Usage: rateLimit({ windowMs: 60000, max: 30, message: "Too many requests" })
+ * @param {Object} options
+ * @param {Number} options.windowMs - length of the counting window
+ * @param {Number} options.max - requests allowed per client in a window
+ * @param {String} options.message - 429 message
+ */
+const rateLimit = ({ windowMs, max, message = "Too many requests, please try again later" }) => {
+  const hits = new Map(); // client ip -> { count, resetAt }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip || req.socket?.remoteAddress || "unknown";
+
+    // Drop finished windows now and then so the map does not keep every client
+    if (hits.size > 10000) {
+      for (const [client, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(client);
+      }
+    }
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message,
+      });
+    }
+    return next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// Dining area / floor (Terrace, AC Hall, Bar...) that groups tables on a floor map
+const areaSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    // Building floor the area is on (0 = ground)
+    floor: {
+      type: Number,
+      default: 0,
+      min: -5,
+      max: 100,
+    },
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    // Size of the floor-map canvas table positions are relative to
+    canvasWidth: {
+      type: Number,
+      default: 1000,
+      min: 100,
+      max: 10000,
+    },
+    canvasHeight: {
+      type: Number,
+      default: 700,
+      min: 100,
+      max: 10000,
+    },
+    // Overrides the restaurant's service charge (null = use restaurant setting)
+    serviceChargeRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null,
+    },
+    // Business day the area is closed for (no seating or new orders)
+    closedForDate: {
+      type: String,
+      default: null,
+    },
+    closedReason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+areaSchema.index({ restaurantId: 1, isActive: 1, sequence: 1 });
+
+module.exports = mongoose.model("Area", areaSchema);
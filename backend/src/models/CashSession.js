@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const actorSchema = new mongoose.Schema(
+  {
+    actorType: { type: String, enum: ["owner", "staff"], required: true },
+    actorId: { type: String, required: true },
+    role: { type: String, default: null },
+    name: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Cash drawer shift: opening float, manual cash in/out and the count at close
+const cashSessionSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    businessDate: {
+      type: String, // YYYY-MM-DD business day the drawer was opened on
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+    },
+    openingFloat: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    openedBy: {
+      type: actorSchema,
+      required: true,
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Manual movements: float top-ups, petty cash, bank drops...
+    entries: {
+      type: [
+        {
+          type: { type: String, enum: ["cash_in", "cash_out"], required: true },
+          amount: { type: Number, required: true, min: 0.01 },
+          reason: { type: String, trim: true, maxlength: 200, required: true },
+          recordedBy: { type: actorSchema, required: true },
+          recordedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    // Filled in at close
+    cashSales: { type: Number, default: null },
+    cashTips: { type: Number, default: null },
+    cashRefunds: { type: Number, default: null },
+    expectedCash: { type: Number, default: null },
+    countedCash: { type: Number, default: null },
+    variance: { type: Number, default: null },
+    closingNote: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    closedBy: {
+      type: actorSchema,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One open drawer per restaurant at a time
+cashSessionSchema.index(
+  { restaurantId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+cashSessionSchema.index({ restaurantId: 1, businessDate: 1 });
+
+module.exports = mongoose.model("CashSession", cashSessionSchema);
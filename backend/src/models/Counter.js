@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Atomic per-restaurant sequences (invoice numbers, etc.) and tallies (pre-order slot bookings)
+const counterSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    // Sequence name, e.g. "invoice"
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+counterSchema.index({ restaurantId: 1, key: 1 }, { unique: true });
+
+/**
+ * Atomically increment and return the next value of a sequence.
+ * Creates the counter on first use.
+ * @param {ObjectId|String} restaurantId
+ * @param {String} key - Sequence name
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.next = async function (restaurantId, key) {
+  const counter = await this.findOneAndUpdate(
+    { restaurantId, key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Current value of a sequence (0 before first use), without moving it.
+ * @param {ObjectId|String} restaurantId
+ * @param {String} key - Sequence name
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.current = async function (restaurantId, key) {
+  const counter = await this.findOne({ restaurantId, key }).select("seq");
+  return counter ? counter.seq : 0;
+};
+
+/**
+ * Move a sequence forward to at least `seq` (never backwards).
+ * @param {ObjectId|String} restaurantId
+ * @param {String} key - Sequence name
+ * @param {Number} seq
+ * @returns {Promise<void>}
+ */
+counterSchema.statics.advanceTo = async function (restaurantId, key, seq) {
+  await this.updateOne({ restaurantId, key }, { $max: { seq } }, { upsert: true });
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
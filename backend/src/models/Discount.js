@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+// Restaurant-defined discount rules and coupon codes
+const discountSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    valueType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // "order" = whole bill, "items" = only the listed menu items / sections
+    scope: {
+      type: String,
+      enum: ["order", "items"],
+      default: "order",
+    },
+    menuItemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" }],
+    sectionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Section" }],
+    // Cap for percentage discounts (null = no cap)
+    maxAmount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    minOrderAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Coupon code (uppercase). Rules without a code are applied by staff.
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 30,
+      default: null,
+    },
+    // Customers may enter this code from the QR ordering flow
+    allowCustomerApply: {
+      type: Boolean,
+      default: false,
+    },
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    // Happy hour window in the restaurant's timezone (days: 0 = Sunday)
+    happyHour: {
+      days: { type: [Number], default: undefined },
+      startTime: { type: String, default: null }, // "HH:mm"
+      endTime: { type: String, default: null }, // "HH:mm"
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+discountSchema.index({ restaurantId: 1, isActive: 1 });
+discountSchema.index(
+  { restaurantId: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: "string" } } }
+);
+
+/**
+ * Atomically count one use of a discount, respecting its usage limit.
+ * @returns {Promise<Object|null>} Updated discount, or null if the limit is reached
+ */
+discountSchema.statics.reserveUse = function (discountId) {
+  return this.findOneAndUpdate(
+    {
+      _id: discountId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usageCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Give back a use when a discount is removed from an order.
+ */
+discountSchema.statics.releaseUse = function (discountId) {
+  return this.updateOne(
+    { _id: discountId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
+module.exports = mongoose.model("Discount", discountSchema);
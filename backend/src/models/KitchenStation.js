@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Kitchen station / counter (Grill, Tandoor, Bar...) that gets its own KOT tickets
+const kitchenStationSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    // Printer (Restaurant.printerSettings) the station's KOTs go to; null = default KOT printer
+    printerName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Receives items whose menu item and section are not mapped to any station
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+kitchenStationSchema.index({ restaurantId: 1, isActive: 1, sequence: 1 });
+
+module.exports = mongoose.model("KitchenStation", kitchenStationSchema);
@@ -17,6 +17,17 @@ const addonGroupSchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  // Selection limits enforced when orders are placed (maxSelect null = no limit)
+  minSelect: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxSelect: {
+    type: Number,
+    min: 1,
+    default: null
+  },
   items: [addonItemSchema]
 }, { _id: true });
 
@@ -43,6 +54,8 @@ const menuItemSchema = new mongoose.Schema({
   },
   
   sectionId: { type: mongoose.Schema.Types.ObjectId, ref: "Section", required: true },
+  // Overrides the section's kitchen station (null = follow the section)
+  stationId: { type: mongoose.Schema.Types.ObjectId, ref: "KitchenStation", default: null },
   restaurantId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Restaurant",
@@ -1,4 +1,43 @@
 const mongoose = require("mongoose");
+const { computeBill, getAmountDue, round2 } = require("../utils/billing");
+const { ORDER_TYPES, OFF_PREMISE_ORDER_TYPES } = require("../utils/orderTypes");
+const { getBatchKey, stampLineTiming, computeBatchTimings } = require("../utils/kitchenTimings");
+
+// Who did something to the order (see utils/actors)
+const actorSchema = new mongoose.Schema(
+  {
+    actorType: { type: String, enum: ["owner", "staff", "customer"], required: true },
+    actorId: { type: String, default: null },
+    role: { type: String, default: null },
+    name: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// When a line reached each kitchen step (first time only) and who moved it there
+const itemTimingsSchema = new mongoose.Schema(
+  {
+    queuedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    readyAt: { type: Date, default: null },
+    servedAt: { type: Date, default: null },
+    startedBy: { type: actorSchema, default: null },
+    readyBy: { type: actorSchema, default: null },
+    servedBy: { type: actorSchema, default: null },
+  },
+  { _id: false }
+);
+
+// Batch timestamps, derived from the batch's lines (see utils/kitchenTimings)
+const batchTimingsSchema = new mongoose.Schema(
+  {
+    queuedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    readyAt: { type: Date, default: null },
+    servedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
 
 const orderItemSchema = new mongoose.Schema(
   {
@@ -47,6 +86,217 @@ const orderItemSchema = new mongoose.Schema(
       enum: ["pending", "preparing", "ready", "served", "cancelled"],
       default: "pending",
     },
+    // Quantity refunded/voided after payment (see Refund)
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Update batch the line was added in (null = the original order)
+    batchId: {
+      type: String,
+      default: null,
+    },
+    timings: {
+      type: itemTimingsSchema,
+      default: () => ({}),
+    },
+  },
+  { _id: true }
+);
+
+// Tax rates frozen on the order when it is placed
+const taxConfigSchema = new mongoose.Schema(
+  {
+    taxes: {
+      type: [
+        {
+          name: { type: String, required: true, trim: true },
+          rate: { type: Number, required: true, min: 0, max: 100 },
+        },
+      ],
+      default: [],
+    },
+    pricesIncludeTax: { type: Boolean, default: false },
+    roundOff: { type: Boolean, default: false },
+    serviceChargeRate: { type: Number, default: 0, min: 0, max: 100 },
+    serviceChargeTaxable: { type: Boolean, default: false },
+    // Takeaway/delivery packaging (0 for dine-in)
+    packagingPerOrder: { type: Number, default: 0, min: 0 },
+    packagingPerItem: { type: Number, default: 0, min: 0 },
+    packagingTaxable: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Discount applied to an order - a snapshot of the rule (or manual/comp entry)
+const discountApplicationSchema = new mongoose.Schema(
+  {
+    discountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discount",
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: ["rule", "coupon", "manual", "complimentary"],
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    code: { type: String, default: null },
+    valueType: { type: String, enum: ["percentage", "flat"], required: true },
+    value: { type: Number, required: true, min: 0 },
+    scope: { type: String, enum: ["order", "items"], default: "order" },
+    // Order lines (complimentary/manual) or menu items (rules) an item-level discount covers
+    itemIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    menuItemIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    maxAmount: { type: Number, default: null },
+    reason: { type: String, trim: true, maxlength: 200, default: "" },
+    appliedBy: { type: actorSchema, required: true },
+    appliedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// Computed bill breakdown (recalculated whenever items change)
+const billSchema = new mongoose.Schema(
+  {
+    subtotal: { type: Number, default: 0 },
+    discounts: {
+      type: [
+        {
+          applicationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+          name: { type: String, required: true },
+          amount: { type: Number, required: true },
+        },
+      ],
+      default: [],
+    },
+    discountTotal: { type: Number, default: 0 },
+    serviceCharge: { type: Number, default: 0 },
+    serviceChargeRate: { type: Number, default: 0 },
+    packagingCharge: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    taxes: {
+      type: [
+        {
+          name: { type: String, required: true },
+          rate: { type: Number, required: true },
+          amount: { type: Number, required: true },
+        },
+      ],
+      default: [],
+    },
+    taxTotal: { type: Number, default: 0 },
+    roundOff: { type: Number, default: 0 },
+    grandTotal: { type: Number, default: 0 },
+    pricesIncludeTax: { type: Boolean, default: false },
+    computedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Payment sub-ledger: one entry per tender (cash, card, UPI...)
+const paymentSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: ["upi", "card", "cash"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    // Tip given with this tender (on top of amount, not part of the bill)
+    tip: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Waiter the tip is attributed to
+    tipStaffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      default: null,
+    },
+    // Business day the money was taken on (see Z report)
+    businessDate: {
+      type: String,
+      default: null,
+    },
+    // Cash drawer session a cash tender went into
+    cashSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CashSession",
+      default: null,
+    },
+    // Settlement record this tender pays towards (null = whole bill)
+    splitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: actorSchema,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+// Split bill settlement records (equal shares or by item)
+const splitSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      required: true,
+    },
+    splitType: {
+      type: String,
+      enum: ["equal", "items"],
+      required: true,
+    },
+    items: {
+      type: [
+        {
+          itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+          name: { type: String, required: true },
+          quantity: { type: Number, required: true, min: 1 },
+        },
+      ],
+      default: [],
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["open", "settled"],
+      default: "open",
+    },
+    settledAt: {
+      type: Date,
+      default: null,
+    },
   },
   { _id: true }
 );
@@ -67,6 +317,9 @@ const updateHistorySchema = new mongoose.Schema(
         "quantity_increased",
         "quantity_decreased",
         "item_modified",
+        "table_transferred",
+        "order_merged",
+        "item_moved",
       ],
       required: true,
     },
@@ -84,9 +337,14 @@ const updateHistorySchema = new mongoose.Schema(
     },
     changedBy: {
       type: String,
-      enum: ["customer", "staff"],
+      enum: ["customer", "staff", "owner"],
       required: true,
     },
+    // The person behind changedBy (null on entries from before it was recorded)
+    actor: {
+      type: actorSchema,
+      default: null,
+    },
     details: {
       type: String,
       default: "",
@@ -95,12 +353,57 @@ const updateHistorySchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Order and item status changes, with who made them
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    previousStatus: {
+      type: String,
+      default: null,
+    },
+    // Order line or batch the change applies to (both null = whole order)
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    itemName: {
+      type: String,
+      default: null,
+    },
+    batchId: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: "",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // null = changed by the system (e.g. settled by a payment split)
+    changedBy: {
+      type: actorSchema,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
+    // Dine-in table (takeaway and delivery orders have none)
     tableId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Table",
-      required: true,
+      required: function () {
+        return !OFF_PREMISE_ORDER_TYPES.includes(this.orderType);
+      },
+      default: null,
       index: true,
     },
     restaurantId: {
@@ -115,9 +418,89 @@ const orderSchema = new mongoose.Schema(
       maxlength: 100,
       default: "Guest",
     },
+    // Takeaway/delivery contact details
+    customerPhone: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+      default: "",
+    },
+    deliveryAddress: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    // Pickup (takeaway) or delivery time promised to the customer
+    promisedAt: {
+      type: Date,
+      default: null,
+    },
+    // Pre-orders: booked slot, when the kitchen gets it, and when it did
+    // (held out of the kitchen queue until releasedAt is set)
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    releaseAt: {
+      type: Date,
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    // Whether the order still takes a place in its slot's capacity (see utils/preorders)
+    holdsSlot: {
+      type: Boolean,
+      default: false,
+    },
+    // Daily order token staff can read out (#042), restarts every business day
+    orderNumber: {
+      type: Number,
+      default: null,
+    },
+    orderToken: {
+      type: String,
+      default: null,
+    },
+    businessDate: {
+      type: String, // YYYY-MM-DD in the restaurant's timezone
+      default: null,
+    },
+    // Visit this order belongs to (all orders of one seating share it)
+    tableSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TableSession",
+      default: null,
+      index: true,
+    },
+    // Set on orders folded into another bill (the source is kept, cancelled)
+    mergedIntoOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    // Set on orders created by moving items off another order
+    splitFromOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    // Who placed the order (null on orders from before it was recorded)
+    createdBy: {
+      type: actorSchema,
+      default: null,
+    },
+    // Waiter who served the table (tips are attributed to them by default)
+    servedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      default: null,
+    },
     orderType: {
       type: String,
-      enum: ["qr", "staff"],
+      enum: ORDER_TYPES,
       default: "staff",
       index: true,
     },
@@ -142,6 +525,19 @@ const orderSchema = new mongoose.Schema(
       maxlength: 500,
       default: "",
     },
+    // Billing: frozen tax settings + computed breakdown
+    taxConfig: {
+      type: taxConfigSchema,
+      default: () => ({}),
+    },
+    bill: {
+      type: billSchema,
+      default: null,
+    },
+    discounts: {
+      type: [discountApplicationSchema],
+      default: [],
+    },
     status: {
       type: String,
       enum: ["pending", "preparing", "ready", "served", "paid", "cancelled"],
@@ -149,15 +545,73 @@ const orderSchema = new mongoose.Schema(
       index: true,
     },
     // Payment fields
+    // Single method used, or "mixed" when several tenders were combined
     paymentMethod: {
       type: String,
-      enum: ["upi", "card", "cash", null],
+      enum: ["upi", "card", "cash", "mixed", null],
+      default: null,
+    },
+    payments: {
+      type: [paymentSchema],
+      default: [],
+    },
+    splits: {
+      type: [splitSchema],
+      default: [],
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    tipTotal: {
+      type: Number,
+      default: 0,
+    },
+    balanceDue: {
+      type: Number,
       default: null,
     },
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "partially_paid", "paid"],
+      default: "unpaid",
+    },
     paymentCompletedAt: {
       type: Date,
       default: null,
     },
+    // Business day the sale is reported on (when it was fully paid)
+    paidBusinessDate: {
+      type: String,
+      default: null,
+    },
+    // Post-payment corrections (the full trail lives in the Refund collection)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refundStatus: {
+      type: String,
+      enum: ["none", "partial", "full"],
+      default: "none",
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    // Invoice numbering (gap-free per fiscal year, issued at payment time)
+    invoiceNumber: {
+      type: String,
+      default: null,
+    },
+    invoiceIssuedAt: {
+      type: Date,
+      default: null,
+    },
+    invoiceFiscalYear: {
+      type: String,
+      default: null,
+    },
     // Update tracking fields
     isUpdated: {
       type: Boolean,
@@ -178,18 +632,51 @@ const orderSchema = new mongoose.Schema(
       type: [updateHistorySchema],
       default: [],
     },
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: actorSchema,
+      default: null,
+    },
     // NEW: KOT History implementation
     kots: {
       type: [{
         kotNumber: { type: Number, required: true },
+        // "cancel" tickets take back printed quantities that left the order;
+        // "moved" records (never printed) net out quantities split off to another order
+        type: { type: String, enum: ["new", "cancel", "moved"], default: "new" },
+        reason: { type: String, default: "" },
+        orderToken: { type: String, default: null },
+        // Kitchen station the ticket was routed to (null = unrouted / general)
+        stationId: { type: mongoose.Schema.Types.ObjectId, ref: "KitchenStation", default: null },
+        stationName: { type: String, default: null },
         items: [{
           itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
           name: { type: String, required: true },
           quantity: { type: Number, required: true },
-          addons: { type: mongoose.Schema.Types.Mixed, default: [] }
+          addons: { type: mongoose.Schema.Types.Mixed, default: [] },
+          specialInstructions: { type: String, default: "" }
         }],
         printedAt: { type: Date, default: Date.now },
-        printedBy: { type: String, default: "Staff" }
+        // Label printed on the ticket; printedByActor is who it was
+        printedBy: { type: String, default: "Staff" },
+        printedByActor: { type: actorSchema, default: null },
+        // Copies printed again (marked DUPLICATE on paper)
+        reprints: [{
+          printedAt: { type: Date, default: Date.now },
+          printedBy: { type: String, default: "Staff" },
+          printedByActor: { type: actorSchema, default: null }
+        }],
+        // A voided ticket no longer counts as sent; its items print again on the next KOT
+        voidedAt: { type: Date, default: null },
+        voidedBy: { type: actorSchema, default: null },
+        voidReason: { type: String, default: "" }
       }],
       default: []
     },
@@ -203,6 +690,11 @@ const orderSchema = new mongoose.Schema(
       },
       default: {},
     },
+    batchTimings: {
+      type: Map,
+      of: batchTimingsSchema,
+      default: {},
+    },
     lastViewedByRestaurant: {
       type: Date,
       default: null,
@@ -218,6 +710,113 @@ const orderSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Recalculate the bill breakdown from the current items using the tax
+ * settings frozen on this order. Keeps totalPrice in sync with the subtotal.
+ */
+orderSchema.methods.recalculateBill = function () {
+  const bill = computeBill(this.items, this.taxConfig || {}, {
+    discounts: this.discounts || [],
+  });
+  this.bill = { ...bill, computedAt: new Date() };
+  this.totalPrice = bill.subtotal;
+  this.recalculatePayments();
+  return this.bill;
+};
+
+/**
+ * Recalculate amount paid, tips, balance due and split settlement from the
+ * payments ledger. Tips never count towards the balance. Does not change the order status.
+ */
+orderSchema.methods.recalculatePayments = function () {
+  const payments = this.payments || [];
+  this.amountPaid = round2(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.tipTotal = round2(payments.reduce((sum, payment) => sum + (payment.tip || 0), 0));
+  this.balanceDue = Math.max(0, round2(getAmountDue(this) - this.amountPaid));
+
+  (this.splits || []).forEach((split) => {
+    split.amountPaid = round2(
+      payments
+        .filter((payment) => payment.splitId && payment.splitId.toString() === split._id.toString())
+        .reduce((sum, payment) => sum + payment.amount, 0)
+    );
+    if (split.amountPaid >= split.amount && split.status !== "settled") {
+      split.status = "settled";
+      split.settledAt = new Date();
+    }
+  });
+
+  if (this.amountPaid <= 0) {
+    this.paymentStatus = "unpaid";
+  } else if (this.balanceDue > 0) {
+    this.paymentStatus = "partially_paid";
+  } else {
+    this.paymentStatus = "paid";
+  }
+
+  return { amountPaid: this.amountPaid, balanceDue: this.balanceDue };
+};
+
+/**
+ * Change the status of the order, one of its lines or one batch, recording
+ * who did it in statusHistory. Lines reaching a kitchen step get its timestamp
+ * (see utils/kitchenTimings). Cancelling the order also stamps cancelledAt/By.
+ * @param {String} status
+ * @param {Object|null} actor - see utils/actors (null = the system)
+ * @param {Object} options - { item: order line, batchId, reason,
+ *   rollUp: the order status follows its lines, so don't stamp the other lines }
+ * @returns {Boolean} whether the status changed
+ */
+orderSchema.methods.setStatus = function (status, actor, { item = null, batchId = null, reason = "", rollUp = false } = {}) {
+  const at = new Date();
+  const lines = item
+    ? [item]
+    : rollUp
+      ? []
+      : this.items.filter((line) => !batchId || batchId === "all" || getBatchKey(line) === batchId);
+  const stamped = lines.filter((line) => stampLineTiming(line, status, at, actor)).length > 0;
+  if (stamped) {
+    this.refreshBatchTimings();
+  }
+
+  let previousStatus;
+  if (item) {
+    previousStatus = item.status;
+    item.status = status;
+  } else if (batchId) {
+    if (!this.batchStatus) this.batchStatus = new Map();
+    previousStatus = this.batchStatus.get(batchId) || null;
+    this.batchStatus.set(batchId, status);
+  } else {
+    previousStatus = this.status;
+    this.status = status;
+    if (status === "cancelled" && !this.cancelledAt) {
+      this.cancelledAt = at;
+      this.cancelledBy = actor;
+    }
+  }
+
+  if (previousStatus === status) return false;
+  this.statusHistory.push({
+    status,
+    previousStatus,
+    itemId: item ? item._id : null,
+    itemName: item ? item.name : null,
+    batchId,
+    reason,
+    changedBy: actor,
+  });
+  return true;
+};
+
+/**
+ * Recompute the per-batch timestamps from the lines
+ */
+orderSchema.methods.refreshBatchTimings = function () {
+  this.batchTimings = computeBatchTimings(this);
+  return this.batchTimings;
+};
+
 // Compound indexes for efficient queries
 orderSchema.index({ restaurantId: 1, status: 1, createdAt: -1 });
 orderSchema.index({ tableId: 1, createdAt: -1 });
@@ -225,5 +824,16 @@ orderSchema.index({ restaurantId: 1, createdAt: -1 });
 orderSchema.index({ restaurantId: 1, orderType: 1, createdAt: -1 });
 orderSchema.index({ restaurantId: 1, isUpdated: -1, createdAt: -1 });
 orderSchema.index({ restaurantId: 1, hasUnseenChanges: -1, createdAt: -1 });
+orderSchema.index({ restaurantId: 1, businessDate: 1, orderNumber: 1 });
+orderSchema.index({ restaurantId: 1, paidBusinessDate: 1 });
+orderSchema.index({ restaurantId: 1, scheduledFor: 1 });
+orderSchema.index(
+  { releasedAt: 1, releaseAt: 1 },
+  { partialFilterExpression: { scheduledFor: { $type: "date" } } }
+);
+orderSchema.index(
+  { restaurantId: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } }
+);
 
 module.exports = mongoose.model("Order", orderSchema);
\ No newline at end of file
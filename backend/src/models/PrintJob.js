@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// ESC/POS bytes waiting to be printed by the restaurant's on-premise print agent
+const printJobSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    // Printer name as configured in Restaurant.printerSettings
+    printerName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    kind: {
+      type: String,
+      enum: ["kot", "receipt", "test"],
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    kotNumber: {
+      type: Number,
+      default: null,
+    },
+    paperWidth: {
+      type: Number,
+      enum: [58, 80],
+      default: 80,
+    },
+    data: {
+      type: Buffer,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "claimed", "printed", "failed", "cancelled"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    // Not handed out again before this time (retry back-off)
+    availableAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Agent currently holding the job; the claim lapses at leaseExpiresAt
+    claimedBy: {
+      type: String,
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    printedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+printJobSchema.index({ restaurantId: 1, status: 1, availableAt: 1 });
+printJobSchema.index({ restaurantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PrintJob", printJobSchema);
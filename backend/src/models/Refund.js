@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+// Refunds and post-payment voids. Records are write-once: corrections are made
+// by issuing another record, never by editing or deleting an existing one.
+const refundSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    orderToken: {
+      type: String,
+      default: null,
+    },
+    invoiceNumber: {
+      type: String,
+      default: null,
+    },
+    // Credit note number, e.g. CN/2025-26/00003 (per fiscal year)
+    creditNoteNumber: {
+      type: String,
+      required: true,
+    },
+    // "void" = the sale is reversed as a billing mistake (no money handed back),
+    // "refund" = money is returned to the customer
+    type: {
+      type: String,
+      enum: ["refund", "void"],
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["full", "items"],
+      required: true,
+    },
+    items: {
+      type: [
+        {
+          itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+          menuItemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+          name: { type: String, required: true },
+          quantity: { type: Number, required: true, min: 1 },
+        },
+      ],
+      default: [],
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // How the money went back (refunds only)
+    method: {
+      type: String,
+      enum: ["upi", "card", "cash", null],
+      default: null,
+    },
+    // Cash drawer session cash refunds were paid out of
+    cashSessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CashSession",
+      default: null,
+    },
+    reasonCode: {
+      type: String,
+      enum: [
+        "customer_complaint",
+        "wrong_item",
+        "quality_issue",
+        "billing_error",
+        "duplicate_payment",
+        "order_cancelled",
+        "other",
+      ],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    approvedBy: {
+      actorType: { type: String, enum: ["owner", "staff"], required: true },
+      actorId: { type: String, required: true },
+      role: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    // Business day the refund counts against in reports
+    businessDate: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+refundSchema.index({ restaurantId: 1, businessDate: 1 });
+refundSchema.index({ restaurantId: 1, creditNoteNumber: 1 }, { unique: true });
+
+// ---- Immutability ----
+refundSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Refund records cannot be modified"));
+  }
+  next();
+});
+
+const blockChange = function (next) {
+  next(new Error("Refund records cannot be modified or deleted"));
+};
+
+refundSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  blockChange
+);
+refundSchema.pre(["updateOne", "deleteOne"], { document: true, query: false }, blockChange);
+
+module.exports = mongoose.model("Refund", refundSchema);
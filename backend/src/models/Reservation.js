@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+
+const actorSchema = new mongoose.Schema(
+  {
+    actorType: { type: String, enum: ["owner", "staff"], required: true },
+    actorId: { type: String, required: true },
+    role: { type: String, default: null },
+    name: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Table booking for a party at a time slot
+const reservationSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    customerName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+      default: "",
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+      default: "",
+    },
+    partySize: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 100,
+    },
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    // startAt + turn time; tables are held until then (plus the reset buffer)
+    endAt: {
+      type: Date,
+      required: true,
+    },
+    turnMinutes: {
+      type: Number,
+      required: true,
+    },
+    businessDate: {
+      type: String, // YYYY-MM-DD in the restaurant's timezone (day view)
+      required: true,
+    },
+    tableIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Table" }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["booked", "seated", "no_show", "cancelled"],
+      default: "booked",
+    },
+    source: {
+      type: String,
+      enum: ["phone", "walk_in", "online", "other"],
+      default: "phone",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    createdBy: {
+      type: actorSchema,
+      required: true,
+    },
+    seatedAt: {
+      type: Date,
+      default: null,
+    },
+    tableSessionIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "TableSession" }],
+      default: [],
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    statusChangedBy: {
+      type: actorSchema,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+reservationSchema.index({ restaurantId: 1, businessDate: 1, startAt: 1 });
+reservationSchema.index({ restaurantId: 1, tableIds: 1, status: 1, startAt: 1 });
+
+module.exports = mongoose.model("Reservation", reservationSchema);
@@ -20,6 +20,14 @@ const restaurantSchema = new mongoose.Schema({
     default: null,
   },
 
+  // Vanity slug for public links, e.g. /r/cafe-blue/t/12
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+  },
+
   currency: {
     type: String,
     default: "INR",
@@ -78,6 +86,133 @@ const restaurantSchema = new mongoose.Schema({
     }
   }],
 
+  // true = menu prices already include the taxes above (tax is backed out)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Round bill grand totals to the nearest whole currency unit
+  roundOffBill: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Optional service charge (% of the bill after discounts); 0 = none
+  serviceChargeRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+
+  // true = the taxes above are also charged on the service charge
+  serviceChargeTaxable: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Packaging charged on takeaway and delivery orders
+  packagingCharges: {
+    perOrder: { type: Number, default: 0, min: 0 },
+    // Per unit ordered (2 x Biryani = 2 boxes)
+    perItem: { type: Number, default: 0, min: 0 },
+    // true = the taxes above are also charged on packaging
+    taxable: { type: Boolean, default: false },
+  },
+
+  // Pre-orders: pickup/delivery slots and when held orders reach the kitchen
+  preorderSettings: {
+    enabled: { type: Boolean, default: true },
+    slotMinutes: { type: Number, default: 15, min: 5, max: 120 },
+    // 0 = no limit
+    maxOrdersPerSlot: { type: Number, default: 10, min: 0, max: 500 },
+    // Minutes before the slot the order is released to the kitchen
+    leadMinutes: { type: Number, default: 30, min: 0, max: 240 },
+    maxDaysAhead: { type: Number, default: 7, min: 0, max: 60 },
+    openingTime: { type: String, default: "11:00" },
+    closingTime: { type: String, default: "22:00" },
+  },
+
+  // Thermal printers reached through the on-premise print agent (see utils/printing)
+  printerSettings: {
+    printers: {
+      type: [
+        {
+          name: { type: String, required: true, trim: true, maxlength: 50 },
+          paperWidth: { type: Number, enum: [58, 80], default: 80 },
+        },
+      ],
+      default: [],
+    },
+    // Printer for KOTs of stations without their own printer (null = don't print)
+    kotPrinter: { type: String, default: null },
+    receiptPrinter: { type: String, default: null },
+    autoPrintKots: { type: Boolean, default: true },
+    // Bumped to revoke every issued print agent key
+    agentKeyVersion: { type: Number, default: 1, min: 1 },
+  },
+
+  // IANA timezone used for business days (daily order tokens, reports)
+  timezone: {
+    type: String,
+    default: "Asia/Kolkata",
+    trim: true,
+  },
+
+  // How customers must prove they are at the table (see utils/tableTokens):
+  // "open" = any link works, "token" = signed QR token, "session" = staff-opened session
+  tableAccessMode: {
+    type: String,
+    enum: ["open", "token", "session"],
+    default: "open",
+  },
+
+  // Reservations: how long a party holds a table and when bookings can start
+  reservationSettings: {
+    // Minutes a party holds its table(s)
+    defaultTurnMinutes: { type: Number, default: 90, min: 15, max: 480 },
+    // Longer turns for bigger parties, e.g. [{ minPartySize: 5, minutes: 120 }]
+    turnTimes: {
+      type: [
+        {
+          _id: false,
+          minPartySize: { type: Number, required: true, min: 1, max: 100 },
+          minutes: { type: Number, required: true, min: 15, max: 480 },
+        },
+      ],
+      default: [],
+    },
+    // Reset time kept free between two bookings on the same table
+    bufferMinutes: { type: Number, default: 10, min: 0, max: 120 },
+    slotIntervalMinutes: { type: Number, default: 15, min: 5, max: 120 },
+    // Bookable window in local time (HH:mm); last seating is closingTime
+    openingTime: { type: String, default: "11:00" },
+    closingTime: { type: String, default: "22:00" },
+  },
+
+  // Last business day closed with a Z report (YYYY-MM-DD). Later activity
+  // is booked on the following day.
+  lastClosedBusinessDate: {
+    type: String,
+    default: null,
+  },
+
+  // Month (1-12) the fiscal year starts in - invoice numbers restart each fiscal year
+  fiscalYearStartMonth: {
+    type: Number,
+    default: 4,
+    min: 1,
+    max: 12,
+  },
+
+  invoicePrefix: {
+    type: String,
+    default: "INV",
+    trim: true,
+    maxlength: 10,
+  },
+
   templateStyle: {
     type: String,
     enum: ["classic", "modern", "minimal", "TemplateBurgerBooch"],
@@ -109,5 +244,9 @@ restaurantSchema.pre("save", function (next) {
 
 // Index for efficient queries
 restaurantSchema.index({ ownerId: 1, isActive: 1 });
+restaurantSchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: "string" } } }
+);
 
 module.exports = mongoose.model("Restaurant", restaurantSchema);
\ No newline at end of file
@@ -16,6 +16,12 @@ const sectionSchema = new mongoose.Schema(
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Kitchen station this section's items are sent to (null = default station)
+    stationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KitchenStation',
+      default: null
     }
   },
   { timestamps: true }
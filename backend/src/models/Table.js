@@ -13,11 +13,71 @@ const tableSchema = new mongoose.Schema({
     trim: true,
     maxlength: 50
   },
+  // URL-friendly name used in vanity links (/r/<restaurant>/t/<slug>)
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  // Dining area / floor the table belongs to (null = unassigned)
+  areaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area',
+    default: null
+  },
+  // Position on the area's floor map (canvas units, top-left origin)
+  layout: {
+    x: { type: Number, default: 0, min: 0 },
+    y: { type: Number, default: 0, min: 0 },
+    width: { type: Number, default: 80, min: 10, max: 2000 },
+    height: { type: Number, default: 80, min: 10, max: 2000 },
+    shape: {
+      type: String,
+      enum: ['square', 'rectangle', 'round', 'oval', 'booth'],
+      default: 'square'
+    },
+    rotation: { type: Number, default: 0, min: 0, max: 359 }
+  },
   qrCodeUrl: {
     type: String,
     required: false,
     default: ''
   },
+  // QR token security: bump the version to rotate, set qrRevoked to disable
+  qrTokenVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  qrRevoked: {
+    type: Boolean,
+    default: false
+  },
+  // Set while guests are seated; session tokens are bound to it
+  sessionNonce: {
+    type: String,
+    default: null
+  },
+  sessionOpenedAt: {
+    type: Date,
+    default: null
+  },
+  // Floor status: free -> seated -> occupied -> bill_requested -> cleaning -> free
+  status: {
+    type: String,
+    enum: ['free', 'seated', 'occupied', 'bill_requested', 'cleaning'],
+    default: 'free'
+  },
+  currentSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TableSession',
+    default: null
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
   seats: {
     type: Number,
     default: 4,
@@ -34,6 +94,8 @@ const tableSchema = new mongoose.Schema({
 
 // Compound index for efficient queries by restaurant
 tableSchema.index({ restaurantId: 1, isActive: 1 });
+tableSchema.index({ restaurantId: 1, slug: 1 });
+tableSchema.index({ restaurantId: 1, areaId: 1 });
 
 module.exports = mongoose.model('Table', tableSchema);
 
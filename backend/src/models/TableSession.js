@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+const actorSchema = new mongoose.Schema(
+  {
+    actorType: { type: String, enum: ["owner", "staff", "customer"], required: true },
+    actorId: { type: String, default: null },
+    role: { type: String, default: null },
+    name: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// One visit to a table: from seating (or the first order) until the bill is settled
+const tableSessionSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    tableId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+      required: true,
+    },
+    tableName: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+    },
+    covers: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: null,
+    },
+    // Waiter looking after the table (orders and tips are credited to them)
+    waiterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      default: null,
+    },
+    // Booking the guests were seated from
+    reservationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reservation",
+      default: null,
+    },
+    orderIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+      default: [],
+    },
+    openedBy: {
+      type: actorSchema,
+      required: true,
+    },
+    seatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    firstOrderAt: {
+      type: Date,
+      default: null,
+    },
+    billRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    // paid: settled automatically, closed: ended by staff,
+    // transferred / merged: guests moved to another table
+    closeReason: {
+      type: String,
+      enum: ["paid", "closed", "transferred", "merged", null],
+      default: null,
+    },
+    closedBy: {
+      type: actorSchema,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One open session per table at a time
+tableSessionSchema.index(
+  { tableId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+tableSessionSchema.index({ restaurantId: 1, status: 1, seatedAt: -1 });
+
+module.exports = mongoose.model("TableSession", tableSessionSchema);
@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+
+const actorSchema = new mongoose.Schema(
+  {
+    actorType: { type: String, enum: ["owner", "staff"], required: true },
+    actorId: { type: String, required: true },
+    role: { type: String, default: null },
+    name: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Walk-in party waiting for a table
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    customerName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+      default: "",
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+      default: "",
+    },
+    partySize: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 100,
+    },
+    // How the party wants to hear their table is ready
+    notifyVia: {
+      type: String,
+      enum: ["sms", "email", "none"],
+      default: "sms",
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "notified", "seated", "left", "cancelled"],
+      default: "waiting",
+    },
+    // Wait told to the party when they joined
+    quotedWaitMinutes: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    quotedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    businessDate: {
+      type: String, // YYYY-MM-DD in the restaurant's timezone
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    notifications: {
+      type: [
+        {
+          channel: { type: String, enum: ["sms", "email"], required: true },
+          to: { type: String, required: true },
+          message: { type: String, default: "" },
+          success: { type: Boolean, required: true },
+          provider: { type: String, default: null },
+          error: { type: String, default: null },
+          sentAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    seatedAt: {
+      type: Date,
+      default: null,
+    },
+    tableIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Table" }],
+      default: [],
+    },
+    tableSessionIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "TableSession" }],
+      default: [],
+    },
+    removedAt: {
+      type: Date,
+      default: null,
+    },
+    addedBy: {
+      type: actorSchema,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ restaurantId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ restaurantId: 1, businessDate: 1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
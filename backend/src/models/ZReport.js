@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// End-of-day (Z) report. Saving one closes its business day for good.
+const zReportSchema = new mongoose.Schema(
+  {
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+      index: true,
+    },
+    businessDate: {
+      type: String, // YYYY-MM-DD
+      required: true,
+    },
+    reportNumber: {
+      type: Number,
+      required: true,
+    },
+    // Snapshot of the day summary (see utils/reports buildDaySummary)
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    closedBy: {
+      actorType: { type: String, enum: ["owner", "staff"], required: true },
+      actorId: { type: String, required: true },
+      role: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+zReportSchema.index({ restaurantId: 1, businessDate: 1 }, { unique: true });
+
+module.exports = mongoose.model("ZReport", zReportSchema);
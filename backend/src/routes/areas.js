@@ -0,0 +1,528 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Area = require("../models/Area");
+const Table = require("../models/Table");
+const Restaurant = require("../models/Restaurant");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireManager } = require("../middleware/managerMiddleware");
+const { getOpenBusinessDate } = require("../utils/numbering");
+const { isAreaClosed, parseTableLayout, applyTableLayout } = require("../utils/areas");
+const { buildTableBoard } = require("../utils/tableSessions");
+
+// All area / floor plan routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+// Floor plans and area settings are managed by the owner or a manager
+const managerOnly = requireManager("change dining areas");
+
+// Validate the editable area fields; returns { updates, error }
+const parseAreaFields = (body) => {
+  const updates = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.trim() === "") {
+      return { updates: null, error: "Area name is required" };
+    }
+    if (body.name.trim().length > 50) {
+      return { updates: null, error: "Area name must be 50 characters or less" };
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.floor !== undefined) {
+    const floor = Number(body.floor);
+    if (!Number.isInteger(floor) || floor < -5 || floor > 100) {
+      return { updates: null, error: "Floor must be a whole number between -5 and 100" };
+    }
+    updates.floor = floor;
+  }
+
+  if (body.sequence !== undefined) {
+    const sequence = Number(body.sequence);
+    if (!Number.isInteger(sequence)) {
+      return { updates: null, error: "Sequence must be a whole number" };
+    }
+    updates.sequence = sequence;
+  }
+
+  for (const field of ["canvasWidth", "canvasHeight"]) {
+    if (body[field] === undefined) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 100 || value > 10000) {
+      return { updates: null, error: `${field} must be between 100 and 10000` };
+    }
+    updates[field] = Math.round(value);
+  }
+
+  if (body.serviceChargeRate !== undefined) {
+    if (body.serviceChargeRate === null || body.serviceChargeRate === "") {
+      updates.serviceChargeRate = null;
+    } else {
+      const rate = Number(body.serviceChargeRate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        return { updates: null, error: "Service charge rate must be between 0 and 100" };
+      }
+      updates.serviceChargeRate = rate;
+    }
+  }
+
+  return { updates, error: null };
+};
+
+const findArea = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.areaId)) {
+    return null;
+  }
+  return Area.findOne({
+    _id: req.params.areaId,
+    restaurantId: getRestaurantId(req),
+    isActive: true,
+  });
+};
+
+const serializeArea = (area, restaurant, tableCount) => ({
+  ...area.toObject(),
+  isClosed: isAreaClosed(area, restaurant),
+  ...(tableCount !== undefined && { tableCount }),
+});
+
+/**
+ * @route   GET /api/areas
+ * @desc    Dining areas with table counts and today's open/closed state
+ * @access  Private (Owner, Staff)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+
+    const [areas, restaurant, tableCounts] = await Promise.all([
+      Area.find({ restaurantId, isActive: true }).sort({ floor: 1, sequence: 1, createdAt: 1 }),
+      Restaurant.findById(restaurantId).select("timezone lastClosedBusinessDate"),
+      Table.aggregate([
+        { $match: { restaurantId: new mongoose.Types.ObjectId(restaurantId.toString()), isActive: true } },
+        { $group: { _id: "$areaId", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countByArea = new Map(
+      tableCounts.map((entry) => [entry._id ? entry._id.toString() : "none", entry.count])
+    );
+
+    res.json({
+      success: true,
+      data: areas.map((area) =>
+        serializeArea(area, restaurant, countByArea.get(area._id.toString()) || 0)
+      ),
+      unassignedTables: countByArea.get("none") || 0,
+      count: areas.length,
+    });
+  } catch (error) {
+    console.error("Get areas error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching areas",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/areas
+ * @desc    Create a dining area
+ * @access  Private (Owner, Manager)
+ */
+router.post("/", managerOnly, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+
+    if (req.body.name === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Area name is required",
+      });
+    }
+
+    const { updates, error } = parseAreaFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const existingArea = await Area.findOne({ restaurantId, name: updates.name, isActive: true });
+    if (existingArea) {
+      return res.status(400).json({
+        success: false,
+        message: "An area with this name already exists",
+      });
+    }
+
+    const area = await Area.create({ ...updates, restaurantId });
+    const restaurant = await Restaurant.findById(restaurantId).select("timezone lastClosedBusinessDate");
+
+    res.status(201).json({
+      success: true,
+      message: "Area created successfully",
+      data: serializeArea(area, restaurant, 0),
+    });
+  } catch (error) {
+    console.error("Create area error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating area",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/areas/:areaId
+ * @desc    Update an area (name, floor, canvas size, service charge override)
+ * @access  Private (Owner, Manager)
+ */
+router.put("/:areaId", managerOnly, async (req, res) => {
+  try {
+    const area = await findArea(req);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: "Area not found",
+      });
+    }
+
+    const { updates, error } = parseAreaFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (updates.name && updates.name !== area.name) {
+      const existingArea = await Area.findOne({
+        restaurantId: area.restaurantId,
+        name: updates.name,
+        isActive: true,
+        _id: { $ne: area._id },
+      });
+      if (existingArea) {
+        return res.status(400).json({
+          success: false,
+          message: "An area with this name already exists",
+        });
+      }
+    }
+
+    area.set(updates);
+    await area.save();
+
+    const restaurant = await Restaurant.findById(area.restaurantId).select("timezone lastClosedBusinessDate");
+
+    res.json({
+      success: true,
+      message: "Area updated successfully",
+      data: serializeArea(area, restaurant),
+    });
+  } catch (error) {
+    console.error("Update area error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating area",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/areas/:areaId
+ * @desc    Remove an area; its tables become unassigned
+ * @access  Private (Owner, Manager)
+ */
+router.delete("/:areaId", managerOnly, async (req, res) => {
+  try {
+    const area = await findArea(req);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: "Area not found",
+      });
+    }
+
+    area.isActive = false;
+    await area.save();
+
+    const { modifiedCount } = await Table.updateMany(
+      { restaurantId: area.restaurantId, areaId: area._id },
+      { $set: { areaId: null } }
+    );
+
+    res.json({
+      success: true,
+      message: "Area deleted successfully",
+      unassignedTables: modifiedCount,
+    });
+  } catch (error) {
+    console.error("Delete area error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting area",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/areas/:areaId/close
+ * @desc    Close an area for the current business day (no new seating or orders)
+ * @access  Private (Owner, Manager)
+ */
+router.post("/:areaId/close", managerOnly, async (req, res) => {
+  try {
+    const area = await findArea(req);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: "Area not found",
+      });
+    }
+
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (reason.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be 200 characters or less",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(area.restaurantId).select("timezone lastClosedBusinessDate");
+
+    // Guests already seated may finish; the area just takes no new ones
+    const seatedTables = await Table.countDocuments({
+      restaurantId: area.restaurantId,
+      areaId: area._id,
+      isActive: true,
+      currentSessionId: { $ne: null },
+    });
+
+    area.closedForDate = getOpenBusinessDate(restaurant);
+    area.closedReason = reason;
+    await area.save();
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${area.restaurantId}`).emit("area-status-updated", {
+        areaId: area._id.toString(),
+        name: area.name,
+        isClosed: true,
+        closedForDate: area.closedForDate,
+        reason,
+        timestamp: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        seatedTables > 0
+          ? `${area.name} closed for ${area.closedForDate}. ${seatedTables} table(s) still seated.`
+          : `${area.name} closed for ${area.closedForDate}`,
+      data: serializeArea(area, restaurant),
+      seatedTables,
+    });
+  } catch (error) {
+    console.error("Close area error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while closing area",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/areas/:areaId/reopen
+ * @desc    Reopen an area closed for the day
+ * @access  Private (Owner, Manager)
+ */
+router.post("/:areaId/reopen", managerOnly, async (req, res) => {
+  try {
+    const area = await findArea(req);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: "Area not found",
+      });
+    }
+
+    area.closedForDate = null;
+    area.closedReason = "";
+    await area.save();
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${area.restaurantId}`).emit("area-status-updated", {
+        areaId: area._id.toString(),
+        name: area.name,
+        isClosed: false,
+        closedForDate: null,
+        timestamp: new Date(),
+      });
+    }
+
+    const restaurant = await Restaurant.findById(area.restaurantId).select("timezone lastClosedBusinessDate");
+
+    res.json({
+      success: true,
+      message: `${area.name} reopened`,
+      data: serializeArea(area, restaurant),
+    });
+  } catch (error) {
+    console.error("Reopen area error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while reopening area",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/areas/:areaId/floor-plan
+ * @desc    Area canvas with every table's position, shape and live status
+ * @access  Private (Owner, Staff)
+ */
+router.get("/:areaId/floor-plan", async (req, res) => {
+  try {
+    const area = await findArea(req);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: "Area not found",
+      });
+    }
+
+    const [restaurant, board] = await Promise.all([
+      Restaurant.findById(area.restaurantId).select("timezone lastClosedBusinessDate"),
+      buildTableBoard(area.restaurantId, { areaId: area._id }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        area: serializeArea(area, restaurant, board.tables.length),
+        tables: board.tables,
+        counts: board.counts,
+      },
+    });
+  } catch (error) {
+    console.error("Get floor plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching floor plan",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/areas/:areaId/layout
+ * @desc    Save the floor-plan editor: positions of tables placed in this area
+ *          Body: { tables: [{ tableId, x, y, width?, height?, shape?, rotation? }] }
+ * @access  Private (Owner, Manager)
+ */
+router.put("/:areaId/layout", managerOnly, async (req, res) => {
+  try {
+    const area = await findArea(req);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: "Area not found",
+      });
+    }
+
+    const { tables: placements } = req.body;
+    if (!Array.isArray(placements) || placements.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Tables array is required",
+      });
+    }
+
+    const parsedPlacements = [];
+    for (const placement of placements) {
+      if (!placement || !mongoose.Types.ObjectId.isValid(placement.tableId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Each placement needs a valid tableId",
+        });
+      }
+      const { layout, error } = parseTableLayout(placement);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      if (layout.x > area.canvasWidth || layout.y > area.canvasHeight) {
+        return res.status(400).json({
+          success: false,
+          message: `Table position is outside the ${area.canvasWidth}x${area.canvasHeight} floor plan`,
+        });
+      }
+      parsedPlacements.push({ tableId: placement.tableId.toString(), layout });
+    }
+
+    const tables = await Table.find({
+      _id: { $in: parsedPlacements.map((placement) => placement.tableId) },
+      restaurantId: area.restaurantId,
+      isActive: true,
+    });
+
+    if (tables.length !== new Set(parsedPlacements.map((placement) => placement.tableId)).size) {
+      return res.status(403).json({
+        success: false,
+        message: "One or more tables do not belong to your restaurant",
+      });
+    }
+
+    const tableById = new Map(tables.map((table) => [table._id.toString(), table]));
+    for (const placement of parsedPlacements) {
+      const table = tableById.get(placement.tableId);
+      // Dropping a table on this area's canvas moves it into the area
+      table.areaId = area._id;
+      applyTableLayout(table, placement.layout);
+    }
+    await Promise.all(tables.map((table) => table.save()));
+
+    res.json({
+      success: true,
+      message: "Floor plan saved",
+      data: tables.map((table) => ({
+        tableId: table._id,
+        tableName: table.tableName,
+        areaId: table.areaId,
+        layout: table.layout,
+      })),
+    });
+  } catch (error) {
+    console.error("Save floor plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while saving floor plan",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,530 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const CashSession = require("../models/CashSession");
+const ZReport = require("../models/ZReport");
+const Restaurant = require("../models/Restaurant");
+const Counter = require("../models/Counter");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireManager } = require("../middleware/managerMiddleware");
+const { getOpenBusinessDate } = require("../utils/numbering");
+const { computeExpectedCash, buildDaySummary } = require("../utils/reports");
+const { round2 } = require("../utils/billing");
+const { getActor } = require("../utils/actors");
+
+// All cash drawer and Z report routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+// Drawers are run by cashiers, managers and the owner
+const requireCashier = (req, res, next) => {
+  if (req.isOwner || ["cashier", "manager"].includes(req.staffRole)) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: "Only cashiers, managers or the owner can manage the cash drawer",
+  });
+};
+
+const BUSINESS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return Number.isFinite(amount) ? round2(amount) : NaN;
+};
+
+// ============= CASH DRAWER SESSIONS =============
+
+/**
+ * @route   GET /api/cash/sessions/current
+ * @desc    Currently open cash drawer session (with running expected cash)
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.get("/sessions/current", requireCashier, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const session = await CashSession.findOne({ restaurantId, status: "open" });
+
+    if (!session) {
+      return res.json({ success: true, data: null });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...session.toObject(),
+        ...(await computeExpectedCash(session)),
+      },
+    });
+  } catch (error) {
+    console.error("Get current cash session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching cash session",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cash/sessions?date=YYYY-MM-DD
+ * @desc    Cash drawer sessions (optionally for one business day)
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.get("/sessions", requireCashier, async (req, res) => {
+  try {
+    const { date } = req.query;
+    const restaurantId = getRestaurantId(req);
+
+    if (date && !BUSINESS_DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be in YYYY-MM-DD format",
+      });
+    }
+
+    const query = { restaurantId };
+    if (date) query.businessDate = date;
+
+    const sessions = await CashSession.find(query).sort({ openedAt: -1 }).limit(100);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error("Get cash sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching cash sessions",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cash/sessions/open
+ * @desc    Open the cash drawer with an opening float
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.post("/sessions/open", requireCashier, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const openingFloat = parseAmount(req.body.openingFloat ?? 0);
+
+    if (Number.isNaN(openingFloat) || openingFloat < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Opening float must be 0 or more",
+      });
+    }
+
+    const existing = await CashSession.findOne({ restaurantId, status: "open" });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A cash drawer session is already open. Close it first.",
+        data: existing,
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+
+    const session = new CashSession({
+      restaurantId,
+      businessDate: getOpenBusinessDate(restaurant),
+      openingFloat,
+      openedBy: getActor(req),
+    });
+
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Cash drawer opened",
+      data: session,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A cash drawer session is already open. Close it first.",
+      });
+    }
+    console.error("Open cash session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while opening cash drawer",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cash/sessions/:sessionId/entries
+ * @desc    Record cash put into (cash_in) or taken out of (cash_out) the drawer
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.post("/sessions/:sessionId/entries", requireCashier, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { type } = req.body;
+    const amount = parseAmount(req.body.amount);
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID format",
+      });
+    }
+
+    if (!["cash_in", "cash_out"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be 'cash_in' or 'cash_out'",
+      });
+    }
+
+    if (Number.isNaN(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be greater than 0",
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+    const session = await CashSession.findOne({ _id: sessionId, restaurantId });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Cash session not found",
+      });
+    }
+
+    if (session.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "This cash drawer session is closed",
+      });
+    }
+
+    session.entries.push({ type, amount, reason, recordedBy: getActor(req) });
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: type === "cash_in" ? "Cash in recorded" : "Cash out recorded",
+      data: {
+        ...session.toObject(),
+        ...(await computeExpectedCash(session)),
+      },
+    });
+  } catch (error) {
+    console.error("Cash entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while recording cash entry",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cash/sessions/:sessionId/close
+ * @desc    Close the drawer: record counted cash against expected cash
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.post("/sessions/:sessionId/close", requireCashier, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const countedCash = parseAmount(req.body.countedCash);
+    const closingNote = typeof req.body.note === "string" ? req.body.note.trim() : "";
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID format",
+      });
+    }
+
+    if (Number.isNaN(countedCash) || countedCash < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Counted cash is required and must be 0 or more",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+    const session = await CashSession.findOne({ _id: sessionId, restaurantId });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Cash session not found",
+      });
+    }
+
+    if (session.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "This cash drawer session is already closed",
+      });
+    }
+
+    const cash = await computeExpectedCash(session);
+
+    session.cashSales = cash.cashSales;
+    session.cashTips = cash.cashTips;
+    session.cashRefunds = cash.cashRefunds;
+    session.expectedCash = cash.expectedCash;
+    session.countedCash = countedCash;
+    session.variance = round2(countedCash - cash.expectedCash);
+    session.closingNote = closingNote;
+    session.closedBy = getActor(req);
+    session.closedAt = new Date();
+    session.status = "closed";
+
+    await session.save();
+
+    res.json({
+      success: true,
+      message:
+        session.variance === 0
+          ? "Cash drawer closed. Cash matches."
+          : `Cash drawer closed. ${session.variance > 0 ? "Over" : "Short"} by ${Math.abs(session.variance).toFixed(2)}`,
+      data: {
+        ...session.toObject(),
+        cashIn: cash.cashIn,
+        cashOut: cash.cashOut,
+      },
+    });
+  } catch (error) {
+    console.error("Close cash session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while closing cash drawer",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// ============= END OF DAY (Z) REPORTS =============
+
+/**
+ * @route   GET /api/cash/z-report/preview?date=YYYY-MM-DD
+ * @desc    Running (X) report for a business day - does not close the day
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.get("/z-report/preview", requireCashier, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId);
+    const businessDate = req.query.date || getOpenBusinessDate(restaurant);
+
+    if (!BUSINESS_DATE_PATTERN.test(businessDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be in YYYY-MM-DD format",
+      });
+    }
+
+    const summary = await buildDaySummary(restaurantId, businessDate);
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        isClosed: !!restaurant.lastClosedBusinessDate && businessDate <= restaurant.lastClosedBusinessDate,
+      },
+    });
+  } catch (error) {
+    console.error("Z report preview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while building report",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cash/z-report
+ * @desc    Close a business day (default: the open one) and store its Z report.
+ *          Anything recorded afterwards is booked on the next business day.
+ * @access  Private (Manager, Owner)
+ */
+router.post("/z-report", requireManager("close the business day"), async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId);
+    const openBusinessDate = getOpenBusinessDate(restaurant);
+    const businessDate = req.body.businessDate || openBusinessDate;
+
+    if (!BUSINESS_DATE_PATTERN.test(businessDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "Business date must be in YYYY-MM-DD format",
+      });
+    }
+
+    if (restaurant.lastClosedBusinessDate && businessDate <= restaurant.lastClosedBusinessDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Business day ${businessDate} is already closed`,
+      });
+    }
+
+    if (businessDate > openBusinessDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot close a business day that has not started",
+      });
+    }
+
+    const openSession = await CashSession.findOne({ restaurantId, status: "open" });
+    if (openSession) {
+      return res.status(400).json({
+        success: false,
+        message: "Close the open cash drawer session before closing the day",
+      });
+    }
+
+    // Lock the day first so nothing new lands on it while the report is built
+    const locked = await Restaurant.updateOne(
+      {
+        _id: restaurantId,
+        $or: [
+          { lastClosedBusinessDate: null },
+          { lastClosedBusinessDate: { $lt: businessDate } },
+        ],
+      },
+      { $set: { lastClosedBusinessDate: businessDate } }
+    );
+
+    if (locked.modifiedCount !== 1) {
+      return res.status(409).json({
+        success: false,
+        message: `Business day ${businessDate} was closed by someone else`,
+      });
+    }
+
+    let report;
+    try {
+      const summary = await buildDaySummary(restaurantId, businessDate);
+      report = new ZReport({
+        restaurantId,
+        businessDate,
+        reportNumber: await Counter.next(restaurantId, "z-report"),
+        summary,
+        closedBy: getActor(req),
+      });
+
+      await report.save();
+    } catch (error) {
+      // Reopen the day so it can be closed again
+      await Restaurant.updateOne(
+        { _id: restaurantId, lastClosedBusinessDate: businessDate },
+        { $set: { lastClosedBusinessDate: restaurant.lastClosedBusinessDate || null } }
+      );
+      throw error;
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("business-day-closed", {
+        businessDate,
+        reportNumber: report.reportNumber,
+        timestamp: new Date(),
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Business day ${businessDate} closed (Z report #${report.reportNumber})`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Z report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while closing the business day",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cash/z-reports
+ * @desc    List stored Z reports (most recent first)
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.get("/z-reports", requireCashier, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const reports = await ZReport.find({ restaurantId })
+      .sort({ businessDate: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 30, 365));
+
+    res.json({
+      success: true,
+      count: reports.length,
+      data: reports,
+    });
+  } catch (error) {
+    console.error("Get Z reports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching Z reports",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cash/z-reports/:businessDate
+ * @desc    Stored Z report for one business day
+ * @access  Private (Cashier, Manager, Owner)
+ */
+router.get("/z-reports/:businessDate", requireCashier, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const report = await ZReport.findOne({ restaurantId, businessDate: req.params.businessDate });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "No Z report for this business day",
+      });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error("Get Z report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching Z report",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,22 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Order = require("../models/Order");
 const Restaurant = require("../models/Restaurant");
+const KitchenStation = require("../models/KitchenStation");
+const { getOrderDestination } = require("../utils/orderTypes");
+const { RELEASED_ORDER_FILTER, isHeldOrder, releaseDueOrders } = require("../utils/preorders");
+const {
+  UNROUTED_STATION,
+  stationKey,
+  getStationRouting,
+  routeOrdersToStations,
+} = require("../utils/stations");
+const { getActor } = require("../utils/actors");
+const { buildTimingReport } = require("../utils/kitchenTimings");
+const { getPrintedStations } = require("../utils/kot");
+const { getBusinessDate, addDays } = require("../utils/numbering");
+const { DATE_PATTERN } = require("../utils/reservations");
 const {
   staffAuthMiddleware,
   roleMiddleware,
@@ -20,35 +35,93 @@ const getRestaurantId = (req) => {
   return req.restaurantId.toString();
 };
 
+// ?stationId=<id> limits a kitchen view to one station's items ("none" = unrouted items)
+// Returns { stationFilter, error }
+const getStationFilter = (req) => {
+  const { stationId } = req.query;
+  if (!stationId) {
+    return { stationFilter: null, error: null };
+  }
+  if (stationId !== UNROUTED_STATION && !mongoose.Types.ObjectId.isValid(stationId)) {
+    return { stationFilter: null, error: "Invalid station ID format" };
+  }
+  return { stationFilter: stationId, error: null };
+};
+
+/**
+ * @route   GET /api/chef/stations
+ * @desc    Kitchen stations a chef screen can follow
+ * @access  Private (Chef/Manager)
+ */
+router.get("/stations", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+
+    const stations = await KitchenStation.find({ restaurantId, isActive: true })
+      .select("name sequence isDefault")
+      .sort({ sequence: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: stations,
+      count: stations.length,
+    });
+  } catch (err) {
+    console.error("Get kitchen stations error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching kitchen stations",
+    });
+  }
+});
+
 /**
  * @route   GET /api/chef/orders/active
- * @desc    Get active orders for kitchen (pending, preparing)
+ * @desc    Get active orders for kitchen (pending, preparing).
+ *          Pre-orders only show up once released. ?stationId= keeps one station's items.
  * @access  Private (Chef/Manager)
  */
 router.get("/orders/active", async (req, res) => {
   try {
     const restaurantId = getRestaurantId(req);
+    const { stationFilter, error } = getStationFilter(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Release anything due since the last background check
+    await releaseDueOrders(req.app.get("io"), { restaurantId });
 
     const orders = await Order.find({
       restaurantId: restaurantId,
       status: { $in: ["pending", "preparing"] },
+      ...RELEASED_ORDER_FILTER,
     })
       .populate("tableId", "tableName seats")
       .sort({ createdAt: 1 }); // Oldest first (FIFO)
 
-    // Calculate time elapsed for each order
-    const ordersWithTime = orders.map((order) => {
-      const elapsed = Math.floor((Date.now() - order.createdAt) / 1000); // seconds
-      return {
-        ...order.toObject(),
-        timeElapsed: elapsed,
-      };
-    });
+    // Calculate time elapsed for each order.
+    // Pre-orders join the queue when released, not when booked.
+    const ordersWithTime = orders
+      .map((order) => {
+        const queuedAt = order.releasedAt || order.createdAt;
+        return {
+          ...order.toObject(),
+          queuedAt,
+          timeElapsed: Math.floor((Date.now() - queuedAt) / 1000), // seconds
+        };
+      })
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+
+    const routed = await routeOrdersToStations(restaurantId, ordersWithTime, stationFilter);
 
     res.json({
       success: true,
-      data: ordersWithTime,
-      count: ordersWithTime.length,
+      data: routed,
+      count: routed.length,
     });
   } catch (err) {
     console.error("Get active orders error:", err);
@@ -61,12 +134,19 @@ router.get("/orders/active", async (req, res) => {
 
 /**
  * @route   GET /api/chef/orders/ready
- * @desc    Get ready orders (waiting to be served)
+ * @desc    Get ready orders (waiting to be served). ?stationId= keeps one station's items.
  * @access  Private (Chef/Manager)
  */
 router.get("/orders/ready", async (req, res) => {
   try {
     const restaurantId = getRestaurantId(req);
+    const { stationFilter, error } = getStationFilter(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
     const orders = await Order.find({
       restaurantId: restaurantId,
@@ -75,10 +155,16 @@ router.get("/orders/ready", async (req, res) => {
       .populate("tableId", "tableName seats")
       .sort({ updatedAt: -1 });
 
+    const routed = await routeOrdersToStations(
+      restaurantId,
+      orders.map((order) => order.toObject()),
+      stationFilter
+    );
+
     res.json({
       success: true,
-      data: orders,
-      count: orders.length,
+      data: routed,
+      count: routed.length,
     });
   } catch (err) {
     console.error("Get ready orders error:", err);
@@ -145,6 +231,14 @@ router.patch("/orders/:orderId/start-preparing", async (req, res) => {
       });
     }
 
+    // Pre-orders only enter the kitchen flow once released
+    if (isHeldOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: "Release this pre-order to the kitchen before changing its status",
+      });
+    }
+
     if (order.status !== "pending") {
       return res.status(400).json({
         success: false,
@@ -152,7 +246,7 @@ router.patch("/orders/:orderId/start-preparing", async (req, res) => {
       });
     }
 
-    order.status = "preparing";
+    order.setStatus("preparing", getActor(req));
     await order.save();
 
     await order.populate("tableId", "tableName seats");
@@ -162,8 +256,9 @@ router.patch("/orders/:orderId/start-preparing", async (req, res) => {
     if (io) {
       io.to(`restaurant-${restaurantId}`).emit("order-status-updated", {
         orderId: order._id.toString(),
+        orderToken: order.orderToken,
         status: "preparing",
-        tableNumber: order.tableId.tableName,
+        tableNumber: getOrderDestination(order),
         timestamp: new Date(),
       });
     }
@@ -204,6 +299,14 @@ router.patch("/orders/:orderId/mark-ready", async (req, res) => {
       });
     }
 
+    // Pre-orders only enter the kitchen flow once released
+    if (isHeldOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: "Release this pre-order to the kitchen before changing its status",
+      });
+    }
+
     if (order.status !== "preparing") {
       return res.status(400).json({
         success: false,
@@ -211,7 +314,7 @@ router.patch("/orders/:orderId/mark-ready", async (req, res) => {
       });
     }
 
-    order.status = "ready";
+    order.setStatus("ready", getActor(req));
     await order.save();
 
     await order.populate("tableId", "tableName seats");
@@ -221,15 +324,17 @@ router.patch("/orders/:orderId/mark-ready", async (req, res) => {
     if (io) {
       io.to(`restaurant-${restaurantId}`).emit("order-status-updated", {
         orderId: order._id.toString(),
+        orderToken: order.orderToken,
         status: "ready",
-        tableNumber: order.tableId.tableName,
+        tableNumber: getOrderDestination(order),
         timestamp: new Date(),
       });
 
       // Notify waiters
       io.to(`restaurant-${restaurantId}`).emit("order-ready-for-serving", {
         orderId: order._id.toString(),
-        tableNumber: order.tableId.tableName,
+        orderToken: order.orderToken,
+        tableNumber: getOrderDestination(order),
         timestamp: new Date(),
       });
     }
@@ -282,20 +387,15 @@ router.get("/stats/today", async (req, res) => {
       }),
     ]);
 
-    // Get average preparation time
-    const completedOrders = await Order.find({
+    // Prep time from when each line was started to when it was ready
+    const todaysOrders = await Order.find({
       restaurantId: restaurantId,
-      status: { $in: ["served", "paid"] },
+      status: { $ne: "cancelled" },
       createdAt: { $gte: startOfDay },
-    }).select("createdAt updatedAt");
-
-    let avgPrepTime = 0;
-    if (completedOrders.length > 0) {
-      const totalTime = completedOrders.reduce((sum, order) => {
-        return sum + (order.updatedAt - order.createdAt);
-      }, 0);
-      avgPrepTime = Math.floor(totalTime / completedOrders.length / 1000 / 60); // minutes
-    }
+    }).select("items createdAt releasedAt");
+
+    const { overall } = buildTimingReport(todaysOrders, () => null);
+    const avgPrepTime = overall.prepTime.avg ? Math.floor(overall.prepTime.avg / 60) : 0; // minutes
 
     res.json({
       success: true,
@@ -306,6 +406,13 @@ router.get("/stats/today", async (req, res) => {
         completed,
         total: pending + preparing + ready + completed,
         averagePrepTime: avgPrepTime,
+        // Seconds: { count, avg, p50, p90, p95, max } per metric
+        timings: {
+          waitToStart: overall.waitToStart,
+          prepTime: overall.prepTime,
+          timeToServe: overall.timeToServe,
+          total: overall.total,
+        },
       },
     });
   } catch (err) {
@@ -317,4 +424,96 @@ router.get("/stats/today", async (req, res) => {
   }
 });
 
+const MAX_TIMING_REPORT_DAYS = 31;
+
+/**
+ * @route   GET /api/chef/stats/timings?from=YYYY-MM-DD&to=YYYY-MM-DD&stationId=
+ * @desc    Wait-to-start, prep and time-to-serve per item, station (as printed on
+ *          the KOT) and chef, with percentiles (seconds). Business dates, today by default.
+ * @access  Private (Chef/Manager)
+ */
+router.get("/stats/timings", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const { stationFilter, error } = getStationFilter(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId).select("timezone");
+    const today = getBusinessDate(new Date(), restaurant?.timezone);
+    const to = req.query.to || today;
+    const from = req.query.from || to;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "Dates must be in YYYY-MM-DD format",
+      });
+    }
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "from must not be after to",
+      });
+    }
+    if (addDays(from, MAX_TIMING_REPORT_DAYS) <= to) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_TIMING_REPORT_DAYS} days`,
+      });
+    }
+
+    const orders = await Order.find({
+      restaurantId: restaurantId,
+      status: { $ne: "cancelled" },
+      businessDate: { $gte: from, $lte: to },
+    }).select("items kots createdAt releasedAt");
+
+    const routing = await getStationRouting(
+      restaurantId,
+      orders.flatMap((order) => order.items.map((item) => item.menuItemId))
+    );
+
+    // Lines count for the station their KOT was printed for; lines that never
+    // went out on a KOT fall back to the current station mapping
+    const printedStations = new Map(orders.map((order) => [order._id.toString(), getPrintedStations(order)]));
+    const stationOf = (order, item) => {
+      const printed = printedStations.get(order._id.toString());
+      const lineId = item._id.toString();
+      return printed.has(lineId) ? printed.get(lineId) : routing.stationFor(item.menuItemId);
+    };
+
+    // Keep only the chosen station's lines
+    const reportOrders = stationFilter
+      ? orders.map((order) => ({
+          _id: order._id,
+          createdAt: order.createdAt,
+          releasedAt: order.releasedAt,
+          items: order.items.filter((item) => stationKey(stationOf(order, item)) === stationFilter),
+        }))
+      : orders;
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        stationId: stationFilter,
+        orders: orders.length,
+        ...buildTimingReport(reportOrders, stationOf),
+      },
+    });
+  } catch (err) {
+    console.error("Get kitchen timings error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching kitchen timings",
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,352 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Discount = require("../models/Discount");
+const MenuItem = require("../models/MenuItem");
+const Section = require("../models/Section");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireManager } = require("../middleware/managerMiddleware");
+
+// All discount routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+// Only owners and managers may create or change discount rules
+const managerOnly = requireManager("manage discounts");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+/**
+ * Validate and normalise a discount rule payload.
+ * @param {Object} body - Request body
+ * @param {Boolean} isUpdate - Allow partial payloads
+ * @returns {{ valid: Boolean, message?: String, data?: Object }}
+ */
+const parseDiscountInput = (body, isUpdate = false) => {
+  const data = {};
+
+  if (!isUpdate || body.name !== undefined) {
+    if (!body.name || typeof body.name !== "string" || body.name.trim() === "") {
+      return { valid: false, message: "Discount name is required" };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    data.description = String(body.description || "").trim();
+  }
+
+  if (!isUpdate || body.valueType !== undefined) {
+    if (!["percentage", "flat"].includes(body.valueType)) {
+      return { valid: false, message: "Value type must be 'percentage' or 'flat'" };
+    }
+    data.valueType = body.valueType;
+  }
+
+  if (!isUpdate || body.value !== undefined) {
+    const value = Number(body.value);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { valid: false, message: "Discount value must be greater than 0" };
+    }
+    data.value = value;
+  }
+
+  if (body.scope !== undefined) {
+    if (!["order", "items"].includes(body.scope)) {
+      return { valid: false, message: "Scope must be 'order' or 'items'" };
+    }
+    data.scope = body.scope;
+  }
+
+  for (const field of ["menuItemIds", "sectionIds"]) {
+    if (body[field] !== undefined) {
+      if (!Array.isArray(body[field]) || !body[field].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return { valid: false, message: `${field} must be an array of valid IDs` };
+      }
+      data[field] = body[field];
+    }
+  }
+
+  for (const field of ["maxAmount", "usageLimit"]) {
+    if (body[field] !== undefined) {
+      if (body[field] === null || body[field] === "") {
+        data[field] = null;
+      } else {
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value <= 0) {
+          return { valid: false, message: `${field} must be greater than 0` };
+        }
+        data[field] = field === "usageLimit" ? Math.floor(value) : value;
+      }
+    }
+  }
+
+  if (body.minOrderAmount !== undefined) {
+    const value = Number(body.minOrderAmount || 0);
+    if (!Number.isFinite(value) || value < 0) {
+      return { valid: false, message: "Minimum order amount cannot be negative" };
+    }
+    data.minOrderAmount = value;
+  }
+
+  if (body.code !== undefined) {
+    if (body.code === null || body.code === "") {
+      data.code = null;
+    } else {
+      const code = String(body.code).trim().toUpperCase();
+      if (!CODE_PATTERN.test(code)) {
+        return { valid: false, message: "Coupon code must be 3-30 letters, digits, '-' or '_'" };
+      }
+      data.code = code;
+    }
+  }
+
+  if (body.allowCustomerApply !== undefined) {
+    data.allowCustomerApply = body.allowCustomerApply === true || body.allowCustomerApply === "true";
+  }
+
+  for (const field of ["validFrom", "validUntil"]) {
+    if (body[field] !== undefined) {
+      if (body[field] === null || body[field] === "") {
+        data[field] = null;
+      } else {
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) {
+          return { valid: false, message: `${field} must be a valid date` };
+        }
+        data[field] = date;
+      }
+    }
+  }
+
+  if (data.validFrom && data.validUntil && data.validFrom >= data.validUntil) {
+    return { valid: false, message: "validFrom must be before validUntil" };
+  }
+
+  if (body.happyHour !== undefined) {
+    if (body.happyHour === null) {
+      data.happyHour = { days: undefined, startTime: null, endTime: null };
+    } else {
+      const { days = [], startTime, endTime } = body.happyHour;
+      if (!TIME_PATTERN.test(startTime || "") || !TIME_PATTERN.test(endTime || "")) {
+        return { valid: false, message: "Happy hour times must be in HH:mm format" };
+      }
+      if (!Array.isArray(days) || !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return { valid: false, message: "Happy hour days must be numbers from 0 (Sunday) to 6 (Saturday)" };
+      }
+      data.happyHour = { days, startTime, endTime };
+    }
+  }
+
+  if (body.isActive !== undefined) {
+    data.isActive = body.isActive === true || body.isActive === "true";
+  }
+
+  return { valid: true, data };
+};
+
+/**
+ * Check a rule's combined settings and that referenced items/sections belong
+ * to the restaurant.
+ */
+const validateDiscountRule = async (rule, restaurantId) => {
+  if (rule.valueType === "percentage" && rule.value > 100) {
+    return { valid: false, message: "Percentage discounts cannot exceed 100" };
+  }
+
+  if (rule.scope === "items" && !(rule.menuItemIds?.length || rule.sectionIds?.length)) {
+    return { valid: false, message: "Item-level discounts need at least one menu item or section" };
+  }
+
+  if (rule.allowCustomerApply && !rule.code) {
+    return { valid: false, message: "Only coupon codes can be entered by customers" };
+  }
+
+  if (rule.menuItemIds?.length) {
+    const count = await MenuItem.countDocuments({ _id: { $in: rule.menuItemIds }, restaurantId });
+    if (count !== new Set(rule.menuItemIds.map(String)).size) {
+      return { valid: false, message: "One or more menu items do not belong to your restaurant" };
+    }
+  }
+
+  if (rule.sectionIds?.length) {
+    const count = await Section.countDocuments({ _id: { $in: rule.sectionIds }, restaurantId });
+    if (count !== new Set(rule.sectionIds.map(String)).size) {
+      return { valid: false, message: "One or more sections do not belong to your restaurant" };
+    }
+  }
+
+  if (rule.code) {
+    const existing = await Discount.findOne({
+      restaurantId,
+      code: rule.code,
+      ...(rule._id && { _id: { $ne: rule._id } }),
+    });
+    if (existing) {
+      return { valid: false, message: "A discount with this coupon code already exists" };
+    }
+  }
+
+  return { valid: true };
+};
+
+/**
+ * @route   GET /api/discounts
+ * @desc    List discount rules (?active=true for usable ones only)
+ * @access  Private (Owner/Staff)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const query = { restaurantId };
+
+    if (req.query.active === "true") {
+      query.isActive = true;
+    }
+
+    const discounts = await Discount.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: discounts,
+      count: discounts.length,
+    });
+  } catch (err) {
+    console.error("Get discounts error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching discounts",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/discounts
+ * @desc    Create a discount rule or coupon
+ * @access  Private (Owner/Manager)
+ */
+router.post("/", managerOnly, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+
+    const parsed = parseDiscountInput(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+
+    const rule = { scope: "order", ...parsed.data };
+    const check = await validateDiscountRule(rule, restaurantId);
+    if (!check.valid) {
+      return res.status(400).json({ success: false, message: check.message });
+    }
+
+    const discount = new Discount({
+      ...rule,
+      restaurantId,
+      createdBy: req.isOwner ? req.userId : null,
+    });
+    await discount.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Discount created successfully",
+      data: discount,
+    });
+  } catch (err) {
+    console.error("Create discount error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating discount",
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/discounts/:discountId
+ * @desc    Update a discount rule (orders keep the snapshot they were given)
+ * @access  Private (Owner/Manager)
+ */
+router.put("/:discountId", managerOnly, async (req, res) => {
+  try {
+    const { discountId } = req.params;
+    const restaurantId = getRestaurantId(req);
+
+    if (!mongoose.Types.ObjectId.isValid(discountId)) {
+      return res.status(400).json({ success: false, message: "Invalid discount ID format" });
+    }
+
+    const discount = await Discount.findOne({ _id: discountId, restaurantId });
+    if (!discount) {
+      return res.status(404).json({ success: false, message: "Discount not found" });
+    }
+
+    const parsed = parseDiscountInput(req.body, true);
+    if (!parsed.valid) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+
+    discount.set(parsed.data);
+
+    const check = await validateDiscountRule(discount.toObject(), restaurantId);
+    if (!check.valid) {
+      return res.status(400).json({ success: false, message: check.message });
+    }
+
+    await discount.save();
+
+    res.json({
+      success: true,
+      message: "Discount updated successfully",
+      data: discount,
+    });
+  } catch (err) {
+    console.error("Update discount error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating discount",
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/discounts/:discountId
+ * @desc    Delete a discount rule (hard delete; applied orders keep their snapshot)
+ * @access  Private (Owner/Manager)
+ */
+router.delete("/:discountId", managerOnly, async (req, res) => {
+  try {
+    const { discountId } = req.params;
+    const restaurantId = getRestaurantId(req);
+
+    if (!mongoose.Types.ObjectId.isValid(discountId)) {
+      return res.status(400).json({ success: false, message: "Invalid discount ID format" });
+    }
+
+    const discount = await Discount.findOneAndDelete({ _id: discountId, restaurantId });
+    if (!discount) {
+      return res.status(404).json({ success: false, message: "Discount not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Discount deleted successfully",
+    });
+  } catch (err) {
+    console.error("Delete discount error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting discount",
+    });
+  }
+});
+
+module.exports = router;
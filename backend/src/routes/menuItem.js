@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const MenuItem = require("../models/MenuItem");
 const Section = require("../models/Section");
 const Restaurant = require("../models/Restaurant");
+const { resolveStationId } = require("../utils/stations");
 const authMiddleware = require("../middleware/authMiddleware");
 const upload = require("../middleware/upload");
 const fs = require("fs");
@@ -207,6 +208,32 @@ router.post("/", upload.single("image"), async (req, res) => {
             message: "Each addon group must have an items array",
           });
         }
+        const minSelect = group.minSelect ?? 0;
+        const maxSelect = group.maxSelect ?? null;
+        if (!Number.isInteger(minSelect) || minSelect < 0 || minSelect > group.items.length) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: `Minimum selection for "${group.title}" must be between 0 and the number of add-ons`,
+          });
+        }
+        if (
+          maxSelect !== null &&
+          (!Number.isInteger(maxSelect) || maxSelect < 1 || maxSelect < minSelect)
+        ) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: `Maximum selection for "${group.title}" must be at least 1 and not less than the minimum`,
+          });
+        }
+        if (!group.multiSelect && (minSelect > 1 || (maxSelect !== null && maxSelect > 1))) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: `"${group.title}" is single-select, so at most one option can be required or allowed`,
+          });
+        }
         for (const item of group.items) {
           if (!item.name || typeof item.name !== "string") {
             if (req.file) fs.unlinkSync(req.file.path);
@@ -330,6 +357,7 @@ router.put("/:id", upload.single("image"), async (req, res) => {
       sectionId,
       addonGroups,
       isActive,
+      stationId,
     } = req.body;
     const { id } = req.params;
 
@@ -396,6 +424,32 @@ router.put("/:id", upload.single("image"), async (req, res) => {
             message: "Each addon group must have an items array",
           });
         }
+        const minSelect = group.minSelect ?? 0;
+        const maxSelect = group.maxSelect ?? null;
+        if (!Number.isInteger(minSelect) || minSelect < 0 || minSelect > group.items.length) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: `Minimum selection for "${group.title}" must be between 0 and the number of add-ons`,
+          });
+        }
+        if (
+          maxSelect !== null &&
+          (!Number.isInteger(maxSelect) || maxSelect < 1 || maxSelect < minSelect)
+        ) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: `Maximum selection for "${group.title}" must be at least 1 and not less than the minimum`,
+          });
+        }
+        if (!group.multiSelect && (minSelect > 1 || (maxSelect !== null && maxSelect > 1))) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: `"${group.title}" is single-select, so at most one option can be required or allowed`,
+          });
+        }
         for (const item of group.items) {
           if (!item.name || typeof item.name !== "string") {
             if (req.file) fs.unlinkSync(req.file.path);
@@ -448,6 +502,19 @@ router.put("/:id", upload.single("image"), async (req, res) => {
       }
     }
 
+    // Kitchen station override ("" or null = follow the section's station)
+    let station = null;
+    if (stationId !== undefined) {
+      station = await resolveStationId(restaurantId, stationId === "null" ? null : stationId);
+      if (station.error) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: station.error,
+        });
+      }
+    }
+
     // Check if new name already exists (excluding current item)
     if (name && name.trim() !== menuItem.name) {
       const existingItem = await MenuItem.findOne({
@@ -489,6 +556,7 @@ router.put("/:id", upload.single("image"), async (req, res) => {
       menuItem.addonGroups = parsedAddonGroups;
     if (typeof isActive === "boolean") menuItem.isActive = isActive;
     if (typeof isActive === "string") menuItem.isActive = isActive === "true";
+    if (station) menuItem.stationId = station.stationId;
 
     await menuItem.save();
     await menuItem.populate("sectionId", "name");
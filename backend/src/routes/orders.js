@@ -5,12 +5,112 @@ const Order = require("../models/Order");
 const Table = require("../models/Table");
 const MenuItem = require("../models/MenuItem");
 const Restaurant = require("../models/Restaurant");
+const Area = require("../models/Area");
+const Discount = require("../models/Discount");
+const Staff = require("../models/Staff");
+const Refund = require("../models/Refund");
+const CashSession = require("../models/CashSession");
+const TableSession = require("../models/TableSession");
 const authMiddleware = require("../middleware/authMiddleware");
+const { isManager, requireManager } = require("../middleware/managerMiddleware");
+const rateLimit = require("../middleware/rateLimit");
+const { getTableTokenFromRequest, checkTableAccess } = require("../utils/tableTokens");
+const { isAreaClosed, findClosedArea } = require("../utils/areas");
+const {
+  UNSETTLED_ORDER_STATUSES,
+  openTableSession,
+  recordSessionOrder,
+  requestBill,
+  settleTableSession,
+  releaseOrderFromSession,
+  emitTableStatus,
+} = require("../utils/tableSessions");
+const {
+  getOrderLabel,
+  getLeastAdvancedStatus,
+  getItemMoveLockReason,
+  getPrintedQuantities,
+  carryKotHistory,
+  getLastKotNumber,
+} = require("../utils/orderMoves");
+const { resolveOrderItems, getAddonKey } = require("../utils/addonPricing");
+const {
+  ORDER_TYPES,
+  OFF_PREMISE_ORDER_TYPES,
+  isOffPremiseOrder,
+  getOrderDestination,
+  parseOffPremiseDetails,
+} = require("../utils/orderTypes");
+const {
+  getPreorderSettings,
+  isHeldOrder,
+  findPreorderSlots,
+  bookPreorderSlot,
+  releaseSlot,
+  releaseOrderSlot,
+  releaseDueOrders,
+  emitPreorderReleased,
+} = require("../utils/preorders");
+const { DATE_PATTERN, localTimeToDate, formatLocalTime } = require("../utils/reservations");
+const {
+  UNROUTED_STATION,
+  stationRoom,
+  stationKey,
+  getStationRouting,
+  groupItemsByStation,
+} = require("../utils/stations");
+const { encodeEscPos } = require("../utils/escpos");
+const { getKitchenQuantity, addCancellationKots } = require("../utils/kot");
+const {
+  getTokenActor,
+  getActor,
+  verifyOptionalToken,
+  getCustomerActor,
+  getActorLabel,
+} = require("../utils/actors");
+const {
+  getPrinterSettings,
+  findPrinter,
+  serializeJob,
+  enqueuePrintJob,
+  enqueueKotPrintJobs,
+} = require("../utils/printing");
+const {
+  round2,
+  buildTaxConfig,
+  getAmountDue,
+  computeEqualSplits,
+  computeItemSplits,
+  computeItemsRefund,
+} = require("../utils/billing");
+const {
+  getBusinessDate,
+  addDays,
+  getOpenBusinessDate,
+  nextOrderToken,
+  saveWithInvoiceNumber,
+  assignInvoiceNumber,
+  saveWithCreditNoteNumber,
+} = require("../utils/numbering");
+const {
+  checkDiscountAvailability,
+  buildRuleApplication,
+} = require("../utils/discounts");
+const {
+  PAPER_WIDTHS,
+  buildReceiptData,
+  renderReceiptLines,
+  renderReceiptText,
+  renderReceiptHtml,
+  renderReceiptPdf,
+} = require("../utils/receipt");
 
 // ============= HELPER FUNCTIONS =============
 
 /**
  * Calculate total addon price for an item
+ * Addons must already be resolved against the menu (see utils/addonPricing),
+ * so the prices used here are the server-side menu prices.
  * @param {Array} addons - Array of addon objects/strings
  * @param {Number} quantity - Item quantity
  * @returns {Number} Total addon price (addon prices × quantity)
@@ -45,6 +145,437 @@ const calculateAddonPrice = (addons, quantity) => {
   return total;
 };
 
+/**
+ * Basic shape check of the items sent with a new order
+ * @param {Array} items - [{ menuItemId, quantity, addons?, specialInstructions? }]
+ * @returns {String|null} error message
+ */
+const checkOrderItems = (items) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return "Order must contain at least one item";
+  }
+
+  for (const item of items) {
+    if (
+      !item.menuItemId ||
+      !mongoose.Types.ObjectId.isValid(item.menuItemId)
+    ) {
+      return "Invalid menu item ID in order";
+    }
+    if (!item.quantity || item.quantity < 1) {
+      return "Each item must have a valid quantity (minimum 1)";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Price new order items from the menu (add-on prices included).
+ * Client-sent prices are ignored.
+ * @param {Array} items - checked with checkOrderItems()
+ * @param {String} restaurantId
+ * @returns {Promise<Object>} { orderItems, totalPrice } or { error: { status, body } }
+ */
+const priceOrderItems = async (items, restaurantId) => {
+  const menuItemIds = items.map((item) => item.menuItemId);
+
+  const menuItems = await MenuItem.find({
+    _id: { $in: menuItemIds },
+    restaurantId: restaurantId,
+    isActive: true,
+  });
+
+  const menuItemMap = {};
+  menuItems.forEach((item) => {
+    menuItemMap[item._id.toString()] = item;
+  });
+
+  const missingItems = [];
+  for (const itemId of menuItemIds) {
+    if (!menuItemMap[itemId.toString()]) {
+      missingItems.push(itemId);
+    }
+  }
+
+  if (missingItems.length > 0) {
+    return {
+      error: {
+        status: 404,
+        body: { message: "One or more menu items not found or inactive", missingItems },
+      },
+    };
+  }
+
+  // Resolve add-ons against the menu - client-sent prices are ignored
+  const { items: resolvedItems, errors: addonErrors } = resolveOrderItems(
+    items,
+    menuItemMap
+  );
+
+  if (addonErrors.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: { message: "Invalid add-on selection", code: "INVALID_ADDONS", errors: addonErrors },
+      },
+    };
+  }
+
+  // CALCULATE TOTAL PRICE INCLUDING ADDONS
+  let totalPrice = 0;
+  const orderItems = resolvedItems.map((item) => {
+    const menuItem = menuItemMap[item.menuItemId.toString()];
+
+    console.log(`\nProcessing item: ${menuItem.name}`);
+    console.log(`  Base price: ${menuItem.price}`);
+    console.log(`  Quantity: ${item.quantity}`);
+    console.log(`  Addons:`, item.addons);
+
+    // Calculate base item price
+    const itemBasePrice = menuItem.price * item.quantity;
+    console.log(`  Item base total: ${menuItem.price} × ${item.quantity} = ${itemBasePrice}`);
+
+    // Calculate addon prices
+    const addonPrice = calculateAddonPrice(item.addons, item.quantity);
+    console.log(`  Addon total: ${addonPrice}`);
+
+    // Total for this item
+    const itemTotal = itemBasePrice + addonPrice;
+    console.log(`  Item TOTAL: ${itemBasePrice} + ${addonPrice} = ${itemTotal}`);
+
+    totalPrice += itemTotal;
+
+    return {
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      price: menuItem.price,
+      quantity: item.quantity,
+      addons: item.addons || [],
+      specialInstructions: item.specialInstructions || "",
+    };
+  });
+
+  totalPrice = Math.round(totalPrice * 100) / 100;
+
+  console.log(`\n=== ORDER TOTAL: ${totalPrice} ===\n`);
+
+  return { orderItems, totalPrice };
+};
+
+/**
+ * Why an order's discounts can't be changed right now (null if they can)
+ * @param {Object} order - Order document
+ * @returns {String|null}
+ */
+const getDiscountLockReason = (order) => {
+  if (["paid", "cancelled"].includes(order.status)) {
+    return `Discounts cannot be changed on a ${order.status} order`;
+  }
+  if (order.payments && order.payments.length > 0) {
+    return "Discounts cannot be changed after payments have been recorded";
+  }
+  return null;
+};
+
+/**
+ * Apply a restaurant discount rule (or coupon) to an order.
+ * Checks validity, happy hour and minimum amount, then reserves one use.
+ * The caller saves the order (and releases the use if saving fails).
+ * @param {Object} order - Order document
+ * @param {Object} discount - Discount document
+ * @param {Object} appliedBy - { actorType, actorId, role }
+ * @param {String} reason
+ * @returns {Promise<{ valid: Boolean, status?: Number, message: String }>}
+ */
+const applyDiscountRule = async (order, discount, appliedBy, reason = "") => {
+  const alreadyApplied = order.discounts.some(
+    (applied) => applied.discountId && applied.discountId.toString() === discount._id.toString()
+  );
+  if (alreadyApplied) {
+    return { valid: false, status: 400, message: `${discount.name} is already applied to this order` };
+  }
+
+  const restaurant = await Restaurant.findById(order.restaurantId).select("timezone");
+  order.recalculateBill();
+
+  const availability = checkDiscountAvailability(discount, {
+    timezone: restaurant?.timezone,
+    subtotal: order.bill.subtotal,
+  });
+  if (!availability.valid) {
+    return { valid: false, status: 400, message: availability.message };
+  }
+
+  const reserved = await Discount.reserveUse(discount._id);
+  if (!reserved) {
+    return { valid: false, status: 400, message: "This discount has reached its usage limit" };
+  }
+
+  order.discounts.push(await buildRuleApplication(discount, { appliedBy, reason }));
+  return { valid: true, message: `${discount.name} applied` };
+};
+
+/**
+ * Save an order after a discount change: drops unpaid splits (their amounts
+ * are stale), recalculates the bill and gives back the reserved use if the
+ * save fails.
+ */
+const saveDiscountChange = async (order, reservedDiscountId = null) => {
+  if (order.splits && order.splits.length > 0) {
+    order.splits = [];
+  }
+  order.recalculateBill();
+  try {
+    await order.save();
+  } catch (error) {
+    if (reservedDiscountId) {
+      await Discount.releaseUse(reservedDiscountId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give back the uses an order's discount rules reserved (call once, when the
+ * order is cancelled)
+ * @param {Object} order - Order document
+ */
+const releaseDiscountUses = async (order) => {
+  const discountIds = order.discounts.map((applied) => applied.discountId).filter(Boolean);
+  await Promise.all(discountIds.map((discountId) => Discount.releaseUse(discountId)));
+};
+
+/**
+ * Send saved KOTs to the kitchen screens (station screens only get their own
+ * tickets) and queue them on the kitchen printers
+ * @param {Object} req - request (for the socket.io server)
+ * @param {Object} order - saved Order document
+ * @param {Array} kots - entries of order.kots
+ * @param {Object} options - { event, copy, printerName, force: print even when auto-print is off }
+ * @returns {Promise<Array>} PrintJob documents
+ */
+const dispatchKots = async (
+  req,
+  order,
+  kots,
+  { event = "kot-created", copy = null, printerName = null, force = false } = {}
+) => {
+  if (kots.length === 0) return [];
+
+  const io = req.app.get("io");
+  if (!order.populated("tableId")) {
+    await order.populate("tableId", "tableName");
+  }
+  if (io) {
+    kots.forEach((kot) => {
+      const rooms = [`restaurant-${order.restaurantId}`];
+      if (kot.stationId) rooms.push(stationRoom(order.restaurantId, kot.stationId));
+      io.to(rooms).emit(event, {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        tableNumber: getOrderDestination(order),
+        kot,
+        timestamp: new Date(),
+      });
+    });
+  }
+
+  const restaurant = await Restaurant.findById(order.restaurantId).select("printerSettings");
+  return force || getPrinterSettings(restaurant).autoPrintKots
+    ? enqueueKotPrintJobs(io, order, kots, restaurant, { copy, printerName })
+    : [];
+};
+
+/**
+ * Issue cancel KOTs for anything already printed that a change took off the
+ * order, and send them out once the order is saved
+ * @returns {Promise<Array>} the cancel KOTs
+ */
+const saveWithCancellationKots = async (req, order, { actor, reason = "" } = {}) => {
+  const kotNumbers = addCancellationKots(order, { actor, reason }).map((kot) => kot.kotNumber);
+  await order.save();
+  const cancelKots = order.kots.filter((kot) => kotNumbers.includes(kot.kotNumber));
+  await dispatchKots(req, order, cancelKots, { event: "kot-cancelled" });
+  return cancelKots;
+};
+
+const PAID_ORDER_MESSAGE =
+  "This order is paid. Refund or void it with POST /api/orders/:orderId/refunds instead.";
+
+/**
+ * Owner/staff actor from the optional token on a public route, only when the
+ * login belongs to this restaurant (anyone else counts as a guest)
+ * @param {Object} req
+ * @param {ObjectId|String} restaurantId
+ * @returns {Promise<Object|null>}
+ */
+const getRestaurantStaffActor = async (req, restaurantId) => {
+  const decoded = verifyOptionalToken(req);
+  const actor = getTokenActor(decoded);
+  if (!actor) return null;
+  if (actor.actorType === "staff") {
+    return decoded.restaurantId.toString() === restaurantId.toString() ? actor : null;
+  }
+  const restaurant = await Restaurant.findById(restaurantId).select("ownerId");
+  return restaurant && restaurant.ownerId && restaurant.ownerId.toString() === actor.actorId
+    ? actor
+    : null;
+};
+
+/**
+ * Whether a guest (no staff login) may act on an order: only table orders,
+ * and only with that table's token (see utils/tableTokens)
+ * @param {Object} req
+ * @param {Object} order - Order document (tableId may be populated)
+ * @returns {Promise<Object>} { valid, status?, code?, message? }
+ */
+const checkGuestOrderAccess = async (req, order) => {
+  const table = order.populated("tableId")
+    ? order.tableId
+    : order.tableId && (await Table.findById(order.tableId));
+  if (!table) {
+    return {
+      valid: false,
+      status: 403,
+      message: "This order can only be changed by restaurant staff",
+    };
+  }
+  const restaurant = await Restaurant.findById(order.restaurantId).select("tableAccessMode");
+  return checkTableAccess(table, restaurant, getTableTokenFromRequest(req));
+};
+
+/**
+ * Validate, price and save a takeaway or delivery order (counter orders and
+ * customer pre-orders). With scheduledFor the order books that slot and is
+ * held until its release time.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} body - { orderType, items, customerName?, customerPhone?, deliveryAddress?,
+ *   promisedAt?, scheduledFor?, specialInstructions? }
+ * @param {Object} options - { createdBy, servedBy, isCustomer }; customers must book a
+ *   slot and leave a phone number, and without createdBy the order is recorded as theirs
+ * @returns {Promise<Object>} { order, slot, error: { status, body } | null }
+ */
+const createOffPremiseOrder = async (
+  restaurant,
+  body,
+  { createdBy = null, servedBy = null, isCustomer = false } = {}
+) => {
+  const { orderType = "takeaway", items, specialInstructions = "" } = body;
+  const fail = (status, message) => ({ order: null, slot: null, error: { status, body: { message } } });
+
+  if (!OFF_PREMISE_ORDER_TYPES.includes(orderType)) {
+    return fail(400, `Order type must be one of: ${OFF_PREMISE_ORDER_TYPES.join(", ")}`);
+  }
+
+  const itemsError = checkOrderItems(items);
+  if (itemsError) {
+    return fail(400, itemsError);
+  }
+
+  const { details, error: detailsError } = parseOffPremiseDetails(body, orderType);
+  if (detailsError) {
+    return fail(400, detailsError);
+  }
+
+  if (typeof specialInstructions !== "string" || specialInstructions.length > 500) {
+    return fail(400, "Special instructions must be 500 characters or less");
+  }
+
+  const hasSchedule = body.scheduledFor !== undefined && body.scheduledFor !== null && body.scheduledFor !== "";
+  if (isCustomer) {
+    if (!hasSchedule) {
+      return fail(400, "Pick a pickup or delivery slot (scheduledFor)");
+    }
+    if (!details.customerPhone) {
+      return fail(400, "A phone number is required for pre-orders");
+    }
+  }
+
+  const priced = await priceOrderItems(items, restaurant._id);
+  if (priced.error) {
+    return { order: null, slot: null, error: priced.error };
+  }
+
+  // Pre-orders take a place in a pickup/delivery slot and wait for their kitchen release
+  let slot = null;
+  if (hasSchedule) {
+    const booking = await bookPreorderSlot(restaurant, body.scheduledFor);
+    if (booking.error) {
+      return fail(booking.error.status, booking.error.message);
+    }
+    slot = booking.slot;
+  }
+
+  let order;
+  try {
+    const { orderNumber, orderToken, businessDate } = await nextOrderToken(restaurant);
+
+    order = new Order({
+      tableId: null,
+      restaurantId: restaurant._id,
+      orderNumber,
+      orderToken,
+      businessDate,
+      ...details,
+      orderType,
+      items: priced.orderItems,
+      totalPrice: priced.totalPrice,
+      specialInstructions: specialInstructions.trim(),
+      status: "pending",
+      batchStatus: new Map([["original", "pending"]]),
+      taxConfig: buildTaxConfig(restaurant, null, orderType),
+      servedBy,
+    });
+    order.createdBy = createdBy || getCustomerActor(order);
+
+    if (slot) {
+      order.scheduledFor = slot.startAt;
+      order.releaseAt = slot.releaseAt;
+      order.promisedAt = order.promisedAt || slot.startAt;
+      order.holdsSlot = true;
+    }
+
+    order.recalculateBill();
+
+    await order.save();
+  } catch (error) {
+    // The order never took its place
+    if (slot) await releaseSlot(restaurant._id, slot.startAt);
+    throw error;
+  }
+
+  await order.populate("restaurantId", "restaurantName name");
+
+  return { order, slot, error: null };
+};
+
+/**
+ * Tell the restaurant's dashboards about a new takeaway or delivery order
+ * @param {Object} io - socket.io server
+ * @param {Object} order - Order document (restaurantId populated)
+ */
+const emitNewOffPremiseOrder = (io, order) => {
+  if (!io) return;
+  io.to(`restaurant-${order.populated("restaurantId") || order.restaurantId}`).emit("new-order", {
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    orderToken: order.orderToken,
+    tableNumber: getOrderDestination(order),
+    customerName: order.customerName,
+    customerPhone: order.customerPhone,
+    orderType: order.orderType,
+    promisedAt: order.promisedAt,
+    scheduledFor: order.scheduledFor,
+    items: order.items.map((item) => item.name),
+    totalPrice: order.totalPrice,
+    grandTotal: order.bill?.grandTotal,
+    itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+    timestamp: order.createdAt,
+    status: order.status,
+  });
+};
+
 // ============= PUBLIC ROUTES (No Authentication Required) =============
 
 // POST /api/orders/table/:tableId/order - Create a new order (PUBLIC/AUTHENTICATED endpoint)
@@ -76,12 +607,16 @@ router.post("/table/:tableId/order", async (req, res) => {
           authContext = {
             type: "staff",
             restaurantId: decoded.restaurantId.toString(),
+            staffId: decoded.staffId.toString(),
+            role: decoded.role,
+            actor: getTokenActor(decoded),
           };
         }
         else if (decoded.id || decoded.userId) {
           authContext = {
             type: "owner",
             userId: (decoded.id || decoded.userId).toString(),
+            actor: getTokenActor(decoded),
           };
         } else {
           console.warn(
@@ -105,31 +640,14 @@ router.post("/table/:tableId/order", async (req, res) => {
       });
     }
 
-    if (!items || !Array.isArray(items) || items.length === 0) {
+    const itemsError = checkOrderItems(items);
+    if (itemsError) {
       return res.status(400).json({
         success: false,
-        message: "Order must contain at least one item",
+        message: itemsError,
       });
     }
 
-    for (const item of items) {
-      if (
-        !item.menuItemId ||
-        !mongoose.Types.ObjectId.isValid(item.menuItemId)
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid menu item ID in order",
-        });
-      }
-      if (!item.quantity || item.quantity < 1) {
-        return res.status(400).json({
-          success: false,
-          message: "Each item must have a valid quantity (minimum 1)",
-        });
-      }
-    }
-
     const table = await Table.findOne({
       _id: tableId,
       isActive: true,
@@ -172,6 +690,28 @@ router.post("/table/:tableId/order", async (req, res) => {
 
     const restaurantId = table.restaurantId.toString();
 
+    // Closed areas take no new guests; tables already seated can keep ordering
+    const area = table.areaId ? await Area.findById(table.areaId) : null;
+    if (!table.currentSessionId && isAreaClosed(area, restaurantDoc)) {
+      return res.status(409).json({
+        success: false,
+        code: "AREA_CLOSED",
+        message: `${area.name} is closed today`,
+      });
+    }
+
+    // Customer (QR) orders must carry the table's signed token
+    if (orderType === "qr") {
+      const access = checkTableAccess(table, restaurantDoc, getTableTokenFromRequest(req));
+      if (!access.valid) {
+        return res.status(access.status).json({
+          success: false,
+          code: access.code,
+          message: access.message,
+        });
+      }
+    }
+
     if (
       orderType === "staff" &&
       authContext &&
@@ -184,75 +724,23 @@ router.post("/table/:tableId/order", async (req, res) => {
       });
     }
 
-    const menuItemIds = items.map((item) => item.menuItemId);
-
-    const menuItems = await MenuItem.find({
-      _id: { $in: menuItemIds },
-      restaurantId: restaurantId,
-      isActive: true,
-    });
-
-    const menuItemMap = {};
-    menuItems.forEach((item) => {
-      menuItemMap[item._id.toString()] = item;
-    });
-
-    const missingItems = [];
-    for (const itemId of menuItemIds) {
-      if (!menuItemMap[itemId.toString()]) {
-        missingItems.push(itemId);
-      }
-    }
-
-    if (missingItems.length > 0) {
-      return res.status(404).json({
+    const priced = await priceOrderItems(items, restaurantId);
+    if (priced.error) {
+      return res.status(priced.error.status).json({
         success: false,
-        message: "One or more menu items not found or inactive",
-        missingItems,
+        ...priced.error.body,
       });
     }
+    const { orderItems, totalPrice } = priced;
 
-    // CALCULATE TOTAL PRICE INCLUDING ADDONS
-    let totalPrice = 0;
-    const orderItems = items.map((item) => {
-      const menuItem = menuItemMap[item.menuItemId.toString()];
-
-      console.log(`\nProcessing item: ${menuItem.name}`);
-      console.log(`  Base price: ${menuItem.price}`);
-      console.log(`  Quantity: ${item.quantity}`);
-      console.log(`  Addons:`, item.addons);
-
-      // Calculate base item price
-      const itemBasePrice = menuItem.price * item.quantity;
-      console.log(`  Item base total: ${menuItem.price} × ${item.quantity} = ${itemBasePrice}`);
-
-      // Calculate addon prices
-      const addonPrice = calculateAddonPrice(item.addons, item.quantity);
-      console.log(`  Addon total: ${addonPrice}`);
-
-      // Total for this item
-      const itemTotal = itemBasePrice + addonPrice;
-      console.log(`  Item TOTAL: ${itemBasePrice} + ${addonPrice} = ${itemTotal}`);
-
-      totalPrice += itemTotal;
-
-      return {
-        menuItemId: menuItem._id,
-        name: menuItem.name,
-        price: menuItem.price,
-        quantity: item.quantity,
-        addons: item.addons || [],
-        specialInstructions: item.specialInstructions || "",
-      };
-    });
-
-    totalPrice = Math.round(totalPrice * 100) / 100;
-
-    console.log(`\n=== ORDER TOTAL: ${totalPrice} ===\n`);
+    const { orderNumber, orderToken, businessDate } = await nextOrderToken(restaurantDoc);
 
     const order = new Order({
       tableId: table._id,
       restaurantId: restaurantId,
+      orderNumber,
+      orderToken,
+      businessDate,
       customerName: customerName.trim() || "Guest",
       orderType: orderType,
       items: orderItems,
@@ -260,16 +748,41 @@ router.post("/table/:tableId/order", async (req, res) => {
       specialInstructions: specialInstructions.trim(),
       status: "pending",
       batchStatus: new Map([["original", "pending"]]),
+      taxConfig: buildTaxConfig(restaurantDoc, area),
+      // Waiters taking the order at the table are credited with serving it
+      servedBy:
+        authContext && authContext.type === "staff" && authContext.role === "waiter"
+          ? authContext.staffId
+          : null,
+    });
+
+    // Every order joins the table's current visit; the first one opens it
+    const { session: tableSession } = await openTableSession(table, {
+      waiterId: order.servedBy,
+      openedBy: authContext
+        ? authContext.actor
+        : { actorType: "customer", role: "customer", name: order.customerName || "Guest" },
+      status: "occupied",
     });
+    order.tableSessionId = tableSession._id;
+    order.createdBy = authContext ? authContext.actor : getCustomerActor(order);
+    if (!order.servedBy && tableSession.waiterId) {
+      order.servedBy = tableSession.waiterId;
+    }
+
+    order.recalculateBill();
 
     await order.save();
 
+    await recordSessionOrder(tableSession, table, order);
+
     await order.populate([
       { path: "tableId", select: "tableName seats" },
       { path: "restaurantId", select: "restaurantName name" },
     ]);
 
     const io = req.app.get("io");
+    emitTableStatus(io, table, tableSession);
     if (io) {
       const itemCount = order.items.reduce(
         (sum, item) => sum + item.quantity,
@@ -278,11 +791,14 @@ router.post("/table/:tableId/order", async (req, res) => {
 
       io.to(`restaurant-${restaurantId}`).emit("new-order", {
         orderId: order._id.toString(),
-        tableNumber: order.tableId.tableName,
+        orderNumber: order.orderNumber,
+        orderToken: order.orderToken,
+        tableNumber: getOrderDestination(order),
         customerName: order.customerName,
         orderType: order.orderType,
         items: order.items.map((item) => item.name),
         totalPrice: order.totalPrice,
+        grandTotal: order.bill?.grandTotal,
         itemCount: itemCount,
         timestamp: order.createdAt,
         status: order.status,
@@ -328,6 +844,19 @@ router.get("/table/:tableId/active", async (req, res) => {
       });
     }
 
+    // Staff dashboards send their login token; customers need the table token
+    if (!(await getRestaurantStaffActor(req, table.restaurantId))) {
+      const restaurant = await Restaurant.findById(table.restaurantId).select("tableAccessMode");
+      const access = checkTableAccess(table, restaurant, getTableTokenFromRequest(req));
+      if (!access.valid) {
+        return res.status(access.status).json({
+          success: false,
+          code: access.code,
+          message: access.message,
+        });
+      }
+    }
+
     const activeOrder = await Order.findOne({
       tableId: tableId,
       status: { $nin: ["paid", "cancelled"] },
@@ -380,19 +909,6 @@ router.patch("/:orderId/update", async (req, res) => {
       });
     }
 
-    let isStaffEdit = false;
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith("Bearer ")) {
-      try {
-        const token = authHeader.substring(7);
-        const jwt = require("jsonwebtoken");
-        jwt.verify(token, process.env.JWT_SECRET);
-        isStaffEdit = true;
-      } catch (err) {
-        isStaffEdit = false;
-      }
-    }
-
     const order = await Order.findById(orderId).populate("tableId");
     if (!order) {
       return res.status(404).json({
@@ -401,6 +917,30 @@ router.patch("/:orderId/update", async (req, res) => {
       });
     }
 
+    // Edits by this restaurant's owner/staff carry their token; anything else is the guest editing their order
+    const staffActor = await getRestaurantStaffActor(req, order.restaurantId);
+    const isStaffEdit = !!staffActor;
+
+    // Takeaway/delivery orders are only changed at the counter
+    if (isOffPremiseOrder(order) && !isStaffEdit) {
+      return res.status(403).json({
+        success: false,
+        message: "This order can only be changed by restaurant staff",
+      });
+    }
+
+    // Guests can only change their order from the table
+    if (!isStaffEdit) {
+      const access = await checkGuestOrderAccess(req, order);
+      if (!access.valid) {
+        return res.status(access.status).json({
+          success: false,
+          code: access.code,
+          message: access.message,
+        });
+      }
+    }
+
     if (["paid", "cancelled"].includes(order.status)) {
       return res.status(400).json({
         success: false,
@@ -408,6 +948,17 @@ router.patch("/:orderId/update", async (req, res) => {
       });
     }
 
+    // Splits are priced from the current items, so they can't survive an edit once paid into
+    if (order.splits && order.splits.length > 0) {
+      if (order.payments.some((payment) => payment.splitId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Order cannot be updated while a split bill is being settled",
+        });
+      }
+      order.splits = [];
+    }
+
     for (const item of items) {
       if (
         !item.menuItemId ||
@@ -453,6 +1004,21 @@ router.patch("/:orderId/update", async (req, res) => {
       });
     }
 
+    // Resolve add-ons against the menu - client-sent prices are ignored
+    const { items: resolvedItems, errors: addonErrors } = resolveOrderItems(
+      items,
+      menuItemMap
+    );
+
+    if (addonErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid add-on selection",
+        code: "INVALID_ADDONS",
+        errors: addonErrors,
+      });
+    }
+
     if (!order.isUpdated) {
       order.originalItems = order.items.map((item) => ({
         ...item.toObject(),
@@ -463,7 +1029,8 @@ router.patch("/:orderId/update", async (req, res) => {
 
     const oldItems = order.items.filter((item) => !item.isRemoved);
     const currentUpdateHistory = [];
-    const changedBy = isStaffEdit ? "staff" : "customer";
+    const actor = staffActor || getCustomerActor(order);
+    const changedBy = actor.actorType;
 
     let newOrderItems;
     let totalPrice = 0;
@@ -481,8 +1048,8 @@ router.patch("/:orderId/update", async (req, res) => {
       // 1. Group INCOMING items (Target State)
       // Map<Key, {qty, itemData}>
       const incomingMap = new Map();
-      items.forEach(item => {
-        const addonKey = JSON.stringify((item.addons || []).sort());
+      resolvedItems.forEach(item => {
+        const addonKey = getAddonKey(item.addons);
         const key = `${item.menuItemId}-${addonKey}`;
 
         if (incomingMap.has(key)) {
@@ -499,7 +1066,7 @@ router.patch("/:orderId/update", async (req, res) => {
       // Map<Key, Array<Item>>
       const existingMap = new Map();
       oldItems.forEach(item => {
-        const addonKey = JSON.stringify((item.addons || []).sort());
+        const addonKey = getAddonKey(item.addons);
         const key = `${item.menuItemId}-${addonKey}`;
 
         if (!existingMap.has(key)) {
@@ -558,6 +1125,7 @@ router.patch("/:orderId/update", async (req, res) => {
               oldQuantity: null,
               newQuantity: desiredQty,
               changedBy,
+              actor,
               details: `Added ${desiredQty}x ${menuItem.name}`,
             });
           } else {
@@ -568,6 +1136,7 @@ router.patch("/:orderId/update", async (req, res) => {
               oldQuantity: existingTotalQty,
               newQuantity: desiredQty,
               changedBy,
+              actor,
               details: `${menuItem.name}: increased from ${existingTotalQty} to ${desiredQty}`,
             });
           }
@@ -587,6 +1156,7 @@ router.patch("/:orderId/update", async (req, res) => {
             oldQuantity: existingTotalQty,
             newQuantity: desiredQty,
             changedBy,
+            actor,
             details: `${menuItem.name}: decreased from ${existingTotalQty} to ${desiredQty}`,
           });
 
@@ -659,14 +1229,14 @@ router.patch("/:orderId/update", async (req, res) => {
       // Create a map of existing items for ID preservation
       const existingItemsMap = new Map();
       oldItems.forEach(item => {
-        const addonKey = JSON.stringify((item.addons || []).sort());
+        const addonKey = getAddonKey(item.addons);
         const key = `${item.menuItemId}-${addonKey}`;
         existingItemsMap.set(key, item);
       });
 
-      items.forEach((item) => {
+      resolvedItems.forEach((item) => {
         const menuItem = menuItemMap[item.menuItemId.toString()];
-        const addonKey = JSON.stringify((item.addons || []).sort());
+        const addonKey = getAddonKey(item.addons);
         const key = `${item.menuItemId}-${addonKey}`;
 
         if (consolidatedMap.has(key)) {
@@ -685,10 +1255,12 @@ router.patch("/:orderId/update", async (req, res) => {
             specialInstructions: item.specialInstructions || "",
             isNew: false,
             isRemoved: false,
-            // Preserve ID and status if item existed
+            // Preserve ID, status and kitchen timings if item existed
             ...(existingItem && {
               _id: existingItem._id,
-              status: existingItem.status
+              status: existingItem.status,
+              batchId: existingItem.batchId,
+              timings: existingItem.timings,
             })
           });
         }
@@ -715,8 +1287,7 @@ router.patch("/:orderId/update", async (req, res) => {
         const oldItem = oldItems.find(
           (old) =>
             old.menuItemId.toString() === newItem.menuItemId.toString() &&
-            JSON.stringify((old.addons || []).sort()) ===
-            JSON.stringify((newItem.addons || []).sort())
+            getAddonKey(old.addons) === getAddonKey(newItem.addons)
         );
 
         if (!oldItem) {
@@ -728,6 +1299,7 @@ router.patch("/:orderId/update", async (req, res) => {
             oldQuantity: null,
             newQuantity: newItem.quantity,
             changedBy,
+            actor,
             details: `Added ${newItem.quantity}x ${newItem.name}`,
           });
         } else if (newItem.quantity > oldItem.quantity) {
@@ -739,6 +1311,7 @@ router.patch("/:orderId/update", async (req, res) => {
             oldQuantity: oldItem.quantity,
             newQuantity: newItem.quantity,
             changedBy,
+            actor,
             details: `Increased from ${oldItem.quantity} to ${newItem.quantity}`,
           });
         } else if (newItem.quantity < oldItem.quantity) {
@@ -749,6 +1322,7 @@ router.patch("/:orderId/update", async (req, res) => {
             oldQuantity: oldItem.quantity,
             newQuantity: newItem.quantity,
             changedBy,
+            actor,
             details: `Decreased from ${oldItem.quantity} to ${newItem.quantity}`,
           });
         }
@@ -758,8 +1332,7 @@ router.patch("/:orderId/update", async (req, res) => {
         const newItem = newOrderItems.find(
           (item) =>
             item.menuItemId.toString() === oldItem.menuItemId.toString() &&
-            JSON.stringify((item.addons || []).sort()) ===
-            JSON.stringify((oldItem.addons || []).sort())
+            getAddonKey(item.addons) === getAddonKey(oldItem.addons)
         );
 
         if (!newItem) {
@@ -781,6 +1354,7 @@ router.patch("/:orderId/update", async (req, res) => {
             oldQuantity: oldItem.quantity,
             newQuantity: null,
             changedBy,
+            actor,
             details: `Removed ${oldItem.quantity}x ${oldItem.name}`,
           });
         }
@@ -791,7 +1365,14 @@ router.patch("/:orderId/update", async (req, res) => {
     console.log(`\n=== UPDATE ORDER TOTAL: ${totalPrice} ===\n`);
 
     order.items = newOrderItems;
+    // Anything the kitchen already has a ticket for but is no longer ordered gets a cancel KOT
+    const cancelKotNumbers = addCancellationKots(order, {
+      actor,
+      reason: "Removed from order",
+    }).map((kot) => kot.kotNumber);
     order.totalPrice = totalPrice;
+    // Recalculate subtotal/taxes with the rates frozen when the order was placed
+    order.recalculateBill();
     order.customerName = customerName?.trim() || order.customerName;
     order.specialInstructions =
       specialInstructions?.trim() || order.specialInstructions;
@@ -813,7 +1394,7 @@ router.patch("/:orderId/update", async (req, res) => {
 
       if (hasNewWork && ['served', 'ready', 'preparing'].includes(order.status)) {
         console.log(`Reverting order ${order._id} status from ${order.status} to pending due to new items`);
-        order.status = 'pending';
+        order.setStatus("pending", actor, { reason: "New items added" });
       }
 
       // Initialize or maintain batchStatus
@@ -829,6 +1410,16 @@ router.patch("/:orderId/update", async (req, res) => {
       // Add batch entry for this update
       const updateBatchId = `update-${order.updateCount}`;
       order.batchStatus.set(updateBatchId, order.status);
+
+      // Lines added by this update belong to its batch and reach the kitchen now
+      const queuedAt = new Date();
+      const oldItemIds = new Set(oldItems.map((item) => item._id.toString()));
+      order.items.forEach((item) => {
+        if (item.isRemoved || oldItemIds.has(item._id.toString()) || item.timings?.queuedAt) return;
+        item.batchId = item.batchId || updateBatchId;
+        item.timings.queuedAt = queuedAt;
+      });
+      order.refreshBatchTimings();
     }
 
     await order.save();
@@ -852,6 +1443,9 @@ router.patch("/:orderId/update", async (req, res) => {
       console.log('Item IDs:', savedOrder.items.map(i => ({ _id: i._id, name: i.name, isNew: i.isNew })));
     }
 
+    const cancelKots = savedOrder.kots.filter((kot) => cancelKotNumbers.includes(kot.kotNumber));
+    await dispatchKots(req, savedOrder, cancelKots, { event: "kot-cancelled" });
+
     // Replace the order object reference for the rest of the logic
     Object.assign(order, savedOrder.toObject());
 
@@ -863,13 +1457,16 @@ router.patch("/:orderId/update", async (req, res) => {
 
       io.to(`restaurant-${order.restaurantId}`).emit("order-updated", {
         orderId: order._id.toString(),
-        tableNumber: order.tableId.tableName,
+        orderNumber: order.orderNumber,
+        orderToken: order.orderToken,
+        tableNumber: getOrderDestination(order),
         customerName: order.customerName,
         orderType: order.orderType,
         items: order.items
           .filter((item) => !item.isRemoved)
           .map((item) => item.name),
         totalPrice: order.totalPrice,
+        grandTotal: order.bill?.grandTotal,
         itemCount: itemCount,
         updateCount: order.updateCount,
         hasUnseenChanges: order.hasUnseenChanges,
@@ -881,6 +1478,7 @@ router.patch("/:orderId/update", async (req, res) => {
         orderId: order._id.toString(),
         status: order.status,
         totalPrice: order.totalPrice,
+        grandTotal: order.bill?.grandTotal,
         timestamp: new Date(),
       });
 
@@ -893,6 +1491,7 @@ router.patch("/:orderId/update", async (req, res) => {
       success: true,
       message: "Order updated successfully",
       data: order,
+      cancelKots,
     });
   } catch (err) {
     console.error("Update order error:", err);
@@ -904,19 +1503,25 @@ router.patch("/:orderId/update", async (req, res) => {
   }
 });
 
-// GET /api/orders/:orderId/kots - Get KOT history for an order
+// GET /api/orders/:orderId/kots?stationId= - Get KOT history for an order (optionally one station's)
+// Includes cancel KOTs, move records, reprints and voids
 router.get("/:orderId/kots", async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { stationId } = req.query;
     const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
     }
 
+    const kots = order.kots || [];
+
     res.json({
       success: true,
-      data: order.kots || []
+      data: stationId
+        ? kots.filter((kot) => (kot.stationId ? kot.stationId.toString() : UNROUTED_STATION) === stationId)
+        : kots
     });
   } catch (error) {
     console.error("Get KOT history error:", error);
@@ -924,64 +1529,57 @@ router.get("/:orderId/kots", async (req, res) => {
   }
 });
 
-// POST /api/orders/:orderId/print-kot - Generate a new KOT with only new items
+// POST /api/orders/:orderId/print-kot - Generate new KOTs with only new items, one per kitchen station
+// Body: { stationId? } - print only one station's items ("none" for unrouted items)
 router.post("/:orderId/print-kot", async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { stationId } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID format" });
+    }
+
     const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
     }
 
-    // 1. Calculate already printed quantities for each item
-    // Map key: JSON.stringify({ itemId, addons }) -> quantity
-    const printedQuantities = new Map();
-
-    if (order.kots && order.kots.length > 0) {
-      order.kots.forEach(kot => {
-        kot.items.forEach(item => {
-          // Normalize key: use Item ID and sorted addon names for uniqueness
-          // Note: Addons in KOT history might be stored differently, so be careful.
-          // For simplicity and robustness, we match by Item ID. KOTs snapshot the item.
-          // Ideally we should match exact configuration.
-          // Let's assume itemId + exact addon JSON.
-          const key = item.itemId.toString();
-          const currentQty = printedQuantities.get(key) || 0;
-          printedQuantities.set(key, currentQty + item.quantity);
+    // Printing is open to this restaurant's staff, and to guests holding the table's token
+    const staffActor = await getRestaurantStaffActor(req, order.restaurantId);
+    if (!staffActor) {
+      const access = await checkGuestOrderAccess(req, order);
+      if (!access.valid) {
+        return res.status(access.status).json({
+          success: false,
+          code: access.code,
+          message: access.message,
         });
-      });
+      }
     }
 
-    // 2. Identify new items/quantities to print
-    const itemsToPrint = [];
-
-    // Group current order items by ID to handle potential duplicates if any (though schema usually has unique _id per line item)
-    // Order items have unique _id. Creating a map of printed quantities by _id is safest if _id persists.
-    // If an item is "Quantity Increased", the _id stays the same. Perfect.
-    // If an item is "Added" as a new line, it gets a new _id. Perfect.
-    // So we just track printed qty per orderItem._id.
-
-    const printedQtyByItemId = new Map();
-    if (order.kots) {
-      order.kots.forEach(kot => {
-        kot.items.forEach(kotItem => {
-          const id = kotItem.itemId.toString();
-          const qty = printedQtyByItemId.get(id) || 0;
-          printedQtyByItemId.set(id, qty + kotItem.quantity);
-        });
+    if (isHeldOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: "This pre-order has not been released to the kitchen yet",
       });
     }
 
-    order.items.forEach(item => {
-      if (item.isRemoved) return; // Don't print removed items
+    // 1. Identify new items/quantities to print
+    // Printed quantities are tracked per order line _id: a quantity increase keeps
+    // the _id, a new line gets a new one. Cancel KOTs and voided KOTs are netted out.
+    const itemsToPrint = [];
+    const printedQtyByItemId = getPrintedQuantities(order.kots);
 
+    order.items.forEach(item => {
       const printedQty = printedQtyByItemId.get(item._id.toString()) || 0;
-      const remainingQty = item.quantity - printedQty;
+      const remainingQty = getKitchenQuantity(order, item) - printedQty; // removed / cancelled lines count as 0
 
       if (remainingQty > 0) {
         itemsToPrint.push({
           itemId: item._id,
+          menuItemId: item.menuItemId,
           name: item.name,
           quantity: remainingQty,
           addons: item.addons,
@@ -998,17 +1596,44 @@ router.post("/:orderId/print-kot", async (req, res) => {
       });
     }
 
-    // 3. Create New KOT Record
-    const nextKotNumber = (order.kots?.length || 0) + 1;
-    const newKot = {
-      kotNumber: nextKotNumber,
-      items: itemsToPrint,
-      printedAt: new Date(),
-      printedBy: "Staff" // Could define from auth middleware if available
-    };
+    // 2. Route the lines to kitchen stations - each station gets its own ticket
+    const routing = await getStationRouting(
+      order.restaurantId,
+      itemsToPrint.map((item) => item.menuItemId)
+    );
+    let stationGroups = groupItemsByStation(itemsToPrint, routing);
+
+    if (stationId) {
+      if (stationId !== UNROUTED_STATION && !mongoose.Types.ObjectId.isValid(stationId)) {
+        return res.status(400).json({ success: false, message: "Invalid station ID format" });
+      }
+      stationGroups = stationGroups.filter((group) => stationKey(group.station) === stationId.toString());
+      if (stationGroups.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No new items to print for this station",
+          noNewItems: true
+        });
+      }
+    }
+
+    // 3. Create the KOT records and update the order
+    // A request without a staff token is the customer's
+    const actor = staffActor || getCustomerActor(order);
+    let nextKotNumber = getLastKotNumber(order) + 1;
+    const printedAt = new Date();
+    const newKots = stationGroups.map((group) => ({
+      kotNumber: nextKotNumber++,
+      orderToken: order.orderToken,
+      stationId: group.station ? group.station._id : null,
+      stationName: group.station ? group.station.name : null,
+      items: group.items.map(({ menuItemId, ...item }) => item),
+      printedAt,
+      printedBy: getActorLabel(actor),
+      printedByActor: actor
+    }));
 
-    // 4. Update Order
-    order.kots.push(newKot);
+    order.kots.push(...newKots);
 
     // Also mark items as 'sent' if they are currently 'pending'
     // This helps visualize status flows (New -> Sent -> ...)
@@ -1027,13 +1652,20 @@ router.post("/:orderId/print-kot", async (req, res) => {
 
     await order.save();
 
-    // 5. Emit event? Optional, but good for real-time updates if we had a KOT view.
+    // 4. Send each ticket to the kitchen screens and printers
+    const printJobs = await dispatchKots(req, order, newKots);
 
     res.json({
       success: true,
-      message: "KOT generated successfully",
-      kot: newKot,
-      orderId: order._id
+      message:
+        newKots.length === 1
+          ? "KOT generated successfully"
+          : `${newKots.length} KOTs generated (${newKots.map((kot) => kot.stationName || "Kitchen").join(", ")})`,
+      kot: newKots[0], // first ticket, for clients that print a single KOT
+      kots: newKots,
+      printJobs: printJobs.map(serializeJob),
+      orderId: order._id,
+      orderToken: order.orderToken
     });
 
   } catch (error) {
@@ -1070,10 +1702,12 @@ router.get("/customer/:orderId/status", async (req, res) => {
       success: true,
       data: {
         orderId: order._id,
+        orderToken: order.orderToken,
         status: order.status,
         orderType: order.orderType,
         customerName: order.customerName,
         totalPrice: order.totalPrice,
+        bill: order.bill,
         items: order.items,
         createdAt: order.createdAt,
         tableName: order.tableId?.tableName,
@@ -1089,11 +1723,109 @@ router.get("/customer/:orderId/status", async (req, res) => {
   }
 });
 
+// POST /api/orders/customer/:orderId/coupon - PUBLIC endpoint for customers to apply a coupon code
+router.post("/customer/:orderId/coupon", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { code } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    if (!code || typeof code !== "string" || code.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon code is required",
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const access = await checkGuestOrderAccess(req, order);
+    if (!access.valid) {
+      return res.status(access.status).json({
+        success: false,
+        code: access.code,
+        message: access.message,
+      });
+    }
+
+    const lockReason = getDiscountLockReason(order);
+    if (lockReason) {
+      return res.status(400).json({ success: false, message: lockReason });
+    }
+
+    const discount = await Discount.findOne({
+      restaurantId: order.restaurantId,
+      code: code.trim().toUpperCase(),
+      allowCustomerApply: true,
+    });
+
+    if (!discount) {
+      return res.status(404).json({
+        success: false,
+        message: "Invalid coupon code",
+      });
+    }
+
+    const result = await applyDiscountRule(order, discount, getCustomerActor(order));
+    if (!result.valid) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    await saveDiscountChange(order, discount._id);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${order.restaurantId}`).emit("order-discount-updated", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        discountTotal: order.bill.discountTotal,
+        grandTotal: order.bill.grandTotal,
+        timestamp: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: {
+        orderId: order._id,
+        bill: order.bill,
+      },
+    });
+  } catch (error) {
+    console.error("Apply coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while applying coupon",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
 // POST /api/orders/table/:tableId/call-waiter - PUBLIC endpoint for customers to call waiter
 router.post("/table/:tableId/call-waiter", async (req, res) => {
   try {
     const { tableId } = req.params;
-    const { customerName = "Guest" } = req.body;
+    const { customerName = "Guest", reason = "assistance" } = req.body;
+
+    if (!["assistance", "bill"].includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be 'assistance' or 'bill'",
+      });
+    }
 
     if (!mongoose.Types.ObjectId.isValid(tableId)) {
       return res.status(400).json({
@@ -1114,12 +1846,29 @@ router.post("/table/:tableId/call-waiter", async (req, res) => {
       });
     }
 
+    const restaurant = await Restaurant.findById(table.restaurantId).select("tableAccessMode");
+    const access = checkTableAccess(table, restaurant, getTableTokenFromRequest(req));
+    if (!access.valid) {
+      return res.status(access.status).json({
+        success: false,
+        code: access.code,
+        message: access.message,
+      });
+    }
+
+    // Asking for the bill also flags the table on the status board
+    const session = reason === "bill" ? await requestBill(table) : null;
+
     const io = req.app.get("io");
+    if (session) {
+      emitTableStatus(io, table, session);
+    }
     if (io) {
       io.to(`restaurant-${table.restaurantId}`).emit("waiter-called", {
         tableId: table._id.toString(),
         tableNumber: table.tableName,
         customerName: customerName || "Guest",
+        reason,
         timestamp: new Date().toISOString(),
       });
 
@@ -1130,7 +1879,7 @@ router.post("/table/:tableId/call-waiter", async (req, res) => {
 
     res.json({
       success: true,
-      message: "Waiter has been notified",
+      message: reason === "bill" ? "Your bill is on its way" : "Waiter has been notified",
     });
   } catch (error) {
     console.error("Call waiter error:", error);
@@ -1142,6 +1891,127 @@ router.post("/table/:tableId/call-waiter", async (req, res) => {
   }
 });
 
+// Customers book pre-orders without a login, so the public pre-order routes are throttled per client
+const preorderSlotsLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: "Too many slot lookups, please wait a minute and try again",
+});
+const preorderCreateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many pre-orders from this device, please try again later",
+});
+
+// Active restaurant taking pre-orders, for the public pre-order routes
+const findPreorderRestaurant = async (restaurantId) => {
+  if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+    return { restaurant: null, error: { status: 400, message: "Invalid restaurant ID format" } };
+  }
+  const restaurant = await Restaurant.findOne({ _id: restaurantId, isActive: true });
+  if (!restaurant) {
+    return { restaurant: null, error: { status: 404, message: "Restaurant not found" } };
+  }
+  if (!getPreorderSettings(restaurant).enabled) {
+    return { restaurant: null, error: { status: 400, message: "Pre-orders are turned off for this restaurant" } };
+  }
+  return { restaurant, error: null };
+};
+
+// GET /api/orders/customer/preorders/:restaurantId/slots?date=YYYY-MM-DD - PUBLIC pre-order slots
+router.get("/customer/preorders/:restaurantId/slots", preorderSlotsLimit, async (req, res) => {
+  try {
+    const { restaurant, error } = await findPreorderRestaurant(req.params.restaurantId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const date = req.query.date || getBusinessDate(new Date(), restaurant.timezone);
+    if (!DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "date must be YYYY-MM-DD",
+      });
+    }
+
+    // Customers only see whether a slot is open, not how busy the kitchen is
+    const slots = (await findPreorderSlots(restaurant, date)).map(({ time, startAt, endAt, available }) => ({
+      time,
+      startAt,
+      endAt,
+      available,
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        restaurantName: restaurant.restaurantName,
+        slots,
+        availableCount: slots.filter((slot) => slot.available).length,
+      },
+    });
+  } catch (error) {
+    console.error("Get customer pre-order slots error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching pre-order slots",
+    });
+  }
+});
+
+// POST /api/orders/customer/preorders/:restaurantId - PUBLIC endpoint for customers to book a pre-order
+// Body: { orderType: "takeaway"|"delivery", items, scheduledFor, customerPhone, customerName?,
+//         deliveryAddress?, specialInstructions? }
+router.post("/customer/preorders/:restaurantId", preorderCreateLimit, async (req, res) => {
+  try {
+    const { restaurant, error: restaurantError } = await findPreorderRestaurant(req.params.restaurantId);
+    if (restaurantError) {
+      return res.status(restaurantError.status).json({
+        success: false,
+        message: restaurantError.message,
+      });
+    }
+
+    // The promised time is the restaurant's call: customers get their slot
+    const { promisedAt, ...body } = req.body || {};
+    const { order, slot, error } = await createOffPremiseOrder(restaurant, body, { isCustomer: true });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        ...error.body,
+      });
+    }
+
+    emitNewOffPremiseOrder(req.app.get("io"), order);
+
+    res.status(201).json({
+      success: true,
+      message: `Pre-order ${order.orderToken} booked for ${slot.time}`,
+      data: {
+        orderId: order._id,
+        orderToken: order.orderToken,
+        orderType: order.orderType,
+        status: order.status,
+        scheduledFor: order.scheduledFor,
+        customerName: order.customerName,
+        items: order.items,
+        bill: order.bill,
+        restaurantName: order.restaurantId?.restaurantName,
+      },
+    });
+  } catch (error) {
+    console.error("Create customer pre-order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while placing pre-order",
+    });
+  }
+});
+
 // ============= AUTHENTICATED ROUTES (Require Authentication) =============
 router.use(authMiddleware);
 
@@ -1154,147 +2024,300 @@ const getRestaurantId = (req) => {
   return req.restaurantId;
 };
 
-// GET /api/orders/restaurant - Get all orders for the logged-in restaurant
-router.get("/restaurant", async (req, res) => {
-  try {
-    const {
-      status,
-      orderType,
-      startDate,
-      endDate,
-      limit = 100,
-      filter,
-    } = req.query;
+// Credit the waiter who marks an order (or its items) as served, unless
+// someone is already recorded as serving the table
+const recordServedBy = (order, req, status) => {
+  if (status === "served" && req.isStaff && req.staffRole === "waiter" && !order.servedBy) {
+    order.servedBy = req.staffId;
+  }
+};
 
+// POST /api/orders/counter - Create a takeaway or delivery order (no table)
+// Body: { orderType: "takeaway"|"delivery", items, customerName?, customerPhone?,
+//         deliveryAddress?, promisedAt?, scheduledFor?, specialInstructions? }
+// With scheduledFor (a slot start, see /preorders/slots) the order is held until its release time.
+router.post("/counter", async (req, res) => {
+  try {
     const restaurantId = getRestaurantId(req);
 
-    const query = {
-      restaurantId: restaurantId,
-    };
-
-    // NEW: Recently Updated Filter
-    if (filter === "recentlyUpdated") {
-      query.hasUnseenChanges = true;
-    }
-
-    if (status) {
-      const validStatuses = [
-        "pending",
-        "preparing",
-        "ready",
-        "served",
-        "paid",
-        "cancelled",
-      ];
-
-      // Support comma-separated status values (e.g., "pending,preparing,ready")
-      if (typeof status === "string" && status.includes(",")) {
-        const statuses = status.split(",").map((s) => s.trim());
-        const invalidStatuses = statuses.filter(
-          (s) => !validStatuses.includes(s)
-        );
-
-        if (invalidStatuses.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message: "Invalid status values: " + invalidStatuses.join(", "),
-          });
-        }
-
-        query.status = { $in: statuses };
-      } else {
-        // Single status value
-        if (!validStatuses.includes(status)) {
-          return res.status(400).json({
-            success: false,
-            message: "Invalid status. Valid values: " + validStatuses.join(", "),
-          });
-        }
-        query.status = status;
-      }
-    }
-
-    if (orderType) {
-      const validOrderTypes = ["qr", "staff"];
-      if (!validOrderTypes.includes(orderType)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid order type. Valid values: qr, staff",
-        });
-      }
-      query.orderType = orderType;
+    const restaurantDoc = await Restaurant.findById(restaurantId);
+    if (!restaurantDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Restaurant not found",
+      });
     }
 
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) {
-        query.createdAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.createdAt.$lte = new Date(endDate);
-      }
+    const { order, slot, error } = await createOffPremiseOrder(restaurantDoc, req.body, {
+      createdBy: getActor(req),
+      servedBy: req.isStaff && req.staffRole === "waiter" ? req.staffId : null,
+    });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        ...error.body,
+      });
     }
 
-    const orders = await Order.find(query)
-      .populate("tableId", "tableName seats")
-      .populate({
-        path: "items.menuItemId",
-        select: "name price sectionId",
-        populate: {
-          path: "sectionId",
-          select: "name",
-        },
-      })
-      .sort({ hasUnseenChanges: -1, isUpdated: -1, createdAt: -1 })
-      .limit(parseInt(limit));
+    emitNewOffPremiseOrder(req.app.get("io"), order);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: orders,
-      count: orders.length,
+      message: slot
+        ? `${getOrderDestination(order)} pre-order ${order.orderToken} booked for ${slot.time}`
+        : `${getOrderDestination(order)} order ${order.orderToken} placed`,
+      data: order,
     });
   } catch (error) {
-    console.error("Get restaurant orders error:", error);
+    console.error("Create counter order error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching orders",
+      message: "Server error while creating order",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// GET /api/orders/table/:tableId - Get all orders for a specific table
-router.get("/table/:tableId", async (req, res) => {
+// GET /api/orders/preorders/slots?date=YYYY-MM-DD - Pre-order slots with remaining capacity
+router.get("/preorders/slots", async (req, res) => {
   try {
-    const { tableId } = req.params;
-    const { status, excludeStatus, limit = 50 } = req.query;
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId);
+    const date = req.query.date || getBusinessDate(new Date(), restaurant.timezone);
 
-    if (!mongoose.Types.ObjectId.isValid(tableId)) {
+    if (!DATE_PATTERN.test(date)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid table ID format",
+        message: "date must be YYYY-MM-DD",
       });
     }
 
-    const restaurantId = getRestaurantId(req);
+    const slots = await findPreorderSlots(restaurant, date);
 
-    const table = await Table.findOne({
-      _id: tableId,
-      restaurantId: restaurantId,
-    });
+    res.json({
+      success: true,
+      data: {
+        date,
+        slots,
+        availableCount: slots.filter((slot) => slot.available).length,
+      },
+    });
+  } catch (error) {
+    console.error("Get pre-order slots error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching pre-order slots",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
 
-    if (!table) {
+// GET /api/orders/preorders?date=YYYY-MM-DD - Pre-orders still held back from the kitchen
+router.get("/preorders", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId);
+
+    // Anything already due goes to the kitchen first
+    await releaseDueOrders(req.app.get("io"), { restaurantId });
+
+    const query = {
+      restaurantId,
+      scheduledFor: { $ne: null },
+      releasedAt: null,
+      status: { $ne: "cancelled" },
+    };
+
+    if (req.query.date) {
+      if (!DATE_PATTERN.test(req.query.date)) {
+        return res.status(400).json({
+          success: false,
+          message: "date must be YYYY-MM-DD",
+        });
+      }
+      query.scheduledFor = {
+        $gte: localTimeToDate(req.query.date, "00:00", restaurant.timezone),
+        $lt: localTimeToDate(addDays(req.query.date, 1), "00:00", restaurant.timezone),
+      };
+    }
+
+    const orders = await Order.find(query).sort({ scheduledFor: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: orders.map((order) => ({
+        ...order.toObject(),
+        slotTime: formatLocalTime(order.scheduledFor, restaurant.timezone),
+        slotDate: getBusinessDate(order.scheduledFor, restaurant.timezone),
+      })),
+      count: orders.length,
+    });
+  } catch (error) {
+    console.error("Get pre-orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching pre-orders",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/orders/:orderId/release - Send a held pre-order to the kitchen now
+router.post("/:orderId/release", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, restaurantId, scheduledFor: { $ne: null }, releasedAt: null, status: { $ne: "cancelled" } },
+      { $set: { releasedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!order) {
       return res.status(404).json({
         success: false,
-        message: "Table not found or does not belong to your restaurant",
+        message: "No held pre-order found with this ID",
+      });
+    }
+
+    emitPreorderReleased(req.app.get("io"), order);
+
+    res.json({
+      success: true,
+      message: `Pre-order ${order.orderToken} sent to the kitchen`,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Release pre-order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while releasing pre-order",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// PATCH /api/orders/:orderId/schedule - Move a held pre-order to another slot
+// Body: { scheduledFor }
+router.patch("/:orderId/schedule", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+    const order = await Order.findOne({ _id: orderId, restaurantId });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!isHeldOrder(order) || order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Only pre-orders not yet sent to the kitchen can be rescheduled",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const { slot, reserved, error } = await bookPreorderSlot(restaurant, req.body.scheduledFor, order);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
       });
     }
 
+    // Keep a promised time that was set separately from the slot
+    const promisedAt =
+      !order.promisedAt || order.promisedAt.getTime() === order.scheduledFor.getTime()
+        ? slot.startAt
+        : order.promisedAt;
+    const changes = { scheduledFor: slot.startAt, releaseAt: slot.releaseAt, promisedAt, holdsSlot: true };
+
+    // Move it only if it was not released, cancelled or moved meanwhile
+    const previous = await Order.findOneAndUpdate(
+      { _id: order._id, scheduledFor: order.scheduledFor, releasedAt: null, status: { $ne: "cancelled" } },
+      { $set: changes }
+    );
+    if (!previous) {
+      if (reserved) await releaseSlot(restaurantId, slot.startAt);
+      return res.status(409).json({
+        success: false,
+        message: "The pre-order changed while it was being rescheduled. Please reload and try again.",
+      });
+    }
+    // ...and give its old place back
+    if (reserved && previous.holdsSlot) {
+      await releaseSlot(restaurantId, previous.scheduledFor);
+    }
+    order.set(changes);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("preorder-rescheduled", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        scheduledFor: order.scheduledFor,
+        slotTime: slot.time,
+        timestamp: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Pre-order ${order.orderToken} moved to ${slot.time}`,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Reschedule pre-order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while rescheduling pre-order",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/orders/restaurant - Get all orders for the logged-in restaurant
+router.get("/restaurant", async (req, res) => {
+  try {
+    const {
+      status,
+      orderType,
+      startDate,
+      endDate,
+      limit = 100,
+      filter,
+    } = req.query;
+
+    const restaurantId = getRestaurantId(req);
+
     const query = {
-      tableId: tableId,
       restaurantId: restaurantId,
     };
 
+    // NEW: Recently Updated Filter
+    if (filter === "recentlyUpdated") {
+      query.hasUnseenChanges = true;
+    }
+
     if (status) {
       const validStatuses = [
         "pending",
@@ -1305,6 +2328,7 @@ router.get("/table/:tableId", async (req, res) => {
         "cancelled",
       ];
 
+      // Support comma-separated status values (e.g., "pending,preparing,ready")
       if (typeof status === "string" && status.includes(",")) {
         const statuses = status.split(",").map((s) => s.trim());
         const invalidStatuses = statuses.filter(
@@ -1320,77 +2344,2154 @@ router.get("/table/:tableId", async (req, res) => {
 
         query.status = { $in: statuses };
       } else {
+        // Single status value
         if (!validStatuses.includes(status)) {
           return res.status(400).json({
             success: false,
-            message:
-              "Invalid status. Valid values: " + validStatuses.join(", "),
+            message: "Invalid status. Valid values: " + validStatuses.join(", "),
           });
         }
         query.status = status;
       }
     }
 
-    if (excludeStatus) {
-      const validStatuses = [
-        "pending",
-        "preparing",
-        "ready",
-        "served",
-        "paid",
-        "cancelled",
-      ];
+    if (orderType) {
+      const validOrderTypes = ORDER_TYPES;
+      if (!validOrderTypes.includes(orderType)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid order type. Valid values: " + validOrderTypes.join(", "),
+        });
+      }
+      query.orderType = orderType;
+    }
 
-      if (typeof excludeStatus === "string" && excludeStatus.includes(",")) {
-        const statuses = excludeStatus.split(",").map((s) => s.trim());
-        const invalidStatuses = statuses.filter(
-          (s) => !validStatuses.includes(s)
-        );
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
 
-        if (invalidStatuses.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message:
-              "Invalid excludeStatus values: " + invalidStatuses.join(", "),
-          });
-        }
+    const orders = await Order.find(query)
+      .populate("tableId", "tableName seats")
+      .populate({
+        path: "items.menuItemId",
+        select: "name price sectionId",
+        populate: {
+          path: "sectionId",
+          select: "name",
+        },
+      })
+      .sort({ hasUnseenChanges: -1, isUpdated: -1, createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: orders,
+      count: orders.length,
+    });
+  } catch (error) {
+    console.error("Get restaurant orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching orders",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/orders/tips?from=YYYY-MM-DD&to=YYYY-MM-DD - Tip totals per waiter
+// Owners and managers see every waiter; other staff only see their own tips.
+router.get("/tips", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "Dates must be in YYYY-MM-DD format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const match = {
+      restaurantId: new mongoose.Types.ObjectId(restaurantId),
+      "payments.tip": { $gt: 0 },
+    };
+    if (from || to) {
+      match.businessDate = {};
+      if (from) match.businessDate.$gte = from;
+      if (to) match.businessDate.$lte = to;
+    }
+
+    const paymentMatch = { "payments.tip": { $gt: 0 } };
+    if (!isManager(req)) {
+      paymentMatch["payments.tipStaffId"] = new mongoose.Types.ObjectId(req.staffId);
+    }
+
+    const totals = await Order.aggregate([
+      { $match: match },
+      { $unwind: "$payments" },
+      { $match: paymentMatch },
+      {
+        $group: {
+          _id: "$payments.tipStaffId",
+          tipTotal: { $sum: "$payments.tip" },
+          tenders: { $sum: 1 },
+          orders: { $addToSet: "$_id" },
+        },
+      },
+      { $sort: { tipTotal: -1 } },
+    ]);
+
+    const staffIds = totals.map((entry) => entry._id).filter(Boolean);
+    const staffMembers = await Staff.find({ _id: { $in: staffIds } }).select("fullName username role");
+    const staffMap = {};
+    staffMembers.forEach((member) => {
+      staffMap[member._id.toString()] = member;
+    });
+
+    const waiters = totals.map((entry) => {
+      const member = entry._id ? staffMap[entry._id.toString()] : null;
+      return {
+        staffId: entry._id,
+        // Tips taken without a known waiter are pooled under "Unassigned"
+        name: member ? member.fullName : "Unassigned",
+        username: member ? member.username : null,
+        tipTotal: round2(entry.tipTotal),
+        tenderCount: entry.tenders,
+        orderCount: entry.orders.length,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: from || null,
+        to: to || null,
+        tipTotal: round2(waiters.reduce((sum, waiter) => sum + waiter.tipTotal, 0)),
+        waiters,
+      },
+    });
+  } catch (error) {
+    console.error("Get tips error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching tips",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/orders/refunds?from=YYYY-MM-DD&to=YYYY-MM-DD - Refund/void trail (owner or manager)
+router.get("/refunds", requireManager("view refunds"), async (req, res) => {
+  try {
+    const { from, to, type } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "Dates must be in YYYY-MM-DD format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const query = { restaurantId };
+    if (from || to) {
+      query.businessDate = {};
+      if (from) query.businessDate.$gte = from;
+      if (to) query.businessDate.$lte = to;
+    }
+    if (type && ["refund", "void"].includes(type)) {
+      query.type = type;
+    }
+
+    const refunds = await Refund.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: refunds.length,
+      totalAmount: round2(refunds.reduce((sum, refund) => sum + refund.amount, 0)),
+      data: refunds,
+    });
+  } catch (error) {
+    console.error("Get refunds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching refunds",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/orders/table/:tableId - Get all orders for a specific table
+router.get("/table/:tableId", async (req, res) => {
+  try {
+    const { tableId } = req.params;
+    const { status, excludeStatus, limit = 50 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(tableId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid table ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const table = await Table.findOne({
+      _id: tableId,
+      restaurantId: restaurantId,
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: "Table not found or does not belong to your restaurant",
+      });
+    }
+
+    const query = {
+      tableId: tableId,
+      restaurantId: restaurantId,
+    };
+
+    if (status) {
+      const validStatuses = [
+        "pending",
+        "preparing",
+        "ready",
+        "served",
+        "paid",
+        "cancelled",
+      ];
+
+      if (typeof status === "string" && status.includes(",")) {
+        const statuses = status.split(",").map((s) => s.trim());
+        const invalidStatuses = statuses.filter(
+          (s) => !validStatuses.includes(s)
+        );
+
+        if (invalidStatuses.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid status values: " + invalidStatuses.join(", "),
+          });
+        }
+
+        query.status = { $in: statuses };
+      } else {
+        if (!validStatuses.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "Invalid status. Valid values: " + validStatuses.join(", "),
+          });
+        }
+        query.status = status;
+      }
+    }
+
+    if (excludeStatus) {
+      const validStatuses = [
+        "pending",
+        "preparing",
+        "ready",
+        "served",
+        "paid",
+        "cancelled",
+      ];
+
+      if (typeof excludeStatus === "string" && excludeStatus.includes(",")) {
+        const statuses = excludeStatus.split(",").map((s) => s.trim());
+        const invalidStatuses = statuses.filter(
+          (s) => !validStatuses.includes(s)
+        );
+
+        if (invalidStatuses.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "Invalid excludeStatus values: " + invalidStatuses.join(", "),
+          });
+        }
+
+        query.status = { $nin: statuses };
+      } else {
+        if (!validStatuses.includes(excludeStatus)) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "Invalid excludeStatus. Valid values: " +
+              validStatuses.join(", "),
+          });
+        }
+        query.status = { $ne: excludeStatus };
+      }
+    }
+
+    const orders = await Order.find(query)
+      .populate("tableId", "tableName seats")
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: orders,
+      count: orders.length,
+    });
+  } catch (error) {
+    console.error("Get table orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching table orders",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/orders/:orderId - Get a specific order by ID
+router.get("/:orderId", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    })
+      .populate("tableId", "tableName seats")
+      .populate("items.menuItemId", "name description isVeg");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Get order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching order",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/orders/:orderId/receipt?format=html|pdf|escpos-text|escpos - Printable bill/invoice
+router.get("/:orderId/receipt", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { format = "html", width = "80" } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const validFormats = ["html", "pdf", "escpos-text", "escpos"];
+    if (!validFormats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Valid values: " + validFormats.join(", "),
+      });
+    }
+
+    const paperWidth = parseInt(width);
+    if (!PAPER_WIDTHS[paperWidth]) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid paper width. Valid values: " + Object.keys(PAPER_WIDTHS).join(", "),
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    }).populate("tableId", "tableName");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot generate a receipt for a cancelled order",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: "Restaurant not found",
+      });
+    }
+
+    // Paid orders from before invoice numbering get their number on first print
+    await assignInvoiceNumber(order, restaurant);
+
+    const receiptData = buildReceiptData(order, restaurant);
+    const fileName = (order.invoiceNumber || `bill-${order._id}`).replace(/\//g, "-");
+
+    if (format === "pdf") {
+      const pdf = await renderReceiptPdf(receiptData);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+      return res.send(pdf);
+    }
+
+    if (format === "escpos-text") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.send(renderReceiptText(receiptData, paperWidth));
+    }
+
+    if (format === "escpos") {
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.bin"`);
+      return res.send(encodeEscPos(renderReceiptLines(receiptData, paperWidth).lines));
+    }
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(renderReceiptHtml(receiptData));
+  } catch (error) {
+    console.error("Generate receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating receipt",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/orders/:orderId/print-receipt - Queue the bill on a thermal printer
+// Body: { printerName? (default: receipt printer), openDrawer? }
+router.post("/:orderId/print-receipt", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { printerName, openDrawer = false } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    }).populate("tableId", "tableName");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot print a receipt for a cancelled order",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const settings = getPrinterSettings(restaurant);
+    const printer = findPrinter(settings, printerName || settings.receiptPrinter);
+
+    if (!printer) {
+      return res.status(400).json({
+        success: false,
+        message: printerName
+          ? "printerName must be one of the configured printers"
+          : "No receipt printer is set up. Choose one in the printer settings",
+      });
+    }
+
+    // Paid orders from before invoice numbering get their number on first print
+    await assignInvoiceNumber(order, restaurant);
+
+    const { lines } = renderReceiptLines(buildReceiptData(order, restaurant), printer.paperWidth);
+    const job = await enqueuePrintJob(req.app.get("io"), {
+      restaurantId,
+      printerName: printer.name,
+      kind: "receipt",
+      paperWidth: printer.paperWidth,
+      orderId: order._id,
+      data: encodeEscPos(lines, { openDrawer: openDrawer === true }),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Receipt queued for ${printer.name}`,
+      data: serializeJob(job),
+    });
+  } catch (error) {
+    console.error("Print receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while queuing receipt",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// Find a KOT of one of the restaurant's orders; returns { order, kot, error, status }
+const findOrderKot = async (req) => {
+  const { orderId, kotNumber } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return { error: "Invalid order ID format", status: 400 };
+  }
+
+  const order = await Order.findOne({ _id: orderId, restaurantId: getRestaurantId(req) });
+  if (!order) {
+    return { error: "Order not found", status: 404 };
+  }
+
+  const kot = order.kots.find((entry) => entry.kotNumber === Number(kotNumber));
+  if (!kot) {
+    return { error: "KOT not found on this order", status: 404 };
+  }
+  return { order, kot };
+};
+
+// POST /api/orders/:orderId/kots/:kotNumber/reprint - Print a KOT again, marked DUPLICATE
+// Body: { printerName? (default: the ticket's station / KOT printer) }
+router.post("/:orderId/kots/:kotNumber/reprint", async (req, res) => {
+  try {
+    const { printerName } = req.body || {};
+    const { order, kot, error, status } = await findOrderKot(req);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    if (kot.type === "moved") {
+      return res.status(400).json({
+        success: false,
+        message: "Move records are not printed",
+      });
+    }
+
+    if (printerName) {
+      const restaurant = await Restaurant.findById(order.restaurantId).select("printerSettings");
+      if (!findPrinter(getPrinterSettings(restaurant), printerName)) {
+        return res.status(400).json({
+          success: false,
+          message: "printerName must be one of the configured printers",
+        });
+      }
+    }
+
+    const actor = getActor(req);
+    kot.reprints.push({ printedAt: new Date(), printedBy: getActorLabel(actor), printedByActor: actor });
+    await order.save();
+
+    const printJobs = await dispatchKots(req, order, [kot], {
+      event: "kot-reprinted",
+      copy: "duplicate",
+      printerName,
+      force: true,
+    });
+
+    res.json({
+      success: true,
+      message: printJobs.length > 0
+        ? `KOT #${kot.kotNumber} sent to ${printJobs[0].printerName}`
+        : `KOT #${kot.kotNumber} reprinted (no KOT printer is set up)`,
+      kot,
+      printJobs: printJobs.map(serializeJob),
+    });
+  } catch (error) {
+    console.error("Reprint KOT error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while reprinting KOT",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/orders/:orderId/kots/:kotNumber/void - Void a KOT printed in error
+// Body: { reason } - the kitchen gets a VOID slip and the items count as not sent,
+// so they go out again with the next print-kot
+router.post("/:orderId/kots/:kotNumber/void", async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to void a KOT",
+      });
+    }
+    if (reason.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be 200 characters or less",
+      });
+    }
+
+    const { order, kot, error, status } = await findOrderKot(req);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    if (kot.voidedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `KOT #${kot.kotNumber} is already void`,
+      });
+    }
+    if (kot.type !== "new") {
+      return res.status(400).json({
+        success: false,
+        message: `${kot.type === "cancel" ? "Cancel KOTs" : "Move records"} cannot be voided`,
+      });
+    }
+
+    kot.voidedAt = new Date();
+    kot.voidedBy = getActor(req);
+    kot.voidReason = reason;
+    await order.save();
+
+    const printJobs = await dispatchKots(req, order, [kot], {
+      event: "kot-voided",
+      copy: "void",
+      force: true,
+    });
+
+    res.json({
+      success: true,
+      message: `KOT #${kot.kotNumber} voided`,
+      kot,
+      printJobs: printJobs.map(serializeJob),
+    });
+  } catch (error) {
+    console.error("Void KOT error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while voiding KOT",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// NEW: PATCH /api/orders/:orderId/mark-seen - Mark order updates as seen
+router.patch("/:orderId/mark-seen", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Clear the "new" flags from items
+    order.items = order.items.map((item) => ({
+      ...item.toObject(),
+      isNew: false,
+      isRemoved: item.isRemoved, // Keep removed items marked
+    }));
+
+    order.hasUnseenChanges = false;
+    order.lastViewedByRestaurant = new Date();
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: "Order marked as seen",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Mark order as seen error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while marking order as seen",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// NEW: GET /api/orders/:orderId/history - Get update history for an order
+router.get("/:orderId/history", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    }).select("updateHistory");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order.updateHistory || [],
+    });
+  } catch (error) {
+    console.error("Get order history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching order history",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// One audit trail entry per thing done to an order, oldest first
+const buildOrderAudit = (order, refunds) => {
+  const entries = [];
+  const add = (at, event, actor, details, extra = {}) =>
+    entries.push({ at, event, actor: actor || null, details, ...extra });
+  const describeItems = (items) => items.map((item) => `${item.quantity}x ${item.name}`).join(", ");
+
+  add(order.createdAt, "order_created", order.createdBy, `Order placed (${order.orderType})`);
+
+  (order.updateHistory || []).forEach((entry) =>
+    add(entry.timestamp, entry.changeType, entry.actor || { actorType: entry.changedBy }, entry.details, {
+      itemName: entry.itemName,
+    })
+  );
+
+  (order.statusHistory || []).forEach((change) =>
+    add(
+      change.changedAt,
+      change.itemId ? "item_status_changed" : "status_changed",
+      change.changedBy,
+      `${change.itemName || (change.batchId ? `Batch ${change.batchId}` : "Order")}: ${change.previousStatus || "-"} -> ${change.status}` +
+        (change.reason ? ` (${change.reason})` : ""),
+      { itemId: change.itemId, status: change.status }
+    )
+  );
+
+  (order.kots || []).forEach((kot) => {
+    const label = `KOT #${kot.kotNumber}${kot.stationName ? ` (${kot.stationName})` : ""}`;
+    const event = { cancel: "kot_cancelled", moved: "kot_items_moved" }[kot.type] || "kot_printed";
+    add(kot.printedAt, event, kot.printedByActor || null, `${label}: ${describeItems(kot.items)}`, {
+      kotNumber: kot.kotNumber,
+    });
+    (kot.reprints || []).forEach((reprint) =>
+      add(reprint.printedAt, "kot_reprinted", reprint.printedByActor || null, `${label} reprinted`, {
+        kotNumber: kot.kotNumber,
+      })
+    );
+    if (kot.voidedAt) {
+      add(kot.voidedAt, "kot_voided", kot.voidedBy, `${label} voided: ${kot.voidReason}`, {
+        kotNumber: kot.kotNumber,
+      });
+    }
+  });
+
+  (order.payments || []).forEach((payment) =>
+    add(
+      payment.receivedAt,
+      "payment_recorded",
+      payment.recordedBy,
+      `${payment.method} ${payment.amount.toFixed(2)}${payment.tip > 0 ? ` + tip ${payment.tip.toFixed(2)}` : ""}`,
+      { paymentId: payment._id }
+    )
+  );
+
+  (order.discounts || []).forEach((discount) =>
+    add(discount.appliedAt, "discount_applied", discount.appliedBy, discount.name, { discountId: discount._id })
+  );
+
+  refunds.forEach((refund) =>
+    add(
+      refund.createdAt,
+      refund.type === "void" ? "order_voided" : "refund_issued",
+      refund.approvedBy,
+      `${refund.creditNoteNumber || "Refund"}: ${refund.amount.toFixed(2)} (${refund.reasonCode})`,
+      { refundId: refund._id }
+    )
+  );
+
+  return entries.sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+};
+
+// GET /api/orders/:orderId/audit - Who did what to an order: items, KOTs, status changes,
+// payments, discounts, refunds and cancellation, oldest first
+router.get("/:orderId/audit", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const refunds = await Refund.find({ orderId: order._id, restaurantId }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: buildOrderAudit(order, refunds),
+      createdBy: order.createdBy,
+      cancelledAt: order.cancelledAt,
+      cancelledBy: order.cancelledBy,
+    });
+  } catch (error) {
+    console.error("Get order audit error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching order audit trail",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// PATCH /api/orders/:orderId/status - Update order status
+router.patch("/:orderId/status", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, batchIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    // Orders only become paid through the payments ledger
+    if (status === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "Record the payment with PATCH /api/orders/:orderId/payment to mark an order paid",
+      });
+    }
+
+    const validStatuses = [
+      "pending",
+      "preparing",
+      "ready",
+      "served",
+      "cancelled",
+    ];
+    if (!status || !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Valid values: " + validStatuses.join(", "),
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Paid orders change only through a refund or void (manager approval, credit note)
+    if (order.status === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: PAID_ORDER_MESSAGE,
+      });
+    }
+
+    // Cancelled orders stay cancelled (their discount uses have been given back)
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "This order has been cancelled. Place a new order instead.",
+      });
+    }
+
+    // Pre-orders only enter the kitchen flow once released
+    if (isHeldOrder(order) && !["pending", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Release this pre-order to the kitchen before changing its status",
+      });
+    }
+
+    // If batchIds is provided, update only those batches.
+    // If not provided, update the whole order (current behavior).
+    const hasBatchSelection = Array.isArray(batchIds)
+      ? batchIds.length > 0
+      : !!batchIds;
+
+    const actor = getActor(req);
+
+    if (hasBatchSelection) {
+      const batchIdArray = Array.isArray(batchIds) ? batchIds : [batchIds];
+
+      // Ensure batchStatus map exists (for backward compatibility with old orders)
+      if (!order.batchStatus) {
+        order.batchStatus = new Map();
+        // Initialize with 'original' batch if this is an old order without batch status
+        order.batchStatus.set("original", order.status);
+      }
+
+      batchIdArray.forEach((batchId) => {
+        if (typeof batchId === "string" && batchId.trim().length > 0) {
+          order.setStatus(status, actor, { batchId });
+        }
+      });
+
+      // Optional: if all known batches share the same status, sync the order.status
+      const uniqueStatuses = new Set(order.batchStatus.values());
+      if (uniqueStatuses.size === 1) {
+        order.setStatus(status, actor, { rollUp: true });
+      }
+    } else {
+      // Update whole order + clear/overwrite batchStatus to match
+      order.setStatus(status, actor);
+      order.batchStatus = new Map();
+      order.batchStatus.set("all", status);
+    }
+
+    recordServedBy(order, req, status);
+
+    // Cancelling the order takes back everything the kitchen was sent
+    await saveWithCancellationKots(req, order, { actor, reason: "Order cancelled" });
+
+    // ...and the coupon/discount uses and pre-order slot it was holding
+    if (order.status === "cancelled") {
+      await releaseDiscountUses(order);
+      await releaseOrderSlot(order);
+    }
+
+    // A cancelled order may have been the last unsettled one of the visit
+    const settledSession = order.status === "cancelled" ? await settleTableSession(order) : null;
+
+    await order.populate("tableId", "tableName seats");
+
+    const io = req.app.get("io");
+    if (settledSession) {
+      emitTableStatus(io, settledSession.table);
+    }
+    if (io) {
+      io.to(`restaurant-${order.restaurantId.toString()}`).emit("order-status-updated", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        status: order.status,
+        orderType: order.orderType,
+        tableNumber: getOrderDestination(order),
+        timestamp: new Date(),
+      });
+
+      io.to(`order-${orderId}`).emit("order-status-changed", {
+        orderId: order._id.toString(),
+        status: order.status,
+        timestamp: new Date(),
+      });
+
+      console.log(`Emitted order-status-updated event for order ${orderId}`);
+    }
+
+    res.json({
+      success: true,
+      message: "Order status updated successfully",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Update order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating order status",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// NEW: PATCH /api/orders/:orderId/items/:itemId/status - Update specific item status
+router.patch("/:orderId/items/:itemId/status", async (req, res) => {
+  try {
+    const { orderId, itemId } = req.params;
+    const { status } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const validStatuses = [
+      "pending",
+      "preparing",
+      "ready",
+      "served",
+      "cancelled",
+    ];
+    if (!status || !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Valid values: " + validStatuses.join(", "),
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Paid orders change only through a refund or void (manager approval, credit note)
+    if (order.status === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: PAID_ORDER_MESSAGE,
+      });
+    }
+
+    // Cancelled orders stay cancelled (their discount uses have been given back)
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "This order has been cancelled. Place a new order instead.",
+      });
+    }
+
+    if (isHeldOrder(order) && !["pending", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Release this pre-order to the kitchen before changing item status",
+      });
+    }
+
+    // Find the item
+    const item = order.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in order",
+      });
+    }
+
+    // Update item status
+    const actor = getActor(req);
+    order.setStatus(status, actor, { item });
+    recordServedBy(order, req, status);
+
+    // Cancelled items drop out of the bill
+    order.recalculateBill();
+
+    // Also check if we should update parent order status
+    // If all items (that are not cancelled) have the same status, update parent
+    const activeItems = order.items.filter(i => i.status !== 'cancelled' && !i.isRemoved);
+    if (activeItems.length > 0) {
+      const allSame = activeItems.every(i => i.status === status);
+      if (allSame) {
+        order.setStatus(status, actor, { rollUp: true });
+      } else {
+        // If mixed states, logic can vary.
+        // E.g. if any is preparing, order is preparing? 
+        // For now, let's leave order status as is unless completely unified, 
+        // OR we could have a "partially_served" etc but that complicates the enum.
+        // Let's at least set to "preparing" if some are preparing/ready and order was pending.
+        if (status === 'preparing' && order.status === 'pending') {
+          order.setStatus('preparing', actor, { rollUp: true });
+        }
+      }
+    }
+
+    // A cancelled item the kitchen already has a ticket for gets a cancel KOT
+    await saveWithCancellationKots(req, order, { actor, reason: "Item cancelled" });
+
+    // Emit socket events
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("order-item-updated", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        itemId: itemId,
+        status: status,
+        orderStatus: order.status,
+        timestamp: new Date(),
+      });
+
+      // Also emit generic update to force refresh if needed
+      io.to(`restaurant-${restaurantId}`).emit("order-updated", {
+        orderId: order._id.toString(),
+        // ... simplified payload sufficient for list refresh
+        status: order.status,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Item status updated",
+      data: order
+    });
+
+  } catch (error) {
+    console.error("Update item status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating item status",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// NEW: PATCH /api/orders/:orderId/items/bulk-status - Bulk update item status
+router.patch("/:orderId/items/bulk-status", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { itemIds, status } = req.body;
+
+    console.log('\n=== BULK STATUS UPDATE DEBUG ===');
+    console.log('Order ID:', orderId);
+    console.log('Item IDs to update:', itemIds);
+    console.log('New status:', status);
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid Order ID" });
+    }
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({ success: false, message: "No items provided" });
+    }
+
+    const validStatuses = ["pending", "preparing", "ready", "served", "cancelled"];
+    if (!status || !validStatuses.includes(status)) {
+      return res.status(400).json({ success: false, message: "Invalid status" });
+    }
+
+    const restaurantId = getRestaurantId(req);
+    const order = await Order.findOne({ _id: orderId, restaurantId });
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    // Paid orders change only through a refund or void (manager approval, credit note)
+    if (order.status === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: PAID_ORDER_MESSAGE,
+      });
+    }
+
+    // Cancelled orders stay cancelled (their discount uses have been given back)
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "This order has been cancelled. Place a new order instead.",
+      });
+    }
+
+    if (isHeldOrder(order) && !["pending", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Release this pre-order to the kitchen before changing item status",
+      });
+    }
+
+    console.log('Order found with', order.items.length, 'total items');
+    console.log('Order items:', order.items.map(i => ({ _id: i._id, name: i.name, status: i.status, isRemoved: i.isRemoved })));
+
+    let updatedCount = 0;
+    const notFoundIds = [];
+    const updatedItems = [];
+    const actor = getActor(req);
+
+    itemIds.forEach(itemId => {
+      const item = order.items.id(itemId);
+      if (item) {
+        console.log(`✓ Found item ${itemId}: ${item.name} (current status: ${item.status || 'pending'})`);
+        order.setStatus(status, actor, { item });
+        updatedCount++;
+        updatedItems.push({ _id: item._id, name: item.name, newStatus: status });
+      } else {
+        console.log(`✗ Item ${itemId} NOT FOUND in order`);
+        notFoundIds.push(itemId);
+      }
+    });
+
+    console.log(`Updated ${updatedCount} items, ${notFoundIds.length} not found`);
+    if (notFoundIds.length > 0) {
+      console.log('Not found IDs:', notFoundIds);
+    }
+
+    // Parent status logic - ONLY if items were actually updated
+    if (updatedCount > 0) {
+      const activeItems = order.items.filter(i => i.status !== 'cancelled' && !i.isRemoved);
+      if (activeItems.length > 0) {
+        const allSame = activeItems.every(i => i.status === status);
+        if (allSame) {
+          console.log(`All active items are ${status}, updating order status`);
+          order.setStatus(status, actor, { rollUp: true });
+        } else if (status === 'preparing' && order.status === 'pending') {
+          console.log('Some items preparing, updating order status to preparing');
+          order.setStatus('preparing', actor, { rollUp: true });
+        }
+      }
+
+      // Cancelled items drop out of the bill
+      order.recalculateBill();
+      recordServedBy(order, req, status);
+
+      // CRITICAL FIX: Explicitly mark items array as modified
+      // Mongoose doesn't always detect changes to subdocuments via .id()
+      order.markModified('items');
+      console.log('✓ Items array marked as modified');
+    }
+
+    console.log('📝 Item statuses before save:', order.items.map(i => ({ _id: i._id, name: i.name, status: i.status })));
+
+    await saveWithCancellationKots(req, order, { actor, reason: "Item cancelled" });
+
+    console.log('Order saved successfully');
+    console.log('📝 Item statuses after save:', order.items.map(i => ({ _id: i._id, name: i.name, status: i.status })));
+
+    // Emit socket events
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("order-updated", {
+        orderId: order._id.toString(),
+        status: order.status,
+        timestamp: new Date()
+      });
+      console.log('Socket event emitted');
+    }
+
+    const responseMessage = notFoundIds.length > 0
+      ? `${updatedCount} items updated, ${notFoundIds.length} items not found`
+      : `${updatedCount} items updated`;
+
+    res.json({
+      success: true,
+      message: responseMessage,
+      data: order,
+      debug: {
+        updatedCount,
+        notFoundCount: notFoundIds.length,
+        notFoundIds: notFoundIds.length > 0 ? notFoundIds : undefined,
+        updatedItems
+      }
+    });
+
+  } catch (error) {
+    console.error("Bulk item update error:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// PATCH /api/orders/:orderId/payment - Record payment (single, partial or multi-tender)
+// Body: { paymentMethod, tip? } settles the whole balance (or a split's balance) with one method,
+//       { payments: [{ method, amount, reference, tip }], splitId? } records one or more tenders.
+// Tips are on top of the amount and go to waiterId (default: the waiter who served the table).
+// The order becomes 'paid' only once the balance reaches zero.
+router.patch("/:orderId/payment", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { paymentMethod, payments, splitId, tip, waiterId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const validPaymentMethods = ["upi", "card", "cash"];
+    let tenders;
+
+    if (Array.isArray(payments) && payments.length > 0) {
+      tenders = payments.map((payment) => ({
+        method: payment.method,
+        amount: payment.amount === undefined || payment.amount === null ? null : Number(payment.amount),
+        reference: typeof payment.reference === "string" ? payment.reference.trim() : "",
+        tip: payment.tip === undefined || payment.tip === null ? 0 : Number(payment.tip),
+      }));
+    } else if (paymentMethod) {
+      // Legacy single-method payment for the full balance
+      tenders = [{
+        method: paymentMethod,
+        amount: null,
+        reference: "",
+        tip: tip === undefined || tip === null ? 0 : Number(tip),
+      }];
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: "Provide paymentMethod or a payments array",
+      });
+    }
+
+    for (const tender of tenders) {
+      if (!validPaymentMethods.includes(tender.method)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Invalid payment method. Valid values: " +
+            validPaymentMethods.join(", "),
+        });
+      }
+      if (tender.amount !== null && (!Number.isFinite(tender.amount) || tender.amount <= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "Each payment amount must be greater than 0",
+        });
+      }
+      if (!Number.isFinite(tender.tip) || tender.tip < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Tip must be 0 or more",
+        });
+      }
+      tender.tip = round2(tender.tip);
+    }
+
+    if (tenders.filter((tender) => tender.amount === null).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Only one payment may omit its amount (it covers the remaining balance)",
+      });
+    }
+
+    if (splitId && !mongoose.Types.ObjectId.isValid(splitId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid split ID format",
+      });
+    }
+
+    if (waiterId && !mongoose.Types.ObjectId.isValid(waiterId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid waiter ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    if (waiterId) {
+      const waiter = await Staff.findOne({ _id: waiterId, restaurantId, isActive: true });
+      if (!waiter) {
+        return res.status(404).json({
+          success: false,
+          message: "Waiter not found",
+        });
+      }
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Only allow payment for served orders
+    if (order.status !== "served") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record payment. Order must be in 'served' status. Current status: ${order.status}`,
+      });
+    }
+
+    order.recalculatePayments();
+
+    let split = null;
+    if (splitId) {
+      split = order.splits.id(splitId);
+      if (!split) {
+        return res.status(404).json({
+          success: false,
+          message: "Split not found on this order",
+        });
+      }
+      if (split.status === "settled") {
+        return res.status(400).json({
+          success: false,
+          message: `${split.label} has already been settled`,
+        });
+      }
+    }
+
+    const targetBalance = split
+      ? round2(split.amount - split.amountPaid)
+      : order.balanceDue;
+
+    // A tender without an amount covers whatever is left
+    const specifiedTotal = round2(
+      tenders.reduce((sum, tender) => sum + (tender.amount || 0), 0)
+    );
+    tenders.forEach((tender) => {
+      if (tender.amount === null) {
+        tender.amount = round2(targetBalance - specifiedTotal);
+      }
+    });
+
+    if (tenders.some((tender) => tender.amount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing left to pay. Balance due: ${targetBalance.toFixed(2)}`,
+      });
+    }
+
+    const tenderTotal = round2(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    if (tenderTotal > targetBalance) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment of ${tenderTotal.toFixed(2)} exceeds the balance due of ${targetBalance.toFixed(2)}`,
+        balanceDue: targetBalance,
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const receivedAt = new Date();
+    const businessDate = getOpenBusinessDate(restaurant, receivedAt);
+    const actor = getActor(req);
+
+    // Cash goes into the open drawer (if one is open)
+    const cashSession = tenders.some((tender) => tender.method === "cash")
+      ? await CashSession.findOne({ restaurantId, status: "open" }).select("_id")
+      : null;
+
+    tenders.forEach((tender) => {
+      order.payments.push({
+        method: tender.method,
+        amount: tender.amount,
+        reference: tender.reference,
+        tip: tender.tip,
+        tipStaffId: tender.tip > 0 ? waiterId || order.servedBy || null : null,
+        splitId: split ? split._id : null,
+        businessDate,
+        cashSessionId: tender.method === "cash" && cashSession ? cashSession._id : null,
+        receivedAt,
+        recordedBy: actor,
+      });
+    });
+
+    order.recalculatePayments();
+
+    const isFullyPaid = order.balanceDue <= 0;
+    if (isFullyPaid) {
+      const methods = new Set(order.payments.map((payment) => payment.method));
+      order.setStatus("paid", actor);
+      order.paymentMethod = methods.size === 1 ? [...methods][0] : "mixed";
+      order.paymentCompletedAt = receivedAt;
+      order.paidBusinessDate = businessDate;
+    }
+
+    // Save only if no other payment landed since the order was loaded
+    // (a double-submitted tender must not be recorded twice)
+    order.increment();
+
+    // The invoice number goes out in the same save as the paid status (gap-free)
+    await saveWithInvoiceNumber(order, restaurant);
+
+    // Last order of the visit paid: the table goes to cleaning
+    const settledSession = isFullyPaid ? await settleTableSession(order) : null;
+
+    await order.populate([
+      { path: "tableId", select: "tableName seats" },
+      { path: "restaurantId", select: "restaurantName name" },
+    ]);
+
+    const io = req.app.get("io");
+    if (settledSession) {
+      emitTableStatus(io, settledSession.table);
+    }
+    if (io) {
+      if (isFullyPaid) {
+        io.to(`restaurant-${restaurantId}`).emit("order-paid", {
+          orderId: order._id.toString(),
+          orderToken: order.orderToken,
+          invoiceNumber: order.invoiceNumber,
+          status: order.status,
+          paymentMethod: order.paymentMethod,
+          tipTotal: order.tipTotal,
+          orderType: order.orderType,
+          tableNumber: getOrderDestination(order),
+          timestamp: new Date(),
+        });
+
+        console.log(`Emitted order-paid event for order ${orderId}`);
+      } else {
+        io.to(`restaurant-${restaurantId}`).emit("order-payment-recorded", {
+          orderId: order._id.toString(),
+          orderToken: order.orderToken,
+          splitId: split ? split._id.toString() : null,
+          amount: tenderTotal,
+          amountPaid: order.amountPaid,
+          tipTotal: order.tipTotal,
+          balanceDue: order.balanceDue,
+          tableNumber: getOrderDestination(order),
+          timestamp: new Date(),
+        });
+
+        console.log(`Emitted order-payment-recorded event for order ${orderId}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: isFullyPaid
+        ? "Payment recorded successfully"
+        : `Partial payment recorded. Balance due: ${order.balanceDue.toFixed(2)}`,
+      data: order,
+    });
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        success: false,
+        message: "Another payment was recorded on this order at the same time. Please reload and check the balance.",
+      });
+    }
+    console.error("Record payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while recording payment",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/orders/:orderId/discounts - Apply a discount, coupon or complimentary items
+// Body: { type: "rule", discountId, reason? }
+//    or { type: "coupon", code }
+//    or { type: "manual", valueType, value, scope?, itemIds?, name?, reason }
+//    or { type: "complimentary", itemIds, reason }
+router.post("/:orderId/discounts", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { type, discountId, code, valueType, value, scope = "order", itemIds, name } = req.body;
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const validTypes = ["rule", "coupon", "manual", "complimentary"];
+    if (!validTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid discount type. Valid values: " + validTypes.join(", "),
+      });
+    }
+
+    // Coupons can be keyed in by any staff member; everything else needs a manager
+    if (type !== "coupon" && !isManager(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner or a manager can apply this discount",
+      });
+    }
+
+    if (["manual", "complimentary"].includes(type) && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required for manual discounts and complimentary items",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const lockReason = getDiscountLockReason(order);
+    if (lockReason) {
+      return res.status(400).json({ success: false, message: lockReason });
+    }
+
+    const appliedBy = getActor(req);
+    let reservedDiscountId = null;
+    let message;
+
+    if (type === "rule" || type === "coupon") {
+      let discount = null;
+      if (type === "rule" && mongoose.Types.ObjectId.isValid(discountId)) {
+        discount = await Discount.findOne({ _id: discountId, restaurantId });
+      } else if (type === "coupon" && typeof code === "string" && code.trim()) {
+        discount = await Discount.findOne({ restaurantId, code: code.trim().toUpperCase() });
+      }
+
+      if (!discount) {
+        return res.status(404).json({
+          success: false,
+          message: type === "coupon" ? "Invalid coupon code" : "Discount not found",
+        });
+      }
+
+      const result = await applyDiscountRule(order, discount, appliedBy, reason);
+      if (!result.valid) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+      reservedDiscountId = discount._id;
+      message = result.message;
+    } else {
+      const isComplimentary = type === "complimentary";
+      const targetScope = isComplimentary ? "items" : scope;
+
+      if (!["order", "items"].includes(targetScope)) {
+        return res.status(400).json({
+          success: false,
+          message: "Scope must be 'order' or 'items'",
+        });
+      }
+
+      let targetItemIds = [];
+      if (targetScope === "items") {
+        const billableIds = order.items
+          .filter((item) => !item.isRemoved && item.status !== "cancelled")
+          .map((item) => item._id.toString());
+        if (
+          !Array.isArray(itemIds) ||
+          itemIds.length === 0 ||
+          !itemIds.every((id) => billableIds.includes(String(id)))
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "itemIds must list items on this order",
+          });
+        }
+        targetItemIds = itemIds;
+      }
+
+      const discountValue = isComplimentary ? 100 : Number(value);
+      const discountValueType = isComplimentary ? "percentage" : valueType;
+
+      if (!["percentage", "flat"].includes(discountValueType)) {
+        return res.status(400).json({
+          success: false,
+          message: "Value type must be 'percentage' or 'flat'",
+        });
+      }
+      if (
+        !Number.isFinite(discountValue) ||
+        discountValue <= 0 ||
+        (discountValueType === "percentage" && discountValue > 100)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Discount value must be greater than 0 (and at most 100 for percentages)",
+        });
+      }
+
+      const label = isComplimentary
+        ? "Complimentary"
+        : (typeof name === "string" && name.trim()) ||
+          (discountValueType === "percentage" ? `Discount ${discountValue}%` : "Discount");
+
+      order.discounts.push({
+        kind: type,
+        name: label,
+        valueType: discountValueType,
+        value: discountValue,
+        scope: targetScope,
+        itemIds: targetItemIds,
+        reason,
+        appliedBy,
+        appliedAt: new Date(),
+      });
+      message = `${label} applied`;
+    }
+
+    await saveDiscountChange(order, reservedDiscountId);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("order-discount-updated", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        discountTotal: order.bill.discountTotal,
+        grandTotal: order.bill.grandTotal,
+        timestamp: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Apply discount error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while applying discount",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// DELETE /api/orders/:orderId/discounts/:applicationId - Remove a discount from an order
+router.delete("/:orderId/discounts/:applicationId", requireManager("remove discounts"), async (req, res) => {
+  try {
+    const { orderId, applicationId } = req.params;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(orderId) ||
+      !mongoose.Types.ObjectId.isValid(applicationId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    const order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const lockReason = getDiscountLockReason(order);
+    if (lockReason) {
+      return res.status(400).json({ success: false, message: lockReason });
+    }
+
+    const application = order.discounts.id(applicationId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Discount not found on this order",
+      });
+    }
+
+    const { discountId } = application;
+    order.discounts.pull(applicationId);
+    await saveDiscountChange(order);
+
+    if (discountId) {
+      await Discount.releaseUse(discountId);
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("order-discount-updated", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        discountTotal: order.bill.discountTotal,
+        grandTotal: order.bill.grandTotal,
+        timestamp: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Discount removed",
+      data: order,
+    });
+  } catch (error) {
+    console.error("Remove discount error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while removing discount",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// Refunds are checked against amountPaid with room for float noise in the sums
+const REFUND_TOLERANCE = 0.001;
+
+// $inc for a refund's amount and item quantities (negative to give them back)
+const refundIncrements = (lines, amount, sign) => ({
+  update: {
+    $inc: {
+      refundedAmount: sign * amount,
+      ...Object.fromEntries(
+        lines.map(({ quantity }, index) => [`items.$[line${index}].refundedQuantity`, sign * quantity])
+      ),
+    },
+  },
+  arrayFilters: lines.map(({ item }, index) => ({ [`line${index}._id`]: item._id })),
+});
+
+/**
+ * Reserve a refund on the order in one conditional update, so concurrent
+ * refunds can't return more than was paid or the same items twice
+ * @param {Object} order - Order document
+ * @param {Array} lines - [{ item, quantity }]
+ * @param {Number} amount
+ * @returns {Promise<Boolean>} false when another refund got there first
+ */
+const reserveRefund = async (order, lines, amount) => {
+  const filter = {
+    _id: order._id,
+    status: "paid",
+    $expr: {
+      $lte: [
+        { $add: [{ $ifNull: ["$refundedAmount", 0] }, amount] },
+        { $add: ["$amountPaid", REFUND_TOLERANCE] },
+      ],
+    },
+  };
+  if (lines.length > 0) {
+    filter.$and = lines.map(({ item, quantity }) => ({
+      items: {
+        $elemMatch: {
+          _id: item._id,
+          $or: [
+            { refundedQuantity: { $lte: item.quantity - quantity } },
+            { refundedQuantity: null },
+          ],
+        },
+      },
+    }));
+  }
+  const { update, arrayFilters } = refundIncrements(lines, amount, 1);
+  const result = await Order.updateOne(filter, update, { arrayFilters });
+  return result.modifiedCount === 1;
+};
+
+// Give back a reservation whose credit note could not be issued
+const releaseRefund = async (order, lines, amount) => {
+  const { update, arrayFilters } = refundIncrements(lines, amount, -1);
+  await Order.updateOne({ _id: order._id }, update, { arrayFilters });
+};
+
+/**
+ * Round the refunded total and set refundStatus (and voidedAt for a full void)
+ * from what is on the order now, whichever refunds landed in between
+ * @returns {Promise<Object>} the updated Order document
+ */
+const settleRefundStatus = (order, { voidedAt = null } = {}) => {
+  const isFull = { $gte: ["$refundedAmount", "$amountPaid"] };
+  return Order.findOneAndUpdate(
+    { _id: order._id },
+    [
+      { $set: { refundedAmount: { $round: [{ $ifNull: ["$refundedAmount", 0] }, 2] } } },
+      {
+        $set: {
+          refundStatus: { $cond: [isFull, "full", "partial"] },
+          ...(voidedAt && { voidedAt: { $cond: [isFull, { $ifNull: ["$voidedAt", voidedAt] }, "$voidedAt"] } }),
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+// POST /api/orders/:orderId/refunds - Refund or void a paid order (owner or manager)
+// Body: { type: "refund" | "void", items?: [{ itemId, quantity? }], reasonCode, note?, method? }
+// Without items the whole remaining amount is refunded/voided.
+router.post("/:orderId/refunds", requireManager("approve refunds and voids"), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { type = "refund", items, reasonCode, method } = req.body;
+    const note = typeof req.body.note === "string" ? req.body.note.trim() : "";
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    if (!["refund", "void"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be 'refund' or 'void'",
+      });
+    }
+
+    const reasonCodes = Refund.schema.path("reasonCode").enumValues;
+    if (!reasonCodes.includes(reasonCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid reason code. Valid values: " + reasonCodes.join(", "),
+      });
+    }
+
+    if (reasonCode === "other" && !note) {
+      return res.status(400).json({
+        success: false,
+        message: "A note is required when the reason is 'other'",
+      });
+    }
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "items must be a non-empty array (omit it for a full refund)",
+      });
+    }
+
+    const restaurantId = getRestaurantId(req);
+
+    let order = await Order.findOne({
+      _id: orderId,
+      restaurantId: restaurantId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.status !== "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "Only paid orders can be refunded or voided. Cancel unpaid orders instead.",
+      });
+    }
+
+    const refundable = round2(order.amountPaid - (order.refundedAmount || 0));
+    if (refundable <= 0 || order.refundStatus === "full") {
+      return res.status(400).json({
+        success: false,
+        message: "This order has already been fully refunded",
+      });
+    }
+
+    // Money goes back the way it came unless told otherwise
+    let refundMethod = null;
+    if (type === "refund") {
+      refundMethod = method || (order.paymentMethod !== "mixed" ? order.paymentMethod : null);
+      if (!["upi", "card", "cash"].includes(refundMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: "Refund method is required (upi, card or cash)",
+        });
+      }
+    }
+
+    const billableItems = order.items.filter((item) => !item.isRemoved && item.status !== "cancelled");
+    let lines;
+    let amount;
+
+    if (items) {
+      const result = computeItemsRefund(order.items, order.taxConfig || {}, items, order.discounts);
+      if (result.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid refund items",
+          errors: result.errors,
+        });
+      }
+      lines = result.lines;
+      amount = Math.min(result.amount, refundable);
+    } else {
+      lines = billableItems
+        .filter((item) => item.quantity > (item.refundedQuantity || 0))
+        .map((item) => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) }));
+      amount = refundable;
+    }
+
+    const returning = new Map(lines.map(({ item, quantity }) => [item._id.toString(), quantity]));
+
+    // Once every item is back, whatever is left (rounding) goes back too
+    const everythingReturned = billableItems.every(
+      (item) => (item.refundedQuantity || 0) + (returning.get(item._id.toString()) || 0) >= item.quantity
+    );
+    if (everythingReturned) {
+      amount = refundable;
+    }
+    amount = round2(amount);
+
+    // Take the amount and items off what is left before issuing anything
+    if (!(await reserveRefund(order, lines, amount))) {
+      return res.status(409).json({
+        success: false,
+        message: "The order changed while this refund was being recorded. Please reload and try again.",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const issuedAt = new Date();
+    const actor = getActor(req);
+    const cashSession = refundMethod === "cash"
+      ? await CashSession.findOne({ restaurantId, status: "open" }).select("_id")
+      : null;
+
+    let refund;
+    try {
+      refund = new Refund({
+        restaurantId,
+        orderId: order._id,
+        orderToken: order.orderToken,
+        invoiceNumber: order.invoiceNumber,
+        type,
+        scope: items ? "items" : "full",
+        items: lines.map(({ item, quantity }) => ({
+          itemId: item._id,
+          menuItemId: item.menuItemId,
+          name: item.name,
+          quantity,
+        })),
+        amount,
+        method: refundMethod,
+        cashSessionId: refundMethod === "cash" && cashSession ? cashSession._id : null,
+        reasonCode,
+        note,
+        approvedBy: {
+          actorType: actor.actorType,
+          actorId: actor.actorId,
+          role: actor.role,
+          name: actor.name,
+        },
+        businessDate: getOpenBusinessDate(restaurant, issuedAt),
+      });
 
-        query.status = { $nin: statuses };
-      } else {
-        if (!validStatuses.includes(excludeStatus)) {
-          return res.status(400).json({
-            success: false,
-            message:
-              "Invalid excludeStatus. Valid values: " +
-              validStatuses.join(", "),
-          });
-        }
-        query.status = { $ne: excludeStatus };
-      }
+      await saveWithCreditNoteNumber(refund, restaurant, issuedAt);
+    } catch (error) {
+      await releaseRefund(order, lines, amount);
+      throw error;
     }
 
-    const orders = await Order.find(query)
-      .populate("tableId", "tableName seats")
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit));
+    order = await settleRefundStatus(order, { voidedAt: type === "void" ? issuedAt : null });
 
-    res.json({
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("order-refunded", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        refundId: refund._id.toString(),
+        creditNoteNumber: refund.creditNoteNumber,
+        type,
+        amount,
+        refundedAmount: order.refundedAmount,
+        refundStatus: order.refundStatus,
+        timestamp: new Date(),
+      });
+
+      console.log(`Emitted order-refunded event for order ${orderId}`);
+    }
+
+    res.status(201).json({
       success: true,
-      data: orders,
-      count: orders.length,
+      message: `${type === "void" ? "Void" : "Refund"} of ${amount.toFixed(2)} recorded (${refund.creditNoteNumber})`,
+      data: {
+        refund,
+        order,
+      },
     });
   } catch (error) {
-    console.error("Get table orders error:", error);
+    console.error("Refund order error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching table orders",
+      message: "Server error while recording refund",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// GET /api/orders/:orderId - Get a specific order by ID
-router.get("/:orderId", async (req, res) => {
+// GET /api/orders/:orderId/refunds - Refund/void history for an order
+router.get("/:orderId/refunds", async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -1403,36 +4504,25 @@ router.get("/:orderId", async (req, res) => {
 
     const restaurantId = getRestaurantId(req);
 
-    const order = await Order.findOne({
-      _id: orderId,
-      restaurantId: restaurantId,
-    })
-      .populate("tableId", "tableName seats")
-      .populate("items.menuItemId", "name description isVeg");
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: "Order not found",
-      });
-    }
+    const refunds = await Refund.find({ orderId, restaurantId }).sort({ createdAt: 1 });
 
     res.json({
       success: true,
-      data: order,
+      count: refunds.length,
+      data: refunds,
     });
   } catch (error) {
-    console.error("Get order error:", error);
+    console.error("Get order refunds error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching order",
+      message: "Server error while fetching refunds",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// NEW: PATCH /api/orders/:orderId/mark-seen - Mark order updates as seen
-router.patch("/:orderId/mark-seen", async (req, res) => {
+// GET /api/orders/:orderId/payments - Payments ledger, splits and balance
+router.get("/:orderId/payments", async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -1457,37 +4547,37 @@ router.patch("/:orderId/mark-seen", async (req, res) => {
       });
     }
 
-    // Clear the "new" flags from items
-    order.items = order.items.map((item) => ({
-      ...item.toObject(),
-      isNew: false,
-      isRemoved: item.isRemoved, // Keep removed items marked
-    }));
-
-    order.hasUnseenChanges = false;
-    order.lastViewedByRestaurant = new Date();
-
-    await order.save();
+    order.recalculatePayments();
 
     res.json({
       success: true,
-      message: "Order marked as seen",
-      data: order,
+      data: {
+        grandTotal: getAmountDue(order),
+        amountPaid: order.amountPaid,
+        tipTotal: order.tipTotal,
+        balanceDue: order.balanceDue,
+        paymentStatus: order.paymentStatus,
+        payments: order.payments,
+        splits: order.splits,
+      },
     });
   } catch (error) {
-    console.error("Mark order as seen error:", error);
+    console.error("Get payments error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while marking order as seen",
+      message: "Server error while fetching payments",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// NEW: GET /api/orders/:orderId/history - Get update history for an order
-router.get("/:orderId/history", async (req, res) => {
+// POST /api/orders/:orderId/split - Split the bill into settlement records
+// Body: { type: "equal", parts: 3 }
+//    or { type: "items", groups: [{ label, items: [{ itemId, quantity }] }] }
+router.post("/:orderId/split", async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { type, parts, groups } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
@@ -1496,12 +4586,19 @@ router.get("/:orderId/history", async (req, res) => {
       });
     }
 
+    if (!["equal", "items"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid split type. Valid values: equal, items",
+      });
+    }
+
     const restaurantId = getRestaurantId(req);
 
     const order = await Order.findOne({
       _id: orderId,
       restaurantId: restaurantId,
-    }).select("updateHistory");
+    });
 
     if (!order) {
       return res.status(404).json({
@@ -1510,25 +4607,94 @@ router.get("/:orderId/history", async (req, res) => {
       });
     }
 
+    if (["paid", "cancelled"].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot split a ${order.status} order`,
+      });
+    }
+
+    if (order.payments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot split the bill after payments have been recorded",
+      });
+    }
+
+    order.recalculateBill();
+    const grandTotal = getAmountDue(order);
+    let splits;
+
+    if (type === "equal") {
+      const shareCount = parseInt(parts);
+      if (!Number.isInteger(shareCount) || shareCount < 2 || shareCount > 50) {
+        return res.status(400).json({
+          success: false,
+          message: "Equal splits need between 2 and 50 parts",
+        });
+      }
+      splits = computeEqualSplits(grandTotal, shareCount);
+    } else {
+      if (!Array.isArray(groups) || groups.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Item splits need at least one group of items",
+        });
+      }
+
+      const result = computeItemSplits(
+        order.items,
+        order.taxConfig || {},
+        groups,
+        grandTotal,
+        order.discounts || []
+      );
+      if (result.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid item split",
+          errors: result.errors,
+        });
+      }
+      splits = result.splits;
+    }
+
+    order.splits = splits;
+    order.recalculatePayments();
+    await order.save();
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`restaurant-${restaurantId}`).emit("order-split-updated", {
+        orderId: order._id.toString(),
+        orderToken: order.orderToken,
+        splitCount: order.splits.length,
+        timestamp: new Date(),
+      });
+    }
+
     res.json({
       success: true,
-      data: order.updateHistory || [],
+      message: `Bill split into ${order.splits.length} parts`,
+      data: {
+        grandTotal,
+        splits: order.splits,
+      },
     });
   } catch (error) {
-    console.error("Get order history error:", error);
+    console.error("Split bill error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching order history",
+      message: "Server error while splitting bill",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// PATCH /api/orders/:orderId/status - Update order status
-router.patch("/:orderId/status", async (req, res) => {
+// DELETE /api/orders/:orderId/split - Remove bill splits (only before any split is paid)
+router.delete("/:orderId/split", async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status, batchIds } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
@@ -1537,21 +4703,6 @@ router.patch("/:orderId/status", async (req, res) => {
       });
     }
 
-    const validStatuses = [
-      "pending",
-      "preparing",
-      "ready",
-      "served",
-      "paid",
-      "cancelled",
-    ];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status. Valid values: " + validStatuses.join(", "),
-      });
-    }
-
     const restaurantId = getRestaurantId(req);
 
     const order = await Order.findOne({
@@ -1566,111 +4717,77 @@ router.patch("/:orderId/status", async (req, res) => {
       });
     }
 
-    // If batchIds is provided, update only those batches.
-    // If not provided, update the whole order (current behavior).
-    const hasBatchSelection = Array.isArray(batchIds)
-      ? batchIds.length > 0
-      : !!batchIds;
-
-    if (hasBatchSelection) {
-      const batchIdArray = Array.isArray(batchIds) ? batchIds : [batchIds];
-
-      // Ensure batchStatus map exists (for backward compatibility with old orders)
-      if (!order.batchStatus) {
-        order.batchStatus = new Map();
-        // Initialize with 'original' batch if this is an old order without batch status
-        order.batchStatus.set("original", order.status);
-      }
-
-      batchIdArray.forEach((batchId) => {
-        if (typeof batchId === "string" && batchId.trim().length > 0) {
-          order.batchStatus.set(batchId, status);
-        }
+    if (order.payments.some((payment) => payment.splitId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot remove splits after split payments have been recorded",
       });
-
-      // Optional: if all known batches share the same status, sync the order.status
-      const uniqueStatuses = new Set(order.batchStatus.values());
-      if (uniqueStatuses.size === 1) {
-        order.status = status;
-      }
-    } else {
-      // Update whole order + clear/overwrite batchStatus to match
-      order.status = status;
-      order.batchStatus = new Map();
-      order.batchStatus.set("all", status);
     }
 
+    order.splits = [];
     await order.save();
 
-    await order.populate("tableId", "tableName seats");
-
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`restaurant-${order.restaurantId.toString()}`).emit("order-status-updated", {
-        orderId: order._id.toString(),
-        status: order.status,
-        orderType: order.orderType,
-        tableNumber: order.tableId.tableName,
-        timestamp: new Date(),
-      });
-
-      io.to(`order-${orderId}`).emit("order-status-changed", {
-        orderId: order._id.toString(),
-        status: order.status,
-        timestamp: new Date(),
-      });
-
-      console.log(`Emitted order-status-updated event for order ${orderId}`);
-    }
-
     res.json({
       success: true,
-      message: "Order status updated successfully",
+      message: "Bill splits removed",
       data: order,
     });
   } catch (error) {
-    console.error("Update order status error:", error);
+    console.error("Remove split error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while updating order status",
+      message: "Server error while removing bill splits",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// NEW: PATCH /api/orders/:orderId/items/:itemId/status - Update specific item status
-router.patch("/:orderId/items/:itemId/status", async (req, res) => {
-  try {
-    const { orderId, itemId } = req.params;
-    const { status } = req.body;
+// ============= TABLE TRANSFER, MERGE AND ITEM SPLIT =============
 
-    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(itemId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid ID format",
-      });
-    }
+// Load a table of the restaurant that can receive guests (area open or table already seated)
+// Returns { table, error: { status, message, code? } }
+const findReceivingTable = async (tableId, restaurant) => {
+  if (!mongoose.Types.ObjectId.isValid(tableId)) {
+    return { table: null, error: { status: 400, message: "Invalid table ID format" } };
+  }
 
-    const validStatuses = [
-      "pending",
-      "preparing",
-      "ready",
-      "served",
-      "cancelled",
-    ];
-    if (!status || !validStatuses.includes(status)) {
+  const table = await Table.findOne({
+    _id: tableId,
+    restaurantId: restaurant._id,
+    isActive: true,
+  });
+  if (!table) {
+    return { table: null, error: { status: 404, message: "Table not found or inactive" } };
+  }
+
+  const closedArea = table.currentSessionId ? null : await findClosedArea(table, restaurant);
+  if (closedArea) {
+    return {
+      table: null,
+      error: { status: 409, code: "AREA_CLOSED", message: `${closedArea.name} is closed today` },
+    };
+  }
+
+  return { table, error: null };
+};
+
+// POST /api/orders/:orderId/transfer - Move an active order to another table
+// Body: { toTableId }
+router.post("/:orderId/transfer", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { toTableId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid status. Valid values: " + validStatuses.join(", "),
+        message: "Invalid order ID format",
       });
     }
 
     const restaurantId = getRestaurantId(req);
-
-    const order = await Order.findOne({
-      _id: orderId,
-      restaurantId: restaurantId,
-    });
+    const actor = getActor(req);
+    const order = await Order.findOne({ _id: orderId, restaurantId });
 
     if (!order) {
       return res.status(404).json({
@@ -1679,196 +4796,339 @@ router.patch("/:orderId/items/:itemId/status", async (req, res) => {
       });
     }
 
-    // Find the item
-    const item = order.items.id(itemId);
-    if (!item) {
-      return res.status(404).json({
+    if (!UNSETTLED_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({
         success: false,
-        message: "Item not found in order",
+        message: `Only active orders can be moved. This order is ${order.status}.`,
       });
     }
 
-    // Update item status
-    item.status = status;
-
-    // Also check if we should update parent order status
-    // If all items (that are not cancelled) have the same status, update parent
-    const activeItems = order.items.filter(i => i.status !== 'cancelled' && !i.isRemoved);
-    if (activeItems.length > 0) {
-      const allSame = activeItems.every(i => i.status === status);
-      if (allSame) {
-        order.status = status;
-      } else {
-        // If mixed states, logic can vary.
-        // E.g. if any is preparing, order is preparing? 
-        // For now, let's leave order status as is unless completely unified, 
-        // OR we could have a "partially_served" etc but that complicates the enum.
-        // Let's at least set to "preparing" if some are preparing/ready and order was pending.
-        if (status === 'preparing' && order.status === 'pending') {
-          order.status = 'preparing';
-        }
-      }
+    if (!order.tableId) {
+      return res.status(400).json({
+        success: false,
+        message: `This is a ${order.orderType} order with no table to move from`,
+      });
     }
 
+    if (order.tableId.toString() === String(toTableId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Order is already on this table",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const { table: toTable, error } = await findReceivingTable(toTableId, restaurant);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    const fromTable = await Table.findById(order.tableId);
+    const fromTableName = fromTable ? fromTable.tableName : "previous table";
+    const oldSession = order.tableSessionId ? await TableSession.findById(order.tableSessionId) : null;
+
+    // Guests take their covers and waiter with them
+    const released = await releaseOrderFromSession(order, {
+      reason: "transferred",
+      closedBy: actor,
+    });
+    const { session: newSession } = await openTableSession(toTable, {
+      covers: oldSession ? oldSession.covers : null,
+      waiterId: (oldSession && oldSession.waiterId) || order.servedBy || null,
+      openedBy: actor,
+      status: "occupied",
+    });
+
+    order.tableId = toTable._id;
+    order.tableSessionId = newSession._id;
+    order.updateHistory.push({
+      timestamp: new Date(),
+      changeType: "table_transferred",
+      itemName: toTable.tableName,
+      changedBy: actor.actorType,
+      actor,
+      details: `Moved from ${fromTableName} to ${toTable.tableName}`,
+    });
+    order.hasUnseenChanges = true;
     await order.save();
 
-    // Emit socket events
+    await recordSessionOrder(newSession, toTable, order);
+
+    await order.populate([
+      { path: "tableId", select: "tableName seats" },
+      { path: "restaurantId", select: "restaurantName name" },
+    ]);
+
     const io = req.app.get("io");
+    if (released) {
+      emitTableStatus(io, released.table, released.session);
+    }
+    emitTableStatus(io, toTable, newSession);
     if (io) {
-      io.to(`restaurant-${restaurantId}`).emit("order-item-updated", {
+      io.to(`restaurant-${restaurantId}`).emit("order-transferred", {
         orderId: order._id.toString(),
-        itemId: itemId,
-        status: status,
-        orderStatus: order.status,
+        orderToken: order.orderToken,
+        fromTableId: fromTable ? fromTable._id.toString() : null,
+        fromTableNumber: fromTableName,
+        toTableId: toTable._id.toString(),
+        toTableNumber: toTable.tableName,
         timestamp: new Date(),
       });
 
-      // Also emit generic update to force refresh if needed
-      io.to(`restaurant-${restaurantId}`).emit("order-updated", {
+      io.to(`order-${orderId}`).emit("order-table-changed", {
         orderId: order._id.toString(),
-        // ... simplified payload sufficient for list refresh
-        status: order.status,
-        timestamp: new Date()
+        tableId: toTable._id.toString(),
+        tableNumber: toTable.tableName,
+        timestamp: new Date(),
       });
+
+      console.log(`Emitted order-transferred event for order ${orderId}`);
     }
 
     res.json({
       success: true,
-      message: "Item status updated",
-      data: order
+      message: `Order moved from ${fromTableName} to ${toTable.tableName}`,
+      data: order,
     });
-
   } catch (error) {
-    console.error("Update item status error:", error);
+    console.error("Transfer order error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while updating item status",
+      message: "Server error while transferring order",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
 });
 
-// NEW: PATCH /api/orders/:orderId/items/bulk-status - Bulk update item status
-router.patch("/:orderId/items/bulk-status", async (req, res) => {
+// POST /api/orders/:orderId/merge - Fold other open orders (or every open order of some tables) into this bill
+// Body: { orderIds?: [], tableIds?: [] }
+router.post("/:orderId/merge", async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { itemIds, status } = req.body;
-
-    console.log('\n=== BULK STATUS UPDATE DEBUG ===');
-    console.log('Order ID:', orderId);
-    console.log('Item IDs to update:', itemIds);
-    console.log('New status:', status);
+    const orderIds = Array.isArray(req.body.orderIds) ? req.body.orderIds.map(String) : [];
+    const tableIds = Array.isArray(req.body.tableIds) ? req.body.tableIds.map(String) : [];
 
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
-      return res.status(400).json({ success: false, message: "Invalid Order ID" });
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
     }
 
-    if (!Array.isArray(itemIds) || itemIds.length === 0) {
-      return res.status(400).json({ success: false, message: "No items provided" });
+    if (orderIds.length === 0 && tableIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide orderIds or tableIds to merge",
+      });
     }
 
-    const validStatuses = ["pending", "preparing", "ready", "served", "cancelled"];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: "Invalid status" });
+    if ([...orderIds, ...tableIds].some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order or table ID format",
+      });
     }
 
     const restaurantId = getRestaurantId(req);
-    const order = await Order.findOne({ _id: orderId, restaurantId });
+    const actor = getActor(req);
+    const target = await Order.findOne({ _id: orderId, restaurantId });
 
-    if (!order) {
-      return res.status(404).json({ success: false, message: "Order not found" });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
     }
 
-    console.log('Order found with', order.items.length, 'total items');
-    console.log('Order items:', order.items.map(i => ({ _id: i._id, name: i.name, status: i.status, isRemoved: i.isRemoved })));
+    if (!UNSETTLED_ORDER_STATUSES.includes(target.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only active orders can receive a merge. This order is ${target.status}.`,
+      });
+    }
 
-    let updatedCount = 0;
-    const notFoundIds = [];
-    const updatedItems = [];
+    if ((target.splits || []).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This bill has been split. Remove the split before merging.",
+      });
+    }
 
-    itemIds.forEach(itemId => {
-      const item = order.items.id(itemId);
-      if (item) {
-        console.log(`✓ Found item ${itemId}: ${item.name} (current status: ${item.status || 'pending'})`);
-        item.status = status;
-        updatedCount++;
-        updatedItems.push({ _id: item._id, name: item.name, newStatus: status });
-      } else {
-        console.log(`✗ Item ${itemId} NOT FOUND in order`);
-        notFoundIds.push(itemId);
-      }
-    });
+    if (!target.tableId) {
+      return res.status(400).json({
+        success: false,
+        message: `Only dine-in orders can be merged. This is a ${target.orderType} order.`,
+      });
+    }
 
-    console.log(`Updated ${updatedCount} items, ${notFoundIds.length} not found`);
-    if (notFoundIds.length > 0) {
-      console.log('Not found IDs:', notFoundIds);
+    const sources = await Order.find({
+      restaurantId,
+      _id: { $ne: target._id },
+      $or: [
+        { _id: { $in: orderIds } },
+        { tableId: { $in: tableIds }, status: { $in: UNSETTLED_ORDER_STATUSES } },
+      ],
+    }).sort({ createdAt: 1 });
+
+    const foundIds = new Set(sources.map((source) => source._id.toString()));
+    const missing = orderIds.filter((id) => id !== orderId && !foundIds.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more orders not found",
+        missingOrders: missing,
+      });
     }
 
-    // Parent status logic - ONLY if items were actually updated
-    if (updatedCount > 0) {
-      const activeItems = order.items.filter(i => i.status !== 'cancelled' && !i.isRemoved);
-      if (activeItems.length > 0) {
-        const allSame = activeItems.every(i => i.status === status);
-        if (allSame) {
-          console.log(`All active items are ${status}, updating order status`);
-          order.status = status;
-        } else if (status === 'preparing' && order.status === 'pending') {
-          console.log('Some items preparing, updating order status to preparing');
-          order.status = 'preparing';
-        }
-      }
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No other open orders to merge",
+      });
+    }
 
-      // CRITICAL FIX: Explicitly mark items array as modified
-      // Mongoose doesn't always detect changes to subdocuments via .id()
-      order.markModified('items');
-      console.log('✓ Items array marked as modified');
+    for (const source of sources) {
+      const lockReason = getItemMoveLockReason(source);
+      if (lockReason) {
+        return res.status(400).json({
+          success: false,
+          message: `${lockReason}. It cannot be merged.`,
+        });
+      }
     }
 
-    console.log('📝 Item statuses before save:', order.items.map(i => ({ _id: i._id, name: i.name, status: i.status })));
+    const tables = await Table.find({
+      _id: { $in: [target.tableId, ...sources.map((source) => source.tableId)] },
+    }).select("tableName");
+    const tableNames = new Map(tables.map((table) => [table._id.toString(), table.tableName]));
+    const targetTableName = tableNames.get(target.tableId.toString()) || "table";
+
+    const statuses = [target.status, ...sources.map((source) => source.status)];
+    let lastKotNumber = getLastKotNumber(target);
+    const mergedHistory = [...target.updateHistory.map((entry) => entry.toObject())];
+    const instructions = [target.specialInstructions].filter(Boolean);
+
+    sources.forEach((source) => {
+      const sourceLabel = getOrderLabel(source);
+      const sourceTableName = tableNames.get(source.tableId.toString()) || "table";
+
+      // Lines keep their _id so the carried KOTs still point at them
+      source.items.forEach((item) => target.items.push(item.toObject()));
+      source.kots.forEach((kot) => {
+        lastKotNumber += 1;
+        target.kots.push({ ...kot.toObject(), kotNumber: lastKotNumber });
+      });
+      if (source.batchStatus) {
+        source.batchStatus.forEach((value, key) => {
+          target.batchStatus.set(`merged-${sourceLabel}-${key}`, value);
+        });
+      }
+      if (source.specialInstructions) {
+        instructions.push(source.specialInstructions);
+      }
 
-    await order.save();
+      mergedHistory.push(...source.updateHistory.map((entry) => entry.toObject()), {
+        timestamp: new Date(),
+        changeType: "order_merged",
+        itemName: sourceLabel,
+        changedBy: actor.actorType,
+        actor,
+        details: `Merged order ${sourceLabel} from ${sourceTableName} (${source.items.filter((item) => !item.isRemoved).length} items)`,
+      });
 
-    console.log('Order saved successfully');
-    console.log('📝 Item statuses after save:', order.items.map(i => ({ _id: i._id, name: i.name, status: i.status })));
+      source.setStatus("cancelled", actor, { reason: `Merged into order ${getOrderLabel(target)}` });
+      source.mergedIntoOrderId = target._id;
+      source.updateHistory.push({
+        timestamp: new Date(),
+        changeType: "order_merged",
+        itemName: getOrderLabel(target),
+        changedBy: actor.actorType,
+        actor,
+        details: `Merged into order ${getOrderLabel(target)} on ${targetTableName}`,
+      });
+    });
+
+    target.updateHistory = mergedHistory.sort(
+      (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+    );
+    target.specialInstructions = instructions.join(" | ").slice(0, 500);
+    target.setStatus(getLeastAdvancedStatus(statuses), actor, { reason: "Orders merged", rollUp: true });
+    target.isUpdated = true;
+    target.updateCount = (target.updateCount || 0) + 1;
+    target.hasUnseenChanges = true;
+    target.recalculateBill();
+
+    await target.save();
+    await Promise.all(sources.map((source) => source.save()));
+
+    // Source tables whose guests joined this bill are released
+    const releasedSessions = [];
+    for (const source of sources) {
+      if (source.tableSessionId && String(source.tableSessionId) !== String(target.tableSessionId)) {
+        const released = await releaseOrderFromSession(source, {
+          reason: "merged",
+          closedBy: actor,
+        });
+        if (released) releasedSessions.push(released);
+      }
+    }
+
+    await target.populate([
+      { path: "tableId", select: "tableName seats" },
+      { path: "restaurantId", select: "restaurantName name" },
+    ]);
 
-    // Emit socket events
     const io = req.app.get("io");
+    releasedSessions.forEach(({ table, session }) => emitTableStatus(io, table, session));
     if (io) {
-      io.to(`restaurant-${restaurantId}`).emit("order-updated", {
-        orderId: order._id.toString(),
-        status: order.status,
-        timestamp: new Date()
+      io.to(`restaurant-${restaurantId}`).emit("orders-merged", {
+        orderId: target._id.toString(),
+        orderToken: target.orderToken,
+        tableNumber: targetTableName,
+        mergedOrderIds: sources.map((source) => source._id.toString()),
+        mergedTables: [...new Set(sources.map((source) => tableNames.get(source.tableId.toString())))],
+        grandTotal: target.bill?.grandTotal,
+        timestamp: new Date(),
       });
-      console.log('Socket event emitted');
-    }
 
-    const responseMessage = notFoundIds.length > 0
-      ? `${updatedCount} items updated, ${notFoundIds.length} items not found`
-      : `${updatedCount} items updated`;
+      sources.forEach((source) => {
+        io.to(`order-${source._id}`).emit("order-merged", {
+          orderId: source._id.toString(),
+          mergedIntoOrderId: target._id.toString(),
+          tableNumber: targetTableName,
+          timestamp: new Date(),
+        });
+      });
+
+      console.log(`Emitted orders-merged event for order ${orderId}`);
+    }
 
     res.json({
       success: true,
-      message: responseMessage,
-      data: order,
-      debug: {
-        updatedCount,
-        notFoundCount: notFoundIds.length,
-        notFoundIds: notFoundIds.length > 0 ? notFoundIds : undefined,
-        updatedItems
-      }
+      message: `Merged ${sources.length} order(s) into ${getOrderLabel(target)}`,
+      data: target,
+      mergedOrderIds: sources.map((source) => source._id),
     });
-
   } catch (error) {
-    console.error("Bulk item update error:", error);
-    res.status(500).json({ success: false, message: "Server error", error: error.message });
+    console.error("Merge orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while merging orders",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
   }
 });
 
-// PATCH /api/orders/:orderId/payment - Mark order as paid with payment method
-router.patch("/:orderId/payment", async (req, res) => {
+// POST /api/orders/:orderId/split-items - Move some items onto a new order (same or another table)
+// Body: { items: [{ itemId, quantity? }], toTableId?, customerName? }
+router.post("/:orderId/split-items", async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { paymentMethod } = req.body;
+    const { items: selections, toTableId, customerName } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
@@ -1877,22 +5137,16 @@ router.patch("/:orderId/payment", async (req, res) => {
       });
     }
 
-    const validPaymentMethods = ["upi", "card", "cash"];
-    if (!paymentMethod || !validPaymentMethods.includes(paymentMethod)) {
+    if (!Array.isArray(selections) || selections.length === 0) {
       return res.status(400).json({
         success: false,
-        message:
-          "Invalid payment method. Valid values: " +
-          validPaymentMethods.join(", "),
+        message: "Select at least one item to move",
       });
     }
 
     const restaurantId = getRestaurantId(req);
-
-    const order = await Order.findOne({
-      _id: orderId,
-      restaurantId: restaurantId,
-    });
+    const actor = getActor(req);
+    const order = await Order.findOne({ _id: orderId, restaurantId });
 
     if (!order) {
       return res.status(404).json({
@@ -1901,48 +5155,231 @@ router.patch("/:orderId/payment", async (req, res) => {
       });
     }
 
-    // Only allow payment for served orders
-    if (order.status !== "served") {
+    const lockReason = getItemMoveLockReason(order);
+    if (lockReason) {
+      return res.status(400).json({
+        success: false,
+        message: `${lockReason}. Items cannot be moved.`,
+      });
+    }
+
+    // Resolve selections against billable lines
+    const moves = new Map();
+    for (const selection of selections) {
+      const line = selection && order.items.id(selection.itemId);
+      if (!line || line.isRemoved || line.status === "cancelled") {
+        return res.status(400).json({
+          success: false,
+          message: "Item not found on this order",
+          itemId: selection ? selection.itemId : null,
+        });
+      }
+      const quantity = selection.quantity === undefined ? line.quantity : Number(selection.quantity);
+      const alreadySelected = moves.has(line._id.toString()) ? moves.get(line._id.toString()).quantity : 0;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity + alreadySelected > line.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity to move for ${line.name} must be between 1 and ${line.quantity}`,
+        });
+      }
+      moves.set(line._id.toString(), { line, quantity: quantity + alreadySelected });
+    }
+
+    const billableLines = order.items.filter((item) => !item.isRemoved && item.status !== "cancelled");
+    const movesEverything = billableLines.every((item) => {
+      const move = moves.get(item._id.toString());
+      return move && move.quantity === item.quantity;
+    });
+    if (movesEverything) {
       return res.status(400).json({
         success: false,
-        message: `Cannot mark order as paid. Order must be in 'served' status. Current status: ${order.status}`,
+        message: "At least one item must stay on the order. Use transfer to move the whole order.",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const sameTable = !toTableId || String(toTableId) === order.tableId.toString();
+    let toTable;
+    if (sameTable) {
+      toTable = await Table.findById(order.tableId);
+    } else {
+      const receiving = await findReceivingTable(toTableId, restaurant);
+      if (receiving.error) {
+        return res.status(receiving.error.status).json({
+          success: false,
+          message: receiving.error.message,
+          ...(receiving.error.code && { code: receiving.error.code }),
+        });
+      }
+      toTable = receiving.table;
+    }
+
+    // Build the new lines; whole lines keep their _id, partial ones get a new line
+    const printed = getPrintedQuantities(order.kots);
+    const kotLineMap = new Map();
+    const newLines = [];
+    const sourceHistory = [];
+    const newHistory = [];
+    const { orderNumber, orderToken, businessDate } = await nextOrderToken(restaurant);
+    const newLabel = orderToken || "new order";
+    const sourceLabel = getOrderLabel(order);
+
+    moves.forEach(({ line, quantity }, lineId) => {
+      const lineQuantity = line.quantity;
+      const movesWholeLine = quantity === lineQuantity;
+      const newLine = {
+        ...line.toObject(),
+        _id: movesWholeLine ? line._id : new mongoose.Types.ObjectId(),
+        quantity,
+        isNew: false,
+        refundedQuantity: 0,
+      };
+      newLines.push(newLine);
+
+      // Printed units stay with the source line first; only the overflow travels
+      const carriedQuantity = Math.max(0, (printed.get(lineId) || 0) - (lineQuantity - quantity));
+      if (carriedQuantity > 0) {
+        kotLineMap.set(lineId, { itemId: newLine._id, quantity: carriedQuantity });
+      }
+
+      if (movesWholeLine) {
+        order.items.pull(line._id);
+      } else {
+        line.quantity = lineQuantity - quantity;
+      }
+
+      sourceHistory.push({
+        timestamp: new Date(),
+        changeType: "item_moved",
+        itemName: line.name,
+        oldQuantity: lineQuantity,
+        newQuantity: lineQuantity - quantity,
+        changedBy: actor.actorType,
+        actor,
+        details: `Moved ${quantity}x ${line.name} to order ${newLabel} on ${toTable.tableName}`,
+      });
+      newHistory.push({
+        timestamp: new Date(),
+        changeType: "item_moved",
+        itemName: line.name,
+        oldQuantity: null,
+        newQuantity: quantity,
+        changedBy: actor.actorType,
+        actor,
+        details: `Moved ${quantity}x ${line.name} from order ${sourceLabel}`,
+      });
+    });
+
+    const newStatus = getLeastAdvancedStatus(newLines.map((line) => line.status));
+    const newOrder = new Order({
+      tableId: toTable._id,
+      restaurantId,
+      orderNumber,
+      orderToken,
+      businessDate,
+      customerName: (typeof customerName === "string" && customerName.trim()) || order.customerName,
+      orderType: order.orderType,
+      items: newLines,
+      totalPrice: 0,
+      status: newStatus,
+      batchStatus: new Map([["original", newStatus]]),
+      // Same frozen rates as the bill the items came from
+      taxConfig: order.taxConfig ? order.taxConfig.toObject() : buildTaxConfig(restaurant),
+      servedBy: order.servedBy,
+      createdBy: actor,
+      splitFromOrderId: order._id,
+      updateHistory: [...order.updateHistory.map((entry) => entry.toObject()), ...newHistory],
+      kots: carryKotHistory(order.kots, kotLineMap),
+    });
+
+    // Same table: same visit. Another table: that table's visit
+    let session;
+    if (sameTable && order.tableSessionId) {
+      session = await TableSession.findOne({ _id: order.tableSessionId, status: "open" });
+    }
+    if (!session) {
+      ({ session } = await openTableSession(toTable, {
+        waiterId: order.servedBy,
+        openedBy: actor,
+        status: "occupied",
+      }));
+    }
+    newOrder.tableSessionId = session._id;
+    newOrder.recalculateBill();
+
+    // The new order carries these printed quantities now, so they are netted out here
+    if (kotLineMap.size > 0) {
+      order.kots.push({
+        kotNumber: getLastKotNumber(order) + 1,
+        type: "moved",
+        orderToken: order.orderToken,
+        items: [...kotLineMap].map(([lineId, { quantity }]) => ({
+          itemId: lineId,
+          name: moves.get(lineId).line.name,
+          quantity,
+          addons: moves.get(lineId).line.addons,
+        })),
+        reason: `Moved to order ${newLabel}`,
+        printedBy: getActorLabel(actor),
+        printedByActor: actor,
       });
     }
 
-    order.status = "paid";
-    order.paymentMethod = paymentMethod;
-    order.paymentCompletedAt = new Date();
+    order.updateHistory.push(...sourceHistory);
+    order.isUpdated = true;
+    order.updateCount = (order.updateCount || 0) + 1;
+    order.hasUnseenChanges = true;
+    order.recalculateBill();
+
+    await newOrder.save();
     await order.save();
+    await recordSessionOrder(session, toTable, newOrder);
 
-    await order.populate([
-      { path: "tableId", select: "tableName seats" },
-      { path: "restaurantId", select: "restaurantName name" },
-    ]);
+    await Promise.all(
+      [order, newOrder].map((doc) =>
+        doc.populate([
+          { path: "tableId", select: "tableName seats" },
+          { path: "restaurantId", select: "restaurantName name" },
+        ])
+      )
+    );
 
     const io = req.app.get("io");
+    emitTableStatus(io, toTable, session);
     if (io) {
-      io.to(`restaurant-${order.restaurantId.toString()}`).emit("order-paid", {
+      io.to(`restaurant-${restaurantId}`).emit("order-items-split", {
         orderId: order._id.toString(),
-        status: order.status,
-        paymentMethod: order.paymentMethod,
-        orderType: order.orderType,
-        tableNumber: order.tableId.tableName,
+        orderToken: order.orderToken,
+        tableNumber: getOrderDestination(order),
+        newOrderId: newOrder._id.toString(),
+        newOrderToken: newOrder.orderToken,
+        newTableNumber: toTable.tableName,
+        items: newLines.map((line) => ({ name: line.name, quantity: line.quantity })),
+        timestamp: new Date(),
+      });
+
+      io.to(`order-${orderId}`).emit("order-items-moved", {
+        orderId: order._id.toString(),
+        newOrderId: newOrder._id.toString(),
         timestamp: new Date(),
       });
 
-      console.log(`Emitted order-paid event for order ${orderId}`);
+      console.log(`Emitted order-items-split event for order ${orderId}`);
     }
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: "Payment recorded successfully",
-      data: order,
+      message: `Moved ${newLines.length} item(s) to order ${newLabel}`,
+      data: {
+        sourceOrder: order,
+        newOrder,
+      },
     });
   } catch (error) {
-    console.error("Record payment error:", error);
+    console.error("Split order items error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while recording payment",
+      message: "Server error while moving items",
       ...(process.env.NODE_ENV === "development" && { error: error.message }),
     });
   }
@@ -1981,13 +5418,22 @@ router.delete("/:orderId", async (req, res) => {
       });
     }
 
-    order.status = "cancelled";
-    await order.save();
+    const actor = getActor(req);
+    order.setStatus("cancelled", actor);
+    await saveWithCancellationKots(req, order, { actor, reason: "Order cancelled" });
+    await releaseDiscountUses(order);
+    await releaseOrderSlot(order);
+
+    const settledSession = await settleTableSession(order);
 
     const io = req.app.get("io");
+    if (settledSession) {
+      emitTableStatus(io, settledSession.table);
+    }
     if (io) {
       io.to(`restaurant-${order.restaurantId.toString()}`).emit("order-cancelled", {
         orderId: order._id.toString(),
+        orderToken: order.orderToken,
         orderType: order.orderType,
         timestamp: new Date(),
       });
@@ -0,0 +1,305 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const PrintJob = require("../models/PrintJob");
+const Restaurant = require("../models/Restaurant");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireManager } = require("../middleware/managerMiddleware");
+const { PAPER_WIDTHS, center } = require("../utils/receipt");
+const { encodeEscPos } = require("../utils/escpos");
+const {
+  printAgentRoom,
+  getPrinterSettings,
+  findPrinter,
+  signAgentKey,
+  serializeJob,
+  enqueuePrintJob,
+  requeuePrintJob,
+} = require("../utils/printing");
+
+// All printing routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+// Print agent keys are handed out by the owner or a manager
+const managerOnly = requireManager("manage print agents");
+
+const JOB_STATUSES = ["queued", "claimed", "printed", "failed", "cancelled"];
+
+const findJob = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    return null;
+  }
+  return PrintJob.findOne({ _id: req.params.jobId, restaurantId: getRestaurantId(req) });
+};
+
+/**
+ * @route   GET /api/printing/jobs?status=&printerName=&limit=
+ * @desc    Recent print jobs, newest first
+ * @access  Private (Owner, Staff)
+ */
+router.get("/jobs", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const { status, printerName } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Valid values: " + JOB_STATUSES.join(", "),
+      });
+    }
+
+    const jobs = await PrintJob.find({
+      restaurantId,
+      ...(status && { status }),
+      ...(printerName && { printerName }),
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: jobs.map(serializeJob),
+      count: jobs.length,
+    });
+  } catch (error) {
+    console.error("Get print jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching print jobs",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/printing/jobs/:jobId/retry
+ * @desc    Queue a failed or cancelled job again
+ * @access  Private (Owner, Staff)
+ */
+router.post("/jobs/:jobId/retry", async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Print job not found",
+      });
+    }
+
+    if (!["failed", "cancelled"].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only failed or cancelled jobs can be retried. This job is ${job.status}`,
+      });
+    }
+
+    await requeuePrintJob(req.app.get("io"), job);
+
+    res.json({
+      success: true,
+      message: "Print job queued again",
+      data: serializeJob(job),
+    });
+  } catch (error) {
+    console.error("Retry print job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while retrying print job",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/printing/jobs/:jobId/cancel
+ * @desc    Drop a job that has not been printed yet
+ * @access  Private (Owner, Staff)
+ */
+router.post("/jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Print job not found",
+      });
+    }
+
+    if (["printed", "cancelled"].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Print job is already ${job.status}`,
+      });
+    }
+
+    job.status = "cancelled";
+    job.claimedBy = null;
+    job.leaseExpiresAt = null;
+    await job.save();
+
+    res.json({
+      success: true,
+      message: "Print job cancelled",
+      data: serializeJob(job),
+    });
+  } catch (error) {
+    console.error("Cancel print job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while cancelling print job",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/printing/test
+ * @desc    Print a test page on a configured printer. Body: { printerName }
+ * @access  Private (Owner, Staff)
+ */
+router.post("/test", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId).select("restaurantName printerSettings");
+    const printer = findPrinter(getPrinterSettings(restaurant), req.body.printerName);
+
+    if (!printer) {
+      return res.status(400).json({
+        success: false,
+        message: "printerName must be one of the configured printers",
+      });
+    }
+
+    const width = PAPER_WIDTHS[printer.paperWidth];
+    const lines = [
+      { text: center("TEST PRINT", width), bold: true, center: true, large: true },
+      { text: center(restaurant.restaurantName, width), center: true },
+      { text: "-".repeat(width) },
+      { text: `Printer: ${printer.name}`.slice(0, width) },
+      { text: `Paper: ${printer.paperWidth}mm (${width} characters)` },
+      { text: new Date().toISOString() },
+      { text: "0123456789".repeat(Math.ceil(width / 10)).slice(0, width) },
+    ];
+
+    const job = await enqueuePrintJob(req.app.get("io"), {
+      restaurantId,
+      printerName: printer.name,
+      kind: "test",
+      paperWidth: printer.paperWidth,
+      data: encodeEscPos(lines),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Test page queued for ${printer.name}`,
+      data: serializeJob(job),
+    });
+  } catch (error) {
+    console.error("Test print error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while queuing test print",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/printing/agents
+ * @desc    Print agents connected right now
+ * @access  Private (Owner, Staff)
+ */
+router.get("/agents", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const io = req.app.get("io");
+    const sockets = io ? await io.in(printAgentRoom(restaurantId)).fetchSockets() : [];
+
+    const agents = sockets
+      .map((socket) => socket.data.printAgent)
+      .filter(Boolean)
+      .map(({ agentId, printers, connectedAt }) => ({ agentId, printers, connectedAt }));
+
+    res.json({
+      success: true,
+      data: agents,
+      count: agents.length,
+    });
+  } catch (error) {
+    console.error("Get print agents error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching print agents",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/printing/agent-key
+ * @desc    Key to configure the on-premise print agent with
+ * @access  Private (Owner, Manager)
+ */
+router.get("/agent-key", managerOnly, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(getRestaurantId(req)).select("printerSettings");
+
+    res.json({
+      success: true,
+      data: { agentKey: signAgentKey(restaurant) },
+    });
+  } catch (error) {
+    console.error("Get agent key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching agent key",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/printing/agent-key/rotate
+ * @desc    Issue a new agent key; agents using the old one are disconnected
+ * @access  Private (Owner, Manager)
+ */
+router.post("/agent-key/rotate", managerOnly, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId).select("printerSettings");
+
+    restaurant.set("printerSettings.agentKeyVersion", getPrinterSettings(restaurant).agentKeyVersion + 1);
+    await restaurant.save();
+
+    const io = req.app.get("io");
+    if (io) {
+      io.in(printAgentRoom(restaurantId)).disconnectSockets(true);
+    }
+
+    res.json({
+      success: true,
+      message: "Agent key rotated. Update your print agents with the new key",
+      data: { agentKey: signAgentKey(restaurant) },
+    });
+  } catch (error) {
+    console.error("Rotate agent key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while rotating agent key",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+module.exports = router;
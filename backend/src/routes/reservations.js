@@ -0,0 +1,797 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Reservation = require("../models/Reservation");
+const Table = require("../models/Table");
+const Restaurant = require("../models/Restaurant");
+const authMiddleware = require("../middleware/authMiddleware");
+const {
+  ACTIVE_RESERVATION_STATUSES,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  getReservationSettings,
+  getTurnMinutes,
+  localTimeToDate,
+  formatLocalTime,
+  addMinutes,
+  findConflicts,
+  pickTables,
+  getBusyTableIds,
+  findAvailableSlots,
+  getReservationDate,
+  loadRequestedTables,
+} = require("../utils/reservations");
+const { getBusinessDate } = require("../utils/numbering");
+const { openTableSession, emitTableStatus } = require("../utils/tableSessions");
+const { getActor } = require("../utils/actors");
+
+// All reservation routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+const SOURCES = ["phone", "walk_in", "online", "other"];
+
+// Start time from { startAt } (ISO) or { date, time } (restaurant local time)
+// Returns { startAt, error }
+const parseStartAt = (body, restaurant) => {
+  if (body.startAt !== undefined) {
+    const startAt = new Date(body.startAt);
+    if (Number.isNaN(startAt.getTime())) {
+      return { startAt: null, error: "startAt must be a valid date and time" };
+    }
+    return { startAt, error: null };
+  }
+  if (body.date !== undefined || body.time !== undefined) {
+    if (!DATE_PATTERN.test(body.date || "") || !TIME_PATTERN.test(body.time || "")) {
+      return { startAt: null, error: "Date must be YYYY-MM-DD and time HH:mm" };
+    }
+    return { startAt: localTimeToDate(body.date, body.time, restaurant.timezone), error: null };
+  }
+  return { startAt: null, error: null };
+};
+
+const parsePartySize = (value) => {
+  const partySize = Number(value);
+  return Number.isInteger(partySize) && partySize >= 1 && partySize <= 100 ? partySize : null;
+};
+
+const serializeReservation = (reservation, restaurant) => ({
+  ...reservation.toObject(),
+  localTime: formatLocalTime(reservation.startAt, restaurant.timezone),
+  localEndTime: formatLocalTime(reservation.endAt, restaurant.timezone),
+});
+
+const emitReservation = (req, reservation, restaurant) => {
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`restaurant-${reservation.restaurantId}`).emit("reservation-updated", {
+      reservationId: reservation._id.toString(),
+      status: reservation.status,
+      customerName: reservation.customerName,
+      partySize: reservation.partySize,
+      startAt: reservation.startAt,
+      localTime: formatLocalTime(reservation.startAt, restaurant.timezone),
+      businessDate: reservation.businessDate,
+      tableIds: reservation.tableIds.map((id) => id.toString()),
+      timestamp: new Date(),
+    });
+  }
+};
+
+/**
+ * Assign tables and check conflicts for a booking period.
+ * Uses the requested tables when given, otherwise picks free ones.
+ * @returns {Promise<Object>} { tables, error: { status, message, conflicts? } }
+ */
+const resolveTables = async ({ restaurantId, tableIds, partySize, startAt, endAt, settings, excludeId }) => {
+  if (tableIds !== undefined && tableIds !== null && tableIds.length > 0) {
+    const { tables, error } = await loadRequestedTables(restaurantId, tableIds, partySize);
+    if (error) {
+      return { tables: null, error: { status: 400, message: error } };
+    }
+    const conflicts = await findConflicts({
+      restaurantId,
+      tableIds: tables.map((table) => table._id),
+      startAt,
+      endAt,
+      bufferMinutes: settings.bufferMinutes,
+      excludeId,
+    });
+    if (conflicts.length > 0) {
+      return {
+        tables: null,
+        error: {
+          status: 409,
+          message: "One or more tables are already booked for this time",
+          conflicts,
+        },
+      };
+    }
+    return { tables, error: null };
+  }
+
+  const [allTables, busy] = await Promise.all([
+    Table.find({ restaurantId, isActive: true }),
+    getBusyTableIds(restaurantId, startAt, endAt, settings.bufferMinutes, excludeId),
+  ]);
+  const tables = pickTables(
+    allTables.filter((table) => !busy.has(table._id.toString())),
+    partySize
+  );
+  if (!tables) {
+    return {
+      tables: null,
+      error: { status: 409, message: `No tables free for a party of ${partySize} at this time` },
+    };
+  }
+  return { tables, error: null };
+};
+
+/**
+ * Other active reservations overlapping a reservation that was just written.
+ * Tables are checked again after every write: of two requests racing for the
+ * same table, the one checking last always sees the other and gives way.
+ * @param {Object} reservation - saved Reservation document
+ * @param {Object} settings - reservation settings (bufferMinutes)
+ * @returns {Promise<Array>} conflicting reservations
+ */
+const findConflictsAfterWrite = (reservation, settings) =>
+  findConflicts({
+    restaurantId: reservation.restaurantId,
+    tableIds: reservation.tableIds,
+    startAt: reservation.startAt,
+    endAt: reservation.endAt,
+    bufferMinutes: settings.bufferMinutes,
+    excludeId: reservation._id,
+  });
+
+const TABLE_TAKEN_MESSAGE = "One or more tables were booked for this time by someone else. Please try again.";
+
+// Fields PUT /:reservationId may change (put back when the new slot turns out to be taken)
+const EDITABLE_FIELDS = [
+  "customerName",
+  "phone",
+  "email",
+  "notes",
+  "source",
+  "partySize",
+  "startAt",
+  "endAt",
+  "turnMinutes",
+  "businessDate",
+  "tableIds",
+];
+
+/**
+ * @route   GET /api/reservations/availability?date=YYYY-MM-DD&partySize=4
+ * @desc    Bookable slots of a day with the tables that would be assigned
+ * @access  Private (Owner, Staff)
+ */
+router.get("/availability", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const { date } = req.query;
+    const partySize = parsePartySize(req.query.partySize);
+
+    if (!DATE_PATTERN.test(date || "")) {
+      return res.status(400).json({
+        success: false,
+        message: "date (YYYY-MM-DD) is required",
+      });
+    }
+
+    if (!partySize) {
+      return res.status(400).json({
+        success: false,
+        message: "partySize must be between 1 and 100",
+      });
+    }
+
+    const [restaurant, tables] = await Promise.all([
+      Restaurant.findById(restaurantId),
+      Table.find({ restaurantId, isActive: true }),
+    ]);
+
+    const slots = await findAvailableSlots(restaurant, tables, date, partySize);
+    const settings = getReservationSettings(restaurant);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        partySize,
+        turnMinutes: getTurnMinutes(settings, partySize),
+        slots,
+        availableCount: slots.filter((slot) => slot.available).length,
+      },
+    });
+  } catch (error) {
+    console.error("Reservation availability error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while checking availability",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reservations?date=YYYY-MM-DD&status=booked
+ * @desc    Day view: the day's bookings and a per-table timeline
+ * @access  Private (Owner, Staff)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const restaurant = await Restaurant.findById(restaurantId);
+    const date = req.query.date || getBusinessDate(new Date(), restaurant.timezone);
+
+    if (!DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "date must be YYYY-MM-DD",
+      });
+    }
+
+    const filter = { restaurantId, businessDate: date };
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(",") };
+    }
+
+    const [reservations, tables] = await Promise.all([
+      Reservation.find(filter).sort({ startAt: 1 }),
+      Table.find({ restaurantId, isActive: true }).select("tableName seats areaId status").sort({ tableName: 1 }),
+    ]);
+
+    const serialized = reservations.map((reservation) => serializeReservation(reservation, restaurant));
+    const timeline = tables.map((table) => ({
+      tableId: table._id,
+      tableName: table.tableName,
+      seats: table.seats,
+      areaId: table.areaId,
+      status: table.status,
+      reservations: serialized
+        .filter(
+          (reservation) =>
+            ACTIVE_RESERVATION_STATUSES.includes(reservation.status) &&
+            reservation.tableIds.some((id) => id.toString() === table._id.toString())
+        )
+        .map((reservation) => ({
+          reservationId: reservation._id,
+          customerName: reservation.customerName,
+          partySize: reservation.partySize,
+          status: reservation.status,
+          startAt: reservation.startAt,
+          endAt: reservation.endAt,
+          localTime: reservation.localTime,
+          localEndTime: reservation.localEndTime,
+        })),
+    }));
+
+    const counts = { booked: 0, seated: 0, no_show: 0, cancelled: 0 };
+    reservations.forEach((reservation) => {
+      counts[reservation.status] += 1;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        reservations: serialized,
+        tables: timeline,
+        counts,
+        expectedCovers: reservations
+          .filter((reservation) => ACTIVE_RESERVATION_STATUSES.includes(reservation.status))
+          .reduce((sum, reservation) => sum + reservation.partySize, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Get reservations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching reservations",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reservations
+ * @desc    Book a table: { customerName, partySize, startAt | date+time, phone?, email?,
+ *          tableIds?, notes?, source? } - tables are picked automatically when omitted
+ * @access  Private (Owner, Staff)
+ */
+router.post("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const { customerName, phone = "", email = "", notes = "", source = "phone", tableIds } = req.body;
+    const partySize = parsePartySize(req.body.partySize);
+
+    if (!customerName || typeof customerName !== "string" || customerName.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Customer name is required",
+      });
+    }
+
+    if (!partySize) {
+      return res.status(400).json({
+        success: false,
+        message: "Party size must be between 1 and 100",
+      });
+    }
+
+    if (!SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Source must be one of: ${SOURCES.join(", ")}`,
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    const { startAt, error: timeError } = parseStartAt(req.body, restaurant);
+    if (timeError || !startAt) {
+      return res.status(400).json({
+        success: false,
+        message: timeError || "Reservation time is required (startAt, or date and time)",
+      });
+    }
+
+    if (startAt < addMinutes(new Date(), -15)) {
+      return res.status(400).json({
+        success: false,
+        message: "Reservation time is in the past",
+      });
+    }
+
+    const settings = getReservationSettings(restaurant);
+    const turnMinutes = getTurnMinutes(settings, partySize);
+    const endAt = addMinutes(startAt, turnMinutes);
+
+    const { tables, error } = await resolveTables({
+      restaurantId,
+      tableIds,
+      partySize,
+      startAt,
+      endAt,
+      settings,
+    });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts }),
+      });
+    }
+
+    const reservation = await Reservation.create({
+      restaurantId,
+      customerName: customerName.trim(),
+      phone: String(phone).trim(),
+      email: String(email).trim(),
+      partySize,
+      startAt,
+      endAt,
+      turnMinutes,
+      businessDate: getReservationDate(startAt, restaurant),
+      tableIds: tables.map((table) => table._id),
+      source,
+      notes: String(notes).trim(),
+      createdBy: getActor(req),
+    });
+
+    const conflicts = await findConflictsAfterWrite(reservation, settings);
+    if (conflicts.length > 0) {
+      await Reservation.deleteOne({ _id: reservation._id });
+      return res.status(409).json({
+        success: false,
+        message: TABLE_TAKEN_MESSAGE,
+        conflicts,
+      });
+    }
+
+    emitReservation(req, reservation, restaurant);
+
+    res.status(201).json({
+      success: true,
+      message: `Booked ${tables.map((table) => table.tableName).join(" + ")} for ${partySize}`,
+      data: serializeReservation(reservation, restaurant),
+    });
+  } catch (error) {
+    console.error("Create reservation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating reservation",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+const findReservation = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.reservationId)) {
+    return null;
+  }
+  return Reservation.findOne({
+    _id: req.params.reservationId,
+    restaurantId: getRestaurantId(req),
+  });
+};
+
+/**
+ * @route   GET /api/reservations/:reservationId
+ * @desc    A single reservation
+ * @access  Private (Owner, Staff)
+ */
+router.get("/:reservationId", async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(reservation.restaurantId).select("timezone");
+    await reservation.populate("tableIds", "tableName seats areaId");
+
+    res.json({
+      success: true,
+      data: serializeReservation(reservation, restaurant),
+    });
+  } catch (error) {
+    console.error("Get reservation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching reservation",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/reservations/:reservationId
+ * @desc    Change time, party size, tables or contact details of a booking
+ * @access  Private (Owner, Staff)
+ */
+router.put("/:reservationId", async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    if (reservation.status !== "booked") {
+      return res.status(400).json({
+        success: false,
+        message: `Only booked reservations can be changed (this one is ${reservation.status})`,
+      });
+    }
+
+    const restaurant = await Restaurant.findById(reservation.restaurantId);
+    const { customerName, phone, email, notes, source, tableIds } = req.body;
+    const previous = reservation.toObject();
+
+    if (customerName !== undefined) {
+      if (typeof customerName !== "string" || customerName.trim() === "") {
+        return res.status(400).json({
+          success: false,
+          message: "Customer name is required",
+        });
+      }
+      reservation.customerName = customerName.trim();
+    }
+    if (phone !== undefined) reservation.phone = String(phone).trim();
+    if (email !== undefined) reservation.email = String(email).trim();
+    if (notes !== undefined) reservation.notes = String(notes).trim();
+    if (source !== undefined) {
+      if (!SOURCES.includes(source)) {
+        return res.status(400).json({
+          success: false,
+          message: `Source must be one of: ${SOURCES.join(", ")}`,
+        });
+      }
+      reservation.source = source;
+    }
+
+    const partySize =
+      req.body.partySize !== undefined ? parsePartySize(req.body.partySize) : reservation.partySize;
+    if (!partySize) {
+      return res.status(400).json({
+        success: false,
+        message: "Party size must be between 1 and 100",
+      });
+    }
+
+    const { startAt: requestedStart, error: timeError } = parseStartAt(req.body, restaurant);
+    if (timeError) {
+      return res.status(400).json({
+        success: false,
+        message: timeError,
+      });
+    }
+
+    // Re-check the tables whenever the slot, size or tables change
+    const needsTables =
+      requestedStart !== null || partySize !== reservation.partySize || tableIds !== undefined;
+
+    const settings = getReservationSettings(restaurant);
+    if (needsTables) {
+      const startAt = requestedStart || reservation.startAt;
+      const turnMinutes = getTurnMinutes(settings, partySize);
+      const endAt = addMinutes(startAt, turnMinutes);
+
+      const slot = {
+        restaurantId: reservation.restaurantId,
+        partySize,
+        startAt,
+        endAt,
+        settings,
+        excludeId: reservation._id,
+      };
+
+      // Keep the current tables if they still fit, unless new ones were asked for
+      let result = await resolveTables({
+        ...slot,
+        tableIds: tableIds !== undefined ? tableIds : reservation.tableIds.map(String),
+      });
+      if (result.error && tableIds === undefined) {
+        result = await resolveTables({ ...slot, tableIds: null });
+      }
+      const { tables, error } = result;
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          ...(error.conflicts && { conflicts: error.conflicts }),
+        });
+      }
+
+      reservation.partySize = partySize;
+      reservation.startAt = startAt;
+      reservation.endAt = endAt;
+      reservation.turnMinutes = turnMinutes;
+      reservation.businessDate = getReservationDate(startAt, restaurant);
+      reservation.tableIds = tables.map((table) => table._id);
+    }
+
+    await reservation.save();
+
+    if (needsTables) {
+      const conflicts = await findConflictsAfterWrite(reservation, settings);
+      if (conflicts.length > 0) {
+        await Reservation.updateOne(
+          { _id: reservation._id },
+          { $set: Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, previous[field]])) }
+        );
+        return res.status(409).json({
+          success: false,
+          message: TABLE_TAKEN_MESSAGE,
+          conflicts,
+        });
+      }
+    }
+
+    emitReservation(req, reservation, restaurant);
+
+    res.json({
+      success: true,
+      message: "Reservation updated",
+      data: serializeReservation(reservation, restaurant),
+    });
+  } catch (error) {
+    console.error("Update reservation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating reservation",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reservations/:reservationId/seat
+ * @desc    Guests arrived: open a table session on each booked table
+ * @access  Private (Owner, Staff)
+ */
+router.post("/:reservationId/seat", async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    if (reservation.status !== "booked") {
+      return res.status(400).json({
+        success: false,
+        message: `Only booked reservations can be seated (this one is ${reservation.status})`,
+      });
+    }
+
+    const tables = await Table.find({
+      _id: { $in: reservation.tableIds },
+      restaurantId: reservation.restaurantId,
+      isActive: true,
+    });
+
+    if (tables.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "The booked tables no longer exist. Assign new tables first.",
+      });
+    }
+
+    const unavailable = tables.filter(
+      (table) => table.currentSessionId || table.status === "cleaning"
+    );
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${unavailable.map((table) => table.tableName).join(", ")} not free yet`,
+        tables: unavailable.map((table) => ({
+          tableId: table._id,
+          tableName: table.tableName,
+          status: table.status,
+        })),
+      });
+    }
+
+    const waiterId = req.isStaff && req.staffRole === "waiter" ? req.staffId : null;
+    const sessions = [];
+    // The whole party counts as covers on the first table
+    for (const [index, table] of tables.entries()) {
+      const { session } = await openTableSession(table, {
+        covers: index === 0 ? reservation.partySize : null,
+        waiterId,
+        openedBy: getActor(req),
+        reservationId: reservation._id,
+      });
+      sessions.push({ table, session });
+    }
+
+    reservation.status = "seated";
+    reservation.seatedAt = new Date();
+    reservation.tableSessionIds = sessions.map(({ session }) => session._id);
+    reservation.statusChangedBy = getActor(req);
+    await reservation.save();
+
+    const restaurant = await Restaurant.findById(reservation.restaurantId).select("timezone");
+    const io = req.app.get("io");
+    sessions.forEach(({ table, session }) => emitTableStatus(io, table, session));
+    emitReservation(req, reservation, restaurant);
+
+    res.json({
+      success: true,
+      message: `${reservation.customerName} seated at ${tables.map((table) => table.tableName).join(" + ")}`,
+      data: serializeReservation(reservation, restaurant),
+    });
+  } catch (error) {
+    console.error("Seat reservation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while seating reservation",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reservations/:reservationId/no-show
+ * @desc    Mark a booking as a no-show (frees its tables)
+ * @access  Private (Owner, Staff)
+ */
+router.post("/:reservationId/no-show", async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    if (reservation.status !== "booked") {
+      return res.status(400).json({
+        success: false,
+        message: `Only booked reservations can be marked as no-show (this one is ${reservation.status})`,
+      });
+    }
+
+    if (reservation.startAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "The reservation time has not started yet",
+      });
+    }
+
+    reservation.status = "no_show";
+    reservation.statusChangedBy = getActor(req);
+    await reservation.save();
+
+    const restaurant = await Restaurant.findById(reservation.restaurantId).select("timezone");
+    emitReservation(req, reservation, restaurant);
+
+    res.json({
+      success: true,
+      message: `${reservation.customerName} marked as no-show`,
+      data: serializeReservation(reservation, restaurant),
+    });
+  } catch (error) {
+    console.error("No-show reservation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating reservation",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reservations/:reservationId/cancel
+ * @desc    Cancel a booking: { reason? }
+ * @access  Private (Owner, Staff)
+ */
+router.post("/:reservationId/cancel", async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found",
+      });
+    }
+
+    if (reservation.status !== "booked") {
+      return res.status(400).json({
+        success: false,
+        message: `Only booked reservations can be cancelled (this one is ${reservation.status})`,
+      });
+    }
+
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (reason.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be 200 characters or less",
+      });
+    }
+
+    reservation.status = "cancelled";
+    reservation.cancelledAt = new Date();
+    reservation.cancelReason = reason;
+    reservation.statusChangedBy = getActor(req);
+    await reservation.save();
+
+    const restaurant = await Restaurant.findById(reservation.restaurantId).select("timezone");
+    emitReservation(req, reservation, restaurant);
+
+    res.json({
+      success: true,
+      message: "Reservation cancelled",
+      data: serializeReservation(reservation, restaurant),
+    });
+  } catch (error) {
+    console.error("Cancel reservation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while cancelling reservation",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+module.exports = router;
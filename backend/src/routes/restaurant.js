@@ -2,6 +2,12 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const Restaurant = require("../models/Restaurant");
+const { SLUG_PATTERN } = require("../config/urls");
+const { refreshTableQrUrls } = require("../utils/tableLinks");
+const { getReservationSettings, parseReservationSettings } = require("../utils/reservations");
+const { getPackagingCharges, parsePackagingCharges } = require("../utils/orderTypes");
+const { getPreorderSettings, parsePreorderSettings } = require("../utils/preorders");
+const { getPrinterSettings, parsePrinterSettings } = require("../utils/printing");
 const jwt = require("jsonwebtoken");
 const multer = require("multer");
 const path = require("path");
@@ -107,6 +113,7 @@ router.get("/current", authMiddleware, async (req, res) => {
       restaurant: {
         id: restaurant._id,
         restaurantName: restaurant.restaurantName,
+        slug: restaurant.slug || null,
         currency: restaurant.currency,
         googleMapsUrl: restaurant.googleMapsUrl,
         operationalHours: restaurant.operationalHours,
@@ -117,6 +124,18 @@ router.get("/current", authMiddleware, async (req, res) => {
         gstNo: restaurant.gstNo || "",
         receiptFooter: restaurant.receiptFooter || "Thank You Visit Again",
         taxes: restaurant.taxes || [],
+        pricesIncludeTax: !!restaurant.pricesIncludeTax,
+        roundOffBill: !!restaurant.roundOffBill,
+        serviceChargeRate: restaurant.serviceChargeRate || 0,
+        serviceChargeTaxable: !!restaurant.serviceChargeTaxable,
+        packagingCharges: getPackagingCharges(restaurant),
+        tableAccessMode: restaurant.tableAccessMode || "open",
+        reservationSettings: getReservationSettings(restaurant),
+        preorderSettings: getPreorderSettings(restaurant),
+        printerSettings: getPrinterSettings(restaurant),
+        timezone: restaurant.timezone,
+        fiscalYearStartMonth: restaurant.fiscalYearStartMonth,
+        invoicePrefix: restaurant.invoicePrefix,
       },
     });
   } catch (err) {
@@ -135,6 +154,7 @@ router.put("/update", authMiddleware, upload.single("logo"), async (req, res) =>
     const {
       restaurantId,
       restaurantName,
+      slug,
       currency,
       googleMapsUrl,
       operationalHours,
@@ -145,6 +165,18 @@ router.put("/update", authMiddleware, upload.single("logo"), async (req, res) =>
       gstNo,
       receiptFooter,
       taxes, // Expecting a JSON string if sent via FormData
+      pricesIncludeTax,
+      roundOffBill,
+      serviceChargeRate,
+      serviceChargeTaxable,
+      packagingCharges,
+      tableAccessMode,
+      reservationSettings,
+      preorderSettings,
+      printerSettings,
+      timezone,
+      fiscalYearStartMonth,
+      invoicePrefix,
     } = req.body;
 
     // Get the restaurant
@@ -197,6 +229,29 @@ router.put("/update", authMiddleware, upload.single("logo"), async (req, res) =>
     if (fssai !== undefined) restaurant.fssai = fssai;
     if (gstNo !== undefined) restaurant.gstNo = gstNo;
     if (receiptFooter !== undefined) restaurant.receiptFooter = receiptFooter;
+    // Booleans arrive as "true"/"false" strings when sent via FormData
+    if (pricesIncludeTax !== undefined) {
+      restaurant.pricesIncludeTax = pricesIncludeTax === true || pricesIncludeTax === "true";
+    }
+    if (roundOffBill !== undefined) {
+      restaurant.roundOffBill = roundOffBill === true || roundOffBill === "true";
+    }
+    if (serviceChargeTaxable !== undefined) {
+      restaurant.serviceChargeTaxable =
+        serviceChargeTaxable === true || serviceChargeTaxable === "true";
+    }
+
+    if (serviceChargeRate !== undefined) {
+      const rate = serviceChargeRate === "" || serviceChargeRate === null ? 0 : Number(serviceChargeRate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: "Service charge must be between 0 and 100 percent",
+        });
+      }
+      restaurant.serviceChargeRate = rate;
+    }
 
     if (taxes !== undefined) {
       try {
@@ -213,6 +268,125 @@ router.put("/update", authMiddleware, upload.single("logo"), async (req, res) =>
       }
     }
 
+    if (tableAccessMode !== undefined) {
+      if (!["open", "token", "session"].includes(tableAccessMode)) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: "Table access mode must be 'open', 'token' or 'session'",
+        });
+      }
+      restaurant.tableAccessMode = tableAccessMode;
+    }
+
+    if (packagingCharges !== undefined) {
+      const parsed = parsePackagingCharges(packagingCharges, restaurant.packagingCharges);
+      if (parsed.error) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      restaurant.packagingCharges = parsed.charges;
+    }
+
+    if (reservationSettings !== undefined) {
+      const parsed = parseReservationSettings(reservationSettings, restaurant.reservationSettings);
+      if (parsed.error) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      restaurant.reservationSettings = parsed.settings;
+    }
+
+    if (preorderSettings !== undefined) {
+      const parsed = parsePreorderSettings(preorderSettings, restaurant.preorderSettings);
+      if (parsed.error) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      restaurant.preorderSettings = parsed.settings;
+    }
+
+    if (printerSettings !== undefined) {
+      const parsed = parsePrinterSettings(printerSettings, restaurant.printerSettings);
+      if (parsed.error) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      restaurant.printerSettings = parsed.settings;
+    }
+
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      } catch (e) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: "Invalid timezone. Use an IANA name such as 'Asia/Kolkata'",
+        });
+      }
+      restaurant.timezone = timezone;
+    }
+
+    if (fiscalYearStartMonth !== undefined) {
+      const month = Number(fiscalYearStartMonth);
+      if (!Number.isInteger(month) || month < 1 || month > 12) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: "Fiscal year start month must be between 1 and 12",
+        });
+      }
+      restaurant.fiscalYearStartMonth = month;
+    }
+
+    if (invoicePrefix !== undefined) {
+      if (!/^[A-Za-z0-9-]{1,10}$/.test(invoicePrefix)) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: "Invoice prefix must be 1-10 letters, digits or dashes",
+        });
+      }
+      restaurant.invoicePrefix = invoicePrefix;
+    }
+
+    let slugChanged = false;
+    if (slug !== undefined) {
+      const newSlug = slug ? String(slug).trim().toLowerCase() : null;
+      if (newSlug && !SLUG_PATTERN.test(newSlug)) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: "Slug must be 1-50 lowercase letters, digits or dashes (not starting or ending with a dash)",
+        });
+      }
+      if (newSlug) {
+        const taken = await Restaurant.exists({ slug: newSlug, _id: { $ne: restaurant._id } });
+        if (taken) {
+          if (req.file) fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            success: false,
+            message: "This slug is already taken",
+          });
+        }
+      }
+      slugChanged = newSlug !== (restaurant.slug || null);
+      restaurant.slug = newSlug;
+    }
+
     // Template validation and update
     if (templateStyle !== undefined) {
       const validTemplates = ["classic", "modern", "minimal", "TemplateBurgerBooch"];
@@ -228,12 +402,19 @@ router.put("/update", authMiddleware, upload.single("logo"), async (req, res) =>
 
     await restaurant.save();
 
+    // Table QR links include the restaurant slug
+    if (slugChanged) {
+      const result = await refreshTableQrUrls(restaurant);
+      console.log(`Updated QR links of ${result.updated} tables after slug change`);
+    }
+
     res.json({
       success: true,
       message: "Restaurant settings updated successfully",
       restaurant: {
         id: restaurant._id,
         restaurantName: restaurant.restaurantName,
+        slug: restaurant.slug,
         currency: restaurant.currency,
         googleMapsUrl: restaurant.googleMapsUrl,
         operationalHours: restaurant.operationalHours,
@@ -244,6 +425,18 @@ router.put("/update", authMiddleware, upload.single("logo"), async (req, res) =>
         gstNo: restaurant.gstNo,
         receiptFooter: restaurant.receiptFooter,
         taxes: restaurant.taxes,
+        pricesIncludeTax: restaurant.pricesIncludeTax,
+        roundOffBill: restaurant.roundOffBill,
+        serviceChargeRate: restaurant.serviceChargeRate,
+        serviceChargeTaxable: restaurant.serviceChargeTaxable,
+        packagingCharges: getPackagingCharges(restaurant),
+        tableAccessMode: restaurant.tableAccessMode,
+        reservationSettings: getReservationSettings(restaurant),
+        preorderSettings: getPreorderSettings(restaurant),
+        printerSettings: getPrinterSettings(restaurant),
+        timezone: restaurant.timezone,
+        fiscalYearStartMonth: restaurant.fiscalYearStartMonth,
+        invoicePrefix: restaurant.invoicePrefix,
       },
     });
   } catch (err) {
@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const Section = require("../models/Section");
 const MenuItem = require("../models/MenuItem");
 const Restaurant = require("../models/Restaurant");
+const { resolveStationId } = require("../utils/stations");
 const authMiddleware = require("../middleware/authMiddleware");
 
 const router = express.Router();
@@ -158,7 +159,7 @@ router.post("/", async (req, res) => {
 // ==== UPDATE Section ====
 router.put("/:id", async (req, res) => {
   try {
-    const { name, isActive } = req.body;
+    const { name, isActive, stationId } = req.body;
     const { id } = req.params;
 
     if (name && name.trim() === "") {
@@ -200,6 +201,18 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    // Kitchen station for the section's items (null = default station)
+    if (stationId !== undefined) {
+      const station = await resolveStationId(restaurantId, stationId);
+      if (station.error) {
+        return res.status(400).json({
+          success: false,
+          message: station.error,
+        });
+      }
+      section.stationId = station.stationId;
+    }
+
     // Update fields
     if (name) section.name = name.trim();
     if (typeof isActive === "boolean") section.isActive = isActive;
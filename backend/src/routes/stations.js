@@ -0,0 +1,383 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const KitchenStation = require("../models/KitchenStation");
+const Section = require("../models/Section");
+const MenuItem = require("../models/MenuItem");
+const Restaurant = require("../models/Restaurant");
+const { getPrinterSettings, findPrinter } = require("../utils/printing");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireManager } = require("../middleware/managerMiddleware");
+
+// All kitchen station routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+// Stations and KOT routing are managed by the owner or a manager
+const managerOnly = requireManager("change kitchen stations");
+
+// Validate the editable station fields; returns { updates, error }
+const parseStationFields = (body) => {
+  const updates = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.trim() === "") {
+      return { updates: null, error: "Station name is required" };
+    }
+    if (body.name.trim().length > 50) {
+      return { updates: null, error: "Station name must be 50 characters or less" };
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.sequence !== undefined) {
+    const sequence = Number(body.sequence);
+    if (!Number.isInteger(sequence)) {
+      return { updates: null, error: "Sequence must be a whole number" };
+    }
+    updates.sequence = sequence;
+  }
+
+  if (body.isDefault !== undefined) {
+    updates.isDefault = body.isDefault === true || body.isDefault === "true";
+  }
+
+  if (body.printerName !== undefined) {
+    if (body.printerName !== null && typeof body.printerName !== "string") {
+      return { updates: null, error: "Printer name must be a string" };
+    }
+    updates.printerName = body.printerName ? body.printerName.trim() : null;
+  }
+
+  return { updates, error: null };
+};
+
+// A station's printer must be one of the restaurant's configured printers
+const checkPrinterName = async (restaurantId, printerName) => {
+  if (!printerName) return null;
+  const restaurant = await Restaurant.findById(restaurantId).select("printerSettings");
+  return findPrinter(getPrinterSettings(restaurant), printerName)
+    ? null
+    : `Printer "${printerName}" is not set up in the restaurant's printer settings`;
+};
+
+const findStation = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.stationId)) {
+    return null;
+  }
+  return KitchenStation.findOne({
+    _id: req.params.stationId,
+    restaurantId: getRestaurantId(req),
+    isActive: true,
+  });
+};
+
+// Only one station takes the unmapped items
+const clearOtherDefaults = (station) =>
+  KitchenStation.updateMany(
+    { restaurantId: station.restaurantId, _id: { $ne: station._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+
+// Check a list of section / menu item IDs all belong to the restaurant
+const checkIds = async (Model, ids, restaurantId, label) => {
+  if (!Array.isArray(ids)) {
+    return `${label} must be an array`;
+  }
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return `Invalid ${label} format`;
+  }
+  const found = await Model.countDocuments({ _id: { $in: ids }, restaurantId });
+  if (found !== new Set(ids.map(String)).size) {
+    return `Some ${label} were not found`;
+  }
+  return null;
+};
+
+/**
+ * @route   GET /api/stations
+ * @desc    Kitchen stations with the sections and menu items routed to them
+ * @access  Private (Owner, Staff)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+
+    const [stations, sections, menuItems] = await Promise.all([
+      KitchenStation.find({ restaurantId, isActive: true }).sort({ sequence: 1, createdAt: 1 }),
+      Section.find({ restaurantId, isActive: true, stationId: { $ne: null } }).select("name stationId"),
+      MenuItem.find({ restaurantId, isActive: true, stationId: { $ne: null } }).select("name sectionId stationId"),
+    ]);
+
+    const routedTo = (list, station) =>
+      list.filter((entry) => entry.stationId.toString() === station._id.toString());
+
+    res.json({
+      success: true,
+      data: stations.map((station) => ({
+        ...station.toObject(),
+        sections: routedTo(sections, station),
+        menuItems: routedTo(menuItems, station),
+      })),
+      hasDefault: stations.some((station) => station.isDefault),
+      count: stations.length,
+    });
+  } catch (error) {
+    console.error("Get stations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching kitchen stations",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/stations
+ * @desc    Create a kitchen station
+ * @access  Private (Owner, Manager)
+ */
+router.post("/", managerOnly, async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+
+    if (req.body.name === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Station name is required",
+      });
+    }
+
+    const { updates, error } = parseStationFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const existingStation = await KitchenStation.findOne({ restaurantId, name: updates.name, isActive: true });
+    if (existingStation) {
+      return res.status(400).json({
+        success: false,
+        message: "A station with this name already exists",
+      });
+    }
+
+    const printerError = await checkPrinterName(restaurantId, updates.printerName);
+    if (printerError) {
+      return res.status(400).json({
+        success: false,
+        message: printerError,
+      });
+    }
+
+    const station = await KitchenStation.create({ ...updates, restaurantId });
+    if (station.isDefault) {
+      await clearOtherDefaults(station);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Kitchen station created successfully",
+      data: station,
+    });
+  } catch (error) {
+    console.error("Create station error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating kitchen station",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/stations/:stationId
+ * @desc    Update a station (name, sequence, default, printer)
+ * @access  Private (Owner, Manager)
+ */
+router.put("/:stationId", managerOnly, async (req, res) => {
+  try {
+    const station = await findStation(req);
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: "Kitchen station not found",
+      });
+    }
+
+    const { updates, error } = parseStationFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (updates.name && updates.name !== station.name) {
+      const existingStation = await KitchenStation.findOne({
+        restaurantId: station.restaurantId,
+        name: updates.name,
+        isActive: true,
+        _id: { $ne: station._id },
+      });
+      if (existingStation) {
+        return res.status(400).json({
+          success: false,
+          message: "A station with this name already exists",
+        });
+      }
+    }
+
+    const printerError = await checkPrinterName(station.restaurantId, updates.printerName);
+    if (printerError) {
+      return res.status(400).json({
+        success: false,
+        message: printerError,
+      });
+    }
+
+    station.set(updates);
+    await station.save();
+    if (station.isDefault) {
+      await clearOtherDefaults(station);
+    }
+
+    res.json({
+      success: true,
+      message: "Kitchen station updated successfully",
+      data: station,
+    });
+  } catch (error) {
+    console.error("Update station error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating kitchen station",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/stations/:stationId/routing
+ * @desc    Set which sections and menu items go to this station.
+ *          Each list sent replaces the current one; anything left out is unmapped.
+ *          Body: { sectionIds?: [], menuItemIds?: [] }
+ * @access  Private (Owner, Manager)
+ */
+router.put("/:stationId/routing", managerOnly, async (req, res) => {
+  try {
+    const station = await findStation(req);
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: "Kitchen station not found",
+      });
+    }
+
+    const { sectionIds, menuItemIds } = req.body;
+    if (sectionIds === undefined && menuItemIds === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Send sectionIds and/or menuItemIds",
+      });
+    }
+
+    const restaurantId = station.restaurantId;
+    const error =
+      (sectionIds !== undefined && (await checkIds(Section, sectionIds, restaurantId, "section IDs"))) ||
+      (menuItemIds !== undefined && (await checkIds(MenuItem, menuItemIds, restaurantId, "menu item IDs")));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // A section or item belongs to one station, so mapping it here moves it from any other
+    const replaceMapping = async (Model, ids) => {
+      await Model.updateMany(
+        { restaurantId, stationId: station._id, _id: { $nin: ids } },
+        { $set: { stationId: null } }
+      );
+      await Model.updateMany({ restaurantId, _id: { $in: ids } }, { $set: { stationId: station._id } });
+    };
+
+    if (sectionIds !== undefined) await replaceMapping(Section, sectionIds);
+    if (menuItemIds !== undefined) await replaceMapping(MenuItem, menuItemIds);
+
+    const [sections, menuItems] = await Promise.all([
+      Section.find({ restaurantId, stationId: station._id }).select("name"),
+      MenuItem.find({ restaurantId, stationId: station._id }).select("name sectionId"),
+    ]);
+
+    res.json({
+      success: true,
+      message: `Routing updated for ${station.name}`,
+      data: {
+        ...station.toObject(),
+        sections,
+        menuItems,
+      },
+    });
+  } catch (error) {
+    console.error("Update station routing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating station routing",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/stations/:stationId
+ * @desc    Remove a station; its sections and menu items become unmapped
+ * @access  Private (Owner, Manager)
+ */
+router.delete("/:stationId", managerOnly, async (req, res) => {
+  try {
+    const station = await findStation(req);
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: "Kitchen station not found",
+      });
+    }
+
+    station.isActive = false;
+    station.isDefault = false;
+    await station.save();
+
+    const filter = { restaurantId: station.restaurantId, stationId: station._id };
+    const [sections, menuItems] = await Promise.all([
+      Section.updateMany(filter, { $set: { stationId: null } }),
+      MenuItem.updateMany(filter, { $set: { stationId: null } }),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Kitchen station deleted successfully",
+      unmappedSections: sections.modifiedCount,
+      unmappedMenuItems: menuItems.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Delete station error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting kitchen station",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,39 @@ const mongoose = require("mongoose");
 const router = express.Router();
 const Table = require("../models/Table");
 const Restaurant = require("../models/Restaurant");
+const Staff = require("../models/Staff");
+const Area = require("../models/Area");
 const authMiddleware = require("../middleware/authMiddleware");
+const { requireManager } = require("../middleware/managerMiddleware");
+const { SLUG_PATTERN } = require("../config/urls");
+const { getUniqueTableSlug, getTableQrUrl } = require("../utils/tableLinks");
+const {
+  signSessionToken,
+  verifyTableToken,
+  getTableTokenFromRequest,
+} = require("../utils/tableTokens");
+const {
+  getTableOrderUrl,
+  parseQrSize,
+  resolveLogoPath,
+  renderQrSvg,
+  renderTableQr,
+} = require("../utils/qrCodes");
+const { GRID_LAYOUTS, renderQrSheetPdf, renderQrZip } = require("../utils/qrSheet");
+const {
+  setTableStatus,
+  getOpenSession,
+  openTableSession,
+  requestBill,
+  getSessionOrders,
+  hasUnsettledOrders,
+  closeTableSession,
+  serializeTableStatus,
+  emitTableStatus,
+  buildTableBoard,
+} = require("../utils/tableSessions");
+const { isAreaClosed, parseTableLayout, applyTableLayout } = require("../utils/areas");
+const { getActor } = require("../utils/actors");
 
 // GET /api/tables/validate/:tableId - Validate if table exists and is active (public endpoint)
 router.get("/validate/:tableId", async (req, res) => {
@@ -22,7 +54,7 @@ router.get("/validate/:tableId", async (req, res) => {
     const table = await Table.findOne({
       _id: tableId,
       isActive: true,
-    }).populate("restaurantId", "restaurantName");
+    }).populate("restaurantId", "restaurantName tableAccessMode");
 
     if (!table) {
       return res.status(404).json({
@@ -31,6 +63,9 @@ router.get("/validate/:tableId", async (req, res) => {
       });
     }
 
+    const token = getTableTokenFromRequest(req);
+    const tokenCheck = token ? verifyTableToken(token, table) : null;
+
     res.json({
       success: true,
       data: {
@@ -41,6 +76,14 @@ router.get("/validate/:tableId", async (req, res) => {
           id: table.restaurantId._id,
           name: table.restaurantId.restaurantName,
         },
+        // Lets the customer app know whether it must join a table session first
+        access: {
+          mode: table.restaurantId.tableAccessMode || "open",
+          tokenValid: tokenCheck ? tokenCheck.valid : null,
+          tokenKind: tokenCheck && tokenCheck.valid ? tokenCheck.kind : null,
+          message: tokenCheck && !tokenCheck.valid ? tokenCheck.message : null,
+          sessionOpen: !!table.sessionNonce,
+        },
       },
     });
   } catch (error) {
@@ -52,9 +95,133 @@ router.get("/validate/:tableId", async (req, res) => {
   }
 });
 
+// GET /api/tables/resolve/:restaurantSlug/:tableSlug - Resolve a vanity QR link (public endpoint)
+router.get("/resolve/:restaurantSlug/:tableSlug", async (req, res) => {
+  try {
+    const restaurantSlug = req.params.restaurantSlug.toLowerCase();
+    const tableSlug = req.params.tableSlug.toLowerCase();
+
+    const restaurant = await Restaurant.findOne({ slug: restaurantSlug, isActive: true }).select(
+      "restaurantName slug"
+    );
+
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: "Restaurant not found",
+      });
+    }
+
+    const table = await Table.findOne({
+      restaurantId: restaurant._id,
+      slug: tableSlug,
+      isActive: true,
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: "Table not found or inactive",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tableId: table._id,
+        tableName: table.tableName,
+        seats: table.seats,
+        restaurant: {
+          id: restaurant._id,
+          name: restaurant.restaurantName,
+          slug: restaurant.slug,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Resolve table link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resolving table link",
+    });
+  }
+});
+
+// POST /api/tables/:tableId/session/join - Swap a table QR token for a session token (public endpoint)
+// Only works while staff have the table open (guests seated)
+router.post("/:tableId/session/join", async (req, res) => {
+  try {
+    const { tableId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(tableId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Invalid table ID format",
+      });
+    }
+
+    const table = await Table.findOne({ _id: tableId, isActive: true });
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: "Table not found or inactive",
+      });
+    }
+
+    const tokenCheck = verifyTableToken(getTableTokenFromRequest(req), table);
+    if (!tokenCheck.valid) {
+      return res.status(403).json({
+        success: false,
+        code: "INVALID_TABLE_TOKEN",
+        message: tokenCheck.message,
+      });
+    }
+
+    if (!table.sessionNonce) {
+      return res.status(403).json({
+        success: false,
+        code: "TABLE_SESSION_CLOSED",
+        message: "This table has not been opened yet. Please ask staff to seat you.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tableId: table._id,
+        sessionToken: signSessionToken(table),
+        sessionOpenedAt: table.sessionOpenedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Join table session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while joining table session",
+    });
+  }
+});
+
 // Middleware to authenticate all other table routes (after public validation route)
 router.use(authMiddleware);
 
+// Check an areaId from the request body belongs to the restaurant
+// Returns { areaId, error } - areaId is null when unassigning
+const resolveAreaId = async (restaurantId, areaId) => {
+  if (areaId === null || areaId === "") {
+    return { areaId: null, error: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(areaId)) {
+    return { areaId: null, error: "Invalid area ID format" };
+  }
+  const area = await Area.findOne({ _id: areaId, restaurantId, isActive: true }).select("_id");
+  if (!area) {
+    return { areaId: null, error: "Area not found" };
+  }
+  return { areaId: area._id, error: null };
+};
+
 // GET /api/tables - Get all tables for the logged-in restaurant
 router.get("/", async (req, res) => {
   try {
@@ -66,11 +233,14 @@ router.get("/", async (req, res) => {
     }
     
     const restaurantId = req.restaurantId;
+    const filter = { restaurantId: restaurantId, isActive: true };
 
-    const tables = await Table.find({
-      restaurantId: restaurantId,
-      isActive: true,
-    }).sort({ createdAt: -1 });
+    // ?areaId=<id> for one area, ?areaId=none for unassigned tables
+    if (req.query.areaId) {
+      filter.areaId = req.query.areaId === "none" ? null : req.query.areaId;
+    }
+
+    const tables = await Table.find(filter).sort({ createdAt: -1 });
 
     res.json({
       success: true,
@@ -86,10 +256,40 @@ router.get("/", async (req, res) => {
   }
 });
 
+// GET /api/tables/board - Live status board: every table with its open session
+router.get("/board", async (req, res) => {
+  try {
+    if (!req.restaurantId) {
+      return res.status(404).json({
+        success: false,
+        message: "Restaurant not found for this user",
+      });
+    }
+
+    const { tables, counts } = await buildTableBoard(req.restaurantId, {
+      areaId: req.query.areaId,
+    });
+
+    res.json({
+      success: true,
+      data: tables,
+      counts,
+      count: tables.length,
+    });
+  } catch (error) {
+    console.error("Get table board error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching table board",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
 // POST /api/tables - Create a new table
 router.post("/", async (req, res) => {
   try {
-    const { tableName, seats = 4 } = req.body;
+    const { tableName, seats = 4, slug, areaId = null, layout } = req.body;
 
     // Validation
     if (!tableName || tableName.trim() === "") {
@@ -106,6 +306,13 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (slug && !SLUG_PATTERN.test(String(slug).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: "Slug may only contain lowercase letters, digits and dashes",
+      });
+    }
+
     if (!req.restaurantId) {
       return res.status(404).json({
         success: false,
@@ -115,6 +322,22 @@ router.post("/", async (req, res) => {
     
     const restaurantId = req.restaurantId;
 
+    const area = await resolveAreaId(restaurantId, areaId);
+    if (area.error) {
+      return res.status(400).json({
+        success: false,
+        message: area.error,
+      });
+    }
+
+    const parsedLayout = layout !== undefined ? parseTableLayout(layout) : { layout: {} };
+    if (parsedLayout.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedLayout.error,
+      });
+    }
+
     // Check if table name already exists for this restaurant
     const existingTable = await Table.findOne({
       restaurantId: restaurantId,
@@ -133,15 +356,18 @@ router.post("/", async (req, res) => {
     const table = new Table({
       restaurantId: restaurantId,
       tableName: tableName.trim(),
+      slug: await getUniqueTableSlug(restaurantId, slug || tableName),
       seats: parseInt(seats),
+      areaId: area.areaId,
     });
+    applyTableLayout(table, parsedLayout.layout);
 
     const savedTable = await table.save();
 
     // Update QR code URL with the actual table ID if not set
     if (!savedTable.qrCodeUrl) {
-      const frontendUrl = "https://main.d3w57ekmy7c72i.amplifyapp.com";
-      savedTable.qrCodeUrl = `${frontendUrl}/order/${savedTable._id}`;
+      const restaurant = await Restaurant.findById(restaurantId).select("slug");
+      savedTable.qrCodeUrl = getTableQrUrl(savedTable, restaurant);
       await savedTable.save();
     }
 
@@ -163,7 +389,7 @@ router.post("/", async (req, res) => {
 router.put("/:tableId", async (req, res) => {
   try {
     const { tableId } = req.params;
-    const { tableName, seats } = req.body;
+    const { tableName, seats, slug, areaId, layout } = req.body;
 
     // Validation
     if (!tableName || tableName.trim() === "") {
@@ -180,6 +406,13 @@ router.put("/:tableId", async (req, res) => {
       });
     }
 
+    if (slug && !SLUG_PATTERN.test(String(slug).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: "Slug may only contain lowercase letters, digits and dashes",
+      });
+    }
+
     if (!req.restaurantId) {
       return res.status(404).json({
         success: false,
@@ -220,12 +453,50 @@ router.put("/:tableId", async (req, res) => {
       }
     }
 
+    if (areaId !== undefined) {
+      const area = await resolveAreaId(restaurantId, areaId);
+      if (area.error) {
+        return res.status(400).json({
+          success: false,
+          message: area.error,
+        });
+      }
+      table.areaId = area.areaId;
+    }
+
+    if (layout !== undefined) {
+      const parsedLayout = parseTableLayout(layout);
+      if (parsedLayout.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedLayout.error,
+        });
+      }
+      applyTableLayout(table, parsedLayout.layout);
+    }
+
     // Update table
     table.tableName = tableName.trim();
     if (seats) {
       table.seats = parseInt(seats);
     }
 
+    // Renaming keeps the slug so printed QR codes keep working;
+    // the slug (and QR link) only changes when asked for explicitly
+    if (slug && String(slug).toLowerCase() !== table.slug) {
+      const requestedSlug = String(slug).toLowerCase();
+      const uniqueSlug = await getUniqueTableSlug(restaurantId, requestedSlug, table._id);
+      if (uniqueSlug !== requestedSlug) {
+        return res.status(400).json({
+          success: false,
+          message: "Another table already uses this slug",
+        });
+      }
+      table.slug = uniqueSlug;
+      const restaurant = await Restaurant.findById(restaurantId).select("slug");
+      table.qrCodeUrl = getTableQrUrl(table, restaurant);
+    }
+
     await table.save();
 
     res.json({
@@ -270,6 +541,13 @@ router.delete("/:tableId", async (req, res) => {
       });
     }
 
+    if (table.currentSessionId) {
+      return res.status(409).json({
+        success: false,
+        message: "Cannot delete a table while guests are seated at it",
+      });
+    }
+
     // Hard delete - permanently remove from database
     await Table.findByIdAndDelete(tableId);
 
@@ -286,7 +564,108 @@ router.delete("/:tableId", async (req, res) => {
   }
 });
 
-// GET /api/tables/:tableId/qr - Get QR code download URL (dummy implementation)
+// Query flags arrive as strings ("true"/"1")
+const isTruthy = (value) => value === true || value === "true" || value === "1";
+
+// GET /api/tables/qr/sheet - Every active table's QR code in one download
+// ?format=pdf&layout=grid|tent&perPage=6&logo=true  -> A4 PDF (stickers or tent cards)
+// ?format=zip&fileFormat=png|svg&size=512&logo=true&label=true -> ZIP of individual files
+router.get("/qr/sheet", async (req, res) => {
+  try {
+    const format = (req.query.format || "pdf").toLowerCase();
+    const layout = (req.query.layout || "grid").toLowerCase();
+    const fileFormat = (req.query.fileFormat || "png").toLowerCase();
+    const perPage = req.query.perPage === undefined ? 6 : Number(req.query.perPage);
+
+    if (!["pdf", "zip"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Valid values: pdf, zip",
+      });
+    }
+
+    if (!["grid", "tent"].includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid layout. Valid values: grid, tent",
+      });
+    }
+
+    if (layout === "grid" && !GRID_LAYOUTS[perPage]) {
+      return res.status(400).json({
+        success: false,
+        message: "perPage must be one of: " + Object.keys(GRID_LAYOUTS).join(", "),
+      });
+    }
+
+    if (!["png", "svg"].includes(fileFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid fileFormat. Valid values: png, svg",
+      });
+    }
+
+    const sizeResult = parseQrSize(req.query.size);
+    if (!sizeResult.valid) {
+      return res.status(400).json({
+        success: false,
+        message: sizeResult.message,
+      });
+    }
+
+    if (!req.restaurantId) {
+      return res.status(404).json({
+        success: false,
+        message: "Restaurant not found for this user",
+      });
+    }
+
+    const restaurantId = req.restaurantId;
+
+    const [restaurant, tables] = await Promise.all([
+      Restaurant.findById(restaurantId).select("restaurantName logo"),
+      Table.find({ restaurantId, isActive: true }).collation({ locale: "en", numericOrdering: true }).sort({ tableName: 1 }),
+    ]);
+
+    if (tables.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No active tables to print",
+      });
+    }
+
+    const baseName = `${restaurant.restaurantName.replace(/[^A-Za-z0-9_-]+/g, "-")}-table-QR-codes`;
+
+    if (format === "pdf") {
+      const pdf = await renderQrSheetPdf(tables, restaurant, {
+        layout,
+        perPage,
+        logo: req.query.logo === undefined ? true : isTruthy(req.query.logo),
+      });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName}.pdf"`);
+      return res.send(pdf);
+    }
+
+    const zip = await renderQrZip(tables, restaurant, {
+      fileFormat,
+      size: sizeResult.size,
+      logo: isTruthy(req.query.logo),
+      label: req.query.label === undefined ? true : isTruthy(req.query.label),
+    });
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.zip"`);
+    res.send(zip);
+  } catch (error) {
+    console.error("QR sheet error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating QR sheet",
+    });
+  }
+});
+
+// GET /api/tables/:tableId/qr - QR code details and download links
 router.get("/:tableId/qr", async (req, res) => {
   try {
     const { tableId } = req.params;
@@ -314,18 +693,29 @@ router.get("/:tableId/qr", async (req, res) => {
       });
     }
 
-    // Return dummy QR code data (in production, this would generate actual QR code)
+    const restaurant = await Restaurant.findById(restaurantId).select("restaurantName logo");
+    const orderUrl = getTableOrderUrl(table);
+    const downloadUrl = `/api/tables/${tableId}/qr/download`;
+
     res.json({
       success: true,
       data: {
         tableId: table._id,
         tableName: table.tableName,
-        qrCodeUrl: table.qrCodeUrl,
-        downloadUrl: `/api/tables/${tableId}/qr/download`,
+        qrCodeUrl: orderUrl,
+        downloadUrl,
+        downloads: {
+          svg: `${downloadUrl}?format=svg`,
+          png: `${downloadUrl}?format=png`,
+          sticker: `${downloadUrl}?format=png&logo=true&label=true`,
+        },
+        // Inline preview for the dashboard
+        svg: renderQrSvg(orderUrl, { size: 256 }),
         metadata: {
-          restaurant: "Restaurant", // We don't have access to restaurant name in JWT
+          restaurant: restaurant ? restaurant.restaurantName : "Restaurant",
           table: table.tableName,
-          orderUrl: table.qrCodeUrl,
+          orderUrl,
+          hasLogo: !!(restaurant && resolveLogoPath(restaurant.logo)),
           generatedAt: new Date().toISOString(),
         },
       },
@@ -339,10 +729,27 @@ router.get("/:tableId/qr", async (req, res) => {
   }
 });
 
-// GET /api/tables/:tableId/qr/download - Download dummy QR code file
+// GET /api/tables/:tableId/qr/download?format=svg|png&size=512&logo=true&label=true
+// Download a scannable QR code, optionally with the logo and a table-name frame
 router.get("/:tableId/qr/download", async (req, res) => {
   try {
     const { tableId } = req.params;
+    const format = (req.query.format || "svg").toLowerCase();
+
+    if (!["svg", "png"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Valid values: svg, png",
+      });
+    }
+
+    const sizeResult = parseQrSize(req.query.size);
+    if (!sizeResult.valid) {
+      return res.status(400).json({
+        success: false,
+        message: sizeResult.message,
+      });
+    }
 
     if (!req.restaurantId) {
       return res.status(404).json({
@@ -367,29 +774,22 @@ router.get("/:tableId/qr/download", async (req, res) => {
       });
     }
 
-    // Create dummy QR code content (SVG format for simplicity)
-    const dummyQRCode = `
-      <svg width="200" height="200" xmlns="http://www.w3.org/2000/svg">
-        <rect width="200" height="200" fill="white"/>
-        <rect x="20" y="20" width="160" height="160" fill="none" stroke="black" stroke-width="2"/>
-        <text x="100" y="90" text-anchor="middle" font-family="Arial" font-size="12" fill="black">
-          QR CODE
-        </text>
-        <text x="100" y="110" text-anchor="middle" font-family="Arial" font-size="10" fill="black">
-          ${table.tableName}
-        </text>
-        <text x="100" y="130" text-anchor="middle" font-family="Arial" font-size="8" fill="gray">
-          ${table.qrCodeUrl}
-        </text>
-      </svg>
-    `.trim();
-
-    res.setHeader("Content-Type", "image/svg+xml");
+    const restaurant = await Restaurant.findById(restaurantId).select("restaurantName logo");
+
+    const qr = await renderTableQr(table, restaurant, {
+      format,
+      size: sizeResult.size,
+      logo: isTruthy(req.query.logo),
+      label: isTruthy(req.query.label),
+    });
+
+    const fileName = table.tableName.replace(/[^A-Za-z0-9_-]+/g, "-");
+    res.setHeader("Content-Type", qr.contentType);
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${table.tableName}-QR.svg"`
+      `attachment; filename="${fileName}-QR.${qr.extension}"`
     );
-    res.send(dummyQRCode);
+    res.send(qr.body);
   } catch (error) {
     console.error("Download QR code error:", error);
     res.status(500).json({
@@ -399,4 +799,398 @@ router.get("/:tableId/qr/download", async (req, res) => {
   }
 });
 
+// Only owners and managers may rotate or revoke printed QR codes
+const managerOnly = requireManager("change table QR codes");
+
+// Load an active table of the logged-in restaurant (404 response if missing)
+const findRestaurantTable = async (req, res) => {
+  const { tableId } = req.params;
+
+  if (!req.restaurantId) {
+    res.status(404).json({
+      success: false,
+      message: "Restaurant not found for this user",
+    });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(tableId)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid table ID format",
+    });
+    return null;
+  }
+
+  const table = await Table.findOne({
+    _id: tableId,
+    restaurantId: req.restaurantId,
+    isActive: true,
+  });
+
+  if (!table) {
+    res.status(404).json({
+      success: false,
+      message: "Table not found",
+    });
+    return null;
+  }
+
+  return table;
+};
+
+// POST /api/tables/:tableId/qr/rotate - Issue a new QR token (old stickers stop working)
+router.post("/:tableId/qr/rotate", managerOnly, async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    const restaurant = await Restaurant.findById(req.restaurantId).select("slug");
+
+    table.qrTokenVersion = (table.qrTokenVersion || 1) + 1;
+    table.qrRevoked = false;
+    table.qrCodeUrl = getTableQrUrl(table, restaurant);
+    await table.save();
+
+    res.json({
+      success: true,
+      message: "QR code rotated. Print the new code for this table.",
+      data: {
+        tableId: table._id,
+        tableName: table.tableName,
+        qrCodeUrl: table.qrCodeUrl,
+        qrTokenVersion: table.qrTokenVersion,
+      },
+    });
+  } catch (error) {
+    console.error("Rotate QR token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while rotating QR code",
+    });
+  }
+});
+
+// POST /api/tables/:tableId/qr/revoke - Disable the table's QR code until it is rotated
+router.post("/:tableId/qr/revoke", managerOnly, async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    table.qrRevoked = true;
+    await table.save();
+
+    res.json({
+      success: true,
+      message: "QR code disabled. Rotate it to issue a new one.",
+      data: {
+        tableId: table._id,
+        tableName: table.tableName,
+        qrRevoked: true,
+      },
+    });
+  } catch (error) {
+    console.error("Revoke QR token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking QR code",
+    });
+  }
+});
+
+// Validate an optional covers / waiter pair from the request body
+// Returns an error message, or null when the values are usable
+const validateSessionDetails = async (req, { covers, waiterId }) => {
+  if (covers !== undefined && covers !== null) {
+    const parsedCovers = Number(covers);
+    if (!Number.isInteger(parsedCovers) || parsedCovers < 1 || parsedCovers > 100) {
+      return "Covers must be a whole number between 1 and 100";
+    }
+  }
+
+  if (waiterId !== undefined && waiterId !== null) {
+    if (!mongoose.Types.ObjectId.isValid(waiterId)) {
+      return "Invalid waiter ID format";
+    }
+    const waiter = await Staff.findOne({
+      _id: waiterId,
+      restaurantId: req.restaurantId,
+      isActive: true,
+    }).select("_id");
+    if (!waiter) {
+      return "Waiter not found";
+    }
+  }
+
+  return null;
+};
+
+// POST /api/tables/:tableId/session/open - Seat guests: start a new table session
+// Body: { covers?, waiterId? } (a waiter seating guests is assigned by default)
+router.post("/:tableId/session/open", async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    const { covers = null } = req.body;
+    const waiterId =
+      req.body.waiterId || (req.isStaff && req.staffRole === "waiter" ? req.staffId : null);
+
+    const validationError = await validateSessionDetails(req, { covers, waiterId });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    if (table.status === "cleaning") {
+      return res.status(409).json({
+        success: false,
+        message: `${table.tableName} is still being cleaned. Mark it clear first.`,
+      });
+    }
+
+    if (table.areaId && !table.currentSessionId) {
+      const [area, restaurant] = await Promise.all([
+        Area.findById(table.areaId),
+        Restaurant.findById(req.restaurantId),
+      ]);
+      if (isAreaClosed(area, restaurant)) {
+        return res.status(409).json({
+          success: false,
+          code: "AREA_CLOSED",
+          message: `${area.name} is closed today`,
+        });
+      }
+    }
+
+    const { session, created } = await openTableSession(table, {
+      covers: covers === null ? null : Number(covers),
+      waiterId,
+      openedBy: getActor(req),
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `${table.tableName} is already occupied`,
+        data: serializeTableStatus(table, session),
+      });
+    }
+
+    emitTableStatus(req.app.get("io"), table, session);
+
+    res.json({
+      success: true,
+      message: `${table.tableName} opened`,
+      data: {
+        ...serializeTableStatus(table, session),
+        sessionOpenedAt: table.sessionOpenedAt,
+        // For staff devices placing orders on the guests' behalf
+        sessionToken: signSessionToken(table),
+      },
+    });
+  } catch (error) {
+    console.error("Open table session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while opening table",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// GET /api/tables/:tableId/session - Current session of a table with its orders
+router.get("/:tableId/session", async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    const session = await getOpenSession(table);
+    if (!session) {
+      return res.json({
+        success: true,
+        data: { ...serializeTableStatus(table), orders: [] },
+      });
+    }
+
+    const orders = await getSessionOrders(session);
+    await session.populate("waiterId", "fullName");
+    const waiter = session.waiterId && session.waiterId.fullName ? session.waiterId : null;
+
+    res.json({
+      success: true,
+      data: {
+        ...serializeTableStatus(table, session, orders, waiter),
+        orders,
+      },
+    });
+  } catch (error) {
+    console.error("Get table session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching table session",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// PATCH /api/tables/:tableId/session - Update covers or reassign the waiter
+router.patch("/:tableId/session", async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    const { covers, waiterId } = req.body;
+
+    const validationError = await validateSessionDetails(req, { covers, waiterId });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const session = await getOpenSession(table);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: `${table.tableName} has no open session`,
+      });
+    }
+
+    if (covers !== undefined) {
+      session.covers = covers === null ? null : Number(covers);
+    }
+    if (waiterId !== undefined) {
+      session.waiterId = waiterId;
+    }
+    await session.save();
+
+    emitTableStatus(req.app.get("io"), table, session);
+
+    res.json({
+      success: true,
+      message: "Table session updated",
+      data: serializeTableStatus(table, session),
+    });
+  } catch (error) {
+    console.error("Update table session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating table session",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/tables/:tableId/bill-request - Guests asked for the bill
+router.post("/:tableId/bill-request", async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    const session = await requestBill(table);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: `${table.tableName} has no open session`,
+      });
+    }
+
+    emitTableStatus(req.app.get("io"), table, session);
+
+    res.json({
+      success: true,
+      message: `Bill requested for ${table.tableName}`,
+      data: serializeTableStatus(table, session),
+    });
+  } catch (error) {
+    console.error("Request bill error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while requesting bill",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/tables/:tableId/session/close - Guests left: end the session and send the table to cleaning
+// Paid sessions close by themselves; this is for walk-ins who never ordered or settled elsewhere
+router.post("/:tableId/session/close", async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    const session = await getOpenSession(table);
+
+    if (session) {
+      const orders = await getSessionOrders(session);
+      if (hasUnsettledOrders(orders)) {
+        return res.status(409).json({
+          success: false,
+          message: `${table.tableName} still has unpaid orders. Settle or cancel them first.`,
+        });
+      }
+      await closeTableSession(session, table, { reason: "closed", closedBy: getActor(req) });
+    } else {
+      // Token-only session from before sessions were tracked
+      table.sessionNonce = null;
+      table.sessionOpenedAt = null;
+      table.currentSessionId = null;
+      setTableStatus(table, table.status === "free" ? "free" : "cleaning");
+      await table.save();
+    }
+
+    emitTableStatus(req.app.get("io"), table);
+
+    res.json({
+      success: true,
+      message: `${table.tableName} closed`,
+      data: serializeTableStatus(table),
+    });
+  } catch (error) {
+    console.error("Close table session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while closing table",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+// POST /api/tables/:tableId/clear - Table cleaned and ready for the next guests
+router.post("/:tableId/clear", async (req, res) => {
+  try {
+    const table = await findRestaurantTable(req, res);
+    if (!table) return;
+
+    if (table.currentSessionId || ["seated", "occupied", "bill_requested"].includes(table.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `${table.tableName} is still occupied. Close its session first.`,
+      });
+    }
+
+    setTableStatus(table, "free");
+    await table.save();
+
+    emitTableStatus(req.app.get("io"), table);
+
+    res.json({
+      success: true,
+      message: `${table.tableName} is free`,
+      data: serializeTableStatus(table),
+    });
+  } catch (error) {
+    console.error("Clear table error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while clearing table",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
 module.exports = router;
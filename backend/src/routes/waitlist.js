@@ -0,0 +1,593 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Table = require("../models/Table");
+const Restaurant = require("../models/Restaurant");
+const Area = require("../models/Area");
+const authMiddleware = require("../middleware/authMiddleware");
+const { WAITING_STATUSES, HOLD_MINUTES, estimateQueueWaits, quoteWait, notifyReady } = require("../utils/waitlist");
+const {
+  pickTables,
+  getBusyTableIds,
+  getReservationSettings,
+  addMinutes,
+  loadRequestedTables,
+} = require("../utils/reservations");
+const { getBusinessDate, getOpenBusinessDate } = require("../utils/numbering");
+const { openTableSession, emitTableStatus } = require("../utils/tableSessions");
+const { getActor } = require("../utils/actors");
+
+// All waitlist routes require owner/staff authentication
+router.use(authMiddleware);
+
+// Helper function to get the Restaurant ID
+// req.restaurantId is set by authMiddleware for both owners and staff
+const getRestaurantId = (req) => {
+  if (!req.restaurantId) {
+    throw new Error("Restaurant not found for this user");
+  }
+  return req.restaurantId;
+};
+
+const NOTIFY_CHANNELS = ["sms", "email", "none"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parsePartySize = (value) => {
+  const partySize = Number(value);
+  return Number.isInteger(partySize) && partySize >= 1 && partySize <= 100 ? partySize : null;
+};
+
+// Contact needed for the chosen channel; returns an error message or null
+const checkContact = ({ notifyVia, phone, email }) => {
+  if (notifyVia === "sms" && !phone) {
+    return "A phone number is required for SMS notifications";
+  }
+  if (notifyVia === "email" && !EMAIL_PATTERN.test(email || "")) {
+    return "A valid email is required for email notifications";
+  }
+  if (email && !EMAIL_PATTERN.test(email)) {
+    return "Email is not valid";
+  }
+  return null;
+};
+
+const getQueue = (restaurantId) =>
+  WaitlistEntry.find({ restaurantId, status: { $in: WAITING_STATUSES } }).sort({ createdAt: 1 });
+
+const serializeEntry = (entry, position, estimatedWaitMinutes) => {
+  const waitedMinutes = Math.floor((Date.now() - entry.createdAt.getTime()) / 60000);
+  return {
+    ...entry.toObject(),
+    position,
+    waitedMinutes,
+    estimatedWaitMinutes,
+    // Past the time quoted when they joined
+    overdue: entry.status === "waiting" && waitedMinutes > entry.quotedWaitMinutes,
+    holdExpiresAt: entry.notifiedAt ? addMinutes(entry.notifiedAt, HOLD_MINUTES) : null,
+  };
+};
+
+const emitWaitlist = (req, entry) => {
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`restaurant-${entry.restaurantId}`).emit("waitlist-updated", {
+      entryId: entry._id.toString(),
+      status: entry.status,
+      customerName: entry.customerName,
+      partySize: entry.partySize,
+      quotedWaitMinutes: entry.quotedWaitMinutes,
+      tableIds: entry.tableIds.map((id) => id.toString()),
+      timestamp: new Date(),
+    });
+  }
+};
+
+const findEntry = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+    return null;
+  }
+  return WaitlistEntry.findOne({
+    _id: req.params.entryId,
+    restaurantId: getRestaurantId(req),
+  });
+};
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Parties waiting now, in queue order, with live wait estimates
+ * @access  Private (Owner, Staff)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const [restaurant, queue] = await Promise.all([Restaurant.findById(restaurantId), getQueue(restaurantId)]);
+
+    // Notified parties already have a table waiting for them
+    const waiting = queue.filter((entry) => entry.status === "waiting");
+    const { waits, diningMinutes, diningSource } = await estimateQueueWaits(restaurant, waiting);
+
+    res.json({
+      success: true,
+      data: {
+        entries: queue.map((entry, index) =>
+          serializeEntry(
+            entry,
+            index + 1,
+            entry.status === "waiting" ? waits.get(entry._id.toString()) : 0
+          )
+        ),
+        waitingParties: waiting.length,
+        waitingCovers: waiting.reduce((sum, entry) => sum + entry.partySize, 0),
+        diningMinutes,
+        diningSource,
+      },
+    });
+  } catch (error) {
+    console.error("Get waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching waitlist",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   GET /api/waitlist/quote?partySize=4
+ * @desc    Wait a new party would be quoted, without adding them
+ * @access  Private (Owner, Staff)
+ */
+router.get("/quote", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const partySize = parsePartySize(req.query.partySize);
+
+    if (!partySize) {
+      return res.status(400).json({
+        success: false,
+        message: "partySize must be between 1 and 100",
+      });
+    }
+
+    const [restaurant, queue] = await Promise.all([
+      Restaurant.findById(restaurantId),
+      WaitlistEntry.find({ restaurantId, status: "waiting" }).sort({ createdAt: 1 }),
+    ]);
+    const quote = await quoteWait(restaurant, queue, partySize);
+
+    res.json({
+      success: true,
+      data: { partySize, ...quote },
+    });
+  } catch (error) {
+    console.error("Waitlist quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while quoting wait",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Add a walk-in party: { customerName, partySize, phone?, email?, notifyVia?, notes? }
+ *          The quoted wait is worked out from the floor and the queue ahead
+ * @access  Private (Owner, Staff)
+ */
+router.post("/", async (req, res) => {
+  try {
+    const restaurantId = getRestaurantId(req);
+    const { customerName, notes = "", notifyVia = "sms" } = req.body;
+    const phone = String(req.body.phone || "").trim();
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const partySize = parsePartySize(req.body.partySize);
+
+    if (!customerName || typeof customerName !== "string" || customerName.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Customer name is required",
+      });
+    }
+
+    if (!partySize) {
+      return res.status(400).json({
+        success: false,
+        message: "Party size must be between 1 and 100",
+      });
+    }
+
+    if (!NOTIFY_CHANNELS.includes(notifyVia)) {
+      return res.status(400).json({
+        success: false,
+        message: `notifyVia must be one of: ${NOTIFY_CHANNELS.join(", ")}`,
+      });
+    }
+
+    const contactError = checkContact({ notifyVia, phone, email });
+    if (contactError) {
+      return res.status(400).json({
+        success: false,
+        message: contactError,
+      });
+    }
+
+    const [restaurant, queue] = await Promise.all([
+      Restaurant.findById(restaurantId),
+      WaitlistEntry.find({ restaurantId, status: "waiting" }).sort({ createdAt: 1 }),
+    ]);
+    const quote = await quoteWait(restaurant, queue, partySize);
+
+    if (quote.quotedWaitMinutes === null) {
+      return res.status(409).json({
+        success: false,
+        message: `No tables can seat a party of ${partySize}`,
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      restaurantId,
+      customerName: customerName.trim(),
+      phone,
+      email,
+      partySize,
+      notifyVia,
+      quotedWaitMinutes: quote.quotedWaitMinutes,
+      businessDate: getBusinessDate(new Date(), restaurant.timezone),
+      notes: String(notes).trim(),
+      addedBy: getActor(req),
+    });
+
+    emitWaitlist(req, entry);
+
+    res.status(201).json({
+      success: true,
+      message: `${entry.customerName} added to the waitlist (about ${quote.quotedWaitMinutes} min)`,
+      data: serializeEntry(entry, quote.partiesAhead + 1, quote.quotedWaitMinutes),
+    });
+  } catch (error) {
+    console.error("Add waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while adding to waitlist",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/waitlist/:entryId
+ * @desc    Update contact details, party size, notification channel or notes
+ * @access  Private (Owner, Staff)
+ */
+router.patch("/:entryId", async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (!WAITING_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This party is no longer waiting (${entry.status})`,
+      });
+    }
+
+    const { customerName, phone, email, notifyVia, notes } = req.body;
+
+    if (customerName !== undefined) {
+      if (typeof customerName !== "string" || customerName.trim() === "") {
+        return res.status(400).json({
+          success: false,
+          message: "Customer name is required",
+        });
+      }
+      entry.customerName = customerName.trim();
+    }
+    if (phone !== undefined) entry.phone = String(phone).trim();
+    if (email !== undefined) entry.email = String(email).trim().toLowerCase();
+    if (notes !== undefined) entry.notes = String(notes).trim();
+
+    if (req.body.partySize !== undefined) {
+      const partySize = parsePartySize(req.body.partySize);
+      if (!partySize) {
+        return res.status(400).json({
+          success: false,
+          message: "Party size must be between 1 and 100",
+        });
+      }
+      entry.partySize = partySize;
+    }
+
+    if (notifyVia !== undefined) {
+      if (!NOTIFY_CHANNELS.includes(notifyVia)) {
+        return res.status(400).json({
+          success: false,
+          message: `notifyVia must be one of: ${NOTIFY_CHANNELS.join(", ")}`,
+        });
+      }
+      entry.notifyVia = notifyVia;
+    }
+
+    const contactError = checkContact(entry);
+    if (contactError) {
+      return res.status(400).json({
+        success: false,
+        message: contactError,
+      });
+    }
+
+    await entry.save();
+
+    emitWaitlist(req, entry);
+
+    res.json({
+      success: true,
+      message: "Waitlist entry updated",
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Update waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating waitlist entry",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/waitlist/:entryId/notify
+ * @desc    Tell the party their table is ready: { channel?, message? }
+ *          Uses the party's notifyVia when no channel is given
+ * @access  Private (Owner, Staff)
+ */
+router.post("/:entryId/notify", async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (!WAITING_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This party is no longer waiting (${entry.status})`,
+      });
+    }
+
+    const channel = req.body.channel || entry.notifyVia;
+    if (!["sms", "email"].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose a channel to notify by: sms or email",
+      });
+    }
+
+    const contactError = checkContact({ notifyVia: channel, phone: entry.phone, email: entry.email });
+    if (contactError) {
+      return res.status(400).json({
+        success: false,
+        message: contactError,
+      });
+    }
+
+    const message = typeof req.body.message === "string" ? req.body.message.trim() : "";
+    if (message.length > 300) {
+      return res.status(400).json({
+        success: false,
+        message: "Message must be 300 characters or less",
+      });
+    }
+
+    const restaurant = await Restaurant.findById(entry.restaurantId).select("restaurantName");
+    const notification = await notifyReady(entry, restaurant, { channel, message });
+
+    // Failed attempts are kept too so staff can see what went wrong
+    entry.notifications.push(notification);
+    if (notification.success) {
+      entry.status = "notified";
+      entry.notifiedAt = new Date();
+    }
+    await entry.save();
+
+    if (!notification.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Could not send ${channel === "sms" ? "SMS" : "email"} to ${notification.to}`,
+        data: entry,
+      });
+    }
+
+    emitWaitlist(req, entry);
+
+    res.json({
+      success: true,
+      message: `${entry.customerName} notified by ${channel === "sms" ? "SMS" : "email"}`,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Notify waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while notifying party",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/waitlist/:entryId/seat
+ * @desc    Seat the party: { tableIds? } - picks free tables when omitted
+ * @access  Private (Owner, Staff)
+ */
+router.post("/:entryId/seat", async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (!WAITING_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This party is no longer waiting (${entry.status})`,
+      });
+    }
+
+    const restaurantId = entry.restaurantId;
+    const { tableIds } = req.body;
+    let tables;
+
+    if (tableIds !== undefined && tableIds !== null) {
+      if (
+        !Array.isArray(tableIds) ||
+        tableIds.length === 0 ||
+        tableIds.some((id) => !mongoose.Types.ObjectId.isValid(id))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "tableIds must be a list of table IDs",
+        });
+      }
+      const requested = await loadRequestedTables(restaurantId, tableIds, entry.partySize);
+      if (requested.error) {
+        return res.status(400).json({
+          success: false,
+          message: requested.error,
+        });
+      }
+      tables = requested.tables;
+
+      const unavailable = tables.filter((table) => table.currentSessionId || table.status === "cleaning");
+      if (unavailable.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${unavailable.map((table) => table.tableName).join(", ")} not free yet`,
+        });
+      }
+    } else {
+      const restaurant = await Restaurant.findById(restaurantId);
+      const settings = getReservationSettings(restaurant);
+      const now = new Date();
+      const [freeTables, reserved, closedAreaIds] = await Promise.all([
+        Table.find({ restaurantId, isActive: true, status: "free", currentSessionId: null }),
+        getBusyTableIds(restaurantId, now, addMinutes(now, settings.defaultTurnMinutes), settings.bufferMinutes),
+        Area.find({ restaurantId, closedForDate: getOpenBusinessDate(restaurant) }).distinct("_id"),
+      ]);
+      // Skip tables kept for an upcoming booking or in an area closed today
+      const skipped = new Set([...reserved, ...closedAreaIds.map((id) => id.toString())]);
+      tables = pickTables(
+        freeTables.filter(
+          (table) => !skipped.has(table._id.toString()) && !skipped.has(String(table.areaId))
+        ),
+        entry.partySize
+      );
+      if (!tables) {
+        return res.status(409).json({
+          success: false,
+          message: `No free tables for a party of ${entry.partySize} right now`,
+        });
+      }
+    }
+
+    const waiterId = req.isStaff && req.staffRole === "waiter" ? req.staffId : null;
+    const sessions = [];
+    // The whole party counts as covers on the first table
+    for (const [index, table] of tables.entries()) {
+      const { session } = await openTableSession(table, {
+        covers: index === 0 ? entry.partySize : null,
+        waiterId,
+        openedBy: getActor(req),
+      });
+      sessions.push({ table, session });
+    }
+
+    entry.status = "seated";
+    entry.seatedAt = new Date();
+    entry.tableIds = tables.map((table) => table._id);
+    entry.tableSessionIds = sessions.map(({ session }) => session._id);
+    await entry.save();
+
+    const io = req.app.get("io");
+    sessions.forEach(({ table, session }) => emitTableStatus(io, table, session));
+    emitWaitlist(req, entry);
+
+    res.json({
+      success: true,
+      message: `${entry.customerName} seated at ${tables.map((table) => table.tableName).join(" + ")}`,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Seat waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while seating party",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+/**
+ * @route   POST /api/waitlist/:entryId/remove
+ * @desc    Take a party off the list: { reason: "left" | "cancelled" }
+ * @access  Private (Owner, Staff)
+ */
+router.post("/:entryId/remove", async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (!WAITING_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This party is no longer waiting (${entry.status})`,
+      });
+    }
+
+    const reason = req.body.reason || "left";
+    if (!["left", "cancelled"].includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be left or cancelled",
+      });
+    }
+
+    entry.status = reason;
+    entry.removedAt = new Date();
+    await entry.save();
+
+    emitWaitlist(req, entry);
+
+    res.json({
+      success: true,
+      message: `${entry.customerName} removed from the waitlist`,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Remove waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while removing party",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,10 @@ const path = require("path");
 const http = require("http");
 const { Server } = require("socket.io");
 require("dotenv").config();
+const { getAllowedOrigins } = require("./config/urls");
+const { startPreorderReleaser } = require("./utils/preorders");
+const { stationRoom } = require("./utils/stations");
+const { registerPrintAgentHandlers } = require("./utils/printAgent");
 
 const restaurantRoutes = require("./routes/restaurant");
 const authRoutes = require("./routes/auth");
@@ -14,6 +18,13 @@ const tableRoutes = require("./routes/tables");
 const menuRoutes = require("./routes/menu");
 const staffRoutes = require("./routes/staff");
 const chefRoutes = require("./routes/chef");
+const discountRoutes = require("./routes/discounts");
+const cashRoutes = require("./routes/cash");
+const areaRoutes = require("./routes/areas");
+const reservationRoutes = require("./routes/reservations");
+const waitlistRoutes = require("./routes/waitlist");
+const stationRoutes = require("./routes/stations");
+const printingRoutes = require("./routes/printing");
 
 const app = express();
 const server = http.createServer(app);
@@ -21,14 +32,8 @@ const server = http.createServer(app);
 /* =====================================================
    CORS Configuration
 ===================================================== */
-const allowedOrigins = [
-  'https://main.d3w57ekmy7c72i.amplifyapp.com',
-  'https://abhu.duckdns.org',
-  'http://localhost:3000',
-  'http://localhost:5173',
-  'http://localhost:5174',
-   'http://localhost:8080',
-];
+// Set CORS_ORIGINS (comma-separated) and FRONTEND_URL in .env
+const allowedOrigins = getAllowedOrigins();
 
 const corsOptions = {
   origin: function (origin, callback) {
@@ -46,7 +51,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Table-Token'],
   optionsSuccessStatus: 200
 };
 
@@ -70,6 +75,13 @@ app.use("/api/menu", menuRoutes);
 app.use("/api/orders", require("./routes/orders"));
 app.use("/api/staff", staffRoutes);
 app.use("/api/chef", chefRoutes);
+app.use("/api/discounts", discountRoutes);
+app.use("/api/cash", cashRoutes);
+app.use("/api/areas", areaRoutes);
+app.use("/api/reservations", reservationRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/stations", stationRoutes);
+app.use("/api/printing", printingRoutes);
 
 /* =====================================================
    Health Check
@@ -107,6 +119,9 @@ const io = new Server(server, {
 
 app.set("io", io);
 
+// Send scheduled pre-orders to the kitchen at their release time
+startPreorderReleaser(io);
+
 io.on("connection", (socket) => {
   console.log("🔌 Client connected:", socket.id);
   
@@ -114,7 +129,22 @@ io.on("connection", (socket) => {
     socket.join(`restaurant-${restaurantId}`);
     console.log(`📦 Socket ${socket.id} joined restaurant-${restaurantId}`);
   });
+
+  // Station screens (grill, bar...) get only their own KOT tickets
+  socket.on("join-station", ({ restaurantId, stationId } = {}) => {
+    if (!restaurantId || !stationId) return;
+    socket.join(stationRoom(restaurantId, stationId));
+    console.log(`🔥 Socket ${socket.id} joined ${stationRoom(restaurantId, stationId)}`);
+  });
+
+  socket.on("leave-station", ({ restaurantId, stationId } = {}) => {
+    if (!restaurantId || !stationId) return;
+    socket.leave(stationRoom(restaurantId, stationId));
+  });
   
+  // On-premise print agents claim and acknowledge print jobs (see utils/printAgent)
+  registerPrintAgentHandlers(io, socket);
+
   socket.on("disconnect", () => {
     console.log("❌ Client disconnected:", socket.id);
   });
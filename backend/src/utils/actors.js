@@ -0,0 +1,102 @@
+/**
+ * Who did something to an order
+ *
+ * Actors are recorded as { actorType, actorId, role, name }:
+ *   owner    - actorId is the User id, name the login email
+ *   staff    - actorId is the Staff id, with their role and username
+ *   customer - actorId is the table visit (TableSession) the order belongs to,
+ *              name the name the guest ordered under
+ */
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret_key";
+
+/**
+ * Actor from a decoded owner or staff token
+ * @param {Object} decoded - JWT payload
+ * @returns {Object|null}
+ */
+const getTokenActor = (decoded) => {
+  if (decoded?.id || decoded?.userId) {
+    return {
+      actorType: "owner",
+      actorId: String(decoded.id || decoded.userId),
+      role: "owner",
+      name: decoded.email || "Owner",
+    };
+  }
+  if (decoded?.staffId && decoded.restaurantId) {
+    return {
+      actorType: "staff",
+      actorId: String(decoded.staffId),
+      role: decoded.role || null,
+      name: decoded.username || "Staff",
+    };
+  }
+  return null;
+};
+
+/**
+ * Actor for a request that went through authMiddleware (or staffAuthMiddleware,
+ * which sets req.role / req.username instead)
+ * @param {Object} req
+ * @returns {Object}
+ */
+const getActor = (req) =>
+  req.isOwner
+    ? { actorType: "owner", actorId: req.userId, role: "owner", name: req.userEmail || "Owner" }
+    : {
+        actorType: "staff",
+        actorId: req.staffId,
+        role: req.staffRole || req.role || null,
+        name: req.staffUsername || req.username || "Staff",
+      };
+
+/**
+ * Payload of the optional Bearer token sent to a public route. The login may
+ * belong to any restaurant: check it against the one being acted on.
+ * @param {Object} req
+ * @returns {Object|null} null for guests (no token, or one that does not verify)
+ */
+const verifyOptionalToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return null;
+  }
+  try {
+    return jwt.verify(authHeader.substring(7), JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Actor for a guest acting on their own order
+ * @param {Object} order - Order document (tableSessionId / customerName)
+ * @returns {Object}
+ */
+const getCustomerActor = (order) => ({
+  actorType: "customer",
+  actorId: order?.tableSessionId ? order.tableSessionId.toString() : null,
+  role: "customer",
+  name: order?.customerName || "Guest",
+});
+
+/**
+ * Short label for printed tickets and lists, e.g. "ravi (waiter)"
+ * @param {Object|null} actor
+ * @returns {String}
+ */
+const getActorLabel = (actor) => {
+  if (!actor) return "Staff";
+  const name = actor.name || (actor.actorType === "customer" ? "Guest" : "Staff");
+  return `${name} (${actor.role || actor.actorType})`;
+};
+
+module.exports = {
+  getTokenActor,
+  getActor,
+  verifyOptionalToken,
+  getCustomerActor,
+  getActorLabel,
+};
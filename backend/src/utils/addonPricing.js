@@ -0,0 +1,220 @@
+/**
+ * Add-on resolution and pricing
+ *
+ * Customers (QR flow) and staff send add-on selections as either plain names
+ * ("Extra Cheese") or objects ({ name, price, groupId }). Nothing the client
+ * sends about price is trusted: every selection is matched against the
+ * MenuItem's addonGroups (or legacy addons) and priced from the menu.
+ */
+
+/**
+ * Get the add-on groups that apply to a menu item.
+ * Legacy `addons` are exposed as a single multi-select "Add-ons" group,
+ * the same way GET /api/menuitems migrates them for the dashboard.
+ * @param {Object} menuItem - MenuItem document or plain object
+ * @returns {Array} [{ groupId, title, multiSelect, minSelect, maxSelect, items }]
+ */
+const getAddonGroups = (menuItem) => {
+  const groups = menuItem.addonGroups || [];
+
+  if (groups.length > 0) {
+    return groups.map((group) => ({
+      groupId: group._id ? group._id.toString() : null,
+      title: group.title,
+      multiSelect: !!group.multiSelect,
+      minSelect: group.minSelect || 0,
+      maxSelect: group.maxSelect ?? null,
+      items: group.items || [],
+    }));
+  }
+
+  const legacyAddons = (menuItem.addons || []).filter((addon) => addon && addon.name);
+  if (legacyAddons.length > 0) {
+    return [
+      {
+        groupId: null,
+        title: "Add-ons",
+        multiSelect: true,
+        minSelect: 0,
+        maxSelect: null,
+        items: legacyAddons,
+      },
+    ];
+  }
+
+  return [];
+};
+
+const normalizeName = (name) =>
+  typeof name === "string" ? name.trim().toLowerCase() : "";
+
+/**
+ * Resolve the add-ons selected for one order line against its menu item.
+ * @param {Object} menuItem - MenuItem document
+ * @param {Array} selected - Add-ons as sent by the client (strings or objects)
+ * @returns {{ addons: Array, unitPrice: Number, errors: Array }}
+ *   addons    - [{ name, price, groupId, groupTitle }] in menu order
+ *   unitPrice - Sum of add-on prices for a single unit of the item
+ *   errors    - [{ code, message, addon?, group? }], empty when valid
+ */
+const resolveItemAddons = (menuItem, selected) => {
+  const groups = getAddonGroups(menuItem);
+  const errors = [];
+  const picked = groups.map(() => new Set()); // group index -> item indexes
+
+  if (selected !== undefined && selected !== null && !Array.isArray(selected)) {
+    return {
+      addons: [],
+      unitPrice: 0,
+      errors: [{ code: "INVALID_ADDONS_FORMAT", message: "Add-ons must be an array" }],
+    };
+  }
+
+  for (const entry of selected || []) {
+    const name = typeof entry === "string" ? entry : entry && entry.name;
+    const groupId = entry && typeof entry === "object" ? entry.groupId : null;
+    const groupTitle = entry && typeof entry === "object" ? entry.groupTitle : null;
+
+    if (!normalizeName(name)) {
+      errors.push({ code: "INVALID_ADDON", message: "Add-on must have a name", addon: entry });
+      continue;
+    }
+
+    // Narrow the search to the group the client named, if any
+    const candidateGroups = groups
+      .map((group, index) => ({ group, index }))
+      .filter(({ group }) => {
+        if (groupId) return group.groupId === groupId.toString();
+        if (groupTitle) return normalizeName(group.title) === normalizeName(groupTitle);
+        return true;
+      });
+
+    let match = null;
+    for (const { group, index } of candidateGroups) {
+      const itemIndex = group.items.findIndex(
+        (item) => normalizeName(item.name) === normalizeName(name)
+      );
+      if (itemIndex !== -1) {
+        match = { groupIndex: index, itemIndex };
+        break;
+      }
+    }
+
+    if (!match) {
+      errors.push({
+        code: "UNKNOWN_ADDON",
+        message: `"${name}" is not an available add-on for ${menuItem.name}`,
+        addon: name,
+      });
+      continue;
+    }
+
+    if (picked[match.groupIndex].has(match.itemIndex)) {
+      errors.push({
+        code: "DUPLICATE_ADDON",
+        message: `"${name}" was selected more than once`,
+        addon: name,
+      });
+      continue;
+    }
+
+    picked[match.groupIndex].add(match.itemIndex);
+  }
+
+  // Enforce per-group selection rules
+  groups.forEach((group, index) => {
+    const count = picked[index].size;
+    const maxSelect = group.multiSelect ? group.maxSelect : 1;
+
+    if (!group.multiSelect && count > 1) {
+      errors.push({
+        code: "MULTI_SELECT_NOT_ALLOWED",
+        message: `Only one option can be chosen from "${group.title}"`,
+        group: group.title,
+      });
+    } else if (maxSelect !== null && maxSelect !== undefined && count > maxSelect) {
+      errors.push({
+        code: "ABOVE_MAX_SELECTION",
+        message: `At most ${maxSelect} option(s) can be chosen from "${group.title}"`,
+        group: group.title,
+      });
+    }
+
+    if (count < group.minSelect) {
+      errors.push({
+        code: "BELOW_MIN_SELECTION",
+        message: `At least ${group.minSelect} option(s) must be chosen from "${group.title}"`,
+        group: group.title,
+      });
+    }
+  });
+
+  // Build the resolved list in menu order so identical selections compare equal
+  const addons = [];
+  groups.forEach((group, index) => {
+    [...picked[index]]
+      .sort((a, b) => a - b)
+      .forEach((itemIndex) => {
+        const item = group.items[itemIndex];
+        addons.push({
+          name: item.name,
+          price: Number(item.price) || 0,
+          groupId: group.groupId,
+          groupTitle: group.title,
+        });
+      });
+  });
+
+  const unitPrice =
+    Math.round(addons.reduce((sum, addon) => sum + addon.price, 0) * 100) / 100;
+
+  return { addons, unitPrice, errors };
+};
+
+/**
+ * Resolve add-ons for every line of an incoming order payload.
+ * @param {Array} items - Order items from the request body
+ * @param {Object} menuItemMap - menuItemId string -> MenuItem document
+ * @returns {{ items: Array, errors: Array }} items with server-priced addons,
+ *   and errors tagged with the offending menuItemId / item name
+ */
+const resolveOrderItems = (items, menuItemMap) => {
+  const errors = [];
+
+  const resolvedItems = items.map((item) => {
+    const menuItem = menuItemMap[item.menuItemId.toString()];
+    const result = resolveItemAddons(menuItem, item.addons);
+
+    result.errors.forEach((error) => {
+      errors.push({
+        ...error,
+        menuItemId: menuItem._id.toString(),
+        itemName: menuItem.name,
+      });
+    });
+
+    return { ...item, addons: result.addons };
+  });
+
+  return { items: resolvedItems, errors };
+};
+
+/**
+ * Stable key for an add-on selection, used to match order lines with the
+ * same item + add-ons. Works for both legacy string and object add-ons.
+ * @param {Array} addons
+ * @returns {String}
+ */
+const getAddonKey = (addons) =>
+  JSON.stringify(
+    (addons || [])
+      .map((addon) => normalizeName(typeof addon === "string" ? addon : addon && addon.name))
+      .sort()
+  );
+
+module.exports = {
+  getAddonGroups,
+  resolveItemAddons,
+  resolveOrderItems,
+  getAddonKey,
+};
@@ -0,0 +1,94 @@
+/**
+ * Dining areas and floor-map layout helpers
+ */
+const Area = require("../models/Area");
+const { getOpenBusinessDate } = require("./numbering");
+
+const TABLE_SHAPES = ["square", "rectangle", "round", "oval", "booth"];
+
+/**
+ * Whether an area is closed for the restaurant's current business day
+ * @param {Object} area - Area document
+ * @param {Object} restaurant - Restaurant document (timezone, lastClosedBusinessDate)
+ * @returns {Boolean}
+ */
+const isAreaClosed = (area, restaurant) =>
+  !!(area && area.closedForDate && area.closedForDate === getOpenBusinessDate(restaurant));
+
+/**
+ * The table's area when it is closed today (null when the table can take guests)
+ * @param {Object} table - Table document
+ * @param {Object} restaurant - Restaurant document
+ * @returns {Promise<Object|null>}
+ */
+const findClosedArea = async (table, restaurant) => {
+  if (!table.areaId) return null;
+  const area = await Area.findById(table.areaId);
+  return isAreaClosed(area, restaurant) ? area : null;
+};
+
+/**
+ * Validate a (partial) table layout from the request body
+ * @param {Object} layout - { x, y, width, height, shape, rotation }
+ * @returns {{ layout: Object, error: String|null }} only the fields that were sent
+ */
+const parseTableLayout = (layout) => {
+  if (!layout || typeof layout !== "object" || Array.isArray(layout)) {
+    return { layout: null, error: "Layout must be an object" };
+  }
+
+  const parsed = {};
+
+  for (const field of ["x", "y"]) {
+    if (layout[field] === undefined) continue;
+    const value = Number(layout[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { layout: null, error: `Layout ${field} must be a number of 0 or more` };
+    }
+    parsed[field] = Math.round(value);
+  }
+
+  for (const field of ["width", "height"]) {
+    if (layout[field] === undefined) continue;
+    const value = Number(layout[field]);
+    if (!Number.isFinite(value) || value < 10 || value > 2000) {
+      return { layout: null, error: `Layout ${field} must be between 10 and 2000` };
+    }
+    parsed[field] = Math.round(value);
+  }
+
+  if (layout.shape !== undefined) {
+    if (!TABLE_SHAPES.includes(layout.shape)) {
+      return { layout: null, error: `Shape must be one of: ${TABLE_SHAPES.join(", ")}` };
+    }
+    parsed.shape = layout.shape;
+  }
+
+  if (layout.rotation !== undefined) {
+    const rotation = Number(layout.rotation);
+    if (!Number.isFinite(rotation)) {
+      return { layout: null, error: "Rotation must be a number of degrees" };
+    }
+    // Normalise -90 / 450 etc. to 0-359
+    parsed.rotation = ((Math.round(rotation) % 360) + 360) % 360;
+  }
+
+  return { layout: parsed, error: null };
+};
+
+/**
+ * Merge validated layout fields into a table document
+ */
+const applyTableLayout = (table, layout) => {
+  Object.entries(layout).forEach(([field, value]) => {
+    table.set(`layout.${field}`, value);
+  });
+};
+
+module.exports = {
+  TABLE_SHAPES,
+  isAreaClosed,
+  findClosedArea,
+  parseTableLayout,
+  applyTableLayout,
+};
@@ -0,0 +1,451 @@
+/**
+ * Bill computation
+ *
+ * Turns an order's line items into a bill breakdown:
+ *   subtotal -> discounts -> service charge / packaging -> taxes (per line,
+ *   e.g. CGST/SGST) -> round off -> grand total
+ *
+ * Tips are not part of the bill; they are recorded per tender on payment.
+ *
+ * Tax rates and the service charge are frozen on the order (order.taxConfig) when it is created, so
+ * later changes to Restaurant.taxes never rewrite historical bills.
+ */
+
+const { OFF_PREMISE_ORDER_TYPES, getPackagingCharges } = require("./orderTypes");
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Snapshot a restaurant's tax settings for storing on an order.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} [area] - Dining area of the table (may override the service charge)
+ * @param {String} [orderType] - takeaway and delivery orders pay packaging, not service charge
+ * @returns {{ taxes: Array, pricesIncludeTax: Boolean, roundOff: Boolean,
+ *   serviceChargeRate: Number, serviceChargeTaxable: Boolean, packagingPerOrder: Number,
+ *   packagingPerItem: Number, packagingTaxable: Boolean }}
+ */
+const buildTaxConfig = (restaurant, area = null, orderType = null) => {
+  const offPremise = OFF_PREMISE_ORDER_TYPES.includes(orderType);
+  const packaging = getPackagingCharges(restaurant);
+
+  return {
+    taxes: (restaurant?.taxes || [])
+      .filter((tax) => tax && tax.name && Number(tax.rate) > 0)
+      .map((tax) => ({ name: tax.name, rate: Number(tax.rate) })),
+    pricesIncludeTax: !!restaurant?.pricesIncludeTax,
+    roundOff: !!restaurant?.roundOffBill,
+    serviceChargeRate: offPremise
+      ? 0
+      : area && area.serviceChargeRate !== null && area.serviceChargeRate !== undefined
+        ? Number(area.serviceChargeRate) || 0
+        : Number(restaurant?.serviceChargeRate) || 0,
+    serviceChargeTaxable: !!restaurant?.serviceChargeTaxable,
+    packagingPerOrder: offPremise ? Number(packaging.perOrder) || 0 : 0,
+    packagingPerItem: offPremise ? Number(packaging.perItem) || 0 : 0,
+    packagingTaxable: !!packaging.taxable,
+  };
+};
+
+/**
+ * Whether an order line counts towards the bill.
+ * Removed (struck-through) and cancelled lines are kept for history only.
+ */
+const isBillableItem = (item) =>
+  !item.isRemoved && item.status !== "cancelled";
+
+/**
+ * Total for one order line: (item price + add-on prices) × quantity
+ * @param {Object} item - Order item
+ * @returns {Number}
+ */
+const getLineTotal = (item) => {
+  const addonUnitPrice = (Array.isArray(item.addons) ? item.addons : []).reduce(
+    (sum, addon) =>
+      sum + (addon && typeof addon === "object" ? Number(addon.price) || 0 : 0),
+    0
+  );
+  return round2((Number(item.price) + addonUnitPrice) * item.quantity);
+};
+
+/**
+ * Whether an item-level discount applies to an order line.
+ * Complimentary/manual item discounts target order lines (itemIds);
+ * rule-based ones target menu items (menuItemIds).
+ */
+const discountMatchesItem = (discount, item) => {
+  const lineIds = (discount.itemIds || []).map((id) => id.toString());
+  const menuItemIds = (discount.menuItemIds || []).map((id) => id.toString());
+  return (
+    (item._id && lineIds.includes(item._id.toString())) ||
+    (item.menuItemId && menuItemIds.includes(item.menuItemId.toString()))
+  );
+};
+
+/**
+ * Work out how much each applied discount takes off.
+ * Item-level discounts are applied first, then order-level discounts on
+ * what remains. A discount never takes more than what is left to discount.
+ * @param {Array} billableItems
+ * @param {Array} discounts - Discount applications stored on the order
+ * @param {Number} flatShare - Fraction of order-level flat discounts to use
+ *   (1 for a whole bill, less when pricing part of a split bill)
+ * @returns {{ lines: Array, total: Number }}
+ */
+const computeDiscounts = (billableItems, discounts = [], flatShare = 1) => {
+  const lines = billableItems.map((item) => ({ item, remaining: getLineTotal(item) }));
+  const results = [];
+
+  const itemDiscounts = discounts.filter((discount) => discount.scope === "items");
+  const orderDiscounts = discounts.filter((discount) => discount.scope !== "items");
+
+  itemDiscounts.forEach((discount) => {
+    const perLine = lines.map((line) => {
+      if (!discountMatchesItem(discount, line.item)) return 0;
+      const lineAmount =
+        discount.valueType === "percentage"
+          ? (line.remaining * discount.value) / 100
+          : discount.value * line.item.quantity; // flat item discounts are per unit
+      return Math.min(round2(lineAmount), line.remaining);
+    });
+
+    // Scale down proportionally when the discount is capped
+    const uncapped = perLine.reduce((sum, amount) => sum + amount, 0);
+    const scale =
+      discount.maxAmount && uncapped > discount.maxAmount ? discount.maxAmount / uncapped : 1;
+
+    let amount = 0;
+    lines.forEach((line, index) => {
+      const applied = round2(perLine[index] * scale);
+      line.remaining = round2(line.remaining - applied);
+      amount += applied;
+    });
+    results.push({ discount, amount: round2(amount) });
+  });
+
+  let remainingTotal = round2(lines.reduce((sum, line) => sum + line.remaining, 0));
+
+  orderDiscounts.forEach((discount) => {
+    let amount =
+      discount.valueType === "percentage"
+        ? (remainingTotal * discount.value) / 100
+        : discount.value * flatShare;
+    if (discount.maxAmount) amount = Math.min(amount, discount.maxAmount * flatShare);
+    amount = Math.min(round2(amount), remainingTotal);
+    remainingTotal = round2(remainingTotal - amount);
+    results.push({ discount, amount });
+  });
+
+  return {
+    lines: results.map(({ discount, amount }) => ({
+      applicationId: discount._id || null,
+      name: discount.name,
+      amount,
+    })),
+    total: round2(results.reduce((sum, result) => sum + result.amount, 0)),
+  };
+};
+
+/**
+ * Compute the bill breakdown for a set of order items.
+ * @param {Array} items - Order items
+ * @param {Object} taxConfig - Frozen tax settings (see buildTaxConfig)
+ * @param {Object} options
+ * @param {Array} options.discounts - Discount applications (order.discounts)
+ * @param {Number} options.flatShare - Share of order-level flat discounts and the
+ *   per-order packaging charge (split bills)
+ * @returns {Object} { subtotal, discounts, discountTotal, serviceCharge,
+ *   serviceChargeRate, packagingCharge, taxableAmount, taxes, taxTotal, roundOff, grandTotal,
+ *   pricesIncludeTax }
+ */
+const computeBill = (items, taxConfig = {}, options = {}) => {
+  const taxes = taxConfig.taxes || [];
+  const pricesIncludeTax = !!taxConfig.pricesIncludeTax;
+  const serviceChargeRate = Number(taxConfig.serviceChargeRate) || 0;
+  const serviceChargeTaxable = !!taxConfig.serviceChargeTaxable;
+  const packagingTaxable = !!taxConfig.packagingTaxable;
+  const flatShare = options.flatShare ?? 1;
+  const billableItems = (items || []).filter(isBillableItem);
+
+  const subtotal = round2(
+    billableItems.reduce((sum, item) => sum + getLineTotal(item), 0)
+  );
+
+  // Discounts come off before tax
+  const discountResult = computeDiscounts(
+    billableItems,
+    options.discounts || [],
+    flatShare
+  );
+  const netAmount = round2(subtotal - discountResult.total);
+
+  // Packaging (takeaway/delivery): a flat amount per order plus one per unit
+  const unitCount = billableItems.reduce((sum, item) => sum + item.quantity, 0);
+  const packagingCharge =
+    unitCount > 0
+      ? round2(
+          (Number(taxConfig.packagingPerOrder) || 0) * flatShare +
+            (Number(taxConfig.packagingPerItem) || 0) * unitCount
+        )
+      : 0;
+  const taxedPackaging = packagingTaxable ? packagingCharge : 0;
+
+  let taxableAmount;
+  let taxLines;
+  let serviceCharge;
+  let total;
+
+  if (pricesIncludeTax) {
+    // Menu prices already contain tax - back it out of the discounted amount.
+    // Service charge is levied on the pre-tax amount and added on top.
+    const combinedRate = taxes.reduce((sum, tax) => sum + tax.rate, 0);
+    const baseAmount = netAmount / (1 + combinedRate / 100);
+    serviceCharge = round2((baseAmount * serviceChargeRate) / 100);
+    const taxedCharges = (serviceChargeTaxable ? serviceCharge : 0) + taxedPackaging;
+
+    const itemTaxes = taxes.map((tax) => round2((baseAmount * tax.rate) / 100));
+    const chargeTaxes = taxes.map((tax) => round2((taxedCharges * tax.rate) / 100));
+    taxLines = taxes.map((tax, index) => ({
+      name: tax.name,
+      rate: tax.rate,
+      amount: round2(itemTaxes[index] + chargeTaxes[index]),
+    }));
+
+    const itemTaxTotal = itemTaxes.reduce((sum, amount) => sum + amount, 0);
+    const chargeTaxTotal = chargeTaxes.reduce((sum, amount) => sum + amount, 0);
+    taxableAmount = round2(netAmount - itemTaxTotal + taxedCharges);
+    total = round2(netAmount + serviceCharge + packagingCharge + chargeTaxTotal);
+  } else {
+    serviceCharge = round2((netAmount * serviceChargeRate) / 100);
+    taxableAmount = round2(
+      netAmount + (serviceChargeTaxable ? serviceCharge : 0) + taxedPackaging
+    );
+    taxLines = taxes.map((tax) => ({
+      name: tax.name,
+      rate: tax.rate,
+      amount: round2((taxableAmount * tax.rate) / 100),
+    }));
+    const taxSum = taxLines.reduce((sum, tax) => sum + tax.amount, 0);
+    total = round2(netAmount + serviceCharge + packagingCharge + taxSum);
+  }
+
+  const taxTotal = round2(taxLines.reduce((sum, tax) => sum + tax.amount, 0));
+  const grandTotal = taxConfig.roundOff ? Math.round(total) : total;
+
+  return {
+    subtotal,
+    discounts: discountResult.lines,
+    discountTotal: discountResult.total,
+    serviceCharge,
+    serviceChargeRate,
+    packagingCharge,
+    taxableAmount,
+    taxes: taxLines,
+    taxTotal,
+    roundOff: round2(grandTotal - total),
+    grandTotal,
+    pricesIncludeTax,
+  };
+};
+
+/**
+ * Amount the customer owes for an order (grand total incl. taxes).
+ * Falls back to totalPrice for orders created before bills were computed.
+ * @param {Object} order
+ * @returns {Number}
+ */
+const getAmountDue = (order) =>
+  round2(order.bill ? order.bill.grandTotal : order.totalPrice);
+
+/**
+ * Give the rounding difference between the split shares and the bill total
+ * to the last split so the shares always add up exactly.
+ */
+const reconcileSplitAmounts = (splits, grandTotal) => {
+  const allocated = round2(splits.reduce((sum, split) => sum + split.amount, 0));
+  const difference = round2(grandTotal - allocated);
+  if (difference !== 0 && splits.length > 0) {
+    const last = splits[splits.length - 1];
+    last.amount = round2(last.amount + difference);
+  }
+  return splits;
+};
+
+/**
+ * Split a bill into equal shares.
+ * @param {Number} grandTotal
+ * @param {Number} parts - Number of shares (2-50)
+ * @returns {Array} [{ label, splitType, items, amount }]
+ */
+const computeEqualSplits = (grandTotal, parts) => {
+  const share = Math.floor((grandTotal / parts) * 100) / 100;
+  const splits = Array.from({ length: parts }, (_, index) => ({
+    label: `Share ${index + 1} of ${parts}`,
+    splitType: "equal",
+    items: [],
+    amount: share,
+  }));
+  return reconcileSplitAmounts(splits, grandTotal);
+};
+
+/**
+ * Split a bill by items. Each group pays for the item quantities assigned to
+ * it (taxed with the order's frozen rates); anything left unassigned becomes
+ * a "Remaining items" split.
+ * @param {Array} items - Order items
+ * @param {Object} taxConfig - Frozen tax settings
+ * @param {Array} groups - [{ label?, items: [{ itemId, quantity? }] }]
+ * @param {Number} grandTotal - Order grand total the splits must add up to
+ * @param {Array} discounts - Discount applications on the order
+ * @returns {{ splits: Array, errors: Array }}
+ */
+const computeItemSplits = (items, taxConfig, groups, grandTotal, discounts = []) => {
+  const errors = [];
+  const billableItems = (items || []).filter(isBillableItem);
+  const remaining = new Map(
+    billableItems.map((item) => [item._id.toString(), item.quantity])
+  );
+
+  const splits = groups.map((group, index) => {
+    const lines = [];
+    (group.items || []).forEach((entry) => {
+      const itemId = entry && entry.itemId ? entry.itemId.toString() : "";
+      const item = billableItems.find((candidate) => candidate._id.toString() === itemId);
+
+      if (!item) {
+        errors.push({ code: "UNKNOWN_ITEM", message: `Item ${itemId} is not on this bill`, itemId });
+        return;
+      }
+
+      const quantity = entry.quantity === undefined ? remaining.get(itemId) : Number(entry.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining.get(itemId)) {
+        errors.push({
+          code: "INVALID_QUANTITY",
+          message: `Only ${remaining.get(itemId)} of ${item.name} left to assign`,
+          itemId,
+        });
+        return;
+      }
+
+      remaining.set(itemId, remaining.get(itemId) - quantity);
+      lines.push({ item, quantity });
+    });
+
+    return {
+      label: group.label || `Split ${index + 1}`,
+      splitType: "items",
+      lines,
+    };
+  });
+
+  if (errors.length > 0) {
+    return { splits: [], errors };
+  }
+
+  const leftover = billableItems
+    .filter((item) => remaining.get(item._id.toString()) > 0)
+    .map((item) => ({ item, quantity: remaining.get(item._id.toString()) }));
+
+  if (leftover.length > 0) {
+    splits.push({ label: "Remaining items", splitType: "items", lines: leftover });
+  }
+
+  const orderSubtotal = billableItems.reduce((sum, item) => sum + getLineTotal(item), 0);
+
+  const result = splits
+    .filter((split) => split.lines.length > 0)
+    .map((split) => {
+      const splitItems = split.lines.map(({ item, quantity }) => ({
+        ...(typeof item.toObject === "function" ? item.toObject() : item),
+        quantity,
+      }));
+      const splitSubtotal = splitItems.reduce((sum, item) => sum + getLineTotal(item), 0);
+      const flatShare = orderSubtotal > 0 ? splitSubtotal / orderSubtotal : 0;
+      return {
+        label: split.label,
+        splitType: split.splitType,
+        items: split.lines.map(({ item, quantity }) => ({
+          itemId: item._id,
+          name: item.name,
+          quantity,
+        })),
+        amount: computeBill(splitItems, taxConfig, { discounts, flatShare }).grandTotal,
+      };
+    });
+
+  return { splits: reconcileSplitAmounts(result, grandTotal), errors };
+};
+
+/**
+ * Work out how much to give back for returned item quantities. Each line is
+ * priced the way it was billed (discounts and taxes frozen on the order),
+ * without round off.
+ * @param {Array} items - Order items (refundedQuantity = already returned)
+ * @param {Object} taxConfig - Frozen tax settings
+ * @param {Array} selections - [{ itemId, quantity? }] (quantity defaults to all left)
+ * @param {Array} discounts - Discount applications on the order
+ * @returns {{ lines: Array, amount: Number, errors: Array }}
+ */
+const computeItemsRefund = (items, taxConfig, selections, discounts = []) => {
+  const errors = [];
+  const billableItems = (items || []).filter(isBillableItem);
+  const lines = [];
+
+  selections.forEach((entry) => {
+    const itemId = entry && entry.itemId ? entry.itemId.toString() : "";
+    const item = billableItems.find((candidate) => candidate._id.toString() === itemId);
+
+    if (!item) {
+      errors.push({ code: "UNKNOWN_ITEM", message: `Item ${itemId} is not on this bill`, itemId });
+      return;
+    }
+
+    const alreadySelected = lines
+      .filter((line) => line.item === item)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    const left = item.quantity - (item.refundedQuantity || 0) - alreadySelected;
+    const quantity = entry.quantity === undefined ? left : Number(entry.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > left) {
+      errors.push({
+        code: "INVALID_QUANTITY",
+        message: `Only ${left} of ${item.name} can be refunded`,
+        itemId,
+      });
+      return;
+    }
+
+    lines.push({ item, quantity });
+  });
+
+  if (errors.length > 0 || lines.length === 0) {
+    return { lines: [], amount: 0, errors };
+  }
+
+  const orderSubtotal = billableItems.reduce((sum, item) => sum + getLineTotal(item), 0);
+  const refundItems = lines.map(({ item, quantity }) => ({
+    ...(typeof item.toObject === "function" ? item.toObject() : item),
+    quantity,
+  }));
+  const refundSubtotal = refundItems.reduce((sum, item) => sum + getLineTotal(item), 0);
+  const flatShare = orderSubtotal > 0 ? refundSubtotal / orderSubtotal : 0;
+
+  const { grandTotal } = computeBill(
+    refundItems,
+    { ...(taxConfig || {}), roundOff: false },
+    { discounts, flatShare }
+  );
+
+  return { lines, amount: grandTotal, errors };
+};
+
+module.exports = {
+  round2,
+  buildTaxConfig,
+  isBillableItem,
+  getLineTotal,
+  computeBill,
+  getAmountDue,
+  computeEqualSplits,
+  computeItemSplits,
+  computeItemsRefund,
+};
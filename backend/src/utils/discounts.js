@@ -0,0 +1,130 @@
+/**
+ * Discount rule checks and order discount applications
+ *
+ * A Discount is a reusable rule (percentage/flat, order or item level,
+ * happy hour, coupon code). When it is used on an order, a snapshot of the
+ * rule is stored in order.discounts so later edits to the rule don't change
+ * the bill. utils/billing computes the actual amounts.
+ */
+const MenuItem = require("../models/MenuItem");
+const { DEFAULT_TIMEZONE } = require("./numbering");
+
+/**
+ * Day of week (0 = Sunday) and minutes since midnight in a timezone.
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  const days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  return {
+    day: days.indexOf(get("weekday")),
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+};
+
+const parseTime = (value) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Whether a happy hour window is open at the given moment.
+ * Windows may cross midnight (e.g. 22:00 - 01:00).
+ */
+const isWithinHappyHour = (happyHour, date, timezone) => {
+  const start = parseTime(happyHour.startTime);
+  const end = parseTime(happyHour.endTime);
+  if (start === null || end === null) return true;
+
+  const { day, minutes } = getLocalTime(date, timezone);
+  const days = happyHour.days && happyHour.days.length > 0 ? happyHour.days : null;
+
+  if (start <= end) {
+    return (!days || days.includes(day)) && minutes >= start && minutes < end;
+  }
+  // Crosses midnight: after-midnight minutes belong to the previous day's window
+  if (minutes >= start) return !days || days.includes(day);
+  if (minutes < end) return !days || days.includes((day + 6) % 7);
+  return false;
+};
+
+/**
+ * Check whether a discount rule can be used right now on a bill.
+ * @param {Object} discount - Discount document
+ * @param {Object} context - { now, timezone, subtotal }
+ * @returns {{ valid: Boolean, message: String }}
+ */
+const checkDiscountAvailability = (discount, { now = new Date(), timezone, subtotal = 0 }) => {
+  if (!discount.isActive) {
+    return { valid: false, message: "This discount is not active" };
+  }
+  if (discount.validFrom && now < discount.validFrom) {
+    return { valid: false, message: "This discount is not valid yet" };
+  }
+  if (discount.validUntil && now > discount.validUntil) {
+    return { valid: false, message: "This discount has expired" };
+  }
+  if (discount.usageLimit && discount.usageCount >= discount.usageLimit) {
+    return { valid: false, message: "This discount has reached its usage limit" };
+  }
+  if (discount.happyHour && discount.happyHour.startTime &&
+      !isWithinHappyHour(discount.happyHour, now, timezone)) {
+    return { valid: false, message: "This discount is only available during happy hour" };
+  }
+  if (discount.minOrderAmount && subtotal < discount.minOrderAmount) {
+    return {
+      valid: false,
+      message: `Minimum order amount for this discount is ${discount.minOrderAmount}`,
+    };
+  }
+  return { valid: true, message: "Discount is available" };
+};
+
+/**
+ * Snapshot a discount rule into an order discount application.
+ * Item-level rules resolve their sections to menu item IDs so the bill can
+ * be recomputed later without looking the rule up again.
+ * @param {Object} discount - Discount document
+ * @param {Object} details - { appliedBy, reason }
+ * @returns {Promise<Object>}
+ */
+const buildRuleApplication = async (discount, { appliedBy, reason = "" }) => {
+  let menuItemIds = (discount.menuItemIds || []).map((id) => id.toString());
+
+  if (discount.scope === "items" && discount.sectionIds && discount.sectionIds.length > 0) {
+    const sectionItems = await MenuItem.find({
+      restaurantId: discount.restaurantId,
+      sectionId: { $in: discount.sectionIds },
+    }).select("_id");
+    menuItemIds = [...new Set([...menuItemIds, ...sectionItems.map((item) => item._id.toString())])];
+  }
+
+  return {
+    discountId: discount._id,
+    kind: discount.code ? "coupon" : "rule",
+    name: discount.name,
+    code: discount.code || null,
+    valueType: discount.valueType,
+    value: discount.value,
+    scope: discount.scope,
+    itemIds: [],
+    menuItemIds,
+    maxAmount: discount.maxAmount || null,
+    reason,
+    appliedBy,
+    appliedAt: new Date(),
+  };
+};
+
+module.exports = {
+  getLocalTime,
+  isWithinHappyHour,
+  checkDiscountAvailability,
+  buildRuleApplication,
+};
@@ -0,0 +1,78 @@
+/**
+ * ESC/POS byte rendering for thermal printers
+ *
+ * Turns the fixed-width line layouts (renderReceiptLines, renderKotLines)
+ * into the raw bytes a thermal printer understands. Printers run a single-byte
+ * code page, so text is reduced to printable ASCII before encoding.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  boldOn: [ESC, 0x45, 0x01],
+  boldOff: [ESC, 0x45, 0x00],
+  alignLeft: [ESC, 0x61, 0x00],
+  alignCenter: [ESC, 0x61, 0x01],
+  // GS ! n - character size (0x01 = double height, keeps the line width)
+  doubleHeight: [GS, 0x21, 0x01],
+  normalSize: [GS, 0x21, 0x00],
+  // GS V m n - feed n lines, then cut (65 = full cut, 66 = partial cut)
+  fullCut: [GS, 0x56, 0x41, 0x03],
+  partialCut: [GS, 0x56, 0x42, 0x03],
+  // ESC p m t1 t2 - kick the cash drawer on pin 2
+  openDrawer: [ESC, 0x70, 0x00, 0x19, 0xfa],
+};
+
+// Common symbols that have no ASCII equivalent
+const REPLACEMENTS = { "₹": "Rs.", "€": "EUR", "£": "GBP", "¥": "JPY", "–": "-", "—": "-", "’": "'", "“": '"', "”": '"' };
+
+/**
+ * Reduce text to printable ASCII (accents dropped, unknown characters as "?")
+ * @param {String} text
+ * @returns {String}
+ */
+const toPrinterText = (text) =>
+  String(text ?? "")
+    .replace(/[₹€£¥–—’“”]/g, (char) => REPLACEMENTS[char])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e\n]/g, "?");
+
+/**
+ * Encode line layouts as ESC/POS bytes.
+ * Lines are already padded to the paper width, so centring is only needed
+ * for double-height text.
+ * @param {Array} lines - [{ text, bold?, center?, large? }]
+ * @param {Object} options - { cut: "full"|"partial"|false, openDrawer: Boolean, feedLines: Number }
+ * @returns {Buffer}
+ */
+const encodeEscPos = (lines, { cut = "partial", openDrawer = false, feedLines = 1 } = {}) => {
+  const bytes = [...COMMANDS.init];
+
+  lines.forEach((line) => {
+    if (line.bold) bytes.push(...COMMANDS.boldOn);
+    if (line.large) bytes.push(...COMMANDS.doubleHeight, ...(line.center ? COMMANDS.alignCenter : []));
+
+    const text = line.large && line.center ? String(line.text ?? "").trim() : line.text;
+    bytes.push(...Buffer.from(toPrinterText(text), "ascii"), LF);
+
+    if (line.large) bytes.push(...COMMANDS.normalSize, ...COMMANDS.alignLeft);
+    if (line.bold) bytes.push(...COMMANDS.boldOff);
+  });
+
+  for (let i = 0; i < feedLines; i++) bytes.push(LF);
+  if (cut === "full") bytes.push(...COMMANDS.fullCut);
+  if (cut === "partial") bytes.push(...COMMANDS.partialCut);
+  if (openDrawer) bytes.push(...COMMANDS.openDrawer);
+
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  COMMANDS,
+  toPrinterText,
+  encodeEscPos,
+};
@@ -0,0 +1,209 @@
+/**
+ * Kitchen timing: when each order line (and batch) was queued, started,
+ * ready and served, and the metrics built from those timestamps
+ *
+ *   wait to start = startedAt - queuedAt
+ *   prep time     = readyAt   - startedAt
+ *   time to serve = servedAt  - readyAt
+ *   total         = servedAt  - queuedAt
+ *
+ * A line is queued when it reaches the kitchen: when it is added to the order,
+ * or when its pre-order is released. Every other step is stamped the first
+ * time the line reaches it, whether the line, its batch or the whole order
+ * changed status, so later edits to the order don't move the timestamps.
+ *
+ * No models are required here; Order.setStatus stamps lines through it.
+ */
+
+// Order/item status -> the timestamp it stamps, and where the actor goes
+const TIMING_STEPS = {
+  preparing: { field: "startedAt", actorField: "startedBy" },
+  ready: { field: "readyAt", actorField: "readyBy" },
+  served: { field: "servedAt", actorField: "servedBy" },
+};
+
+const METRICS = ["waitToStart", "prepTime", "timeToServe", "total"];
+
+const ORIGINAL_BATCH = "original";
+
+const isActiveLine = (item) => !item.isRemoved && item.status !== "cancelled";
+
+const getBatchKey = (item) => item.batchId || ORIGINAL_BATCH;
+
+/**
+ * When a line reached the kitchen (never before its pre-order was released)
+ * @param {Object} order
+ * @param {Object} item - order line
+ * @returns {Date|null}
+ */
+const getQueuedAt = (order, item) => {
+  const kitchenAt = order.releasedAt || order.createdAt || null;
+  const queuedAt = item.timings?.queuedAt || null;
+  if (!queuedAt || !kitchenAt) return queuedAt || kitchenAt;
+  return queuedAt > kitchenAt ? queuedAt : kitchenAt;
+};
+
+/**
+ * Stamp the kitchen step a line just reached (first time only)
+ * @param {Object} item - order line
+ * @param {String} status - new status of the line, its batch or the order
+ * @param {Date} at
+ * @param {Object|null} actor - see utils/actors
+ * @returns {Boolean} whether anything was stamped
+ */
+const stampLineTiming = (item, status, at, actor) => {
+  const step = TIMING_STEPS[status];
+  if (!step || !isActiveLine(item)) return false;
+  if (!item.timings) item.timings = {};
+  if (item.timings[step.field]) return false;
+  item.timings[step.field] = at;
+  item.timings[step.actorField] = actor || null;
+  return true;
+};
+
+const earliest = (dates) => (dates.length > 0 ? new Date(Math.min(...dates.map(Number))) : null);
+const latest = (dates) => (dates.length > 0 ? new Date(Math.max(...dates.map(Number))) : null);
+
+/**
+ * Batch timestamps from their lines: queued and started with the first line,
+ * ready and served once every line is
+ * @param {Object} order - Order document
+ * @returns {Map<String, Object>} batch key -> { queuedAt, startedAt, readyAt, servedAt }
+ */
+const computeBatchTimings = (order) => {
+  const batches = new Map();
+  (order.items || []).filter(isActiveLine).forEach((item) => {
+    const key = getBatchKey(item);
+    if (!batches.has(key)) batches.set(key, []);
+    batches.get(key).push(item);
+  });
+
+  const timings = new Map();
+  batches.forEach((items, key) => {
+    const stamps = (field) => items.map((item) => item.timings?.[field]).filter(Boolean);
+    const whenAll = (field) => (stamps(field).length === items.length ? latest(stamps(field)) : null);
+    timings.set(key, {
+      queuedAt: earliest(items.map((item) => getQueuedAt(order, item)).filter(Boolean)),
+      startedAt: earliest(stamps("startedAt")),
+      readyAt: whenAll("readyAt"),
+      servedAt: whenAll("servedAt"),
+    });
+  });
+  return timings;
+};
+
+const toSeconds = (from, to) =>
+  from && to && to >= from ? Math.round((new Date(to) - new Date(from)) / 1000) : null;
+
+/**
+ * Durations of one line in seconds (null when a step was never reached)
+ * @returns {Object} { waitToStart, prepTime, timeToServe, total }
+ */
+const getLineDurations = (order, item) => {
+  const timings = item.timings || {};
+  const queuedAt = getQueuedAt(order, item);
+  return {
+    waitToStart: toSeconds(queuedAt, timings.startedAt),
+    prepTime: toSeconds(timings.startedAt, timings.readyAt),
+    timeToServe: toSeconds(timings.readyAt, timings.servedAt),
+    total: toSeconds(queuedAt, timings.servedAt),
+  };
+};
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+/**
+ * Count, average, median, p90, p95 and max of some durations (seconds)
+ * @param {Array<Number>} values
+ * @returns {Object}
+ */
+const summarize = (values) => {
+  const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, avg: null, p50: null, p90: null, p95: null, max: null };
+  }
+  return {
+    count: sorted.length,
+    avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1],
+  };
+};
+
+/**
+ * Kitchen timing metrics over orders, overall and per item, station and chef.
+ * Lines count once whatever their quantity. A line's chef is whoever marked it
+ * ready (else whoever started it).
+ * @param {Array} orders - Order documents
+ * @param {Function} stationOf - (order, item) -> station ({ _id, name }) or null
+ * @returns {Object} { overall, byItem, byStation, byChef } - durations in seconds
+ */
+const buildTimingReport = (orders, stationOf) => {
+  const emptyValues = () => Object.fromEntries(METRICS.map((metric) => [metric, []]));
+  const groups = { overall: new Map(), byItem: new Map(), byStation: new Map(), byChef: new Map() };
+  const addTo = (group, key, label, durations) => {
+    if (!groups[group].has(key)) {
+      groups[group].set(key, { ...label, lines: 0, values: emptyValues() });
+    }
+    const entry = groups[group].get(key);
+    entry.lines += 1;
+    METRICS.forEach((metric) => entry.values[metric].push(durations[metric]));
+  };
+
+  orders.forEach((order) => {
+    order.items.filter(isActiveLine).forEach((item) => {
+      const durations = getLineDurations(order, item);
+      if (METRICS.every((metric) => durations[metric] === null)) return;
+
+      const station = stationOf(order, item);
+      const chef = item.timings?.readyBy || item.timings?.startedBy;
+
+      addTo("overall", "all", {}, durations);
+      addTo("byItem", item.menuItemId.toString(), { menuItemId: item.menuItemId, name: item.name }, durations);
+      addTo(
+        "byStation",
+        station ? station._id.toString() : "none",
+        { stationId: station ? station._id : null, name: station ? station.name : "Unrouted" },
+        durations
+      );
+      if (chef) {
+        addTo(
+          "byChef",
+          `${chef.actorType}-${chef.actorId}`,
+          { actorType: chef.actorType, actorId: chef.actorId, name: chef.name, role: chef.role },
+          durations
+        );
+      }
+    });
+  });
+
+  const finish = ({ values, ...entry }) => ({
+    ...entry,
+    ...Object.fromEntries(METRICS.map((metric) => [metric, summarize(values[metric])])),
+  });
+  const list = (group) => [...groups[group].values()].map(finish).sort((a, b) => b.lines - a.lines);
+
+  const [overall] = list("overall");
+  return {
+    overall: overall || finish({ lines: 0, values: emptyValues() }),
+    byItem: list("byItem"),
+    byStation: list("byStation"),
+    byChef: list("byChef"),
+  };
+};
+
+module.exports = {
+  TIMING_STEPS,
+  METRICS,
+  ORIGINAL_BATCH,
+  getBatchKey,
+  getQueuedAt,
+  stampLineTiming,
+  computeBatchTimings,
+  getLineDurations,
+  summarize,
+  buildTimingReport,
+};
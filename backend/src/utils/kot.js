@@ -0,0 +1,190 @@
+/**
+ * Kitchen order tickets (KOTs): cancellations and thermal layout
+ *
+ * A "new" KOT sends quantities to the kitchen; a "cancel" KOT takes back
+ * quantities that were printed but are no longer on the order. Voided KOTs
+ * (printed in error) stop counting, so their items go out again with the next
+ * print-kot. Reprints are logged on the KOT and marked DUPLICATE on paper.
+ * "moved" records are bookkeeping only: printed quantities split off to
+ * another order, which carries its own copy of the KOT history.
+ *
+ * KOTs are rendered as fixed-width lines for thermal printers, in the same
+ * { text, bold?, center?, large? } form as receipts so both go through the
+ * ESC/POS encoder.
+ */
+const { PAPER_WIDTHS, center, wrap, formatDateTime } = require("./receipt");
+const { getOrderDestination } = require("./orderTypes");
+const { getPrintedQuantities, getLastKotNumber } = require("./orderMoves");
+const { getActorLabel } = require("./actors");
+
+const addonName = (addon) => (typeof addon === "string" ? addon : addon?.name);
+
+/**
+ * Quantity of an order line the kitchen should be making
+ * (0 once the line or the whole order is removed/cancelled)
+ */
+const getKitchenQuantity = (order, item) =>
+  order.status === "cancelled" || item.isRemoved || item.status === "cancelled" ? 0 : item.quantity;
+
+/**
+ * Printed quantities no longer on the order (removed lines, lowered
+ * quantities, cancelled items or orders)
+ * @param {Object} order - Order document
+ * @returns {Array} [{ itemId, name, quantity, addons, stationId, stationName }]
+ */
+const findCancelledLines = (order) => {
+  // A merged order's tickets now belong to the order it was merged into
+  if (order.mergedIntoOrderId) return [];
+
+  const printed = getPrintedQuantities(order.kots);
+
+  // Name, add-ons and station as last printed
+  const printedLines = new Map();
+  (order.kots || []).forEach((kot) => {
+    if (kot.voidedAt || ["cancel", "moved"].includes(kot.type)) return;
+    kot.items.forEach((item) => {
+      printedLines.set(item.itemId.toString(), {
+        itemId: item.itemId,
+        name: item.name,
+        addons: item.addons,
+        stationId: kot.stationId || null,
+        stationName: kot.stationName || null,
+      });
+    });
+  });
+
+  const current = new Map(
+    order.items.map((item) => [item._id.toString(), getKitchenQuantity(order, item)])
+  );
+
+  const lines = [];
+  printed.forEach((quantity, itemId) => {
+    const excess = quantity - (current.get(itemId) || 0);
+    if (excess > 0 && printedLines.has(itemId)) {
+      lines.push({ ...printedLines.get(itemId), quantity: excess });
+    }
+  });
+  return lines;
+};
+
+/**
+ * Kitchen station each order line was last sent to on a KOT, as printed
+ * (later changes to the station mapping don't move it)
+ * @param {Object} order - Order document
+ * @returns {Map<String, Object|null>} line _id -> { _id, name } (null = unrouted);
+ *   lines never printed are missing
+ */
+const getPrintedStations = (order) => {
+  const stations = new Map();
+  (order.kots || []).forEach((kot) => {
+    if (kot.voidedAt || ["cancel", "moved"].includes(kot.type)) return;
+    const station = kot.stationId ? { _id: kot.stationId, name: kot.stationName } : null;
+    kot.items.forEach((item) => stations.set(item.itemId.toString(), station));
+  });
+  return stations;
+};
+
+/**
+ * Add "cancel" KOTs (one per station) for printed quantities that were
+ * taken off the order. Call after changing the items, before saving.
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor (see utils/actors), reason }
+ * @returns {Array} the KOTs added
+ */
+const addCancellationKots = (order, { actor = null, reason = "" } = {}) => {
+  const groups = new Map();
+  findCancelledLines(order).forEach(({ stationId, stationName, ...line }) => {
+    const key = stationId ? stationId.toString() : "none";
+    if (!groups.has(key)) groups.set(key, { stationId, stationName, items: [] });
+    groups.get(key).items.push(line);
+  });
+
+  let nextKotNumber = getLastKotNumber(order) + 1;
+  const printedAt = new Date();
+  const kots = [...groups.values()].map((group) => ({
+    kotNumber: nextKotNumber++,
+    type: "cancel",
+    orderToken: order.orderToken,
+    stationId: group.stationId,
+    stationName: group.stationName,
+    items: group.items,
+    reason,
+    printedAt,
+    printedBy: getActorLabel(actor),
+    printedByActor: actor,
+  }));
+
+  order.kots.push(...kots);
+  return kots;
+};
+
+/**
+ * Render one KOT as thermal printer lines.
+ * @param {Object} order - Order document (tableId may be populated)
+ * @param {Object} kot - entry of order.kots
+ * @param {Number} paperWidth - 58 or 80 (mm)
+ * @param {Object} options - { copy: "duplicate" (reprint) | "void" (void slip) | null }
+ * @returns {{ lines: Array<{ text, bold?, center?, large? }>, text: String }}
+ */
+const renderKotLines = (order, kot, paperWidth = 80, { copy = null } = {}) => {
+  const width = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[80];
+  const divider = "-".repeat(width);
+  const lines = [];
+  const push = (text, options = {}) => lines.push({ text, ...options });
+  const isCancel = kot.type === "cancel";
+
+  const title = copy === "void" ? "VOID KOT" : isCancel ? "CANCEL KOT" : "KOT";
+  push(center(`${title} #${kot.kotNumber}`, width), { bold: true, center: true, large: true });
+  if (copy === "duplicate") push(center("*** DUPLICATE ***", width), { bold: true, center: true });
+  if (kot.stationName) push(center(kot.stationName.toUpperCase(), width), { bold: true, center: true });
+  push(divider);
+
+  const destination = getOrderDestination(order);
+  push(destination || "Order", { bold: true, large: true });
+  if (kot.orderToken || order.orderToken) push(`Token: ${kot.orderToken || order.orderToken}`);
+  if (order.customerName && order.customerName !== "Guest") push(`Guest: ${order.customerName}`.slice(0, width));
+  if (order.promisedAt && !isCancel && copy !== "void") push(`Ready by: ${formatDateTime(order.promisedAt)}`);
+  push(formatDateTime(kot.printedAt || new Date()));
+  if (copy === "duplicate") push(`Reprinted: ${formatDateTime(new Date())}`);
+  push(divider);
+
+  if (isCancel || copy === "void") {
+    push(copy === "void" ? "DO NOT PREPARE - ticket voided:" : "STOP - remove from order:", { bold: true });
+  }
+
+  kot.items.forEach((item) => {
+    const quantity = isCancel ? `-${item.quantity}` : item.quantity;
+    wrap(`${quantity} x ${item.name}`, width - 4).forEach((line, index) =>
+      push(index === 0 ? line : `    ${line}`, { bold: true })
+    );
+    (Array.isArray(item.addons) ? item.addons : [])
+      .map(addonName)
+      .filter(Boolean)
+      .forEach((addon) => push(`   + ${addon}`.slice(0, width)));
+    if (item.specialInstructions && !isCancel) {
+      wrap(`>> ${item.specialInstructions}`, width - 3).forEach((line) => push(`   ${line}`));
+    }
+  });
+
+  const reason = copy === "void" ? kot.voidReason : kot.reason;
+  if (reason) {
+    push(divider);
+    wrap(`Reason: ${reason}`, width).forEach((line) => push(line, { bold: true }));
+  } else if (order.specialInstructions && !isCancel && !copy) {
+    push(divider);
+    wrap(`Note: ${order.specialInstructions}`, width).forEach((line) => push(line, { bold: true }));
+  }
+
+  push(divider);
+  push(`By: ${kot.printedBy || "Staff"}`.slice(0, width));
+
+  return { lines, text: lines.map((line) => line.text).join("\n") + "\n" };
+};
+
+module.exports = {
+  getKitchenQuantity,
+  findCancelledLines,
+  getPrintedStations,
+  addCancellationKots,
+  renderKotLines,
+};
@@ -0,0 +1,255 @@
+/**
+ * Human-friendly order and invoice numbering
+ *
+ * - Order tokens restart every business day (#001, #002, ...) so staff can
+ *   read them out loud.
+ * - Invoice numbers run per fiscal year (e.g. INV/2025-26/00042) and are
+ *   written in the same save that marks an order paid, so the sequence has no
+ *   gaps.
+ * - Credit notes for refunds/voids get their own fiscal-year sequence
+ *   (e.g. CN/2025-26/00003), written in the same save as the refund.
+ *
+ * All use the atomic per-restaurant Counter sequences.
+ *
+ * Once a business day is closed with a Z report (Restaurant.lastClosedBusinessDate)
+ * anything recorded afterwards is booked on the next business day.
+ */
+const Counter = require("../models/Counter");
+const Order = require("../models/Order");
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in the restaurant's timezone.
+ * @param {Date} date
+ * @param {String} timezone - IANA timezone name
+ * @returns {String}
+ */
+const getBusinessDate = (date = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+};
+
+/**
+ * Fiscal year label for a date, e.g. "2025-26" for an April start.
+ * Calendar-year fiscal years (start month 1) are labelled "2025".
+ * @param {Date} date
+ * @param {String} timezone
+ * @param {Number} startMonth - 1-12, month the fiscal year starts in
+ * @returns {String}
+ */
+const getFiscalYear = (date = new Date(), timezone = DEFAULT_TIMEZONE, startMonth = 4) => {
+  const [year, month] = getBusinessDate(date, timezone).split("-").map(Number);
+  if (startMonth <= 1) {
+    return String(year);
+  }
+  const startYear = month >= startMonth ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days.
+ * @param {String} businessDate
+ * @param {Number} days
+ * @returns {String}
+ */
+const addDays = (businessDate, days) => {
+  const date = new Date(`${businessDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Business day new activity is booked on: today in the restaurant's
+ * timezone, or the day after the last closed day if today is already closed.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Date} date
+ * @returns {String} YYYY-MM-DD
+ */
+const getOpenBusinessDate = (restaurant, date = new Date()) => {
+  const calendarDate = getBusinessDate(date, restaurant.timezone);
+  const lastClosed = restaurant.lastClosedBusinessDate;
+  if (lastClosed && calendarDate <= lastClosed) {
+    return addDays(lastClosed, 1);
+  }
+  return calendarDate;
+};
+
+const formatOrderToken = (orderNumber) => `#${String(orderNumber).padStart(3, "0")}`;
+
+/**
+ * Issue the next daily order token for a restaurant.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Date} date
+ * @returns {Promise<{ orderNumber: Number, orderToken: String, businessDate: String }>}
+ */
+const nextOrderToken = async (restaurant, date = new Date()) => {
+  const businessDate = getOpenBusinessDate(restaurant, date);
+  const orderNumber = await Counter.next(restaurant._id, `order-${businessDate}`);
+  return {
+    orderNumber,
+    orderToken: formatOrderToken(orderNumber),
+    businessDate,
+  };
+};
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Duplicate key on a (restaurantId, <field>) unique index
+const isNumberTaken = (error, field) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.[field]);
+
+/**
+ * Write the next number of a Counter sequence onto a document with `write`.
+ * The number is taken as the counter + 1 and the counter only moves once a
+ * document holds it, so a failed write never burns a number. Two documents
+ * cannot hold the same number (unique index on `field`): the loser moves the
+ * counter past it and tries the next one.
+ * @param {ObjectId} restaurantId
+ * @param {String} key - Counter key
+ * @param {String} field - Uniquely indexed field the number is written to
+ * @param {Function} write - async (seq) -> Boolean, false when the document
+ *   was no longer there to number
+ * @returns {Promise<Number|null>} the sequence number written
+ */
+const writeNextNumber = async (restaurantId, key, field, write) => {
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt += 1) {
+    const seq = (await Counter.current(restaurantId, key)) + 1;
+
+    try {
+      if (!(await write(seq))) return null;
+    } catch (error) {
+      if (!isNumberTaken(error, field)) throw error;
+      // Held by a concurrent write, or by one that stopped before moving the counter
+      await Counter.advanceTo(restaurantId, key, seq);
+      continue;
+    }
+
+    await Counter.advanceTo(restaurantId, key, seq);
+    return seq;
+  }
+
+  throw new Error("Could not issue a document number, please retry");
+};
+
+/**
+ * Write the next fiscal-year invoice number onto an order with `write`
+ * (see writeNextNumber).
+ * @param {Object} restaurant - Restaurant document
+ * @param {Date} issuedAt - When the order was paid (picks the fiscal year)
+ * @param {Function} write - async ({ invoiceNumber, invoiceIssuedAt, invoiceFiscalYear })
+ *   -> Boolean, false when the order was no longer there to number
+ * @returns {Promise<Object|null>} the invoice fields written
+ */
+const writeNextInvoiceNumber = async (restaurant, issuedAt, write) => {
+  const fiscalYear = getFiscalYear(issuedAt, restaurant.timezone, restaurant.fiscalYearStartMonth);
+  const prefix = restaurant.invoicePrefix || "INV";
+  let invoice = null;
+
+  const seq = await writeNextNumber(restaurant._id, `invoice-${fiscalYear}`, "invoiceNumber", (next) => {
+    invoice = {
+      invoiceNumber: `${prefix}/${fiscalYear}/${String(next).padStart(5, "0")}`,
+      invoiceIssuedAt: new Date(),
+      invoiceFiscalYear: fiscalYear,
+    };
+    return write(invoice);
+  });
+  return seq === null ? null : invoice;
+};
+
+/**
+ * Save an order that has just been paid together with its invoice number,
+ * in the same write as the paid status (so there is never a paid order
+ * without a number, or a number without a paid order).
+ * @param {Object} order - Order document (status "paid", not yet saved)
+ * @param {Object} restaurant - Restaurant document
+ * @returns {Promise<String>} The order's invoice number
+ */
+const saveWithInvoiceNumber = async (order, restaurant) => {
+  if (order.invoiceNumber || order.status !== "paid") {
+    await order.save();
+    return order.invoiceNumber;
+  }
+
+  await writeNextInvoiceNumber(restaurant, order.paymentCompletedAt || new Date(), async (invoice) => {
+    order.set(invoice);
+    await order.save();
+    return true;
+  });
+  return order.invoiceNumber;
+};
+
+/**
+ * Number a paid order that was saved without an invoice number (orders paid
+ * before numbering existed). The number is written with a conditional update
+ * so concurrent requests cannot number the same order twice.
+ * @param {Object} order - Order document (status must be "paid")
+ * @param {Object} restaurant - Restaurant document
+ * @returns {Promise<String|null>} The order's invoice number
+ */
+const assignInvoiceNumber = async (order, restaurant) => {
+  if (order.invoiceNumber || order.status !== "paid") {
+    return order.invoiceNumber;
+  }
+
+  const invoice = await writeNextInvoiceNumber(
+    restaurant,
+    order.paymentCompletedAt || new Date(),
+    async (fields) => {
+      const result = await Order.updateOne(
+        { _id: order._id, status: "paid", invoiceNumber: null },
+        { $set: fields }
+      );
+      return result.modifiedCount === 1;
+    }
+  );
+
+  if (invoice) {
+    order.set(invoice);
+  } else {
+    // Numbered by a concurrent request
+    const latest = await Order.findById(order._id).select("invoiceNumber invoiceIssuedAt invoiceFiscalYear");
+    order.invoiceNumber = latest?.invoiceNumber || null;
+    order.invoiceIssuedAt = latest?.invoiceIssuedAt || null;
+    order.invoiceFiscalYear = latest?.invoiceFiscalYear || null;
+  }
+
+  return order.invoiceNumber;
+};
+
+/**
+ * Save a new refund or void together with the next credit note number, so
+ * a refund that fails to save never uses up a number.
+ * @param {Object} refund - Refund document (not yet saved)
+ * @param {Object} restaurant - Restaurant document
+ * @param {Date} date - When the refund is issued
+ * @returns {Promise<String>} The refund's credit note number
+ */
+const saveWithCreditNoteNumber = async (refund, restaurant, date = new Date()) => {
+  const fiscalYear = getFiscalYear(date, restaurant.timezone, restaurant.fiscalYearStartMonth);
+  await writeNextNumber(restaurant._id, `credit-note-${fiscalYear}`, "creditNoteNumber", async (seq) => {
+    refund.creditNoteNumber = `CN/${fiscalYear}/${String(seq).padStart(5, "0")}`;
+    await refund.save();
+    return true;
+  });
+  return refund.creditNoteNumber;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getBusinessDate,
+  getFiscalYear,
+  addDays,
+  getOpenBusinessDate,
+  formatOrderToken,
+  nextOrderToken,
+  saveWithInvoiceNumber,
+  assignInvoiceNumber,
+  saveWithCreditNoteNumber,
+};
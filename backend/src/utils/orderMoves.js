@@ -0,0 +1,129 @@
+/**
+ * Helpers for moving orders between tables: transfer, merge and item split
+ *
+ * Order lines keep their _id when they move whole, so KOT history (which
+ * references line ids) stays valid on the receiving order.
+ */
+const { UNSETTLED_ORDER_STATUSES } = require("./tableSessions");
+
+const ORDER_PROGRESS = ["pending", "preparing", "ready", "served"];
+
+const getOrderLabel = (order) => order.orderToken || `#${order._id.toString().slice(-6)}`;
+
+/**
+ * The least advanced kitchen status among several orders / lines
+ * (a merged order is only "ready" when everything on it is)
+ * @param {Array<String>} statuses
+ * @returns {String}
+ */
+const getLeastAdvancedStatus = (statuses) => {
+  const indexes = statuses
+    .map((status) => ORDER_PROGRESS.indexOf(status))
+    .filter((index) => index >= 0);
+  return indexes.length > 0 ? ORDER_PROGRESS[Math.min(...indexes)] : "pending";
+};
+
+/**
+ * Why items cannot be moved into or out of an order (null when they can).
+ * Payments, bill splits and discounts are tied to the current lines.
+ * @param {Object} order - Order document
+ * @returns {String|null}
+ */
+const getItemMoveLockReason = (order) => {
+  const label = getOrderLabel(order);
+  if (!order.tableId) {
+    return `Order ${label} is a ${order.orderType} order with no table`;
+  }
+  if (!UNSETTLED_ORDER_STATUSES.includes(order.status)) {
+    return `Order ${label} is ${order.status}`;
+  }
+  if ((order.payments || []).length > 0) {
+    return `Order ${label} already has payments recorded`;
+  }
+  if ((order.splits || []).length > 0) {
+    return `Order ${label} has a bill split. Remove the split first.`;
+  }
+  if ((order.discounts || []).length > 0) {
+    return `Order ${label} has discounts applied. Remove them first.`;
+  }
+  return null;
+};
+
+/**
+ * Quantities already sent to the kitchen per order line, net of cancellation
+ * KOTs and quantities moved to other orders. Voided KOTs don't count.
+ * @param {Array} kots - order.kots
+ * @returns {Map<String, Number>} line _id -> printed quantity
+ */
+const getPrintedQuantities = (kots) => {
+  const printed = new Map();
+  (kots || []).forEach((kot) => {
+    if (kot.voidedAt) return;
+    const sign = ["cancel", "moved"].includes(kot.type) ? -1 : 1;
+    kot.items.forEach((item) => {
+      const key = item.itemId.toString();
+      printed.set(key, (printed.get(key) || 0) + sign * item.quantity);
+    });
+  });
+  // A cancel KOT can outweigh a voided ticket it was netting against
+  printed.forEach((quantity, key) => printed.set(key, Math.max(0, quantity)));
+  return printed;
+};
+
+/**
+ * Copy the KOT records covering moved lines onto the receiving order so those
+ * quantities are not sent to the kitchen again. Takes from the latest KOTs first.
+ * @param {Array} kots - source order KOTs
+ * @param {Map} lineMap - source line _id -> { itemId: receiving line _id, quantity: printed quantity to carry }
+ * @param {Number} lastKotNumber - highest KOT number already on the receiving order
+ * @returns {Array} KOT records (renumbered, keeping the source orderToken and print time)
+ */
+const carryKotHistory = (kots, lineMap, lastKotNumber = 0) => {
+  const remaining = new Map([...lineMap].map(([id, line]) => [id, line.quantity]));
+  const carried = [];
+
+  [...(kots || [])].reverse().forEach((kot) => {
+    // Quantities to carry are already net, so only live tickets are copied
+    if (kot.voidedAt || ["cancel", "moved"].includes(kot.type)) return;
+    const items = [];
+    kot.items.forEach((item) => {
+      const key = item.itemId.toString();
+      const left = remaining.get(key);
+      if (!left) return;
+      const quantity = Math.min(left, item.quantity);
+      remaining.set(key, left - quantity);
+      items.push({
+        itemId: lineMap.get(key).itemId,
+        name: item.name,
+        quantity,
+        addons: item.addons,
+      });
+    });
+    if (items.length > 0) {
+      carried.unshift({
+        orderToken: kot.orderToken,
+        stationId: kot.stationId || null,
+        stationName: kot.stationName || null,
+        items,
+        printedAt: kot.printedAt,
+        printedBy: kot.printedBy,
+        printedByActor: kot.printedByActor || null,
+      });
+    }
+  });
+
+  return carried.map((kot, index) => ({ kotNumber: lastKotNumber + index + 1, ...kot }));
+};
+
+const getLastKotNumber = (order) =>
+  (order.kots || []).reduce((max, kot) => Math.max(max, kot.kotNumber || 0), 0);
+
+module.exports = {
+  ORDER_PROGRESS,
+  getOrderLabel,
+  getLeastAdvancedStatus,
+  getItemMoveLockReason,
+  getPrintedQuantities,
+  carryKotHistory,
+  getLastKotNumber,
+};
@@ -0,0 +1,133 @@
+/**
+ * Order types
+ *
+ * Dine-in orders belong to a table ("qr" from the table's QR code, "staff"
+ * when taken by a waiter). Takeaway and delivery orders carry no table; they
+ * keep the customer's contact details instead and pay packaging charges.
+ */
+
+const ORDER_TYPES = ["qr", "staff", "takeaway", "delivery"];
+const OFF_PREMISE_ORDER_TYPES = ["takeaway", "delivery"];
+
+const ORDER_TYPE_LABELS = { takeaway: "Takeaway", delivery: "Delivery" };
+
+const DEFAULT_PACKAGING_CHARGES = { perOrder: 0, perItem: 0, taxable: false };
+
+const isOffPremiseOrder = (order) => OFF_PREMISE_ORDER_TYPES.includes(order.orderType);
+
+/**
+ * Where an order goes: the table name for dine-in, "Takeaway" / "Delivery"
+ * otherwise (kitchen screens and socket events show it in the table column)
+ * @param {Object} order - Order document (tableId may be populated)
+ * @returns {String}
+ */
+const getOrderDestination = (order) =>
+  (order.tableId && order.tableId.tableName) || ORDER_TYPE_LABELS[order.orderType] || "";
+
+const getPackagingCharges = (restaurant) => {
+  const charges = restaurant?.packagingCharges;
+  const plain = charges && typeof charges.toObject === "function" ? charges.toObject() : charges;
+  return { ...DEFAULT_PACKAGING_CHARGES, ...(plain || {}) };
+};
+
+/**
+ * Validate packaging charges sent to PUT /api/restaurant/update
+ * @param {Object|String} input - { perOrder?, perItem?, taxable? } (or JSON string from FormData)
+ * @param {Object} current - the restaurant's current charges
+ * @returns {{ charges: Object, error: String|null }}
+ */
+const parsePackagingCharges = (input, current) => {
+  let parsed = input;
+  if (typeof input === "string") {
+    try {
+      parsed = JSON.parse(input);
+    } catch (e) {
+      return { charges: null, error: "Packaging charges must be valid JSON" };
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { charges: null, error: "Packaging charges must be an object" };
+  }
+
+  const charges = { ...getPackagingCharges({ packagingCharges: current }) };
+
+  for (const field of ["perOrder", "perItem"]) {
+    if (parsed[field] === undefined) continue;
+    const value = parsed[field] === "" || parsed[field] === null ? 0 : Number(parsed[field]);
+    if (!Number.isFinite(value) || value < 0 || value > 10000) {
+      return { charges: null, error: `Packaging charge ${field} must be between 0 and 10000` };
+    }
+    charges[field] = Math.round(value * 100) / 100;
+  }
+
+  if (parsed.taxable !== undefined) {
+    charges.taxable = parsed.taxable === true || parsed.taxable === "true";
+  }
+
+  return { charges, error: null };
+};
+
+/**
+ * Validate the customer details of a takeaway or delivery order.
+ * Delivery needs a phone number and an address; takeaway a name or phone.
+ * @param {Object} body - { customerName?, customerPhone?, deliveryAddress?, promisedAt? }
+ * @param {String} orderType - "takeaway" | "delivery"
+ * @returns {{ details: Object, error: String|null }}
+ */
+const parseOffPremiseDetails = (body, orderType) => {
+  const customerName = typeof body.customerName === "string" ? body.customerName.trim() : "";
+  const customerPhone = typeof body.customerPhone === "string" ? body.customerPhone.trim() : "";
+  const deliveryAddress = typeof body.deliveryAddress === "string" ? body.deliveryAddress.trim() : "";
+
+  if (customerName.length > 100) {
+    return { details: null, error: "Customer name must be 100 characters or less" };
+  }
+  if (customerPhone && !/^\+?[0-9\s-]{6,20}$/.test(customerPhone)) {
+    return { details: null, error: "Phone number is not valid" };
+  }
+  if (deliveryAddress.length > 300) {
+    return { details: null, error: "Delivery address must be 300 characters or less" };
+  }
+
+  if (orderType === "delivery") {
+    if (!customerPhone) {
+      return { details: null, error: "A phone number is required for delivery orders" };
+    }
+    if (!deliveryAddress) {
+      return { details: null, error: "A delivery address is required for delivery orders" };
+    }
+  } else if (!customerName && !customerPhone) {
+    return { details: null, error: "A customer name or phone number is required for takeaway orders" };
+  }
+
+  let promisedAt = null;
+  if (body.promisedAt !== undefined && body.promisedAt !== null && body.promisedAt !== "") {
+    promisedAt = new Date(body.promisedAt);
+    if (Number.isNaN(promisedAt.getTime())) {
+      return { details: null, error: "promisedAt must be a valid date and time" };
+    }
+    if (promisedAt < new Date(Date.now() - 5 * 60000)) {
+      return { details: null, error: "promisedAt is in the past" };
+    }
+  }
+
+  return {
+    details: {
+      customerName: customerName || "Guest",
+      customerPhone,
+      deliveryAddress: orderType === "delivery" ? deliveryAddress : "",
+      promisedAt,
+    },
+    error: null,
+  };
+};
+
+module.exports = {
+  ORDER_TYPES,
+  OFF_PREMISE_ORDER_TYPES,
+  isOffPremiseOrder,
+  getOrderDestination,
+  getPackagingCharges,
+  parsePackagingCharges,
+  parseOffPremiseDetails,
+};
@@ -0,0 +1,380 @@
+/**
+ * Scheduled pre-orders: pickup/delivery slots and release to the kitchen
+ *
+ * A pre-order is booked into a slot (scheduledFor = slot start) and held out
+ * of the kitchen queue until leadMinutes before it (releaseAt). Slots are
+ * slotMinutes wide from openingTime to closingTime in the restaurant's
+ * timezone and take at most maxOrdersPerSlot orders (0 = no limit).
+ *
+ * Each slot's bookings are tallied in a Counter ("preorder-slot-<start>") that
+ * only moves while it is below capacity, so concurrent bookings cannot
+ * overfill a slot. Orders holding a place are flagged holdsSlot until they are
+ * cancelled or moved.
+ */
+const Counter = require("../models/Counter");
+const Order = require("../models/Order");
+const { DEFAULT_TIMEZONE, getBusinessDate, addDays } = require("./numbering");
+const { TIME_PATTERN, localTimeToDate, formatLocalTime, addMinutes } = require("./reservations");
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  slotMinutes: 15,
+  maxOrdersPerSlot: 10,
+  leadMinutes: 30,
+  maxDaysAhead: 7,
+  openingTime: "11:00",
+  closingTime: "22:00",
+};
+
+// Held orders are kept out of kitchen queries with this filter
+const RELEASED_ORDER_FILTER = { $or: [{ scheduledFor: null }, { releasedAt: { $ne: null } }] };
+
+const getPreorderSettings = (restaurant) => {
+  const settings = restaurant?.preorderSettings;
+  const plain = settings && typeof settings.toObject === "function" ? settings.toObject() : settings;
+  return { ...DEFAULT_SETTINGS, ...(plain || {}) };
+};
+
+/**
+ * Whether an order is still waiting for its kitchen release
+ */
+const isHeldOrder = (order) => !!order.scheduledFor && !order.releasedAt;
+
+/**
+ * Validate pre-order settings sent to PUT /api/restaurant/update
+ * @param {Object|String} input - settings object (or JSON string from FormData)
+ * @param {Object} current - the restaurant's current settings
+ * @returns {{ settings: Object, error: String|null }}
+ */
+const parsePreorderSettings = (input, current) => {
+  let parsed = input;
+  if (typeof input === "string") {
+    try {
+      parsed = JSON.parse(input);
+    } catch (e) {
+      return { settings: null, error: "Pre-order settings must be valid JSON" };
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { settings: null, error: "Pre-order settings must be an object" };
+  }
+
+  const settings = { ...getPreorderSettings({ preorderSettings: current }) };
+  const ranges = {
+    slotMinutes: [5, 120],
+    maxOrdersPerSlot: [0, 500],
+    leadMinutes: [0, 240],
+    maxDaysAhead: [0, 60],
+  };
+
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    if (parsed[field] === undefined) continue;
+    const value = Number(parsed[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { settings: null, error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    settings[field] = value;
+  }
+
+  for (const field of ["openingTime", "closingTime"]) {
+    if (parsed[field] === undefined) continue;
+    if (!TIME_PATTERN.test(parsed[field])) {
+      return { settings: null, error: `${field} must be HH:mm` };
+    }
+    settings[field] = parsed[field];
+  }
+
+  if (settings.closingTime <= settings.openingTime) {
+    return { settings: null, error: "Closing time must be after opening time" };
+  }
+
+  if (parsed.enabled !== undefined) {
+    settings.enabled = parsed.enabled === true || parsed.enabled === "true";
+  }
+
+  return { settings, error: null };
+};
+
+/**
+ * Slot start times of a day (restaurant local time)
+ * @returns {Array} [{ time, startAt, endAt, releaseAt }]
+ */
+const getDaySlots = (restaurant, date) => {
+  const settings = getPreorderSettings(restaurant);
+  const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const dayStart = localTimeToDate(date, settings.openingTime, timezone);
+  const dayEnd = localTimeToDate(date, settings.closingTime, timezone);
+
+  const slots = [];
+  for (let startAt = dayStart; startAt < dayEnd; startAt = addMinutes(startAt, settings.slotMinutes)) {
+    slots.push({
+      time: formatLocalTime(startAt, timezone),
+      startAt,
+      endAt: addMinutes(startAt, settings.slotMinutes),
+      releaseAt: addMinutes(startAt, -settings.leadMinutes),
+    });
+  }
+  return slots;
+};
+
+/**
+ * Pre-orders already booked per slot start
+ * @returns {Promise<Map>} slot start ISO string -> order count
+ */
+const countSlotOrders = async (restaurantId, startAt, endAt, excludeOrderId = null) => {
+  const orders = await Order.find({
+    restaurantId,
+    scheduledFor: { $gte: startAt, $lt: endAt },
+    status: { $ne: "cancelled" },
+    ...(excludeOrderId && { _id: { $ne: excludeOrderId } }),
+  }).select("scheduledFor");
+
+  const counts = new Map();
+  orders.forEach((order) => {
+    const key = order.scheduledFor.toISOString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Slots of a day with how many pre-orders each can still take
+ * @param {Object} restaurant - Restaurant document
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Promise<Array>} [{ time, startAt, endAt, releaseAt, booked, capacity, available }]
+ */
+const findPreorderSlots = async (restaurant, date, excludeOrderId = null) => {
+  const settings = getPreorderSettings(restaurant);
+  const slots = getDaySlots(restaurant, date);
+  if (slots.length === 0) return [];
+
+  const counts = await countSlotOrders(
+    restaurant._id,
+    slots[0].startAt,
+    slots[slots.length - 1].endAt,
+    excludeOrderId
+  );
+  const now = new Date();
+
+  return slots.map((slot) => {
+    const booked = counts.get(slot.startAt.toISOString()) || 0;
+    const full = settings.maxOrdersPerSlot > 0 && booked >= settings.maxOrdersPerSlot;
+    return {
+      ...slot,
+      booked,
+      capacity: settings.maxOrdersPerSlot || null,
+      // The kitchen needs the full lead time, so slots close at their release time
+      available: settings.enabled && !full && slot.releaseAt >= now,
+    };
+  });
+};
+
+/**
+ * Check a requested pickup/delivery time is a bookable slot
+ * @param {Object} restaurant - Restaurant document
+ * @param {String|Date} scheduledFor
+ * @param {String} excludeOrderId - order being rescheduled
+ * @returns {Promise<Object>} { slot, error: { status, message } | null }
+ */
+const checkPreorderSlot = async (restaurant, scheduledFor, excludeOrderId = null) => {
+  const settings = getPreorderSettings(restaurant);
+  if (!settings.enabled) {
+    return { slot: null, error: { status: 400, message: "Pre-orders are turned off for this restaurant" } };
+  }
+
+  const requested = new Date(scheduledFor);
+  if (Number.isNaN(requested.getTime())) {
+    return { slot: null, error: { status: 400, message: "scheduledFor must be a valid date and time" } };
+  }
+
+  const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const date = getBusinessDate(requested, timezone);
+  const today = getBusinessDate(new Date(), timezone);
+  if (date < today || date > addDays(today, settings.maxDaysAhead)) {
+    return {
+      slot: null,
+      error: { status: 400, message: `Pre-orders can be placed up to ${settings.maxDaysAhead} days ahead` },
+    };
+  }
+
+  const slots = await findPreorderSlots(restaurant, date, excludeOrderId);
+  const slot = slots.find((candidate) => candidate.startAt.getTime() === requested.getTime());
+  if (!slot) {
+    return {
+      slot: null,
+      error: {
+        status: 400,
+        message: `Pick a ${settings.slotMinutes}-minute slot between ${settings.openingTime} and ${settings.closingTime}`,
+      },
+    };
+  }
+  if (slot.releaseAt < new Date()) {
+    return {
+      slot: null,
+      error: {
+        status: 400,
+        message: `The ${slot.time} slot needs ${settings.leadMinutes} minutes notice`,
+      },
+    };
+  }
+  if (!slot.available) {
+    return { slot: null, error: { status: 409, message: `The ${slot.time} slot is full` } };
+  }
+
+  return { slot, error: null };
+};
+
+const slotCounterKey = (startAt) => `preorder-slot-${startAt.toISOString()}`;
+
+/**
+ * Give a place in a slot back
+ * @param {ObjectId} restaurantId
+ * @param {Date} startAt - slot start
+ */
+const releaseSlot = async (restaurantId, startAt) => {
+  await Counter.updateOne(
+    { restaurantId, key: slotCounterKey(startAt), seq: { $gt: 0 } },
+    { $inc: { seq: -1 } }
+  );
+};
+
+/**
+ * Take a place in a slot, if it has one left
+ * @param {Object} restaurant - Restaurant document
+ * @param {Date} startAt - slot start
+ * @returns {Promise<Boolean>} false when the slot is full
+ */
+const reserveSlot = async (restaurant, startAt) => {
+  const { maxOrdersPerSlot } = getPreorderSettings(restaurant);
+  const filter = { restaurantId: restaurant._id, key: slotCounterKey(startAt) };
+
+  // The first booking through the counter starts it from the orders already in the slot
+  if (!(await Counter.exists(filter))) {
+    const counts = await countSlotOrders(restaurant._id, startAt, addMinutes(startAt, 1));
+    try {
+      await Counter.updateOne(
+        filter,
+        { $setOnInsert: { seq: counts.get(startAt.toISOString()) || 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error; // started by a concurrent booking
+    }
+  }
+
+  const result = await Counter.updateOne(
+    maxOrdersPerSlot > 0 ? { ...filter, seq: { $lt: maxOrdersPerSlot } } : filter,
+    { $inc: { seq: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Check a requested pickup/delivery time and take a place in its slot.
+ * Give the place back with releaseSlot if the order is not saved.
+ * @param {Object} restaurant - Restaurant document
+ * @param {String|Date} scheduledFor
+ * @param {Object} order - order being rescheduled (keeps its place when the slot is unchanged)
+ * @returns {Promise<Object>} { slot, reserved, error: { status, message } | null }
+ */
+const bookPreorderSlot = async (restaurant, scheduledFor, order = null) => {
+  const { slot, error } = await checkPreorderSlot(restaurant, scheduledFor, order?._id);
+  if (error) {
+    return { slot: null, reserved: false, error };
+  }
+  if (order?.holdsSlot && order.scheduledFor?.getTime() === slot.startAt.getTime()) {
+    return { slot, reserved: false, error: null };
+  }
+  if (!(await reserveSlot(restaurant, slot.startAt))) {
+    return { slot: null, reserved: false, error: { status: 409, message: `The ${slot.time} slot is full` } };
+  }
+  return { slot, reserved: true, error: null };
+};
+
+/**
+ * Give back the place an order holds in its slot (cancelled orders).
+ * Safe to call more than once: only the first call releases it.
+ * @param {Object} order - Order document
+ */
+const releaseOrderSlot = async (order) => {
+  const previous = await Order.findOneAndUpdate(
+    { _id: order._id, holdsSlot: true },
+    { $set: { holdsSlot: false } }
+  ).select("restaurantId scheduledFor");
+  if (previous && previous.scheduledFor) {
+    await releaseSlot(previous.restaurantId, previous.scheduledFor);
+  }
+};
+
+const emitPreorderReleased = (io, order) => {
+  if (!io) return;
+  io.to(`restaurant-${order.restaurantId}`).emit("preorder-released", {
+    orderId: order._id.toString(),
+    orderToken: order.orderToken,
+    orderType: order.orderType,
+    customerName: order.customerName,
+    scheduledFor: order.scheduledFor,
+    items: order.items.filter((item) => !item.isRemoved).map((item) => item.name),
+    timestamp: order.releasedAt,
+  });
+};
+
+/**
+ * Send held pre-orders whose release time has come to the kitchen.
+ * Each order is claimed atomically, so overlapping runs release it once.
+ * @param {Object} io - socket.io server (optional)
+ * @param {Object} options - { restaurantId? } limit to one restaurant
+ * @returns {Promise<Array>} released orders
+ */
+const releaseDueOrders = async (io, { restaurantId = null } = {}) => {
+  const now = new Date();
+  const due = await Order.find({
+    ...(restaurantId && { restaurantId }),
+    scheduledFor: { $ne: null },
+    releasedAt: null,
+    releaseAt: { $lte: now },
+    status: { $ne: "cancelled" },
+  }).select("_id");
+
+  const released = [];
+  for (const { _id } of due) {
+    const order = await Order.findOneAndUpdate(
+      { _id, releasedAt: null },
+      { $set: { releasedAt: now } },
+      { new: true }
+    );
+    if (order) {
+      released.push(order);
+      emitPreorderReleased(io, order);
+    }
+  }
+  return released;
+};
+
+/**
+ * Check for due pre-orders every minute (kitchen queries also release
+ * on demand, so a missed tick only delays the socket event)
+ * @returns {Object} interval handle
+ */
+const startPreorderReleaser = (io, intervalMs = 60000) => {
+  const timer = setInterval(() => {
+    releaseDueOrders(io).catch((error) => console.error("Pre-order release error:", error));
+  }, intervalMs);
+  if (typeof timer.unref === "function") timer.unref();
+  return timer;
+};
+
+module.exports = {
+  RELEASED_ORDER_FILTER,
+  getPreorderSettings,
+  parsePreorderSettings,
+  isHeldOrder,
+  findPreorderSlots,
+  checkPreorderSlot,
+  bookPreorderSlot,
+  releaseSlot,
+  releaseOrderSlot,
+  releaseDueOrders,
+  emitPreorderReleased,
+  startPreorderReleaser,
+};
@@ -0,0 +1,139 @@
+/**
+ * Print agent protocol (socket.io)
+ *
+ * An on-premise agent drives the restaurant's thermal printers:
+ *
+ *   agent -> "print-agent:register" { agentKey, agentId, printers? }  ack { success, restaurantId, printers }
+ *   server -> "print-job-available" { jobId, printerName, kind }      (new or re-queued job)
+ *   agent -> "print-agent:claim"    { limit? }                        ack { success, jobs: [{ jobId, data(base64), ... }] }
+ *   agent -> "print-agent:ack"      { jobId }                         ack { success }
+ *   agent -> "print-agent:fail"     { jobId, error, retry? }          ack { success, status }
+ *
+ * `printers` limits the agent to some printer names (default: all). Agents
+ * should also claim on connect and every so often, since jobs with a lapsed
+ * lease or a retry back-off come back without a new event.
+ */
+const mongoose = require("mongoose");
+const Restaurant = require("../models/Restaurant");
+const {
+  printAgentRoom,
+  getPrinterSettings,
+  verifyAgentKey,
+  serializeJobForAgent,
+  claimPrintJobs,
+  ackPrintJob,
+  failPrintJob,
+} = require("./printing");
+
+const MAX_CLAIM = 20;
+
+// Socket.io acks are optional for clients
+const replyWith = (ack) => (typeof ack === "function" ? ack : () => {});
+
+const register = async (socket, { agentKey, agentId, printers } = {}) => {
+  const verified = verifyAgentKey(agentKey);
+  if (!verified || !mongoose.Types.ObjectId.isValid(verified.restaurantId)) {
+    return { success: false, message: "Invalid agent key" };
+  }
+  if (typeof agentId !== "string" || agentId.trim() === "" || agentId.length > 100) {
+    return { success: false, message: "agentId is required (100 characters or less)" };
+  }
+
+  const restaurant = await Restaurant.findById(verified.restaurantId).select("printerSettings");
+  if (!restaurant) {
+    return { success: false, message: "Invalid agent key" };
+  }
+  const settings = getPrinterSettings(restaurant);
+  if (settings.agentKeyVersion !== verified.version) {
+    return { success: false, message: "Agent key has been revoked" };
+  }
+
+  const printerNames = Array.isArray(printers)
+    ? printers.filter((name) => typeof name === "string")
+    : null;
+
+  socket.data.printAgent = {
+    restaurantId: restaurant._id.toString(),
+    agentId: agentId.trim(),
+    printers: printerNames,
+    connectedAt: new Date(),
+  };
+  socket.join(printAgentRoom(restaurant._id));
+
+  return {
+    success: true,
+    restaurantId: restaurant._id.toString(),
+    printers: settings.printers.filter((printer) => !printerNames || printerNames.includes(printer.name)),
+  };
+};
+
+/**
+ * Listen for print agent events on a connected socket
+ * @param {Object} io - socket.io server
+ * @param {Object} socket
+ */
+const registerPrintAgentHandlers = (io, socket) => {
+  // Run a handler for a registered agent, turning errors into a failed ack
+  const handle = (event, handler) => {
+    socket.on(event, async (payload = {}, ack) => {
+      const reply = replyWith(ack);
+      const agent = socket.data.printAgent;
+      if (!agent) {
+        return reply({ success: false, message: "Register the print agent first" });
+      }
+      try {
+        reply(await handler(agent, payload || {}));
+      } catch (error) {
+        console.error(`Print agent ${event} error:`, error);
+        reply({ success: false, message: "Server error" });
+      }
+    });
+  };
+
+  socket.on("print-agent:register", async (payload, ack) => {
+    const reply = replyWith(ack);
+    try {
+      const result = await register(socket, payload || {});
+      if (result.success) {
+        console.log(`🖨️  Print agent ${socket.data.printAgent.agentId} connected for ${result.restaurantId}`);
+      }
+      reply(result);
+    } catch (error) {
+      console.error("Print agent register error:", error);
+      reply({ success: false, message: "Server error" });
+    }
+  });
+
+  handle("print-agent:claim", async (agent, { limit = 5 }) => {
+    const count = Math.min(Math.max(parseInt(limit) || 1, 1), MAX_CLAIM);
+    const jobs = await claimPrintJobs(agent.restaurantId, agent.agentId, agent.printers, count);
+    return { success: true, jobs: jobs.map(serializeJobForAgent) };
+  });
+
+  handle("print-agent:ack", async (agent, { jobId }) => {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return { success: false, message: "Invalid job ID" };
+    }
+    const job = await ackPrintJob(agent.restaurantId, agent.agentId, jobId);
+    return job
+      ? { success: true, status: job.status }
+      : { success: false, message: "Job is not claimed by this agent" };
+  });
+
+  handle("print-agent:fail", async (agent, { jobId, error, retry = true }) => {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return { success: false, message: "Invalid job ID" };
+    }
+    const job = await failPrintJob(io, agent.restaurantId, agent.agentId, jobId, {
+      error,
+      retry: retry !== false,
+    });
+    return job
+      ? { success: true, status: job.status, availableAt: job.availableAt }
+      : { success: false, message: "Job is not claimed by this agent" };
+  });
+};
+
+module.exports = {
+  registerPrintAgentHandlers,
+};
@@ -0,0 +1,357 @@
+/**
+ * Print-job queue for thermal printers
+ *
+ * The server never talks to printers directly. KOTs and receipts are rendered
+ * to ESC/POS bytes and queued as PrintJobs for a named printer; an on-premise
+ * print agent (see utils/printAgent) claims them over socket.io, prints them
+ * and acknowledges or fails each one. A claim is a lease: jobs whose agent
+ * disappears are handed out again once the lease lapses, and failed jobs are
+ * retried with a back-off until maxAttempts.
+ *
+ * Agents authenticate with a signed agent key bound to the restaurant's
+ * printerSettings.agentKeyVersion; rotating the key disconnects old agents.
+ */
+const crypto = require("crypto");
+const PrintJob = require("../models/PrintJob");
+const KitchenStation = require("../models/KitchenStation");
+const { encodeEscPos } = require("./escpos");
+const { renderKotLines } = require("./kot");
+
+const AGENT_KEY_SECRET =
+  process.env.PRINT_AGENT_SECRET || process.env.JWT_SECRET || "your_jwt_secret_key";
+
+// Seconds an agent may hold a claimed job before it is handed out again
+const LEASE_SECONDS = 60;
+// Back-off before retry n (seconds); the last value repeats
+const RETRY_DELAYS = [10, 30, 120];
+
+const DEFAULT_SETTINGS = {
+  printers: [],
+  kotPrinter: null,
+  receiptPrinter: null,
+  autoPrintKots: true,
+  agentKeyVersion: 1,
+};
+
+const printAgentRoom = (restaurantId) => `print-agent-${restaurantId}`;
+
+const getPrinterSettings = (restaurant) => {
+  const settings = restaurant?.printerSettings;
+  const plain = settings && typeof settings.toObject === "function" ? settings.toObject() : settings;
+  return { ...DEFAULT_SETTINGS, ...(plain || {}) };
+};
+
+const findPrinter = (settings, name) =>
+  settings.printers.find((printer) => printer.name === name) || null;
+
+/**
+ * Validate printer settings sent to PUT /api/restaurant/update
+ * @param {Object|String} input - { printers?, kotPrinter?, receiptPrinter?, autoPrintKots? } (or JSON string from FormData)
+ * @param {Object} current - the restaurant's current settings
+ * @returns {{ settings: Object, error: String|null }}
+ */
+const parsePrinterSettings = (input, current) => {
+  let parsed = input;
+  if (typeof input === "string") {
+    try {
+      parsed = JSON.parse(input);
+    } catch (e) {
+      return { settings: null, error: "Printer settings must be valid JSON" };
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { settings: null, error: "Printer settings must be an object" };
+  }
+
+  const settings = { ...getPrinterSettings({ printerSettings: current }) };
+
+  if (parsed.printers !== undefined) {
+    if (!Array.isArray(parsed.printers) || parsed.printers.length > 20) {
+      return { settings: null, error: "Printers must be a list of at most 20 printers" };
+    }
+    const printers = [];
+    for (const printer of parsed.printers) {
+      const name = typeof printer?.name === "string" ? printer.name.trim() : "";
+      if (!name || name.length > 50) {
+        return { settings: null, error: "Each printer needs a name of 50 characters or less" };
+      }
+      if (printers.some((existing) => existing.name === name)) {
+        return { settings: null, error: `Printer name "${name}" is used twice` };
+      }
+      const paperWidth = printer.paperWidth === undefined ? 80 : Number(printer.paperWidth);
+      if (![58, 80].includes(paperWidth)) {
+        return { settings: null, error: `Paper width for "${name}" must be 58 or 80` };
+      }
+      printers.push({ name, paperWidth });
+    }
+    settings.printers = printers;
+  }
+
+  for (const field of ["kotPrinter", "receiptPrinter"]) {
+    if (parsed[field] !== undefined) {
+      settings[field] = parsed[field] === "" ? null : parsed[field];
+    }
+    // Also catches a default printer dropped from the list
+    if (settings[field] !== null && !findPrinter(settings, settings[field])) {
+      return { settings: null, error: `${field} must be one of the configured printers` };
+    }
+  }
+
+  if (parsed.autoPrintKots !== undefined) {
+    settings.autoPrintKots = parsed.autoPrintKots === true || parsed.autoPrintKots === "true";
+  }
+
+  return { settings, error: null };
+};
+
+// ============= AGENT KEYS =============
+
+const sign = (value) =>
+  crypto.createHmac("sha256", AGENT_KEY_SECRET).update(value).digest("base64url");
+
+/**
+ * Key a print agent uses to connect for a restaurant
+ * @param {Object} restaurant - Restaurant document
+ * @returns {String}
+ */
+const signAgentKey = (restaurant) => {
+  const version = getPrinterSettings(restaurant).agentKeyVersion;
+  return `${restaurant._id}.${version}.${sign(`print-agent:${restaurant._id}:${version}`)}`;
+};
+
+/**
+ * Check an agent key's signature (the caller compares the version)
+ * @param {String} key
+ * @returns {Object|null} { restaurantId, version }
+ */
+const verifyAgentKey = (key) => {
+  if (typeof key !== "string") return null;
+  const [restaurantId, version, signature] = key.split(".");
+  if (!restaurantId || !version || !signature) return null;
+
+  const expected = sign(`print-agent:${restaurantId}:${version}`);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+  return { restaurantId, version: Number(version) };
+};
+
+// ============= QUEUE =============
+
+/**
+ * Job as sent to an agent (bytes base64-encoded)
+ */
+const serializeJobForAgent = (job) => ({
+  jobId: job._id.toString(),
+  printerName: job.printerName,
+  kind: job.kind,
+  paperWidth: job.paperWidth,
+  orderId: job.orderId ? job.orderId.toString() : null,
+  kotNumber: job.kotNumber,
+  attempts: job.attempts,
+  data: job.data.toString("base64"),
+});
+
+// Job as listed to staff (no bytes)
+const serializeJob = (job) => {
+  const { data, ...rest } = job.toObject();
+  return { ...rest, bytes: data ? data.length : 0 };
+};
+
+const notifyAgents = (io, job) => {
+  if (!io) return;
+  io.to(printAgentRoom(job.restaurantId)).emit("print-job-available", {
+    jobId: job._id.toString(),
+    printerName: job.printerName,
+    kind: job.kind,
+  });
+};
+
+/**
+ * Queue ESC/POS bytes for a printer and tell connected agents
+ * @param {Object} io - socket.io server (optional)
+ * @param {Object} job - { restaurantId, printerName, kind, data, paperWidth, orderId?, kotNumber? }
+ * @returns {Promise<Object>} PrintJob document
+ */
+const enqueuePrintJob = async (io, job) => {
+  const printJob = await PrintJob.create(job);
+  notifyAgents(io, printJob);
+  return printJob;
+};
+
+/**
+ * Queue KOTs on their station's printer (or the default KOT printer)
+ * @param {Object} io - socket.io server (optional)
+ * @param {Object} order - Order document (tableId may be populated)
+ * @param {Array} kots - entries of order.kots
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} options - { copy: "duplicate" | "void" | null, printerName: override printer }
+ * @returns {Promise<Array>} PrintJob documents (KOTs without a printer are skipped)
+ */
+const enqueueKotPrintJobs = async (io, order, kots, restaurant, { copy = null, printerName = null } = {}) => {
+  const settings = getPrinterSettings(restaurant);
+  const stationIds = kots.map((kot) => kot.stationId).filter(Boolean);
+  const stations = stationIds.length
+    ? await KitchenStation.find({ _id: { $in: stationIds } }).select("printerName")
+    : [];
+  const stationPrinters = new Map(stations.map((station) => [station._id.toString(), station.printerName]));
+
+  const jobs = [];
+  for (const kot of kots) {
+    const printer = printerName
+      ? findPrinter(settings, printerName)
+      : (kot.stationId && findPrinter(settings, stationPrinters.get(kot.stationId.toString()))) ||
+        findPrinter(settings, settings.kotPrinter);
+    if (!printer) continue;
+
+    const { lines } = renderKotLines(order, kot, printer.paperWidth, { copy });
+    jobs.push(
+      await enqueuePrintJob(io, {
+        restaurantId: order.restaurantId,
+        printerName: printer.name,
+        kind: "kot",
+        paperWidth: printer.paperWidth,
+        orderId: order._id,
+        kotNumber: kot.kotNumber,
+        data: encodeEscPos(lines),
+      })
+    );
+  }
+  return jobs;
+};
+
+/**
+ * Hand queued jobs to an agent. Each job is claimed atomically, so two agents
+ * never get the same job; jobs whose lease lapsed count as another attempt.
+ * @param {String} restaurantId
+ * @param {String} agentId
+ * @param {Array|null} printerNames - printers the agent serves (null = all)
+ * @param {Number} limit
+ * @returns {Promise<Array>} claimed PrintJob documents
+ */
+const claimPrintJobs = async (restaurantId, agentId, printerNames = null, limit = 5) => {
+  const now = new Date();
+  const printerFilter = printerNames ? { printerName: { $in: printerNames } } : {};
+
+  // Lapsed claims with no attempts left are given up on
+  await PrintJob.updateMany(
+    {
+      restaurantId,
+      status: "claimed",
+      leaseExpiresAt: { $lte: now },
+      $expr: { $gte: ["$attempts", "$maxAttempts"] },
+    },
+    { $set: { status: "failed", lastError: "Print agent did not confirm the job", claimedBy: null } }
+  );
+
+  const claimed = [];
+  while (claimed.length < limit) {
+    const job = await PrintJob.findOneAndUpdate(
+      {
+        restaurantId,
+        ...printerFilter,
+        $or: [
+          { status: "queued", availableAt: { $lte: now } },
+          { status: "claimed", leaseExpiresAt: { $lte: now } },
+        ],
+        $expr: { $lt: ["$attempts", "$maxAttempts"] },
+      },
+      {
+        $set: {
+          status: "claimed",
+          claimedBy: agentId,
+          claimedAt: now,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_SECONDS * 1000),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!job) break;
+    claimed.push(job);
+  }
+  return claimed;
+};
+
+/**
+ * Mark a claimed job as printed
+ * @returns {Promise<Object|null>} the job, or null when the agent does not hold it
+ */
+const ackPrintJob = (restaurantId, agentId, jobId) =>
+  PrintJob.findOneAndUpdate(
+    { _id: jobId, restaurantId, status: "claimed", claimedBy: agentId },
+    {
+      $set: { status: "printed", printedAt: new Date(), leaseExpiresAt: null, lastError: null },
+    },
+    { new: true }
+  );
+
+/**
+ * Report a failed print. The job is queued again after a back-off unless
+ * retry is false or it has used all its attempts.
+ * @returns {Promise<Object|null>} the job, or null when the agent does not hold it
+ */
+const failPrintJob = async (io, restaurantId, agentId, jobId, { error, retry = true } = {}) => {
+  const job = await PrintJob.findOne({ _id: jobId, restaurantId, status: "claimed", claimedBy: agentId });
+  if (!job) return null;
+
+  job.lastError = String(error || "Print failed").slice(0, 500);
+  job.claimedBy = null;
+  job.leaseExpiresAt = null;
+
+  if (retry && job.attempts < job.maxAttempts) {
+    const delay = RETRY_DELAYS[Math.min(job.attempts, RETRY_DELAYS.length) - 1];
+    job.status = "queued";
+    job.availableAt = new Date(Date.now() + delay * 1000);
+  } else {
+    job.status = "failed";
+  }
+  await job.save();
+
+  if (job.status === "failed" && io) {
+    io.to(`restaurant-${restaurantId}`).emit("print-job-failed", {
+      jobId: job._id.toString(),
+      printerName: job.printerName,
+      kind: job.kind,
+      orderId: job.orderId ? job.orderId.toString() : null,
+      kotNumber: job.kotNumber,
+      error: job.lastError,
+      timestamp: new Date(),
+    });
+  }
+  return job;
+};
+
+/**
+ * Put a failed or cancelled job back in the queue with fresh attempts
+ */
+const requeuePrintJob = async (io, job) => {
+  job.status = "queued";
+  job.attempts = 0;
+  job.availableAt = new Date();
+  job.claimedBy = null;
+  job.leaseExpiresAt = null;
+  await job.save();
+  notifyAgents(io, job);
+  return job;
+};
+
+module.exports = {
+  printAgentRoom,
+  getPrinterSettings,
+  parsePrinterSettings,
+  findPrinter,
+  signAgentKey,
+  verifyAgentKey,
+  serializeJob,
+  serializeJobForAgent,
+  enqueuePrintJob,
+  enqueueKotPrintJobs,
+  claimPrintJobs,
+  ackPrintJob,
+  failPrintJob,
+  requeuePrintJob,
+};
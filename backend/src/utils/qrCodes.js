@@ -0,0 +1,214 @@
+/**
+ * Table QR code rendering
+ *
+ * Codes are drawn as SVG from the qrcode module matrix so the restaurant logo
+ * (centre) and a table-name frame (below) can be composed around them.
+ * PNGs are rasterised from the same SVG with sharp.
+ */
+const fs = require("fs");
+const path = require("path");
+const QRCode = require("qrcode");
+const sharp = require("sharp");
+const { buildTableOrderUrl } = require("../config/urls");
+const { signTableToken } = require("./tableTokens");
+
+const MIN_SIZE = 128;
+const MAX_SIZE = 2048;
+const DEFAULT_SIZE = 512;
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * URL a table's QR code points to (the customer ordering page), always
+ * carrying the table's current signed token.
+ * @param {Object} table - Table document
+ * @returns {String}
+ */
+const getTableOrderUrl = (table) => {
+  const url = new URL(table.qrCodeUrl || buildTableOrderUrl(table, null));
+  if (!url.searchParams.has("t")) {
+    url.searchParams.set("t", signTableToken(table));
+  }
+  return url.toString();
+};
+
+/**
+ * Parse ?size= into a pixel width within the supported range.
+ * @returns {{ valid: Boolean, size?: Number, message?: String }}
+ */
+const parseQrSize = (value) => {
+  if (value === undefined || value === "") {
+    return { valid: true, size: DEFAULT_SIZE };
+  }
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return { valid: false, message: `Size must be a whole number between ${MIN_SIZE} and ${MAX_SIZE}` };
+  }
+  return { valid: true, size };
+};
+
+/**
+ * Find a restaurant logo on disk. Logos are stored as "/src/uploads/..." paths
+ * but older uploads live directly in src/uploads.
+ * @param {String} logo - Restaurant.logo
+ * @returns {String|null} Absolute file path
+ */
+const resolveLogoPath = (logo) => {
+  if (!logo) return null;
+  const candidates = [
+    path.join(__dirname, "..", "..", logo),
+    path.join(__dirname, "..", "uploads", path.basename(logo)),
+  ];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+};
+
+/**
+ * Load a restaurant logo as a square PNG (any uploaded format).
+ * @param {String} logo - Restaurant.logo
+ * @returns {Promise<Buffer|null>}
+ */
+const loadLogoPng = async (logo) => {
+  const logoPath = resolveLogoPath(logo);
+  if (!logoPath) return null;
+  try {
+    return await sharp(logoPath)
+      .resize(256, 256, { fit: "contain", background: { r: 255, g: 255, b: 255, alpha: 1 } })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.error("Could not load restaurant logo for QR code:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Load a restaurant logo as a PNG data URI for embedding in SVG.
+ * @param {String} logo - Restaurant.logo
+ * @returns {Promise<String|null>}
+ */
+const loadLogoDataUri = async (logo) => {
+  const png = await loadLogoPng(logo);
+  return png ? `data:image/png;base64,${png.toString("base64")}` : null;
+};
+
+/**
+ * Render a QR code as SVG.
+ * @param {String} url - Content of the code
+ * @param {Object} options
+ * @param {Number} options.size - Width in px (the code is square)
+ * @param {Number} options.margin - Quiet zone in modules
+ * @param {String} options.logoDataUri - Logo drawn in the centre (optional)
+ * @param {String} options.tableName - Printed in a frame below the code (optional)
+ * @param {String} options.restaurantName - Printed under the table name (optional)
+ * @returns {String} SVG markup
+ */
+const renderQrSvg = (url, options = {}) => {
+  const size = options.size || DEFAULT_SIZE;
+  const margin = options.margin ?? 4;
+  const { logoDataUri, tableName, restaurantName } = options;
+
+  // A logo hides part of the code, so use the highest error correction
+  const qr = QRCode.create(url, { errorCorrectionLevel: logoDataUri ? "H" : "M" });
+  const moduleCount = qr.modules.size;
+  const viewSize = moduleCount + margin * 2;
+
+  let modulesPath = "";
+  for (let row = 0; row < moduleCount; row++) {
+    for (let col = 0; col < moduleCount; col++) {
+      if (qr.modules.get(row, col)) {
+        modulesPath += `M${col + margin} ${row + margin}h1v1h-1z`;
+      }
+    }
+  }
+
+  const hasLabel = !!(tableName || restaurantName);
+  const labelHeight = hasLabel ? Math.round(size * (restaurantName && tableName ? 0.24 : 0.16)) : 0;
+  const height = size + labelHeight;
+
+  let logo = "";
+  if (logoDataUri) {
+    const logoSize = size * 0.22;
+    const padding = size * 0.02;
+    const offset = (size - logoSize) / 2;
+    logo = `
+  <rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" height="${logoSize + padding * 2}" rx="${padding}" fill="#ffffff"/>
+  <image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" href="${logoDataUri}" xlink:href="${logoDataUri}" preserveAspectRatio="xMidYMid meet"/>`;
+  }
+
+  let label = "";
+  if (hasLabel) {
+    const border = Math.max(2, Math.round(size * 0.012));
+    const tableFont = Math.round(size * 0.09);
+    const restaurantFont = Math.round(size * 0.05);
+    const tableY = size + (tableName ? tableFont * 0.9 : 0);
+    const restaurantY = (tableName ? tableY + restaurantFont * 1.5 : size + restaurantFont * 1.4);
+    label = `
+  <rect x="${border / 2}" y="${border / 2}" width="${size - border}" height="${height - border}" rx="${border * 4}" fill="none" stroke="#000000" stroke-width="${border}"/>
+  ${tableName ? `<text x="${size / 2}" y="${tableY}" text-anchor="middle" font-family="Arial, Helvetica, sans-serif" font-size="${tableFont}" font-weight="bold" fill="#000000">${escapeXml(tableName)}</text>` : ""}
+  ${restaurantName ? `<text x="${size / 2}" y="${restaurantY}" text-anchor="middle" font-family="Arial, Helvetica, sans-serif" font-size="${restaurantFont}" fill="#333333">${escapeXml(restaurantName)}</text>` : ""}`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size}" height="${height}" viewBox="0 0 ${size} ${height}">
+  <rect width="${size}" height="${height}" fill="#ffffff"/>
+  <svg x="0" y="0" width="${size}" height="${size}" viewBox="0 0 ${viewSize} ${viewSize}" shape-rendering="crispEdges">
+    <path d="${modulesPath}" fill="#000000"/>
+  </svg>${logo}${label}
+</svg>
+`;
+};
+
+/**
+ * Rasterise a QR SVG to PNG.
+ * @param {String} svg - Output of renderQrSvg
+ * @returns {Promise<Buffer>}
+ */
+const renderQrPng = (svg) => sharp(Buffer.from(svg)).png().toBuffer();
+
+/**
+ * Render a table's QR code with the restaurant's branding.
+ * @param {Object} table - Table document
+ * @param {Object} restaurant - Restaurant document (for name/logo)
+ * @param {Object} options
+ * @param {String} options.format - "svg" | "png"
+ * @param {Number} options.size - Width in px
+ * @param {Boolean} options.logo - Put the restaurant logo in the centre
+ * @param {Boolean} options.label - Frame the table/restaurant name below
+ * @param {String} options.logoDataUri - Preloaded logo (saves re-reading it per table)
+ * @returns {Promise<{ contentType: String, body: String|Buffer, extension: String }>}
+ */
+const renderTableQr = async (table, restaurant, options = {}) => {
+  const format = options.format || "svg";
+  const svg = renderQrSvg(getTableOrderUrl(table), {
+    size: options.size || DEFAULT_SIZE,
+    logoDataUri: options.logo
+      ? options.logoDataUri || (await loadLogoDataUri(restaurant?.logo))
+      : null,
+    tableName: options.label ? table.tableName : null,
+    restaurantName: options.label ? restaurant?.restaurantName : null,
+  });
+
+  if (format === "png") {
+    return { contentType: "image/png", body: await renderQrPng(svg), extension: "png" };
+  }
+  return { contentType: "image/svg+xml", body: svg, extension: "svg" };
+};
+
+module.exports = {
+  DEFAULT_SIZE,
+  escapeXml,
+  getTableOrderUrl,
+  parseQrSize,
+  resolveLogoPath,
+  loadLogoPng,
+  loadLogoDataUri,
+  renderQrSvg,
+  renderQrPng,
+  renderTableQr,
+};
@@ -0,0 +1,227 @@
+/**
+ * Bulk table QR output for new outlets: an A4 PDF sheet (multi-up stickers
+ * or fold-over tent cards) or a ZIP of individual PNG/SVG files.
+ */
+const PDFDocument = require("pdfkit");
+const archiver = require("archiver");
+const QRCode = require("qrcode");
+const {
+  getTableOrderUrl,
+  loadLogoPng,
+  renderTableQr,
+} = require("./qrCodes");
+
+const A4 = { width: 595.28, height: 841.89 }; // points
+const PAGE_MARGIN = 28;
+
+// Codes per page -> grid columns x rows
+const GRID_LAYOUTS = {
+  1: [1, 1],
+  2: [1, 2],
+  4: [2, 2],
+  6: [2, 3],
+  8: [2, 4],
+  9: [3, 3],
+  12: [3, 4],
+  15: [3, 5],
+  20: [4, 5],
+};
+
+/**
+ * Draw one QR sticker (code, logo, table and restaurant name) in a box.
+ * The code is drawn as vector squares so it stays sharp at any print size.
+ */
+const drawQrCard = (doc, { url, tableName, restaurantName, logoPng }, box) => {
+  const nameSize = Math.max(8, Math.min(28, box.width * 0.09));
+  const subSize = Math.max(6, nameSize * 0.55);
+  const textHeight = nameSize * 1.3 + (restaurantName ? subSize * 1.6 : 0);
+  const qrSize = Math.min(box.width, box.height - textHeight) * 0.92;
+  const qrX = box.x + (box.width - qrSize) / 2;
+  const qrY = box.y + (box.height - textHeight - qrSize) / 2;
+
+  const qr = QRCode.create(url, { errorCorrectionLevel: logoPng ? "H" : "M" });
+  const count = qr.modules.size;
+  const quietZone = 2;
+  const moduleSize = qrSize / (count + quietZone * 2);
+
+  doc.save();
+  doc.rect(box.x, box.y, box.width, box.height).lineWidth(0.5).dash(3, { space: 3 }).stroke("#999999");
+  doc.undash();
+
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.modules.get(row, col)) {
+        doc.rect(
+          qrX + (col + quietZone) * moduleSize,
+          qrY + (row + quietZone) * moduleSize,
+          moduleSize,
+          moduleSize
+        );
+      }
+    }
+  }
+  doc.fill("#000000");
+
+  if (logoPng) {
+    const logoSize = qrSize * 0.22;
+    const padding = qrSize * 0.02;
+    const logoX = qrX + (qrSize - logoSize) / 2;
+    const logoY = qrY + (qrSize - logoSize) / 2;
+    doc
+      .rect(logoX - padding, logoY - padding, logoSize + padding * 2, logoSize + padding * 2)
+      .fill("#ffffff");
+    doc.image(logoPng, logoX, logoY, { fit: [logoSize, logoSize], align: "center", valign: "center" });
+  }
+
+  const textY = qrY + qrSize + nameSize * 0.2;
+  doc
+    .fillColor("#000000")
+    .font("Helvetica-Bold")
+    .fontSize(nameSize)
+    .text(tableName, box.x, textY, { width: box.width, align: "center", lineBreak: false });
+  if (restaurantName) {
+    doc
+      .fillColor("#333333")
+      .font("Helvetica")
+      .fontSize(subSize)
+      .text(restaurantName, box.x, textY + nameSize * 1.3, { width: box.width, align: "center", lineBreak: false });
+  }
+  doc.restore();
+};
+
+/**
+ * Render all tables into an A4 PDF.
+ * @param {Array} tables - Table documents
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} options
+ * @param {String} options.layout - "grid" (stickers) | "tent" (one fold-over card per page)
+ * @param {Number} options.perPage - Codes per page for the grid layout (see GRID_LAYOUTS)
+ * @param {Boolean} options.logo - Put the restaurant logo in the centre of each code
+ * @returns {Promise<Buffer>}
+ */
+const renderQrSheetPdf = async (tables, restaurant, options = {}) => {
+  const layout = options.layout || "grid";
+  const logoPng = options.logo ? await loadLogoPng(restaurant.logo) : null;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: PAGE_MARGIN,
+      autoFirstPage: false,
+      info: { Title: `${restaurant.restaurantName} - Table QR codes` },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const cards = tables.map((table) => ({
+      url: getTableOrderUrl(table),
+      tableName: table.tableName,
+      restaurantName: restaurant.restaurantName,
+      logoPng,
+    }));
+
+    if (layout === "tent") {
+      // Fold along the middle: the top half is upside down so both faces read upright
+      const half = (A4.height - PAGE_MARGIN * 2) / 2;
+      const inset = half * 0.08;
+      cards.forEach((card) => {
+        doc.addPage();
+        const box = {
+          x: PAGE_MARGIN + inset,
+          width: A4.width - PAGE_MARGIN * 2 - inset * 2,
+          height: half - inset * 2,
+        };
+        drawQrCard(doc, card, { ...box, y: PAGE_MARGIN + half + inset });
+
+        doc.save();
+        doc.rotate(180, { origin: [A4.width / 2, PAGE_MARGIN + half / 2] });
+        drawQrCard(doc, card, { ...box, y: PAGE_MARGIN + inset });
+        doc.restore();
+
+        doc
+          .moveTo(PAGE_MARGIN, PAGE_MARGIN + half)
+          .lineTo(A4.width - PAGE_MARGIN, PAGE_MARGIN + half)
+          .lineWidth(0.5)
+          .dash(6, { space: 4 })
+          .stroke("#999999")
+          .undash();
+        doc
+          .fillColor("#999999")
+          .fontSize(7)
+          .text("fold here", PAGE_MARGIN, PAGE_MARGIN + half + 2, { width: A4.width - PAGE_MARGIN * 2, align: "right", lineBreak: false });
+      });
+    } else {
+      const [cols, rows] = GRID_LAYOUTS[options.perPage] || GRID_LAYOUTS[6];
+      const perPage = cols * rows;
+      const gap = 12;
+      const cellWidth = (A4.width - PAGE_MARGIN * 2 - gap * (cols - 1)) / cols;
+      const cellHeight = (A4.height - PAGE_MARGIN * 2 - gap * (rows - 1)) / rows;
+
+      cards.forEach((card, index) => {
+        const position = index % perPage;
+        if (position === 0) doc.addPage();
+        const col = position % cols;
+        const row = Math.floor(position / cols);
+        drawQrCard(doc, card, {
+          x: PAGE_MARGIN + col * (cellWidth + gap),
+          y: PAGE_MARGIN + row * (cellHeight + gap),
+          width: cellWidth,
+          height: cellHeight,
+        });
+      });
+    }
+
+    doc.end();
+  });
+};
+
+/**
+ * Render every table's QR code into a ZIP archive of PNG or SVG files.
+ * @param {Array} tables - Table documents
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} options - { fileFormat: "png" | "svg", size, logo, label }
+ * @returns {Promise<Buffer>}
+ */
+const renderQrZip = async (tables, restaurant, options = {}) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    archive.on("data", (chunk) => chunks.push(chunk));
+    archive.on("end", () => resolve(Buffer.concat(chunks)));
+    archive.on("error", reject);
+  });
+
+  const logoPng = options.logo ? await loadLogoPng(restaurant.logo) : null;
+  const logoDataUri = logoPng ? `data:image/png;base64,${logoPng.toString("base64")}` : null;
+  const usedNames = new Set();
+
+  for (const table of tables) {
+    const qr = await renderTableQr(table, restaurant, {
+      format: options.fileFormat || "png",
+      size: options.size,
+      logo: !!logoDataUri,
+      logoDataUri,
+      label: options.label,
+    });
+
+    // Table names are unique per restaurant, but not once sanitised
+    const baseName = table.tableName.replace(/[^A-Za-z0-9_-]+/g, "-") || String(table._id);
+    let fileName = `${baseName}-QR.${qr.extension}`;
+    if (usedNames.has(fileName)) fileName = `${baseName}-${table._id}-QR.${qr.extension}`;
+    usedNames.add(fileName);
+
+    archive.append(qr.body, { name: fileName });
+  }
+
+  archive.finalize();
+  return done;
+};
+
+module.exports = {
+  GRID_LAYOUTS,
+  renderQrSheetPdf,
+  renderQrZip,
+};
@@ -0,0 +1,386 @@
+/**
+ * Customer receipt / invoice rendering
+ *
+ * buildReceiptData() collects everything printed on a bill from an order and
+ * its restaurant; the render* helpers turn that into HTML, plain text sized
+ * for thermal printers (58mm / 80mm rolls) or a PDF.
+ */
+const PDFDocument = require("pdfkit");
+const { computeBill, getLineTotal, isBillableItem } = require("./billing");
+const { isOffPremiseOrder } = require("./orderTypes");
+
+const CURRENCY_SYMBOLS = {
+  USD: "$", EUR: "€", GBP: "£", INR: "₹", AED: "AED ", AUD: "A$",
+  CAD: "C$", SGD: "S$", JPY: "¥", CNY: "¥",
+};
+
+// Characters per line for Font A on common thermal roll widths
+const PAPER_WIDTHS = { 58: 32, 80: 48 };
+
+const PAYMENT_LABELS = { upi: "UPI", card: "Card", cash: "Cash", mixed: "Multiple" };
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const addonName = (addon) => (typeof addon === "string" ? addon : addon?.name);
+
+/**
+ * Collect the data printed on a receipt.
+ * @param {Object} order - Order document (tableId may be populated)
+ * @param {Object} restaurant - Restaurant document
+ * @returns {Object}
+ */
+const buildReceiptData = (order, restaurant) => {
+  const bill = order.bill || computeBill(order.items, order.taxConfig || {});
+
+  return {
+    restaurant: {
+      name: restaurant.restaurantName,
+      address: restaurant.address || "",
+      gstNo: restaurant.gstNo || "",
+      fssai: restaurant.fssai || "",
+      footer: restaurant.receiptFooter || "",
+      currency: restaurant.currency || "INR",
+      currencySymbol: CURRENCY_SYMBOLS[restaurant.currency] || "",
+    },
+    orderId: order._id.toString(),
+    invoiceNumber: order.invoiceNumber || null,
+    orderToken: order.orderToken || null,
+    date: order.paymentCompletedAt || order.createdAt || new Date(),
+    tableName: order.tableId?.tableName || "",
+    orderType: isOffPremiseOrder(order) ? order.orderType : null,
+    customerName: order.customerName || "Guest",
+    customerPhone: order.customerPhone || "",
+    deliveryAddress: order.deliveryAddress || "",
+    promisedAt: order.promisedAt || null,
+    items: order.items.filter(isBillableItem).map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      amount: getLineTotal(item),
+      unitPrice: getLineTotal(item) / item.quantity,
+      addons: (Array.isArray(item.addons) ? item.addons : [])
+        .map(addonName)
+        .filter(Boolean),
+    })),
+    bill,
+    paymentMethod: order.paymentMethod
+      ? PAYMENT_LABELS[order.paymentMethod] || order.paymentMethod
+      : null,
+    payments: (order.payments || []).map((payment) => ({
+      method: PAYMENT_LABELS[payment.method] || payment.method,
+      amount: payment.amount,
+    })),
+    tipTotal: order.tipTotal || 0,
+    refundedAmount: order.refundedAmount || 0,
+    isPaid: order.status === "paid",
+  };
+};
+
+// ============= PLAIN TEXT (thermal) =============
+
+const center = (text, width) => {
+  const value = String(text).slice(0, width);
+  const pad = Math.floor((width - value.length) / 2);
+  return " ".repeat(pad) + value;
+};
+
+const leftRight = (left, right, width) => {
+  const rightText = String(right);
+  const space = width - rightText.length - 1;
+  const leftText = String(left);
+  if (leftText.length <= space) {
+    return leftText + " ".repeat(width - leftText.length - rightText.length) + rightText;
+  }
+  // Wrap long names so the amount stays right-aligned on the last line
+  const lines = [];
+  let rest = leftText;
+  while (rest.length > space) {
+    lines.push(rest.slice(0, width));
+    rest = rest.slice(width);
+  }
+  lines.push(rest + " ".repeat(width - rest.length - rightText.length) + rightText);
+  return lines.join("\n");
+};
+
+const wrap = (text, width) => {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+  words.forEach((word) => {
+    if ((line + " " + word).trim().length > width) {
+      if (line) lines.push(line);
+      line = word.slice(0, width);
+    } else {
+      line = (line + " " + word).trim();
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Render a receipt as fixed-width text for thermal printers.
+ * @param {Object} data - From buildReceiptData()
+ * @param {Number} paperWidth - 58 or 80 (mm)
+ * @returns {{ lines: Array<{ text, bold?, center? }>, text: String }}
+ */
+const renderReceiptLines = (data, paperWidth = 80) => {
+  const width = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[80];
+  const divider = "-".repeat(width);
+  const lines = [];
+  const push = (text, options = {}) => lines.push({ text, ...options });
+
+  push(center(data.restaurant.name, width), { bold: true, center: true });
+  wrap(data.restaurant.address, width).forEach((line) =>
+    push(center(line, width), { center: true })
+  );
+  if (data.restaurant.gstNo) push(center(`GSTIN: ${data.restaurant.gstNo}`, width), { center: true });
+  if (data.restaurant.fssai) push(center(`FSSAI: ${data.restaurant.fssai}`, width), { center: true });
+  push(divider);
+
+  push(center(data.isPaid ? "TAX INVOICE" : "BILL", width), { bold: true, center: true });
+  if (data.invoiceNumber) push(`Invoice: ${data.invoiceNumber}`);
+  if (data.orderToken) push(`Order: ${data.orderToken}`);
+  push(`Date: ${formatDateTime(data.date)}`);
+  if (data.tableName) push(`Table: ${data.tableName}`);
+  if (data.orderType) push(data.orderType.toUpperCase(), { bold: true });
+  push(`Customer: ${data.customerName}`);
+  if (data.customerPhone) push(`Phone: ${data.customerPhone}`);
+  if (data.deliveryAddress) {
+    wrap(`Deliver to: ${data.deliveryAddress}`, width).forEach((line) => push(line));
+  }
+  if (data.promisedAt) {
+    push(`${data.orderType === "delivery" ? "Deliver by" : "Pickup"}: ${formatDateTime(data.promisedAt)}`);
+  }
+  push(divider);
+
+  push(leftRight("Item", `Amount (${data.restaurant.currency})`, width), { bold: true });
+  push(divider);
+  data.items.forEach((item) => {
+    push(leftRight(`${item.quantity} x ${item.name}`, formatAmount(item.amount), width));
+    item.addons.forEach((addon) => push(`   + ${addon}`.slice(0, width)));
+  });
+  push(divider);
+
+  const { bill } = data;
+  push(leftRight("Subtotal", formatAmount(bill.subtotal), width));
+  (bill.discounts || []).forEach((discount) => {
+    push(leftRight(`Less: ${discount.name}`, `-${formatAmount(discount.amount)}`, width));
+  });
+  if (bill.serviceCharge) {
+    push(leftRight(`Service charge @${bill.serviceChargeRate}%`, formatAmount(bill.serviceCharge), width));
+  }
+  if (bill.packagingCharge) {
+    push(leftRight("Packaging", formatAmount(bill.packagingCharge), width));
+  }
+  if (bill.pricesIncludeTax && bill.taxes.length > 0) {
+    push(leftRight("Taxable amount", formatAmount(bill.taxableAmount), width));
+  }
+  bill.taxes.forEach((tax) => {
+    const label = `${tax.name} @${tax.rate}%${bill.pricesIncludeTax ? " (incl.)" : ""}`;
+    push(leftRight(label, formatAmount(tax.amount), width));
+  });
+  if (bill.roundOff) push(leftRight("Round off", formatAmount(bill.roundOff), width));
+  push(divider);
+  push(leftRight("TOTAL", formatAmount(bill.grandTotal), width), { bold: true });
+  push(divider);
+
+  if (data.payments.length > 1) {
+    data.payments.forEach((payment) =>
+      push(leftRight(`Paid by ${payment.method}`, formatAmount(payment.amount), width))
+    );
+  } else if (data.paymentMethod) {
+    push(`Paid by: ${data.paymentMethod}`);
+  }
+  if (data.tipTotal > 0) push(leftRight("Tip (thank you!)", formatAmount(data.tipTotal), width));
+  if (data.refundedAmount > 0) push(leftRight("Refunded", `-${formatAmount(data.refundedAmount)}`, width));
+  if (data.restaurant.footer) {
+    push("");
+    wrap(data.restaurant.footer, width).forEach((line) =>
+      push(center(line, width), { center: true })
+    );
+  }
+
+  return { lines, text: lines.map((line) => line.text).join("\n") + "\n" };
+};
+
+const renderReceiptText = (data, paperWidth = 80) =>
+  renderReceiptLines(data, paperWidth).text;
+
+// ============= HTML =============
+
+const renderReceiptHtml = (data) => {
+  const { bill, restaurant } = data;
+  const money = (value) => `${escapeHtml(restaurant.currencySymbol)}${formatAmount(value)}`;
+
+  const itemRows = data.items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.name)}${item.addons.length
+            ? `<div class="addons">+ ${item.addons.map(escapeHtml).join(", ")}</div>`
+            : ""}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${formatAmount(item.unitPrice)}</td>
+          <td class="num">${formatAmount(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const taxRows = bill.taxes
+    .map(
+      (tax) => `
+        <tr><td colspan="3">${escapeHtml(tax.name)} @${tax.rate}%${bill.pricesIncludeTax ? " (incl.)" : ""}</td>
+        <td class="num">${formatAmount(tax.amount)}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(data.invoiceNumber || "Bill")} - ${escapeHtml(restaurant.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #000; margin: 0; }
+    .receipt { width: 80mm; margin: 0 auto; padding: 8px; }
+    .center { text-align: center; }
+    h1 { font-size: 16px; margin: 0 0 4px; }
+    h2 { font-size: 13px; margin: 8px 0 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 2px 0; vertical-align: top; }
+    th { text-align: left; border-bottom: 1px dashed #000; }
+    .num { text-align: right; }
+    .addons { font-size: 10px; color: #444; }
+    .totals td { border-top: 1px dashed #000; }
+    .grand td { font-weight: bold; font-size: 14px; border-top: 1px dashed #000; }
+    .meta div { margin: 1px 0; }
+    .footer { margin-top: 10px; }
+    @media print { .receipt { width: auto; } }
+  </style>
+</head>
+<body>
+  <div class="receipt">
+    <div class="center">
+      <h1>${escapeHtml(restaurant.name)}</h1>
+      ${restaurant.address ? `<div>${escapeHtml(restaurant.address)}</div>` : ""}
+      ${restaurant.gstNo ? `<div>GSTIN: ${escapeHtml(restaurant.gstNo)}</div>` : ""}
+      ${restaurant.fssai ? `<div>FSSAI: ${escapeHtml(restaurant.fssai)}</div>` : ""}
+      <h2>${data.isPaid ? "TAX INVOICE" : "BILL"}</h2>
+    </div>
+    <div class="meta">
+      ${data.invoiceNumber ? `<div>Invoice: ${escapeHtml(data.invoiceNumber)}</div>` : ""}
+      ${data.orderToken ? `<div>Order: ${escapeHtml(data.orderToken)}</div>` : ""}
+      <div>Date: ${escapeHtml(formatDateTime(data.date))}</div>
+      ${data.tableName ? `<div>Table: ${escapeHtml(data.tableName)}</div>` : ""}
+      ${data.orderType ? `<div><strong>${escapeHtml(data.orderType.toUpperCase())}</strong></div>` : ""}
+      <div>Customer: ${escapeHtml(data.customerName)}</div>
+      ${data.customerPhone ? `<div>Phone: ${escapeHtml(data.customerPhone)}</div>` : ""}
+      ${data.deliveryAddress ? `<div>Deliver to: ${escapeHtml(data.deliveryAddress)}</div>` : ""}
+      ${data.promisedAt
+        ? `<div>${data.orderType === "delivery" ? "Deliver by" : "Pickup"}: ${escapeHtml(formatDateTime(data.promisedAt))}</div>`
+        : ""}
+    </div>
+    <table>
+      <thead>
+        <tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+      </thead>
+      <tbody>${itemRows}
+        <tr class="totals"><td colspan="3">Subtotal</td><td class="num">${formatAmount(bill.subtotal)}</td></tr>
+        ${(bill.discounts || [])
+          .map((discount) => `<tr><td colspan="3">Less: ${escapeHtml(discount.name)}</td><td class="num">-${formatAmount(discount.amount)}</td></tr>`)
+          .join("")}
+        ${bill.serviceCharge
+          ? `<tr><td colspan="3">Service charge @${bill.serviceChargeRate}%</td><td class="num">${formatAmount(bill.serviceCharge)}</td></tr>`
+          : ""}
+        ${bill.packagingCharge
+          ? `<tr><td colspan="3">Packaging</td><td class="num">${formatAmount(bill.packagingCharge)}</td></tr>`
+          : ""}
+        ${bill.pricesIncludeTax && bill.taxes.length
+          ? `<tr><td colspan="3">Taxable amount</td><td class="num">${formatAmount(bill.taxableAmount)}</td></tr>`
+          : ""}${taxRows}
+        ${bill.roundOff ? `<tr><td colspan="3">Round off</td><td class="num">${formatAmount(bill.roundOff)}</td></tr>` : ""}
+        <tr class="grand"><td colspan="3">Total</td><td class="num">${money(bill.grandTotal)}</td></tr>
+      </tbody>
+    </table>
+    ${data.payments.length > 1
+      ? data.payments
+        .map((payment) => `<div>Paid by ${escapeHtml(payment.method)}: ${formatAmount(payment.amount)}</div>`)
+        .join("")
+      : data.paymentMethod ? `<div>Paid by: ${escapeHtml(data.paymentMethod)}</div>` : ""}
+    ${data.tipTotal > 0 ? `<div>Tip (thank you!): ${formatAmount(data.tipTotal)}</div>` : ""}
+    ${data.refundedAmount > 0 ? `<div>Refunded: -${formatAmount(data.refundedAmount)}</div>` : ""}
+    ${restaurant.footer ? `<div class="center footer">${escapeHtml(restaurant.footer)}</div>` : ""}
+  </div>
+</body>
+</html>`;
+};
+
+// ============= PDF =============
+
+/**
+ * Render a receipt as a PDF sized for an 80mm roll.
+ * Uses the thermal text layout so printed and PDF bills match line for line.
+ * @param {Object} data - From buildReceiptData()
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (data) =>
+  new Promise((resolve, reject) => {
+    const { lines } = renderReceiptLines(data, 80);
+    const fontSize = 7;
+    const lineHeight = fontSize + 2;
+    const margin = 10;
+    const pageWidth = 226.77; // 80mm in points
+    const textLineCount = lines.reduce(
+      (sum, line) => sum + line.text.split("\n").length,
+      0
+    );
+    const pageHeight = margin * 2 + textLineCount * lineHeight + 10;
+
+    const doc = new PDFDocument({
+      size: [pageWidth, pageHeight],
+      margin,
+      info: { Title: data.invoiceNumber || `Bill ${data.orderId}` },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    lines.forEach((line) => {
+      doc
+        .font(line.bold ? "Courier-Bold" : "Courier")
+        .fontSize(fontSize)
+        .text(line.text || " ", { lineGap: 2 });
+    });
+
+    doc.end();
+  });
+
+module.exports = {
+  PAPER_WIDTHS,
+  center,
+  wrap,
+  formatDateTime,
+  buildReceiptData,
+  renderReceiptLines,
+  renderReceiptText,
+  renderReceiptHtml,
+  renderReceiptPdf,
+};
@@ -0,0 +1,246 @@
+/**
+ * Cash drawer and end-of-day (Z) report figures
+ *
+ * Sales are reported on the business day an order was fully paid
+ * (Order.paidBusinessDate), money movements on the day they happened
+ * (payment/refund businessDate). Orders and payments from before business
+ * dates were recorded fall back to the order's businessDate.
+ */
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Refund = require("../models/Refund");
+const CashSession = require("../models/CashSession");
+const { round2 } = require("./billing");
+
+const PAYMENT_METHODS = ["cash", "card", "upi"];
+
+/**
+ * Cash that should be in a drawer: float + cash taken (incl. tips)
+ * + cash in - cash out - cash refunds.
+ * @param {Object} session - CashSession document
+ * @returns {Promise<Object>} { cashSales, cashTips, cashRefunds, cashIn, cashOut, expectedCash }
+ */
+const computeExpectedCash = async (session) => {
+  const sessionId = new mongoose.Types.ObjectId(session._id.toString());
+
+  const [paymentTotals] = await Order.aggregate([
+    { $match: { restaurantId: session.restaurantId, "payments.cashSessionId": sessionId } },
+    { $unwind: "$payments" },
+    { $match: { "payments.cashSessionId": sessionId } },
+    {
+      $group: {
+        _id: null,
+        amount: { $sum: "$payments.amount" },
+        tips: { $sum: "$payments.tip" },
+      },
+    },
+  ]);
+
+  const refunds = await Refund.find({ cashSessionId: session._id }).select("amount");
+
+  const cashSales = round2(paymentTotals?.amount || 0);
+  const cashTips = round2(paymentTotals?.tips || 0);
+  const cashRefunds = round2(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+  const sumEntries = (type) =>
+    round2(
+      session.entries
+        .filter((entry) => entry.type === type)
+        .reduce((sum, entry) => sum + entry.amount, 0)
+    );
+  const cashIn = sumEntries("cash_in");
+  const cashOut = sumEntries("cash_out");
+
+  return {
+    cashSales,
+    cashTips,
+    cashRefunds,
+    cashIn,
+    cashOut,
+    expectedCash: round2(session.openingFloat + cashSales + cashTips + cashIn - cashOut - cashRefunds),
+  };
+};
+
+/**
+ * Summarise one business day: sales, taxes, discounts, payments by method,
+ * refunds, cancellations and cash drawers.
+ * @param {String} restaurantId
+ * @param {String} businessDate - YYYY-MM-DD
+ * @returns {Promise<Object>}
+ */
+const buildDaySummary = async (restaurantId, businessDate) => {
+  const restaurantObjectId = new mongoose.Types.ObjectId(restaurantId.toString());
+
+  const [paidOrders, paymentOrders, cancelledOrders, refunds, sessions] = await Promise.all([
+    Order.find({
+      restaurantId: restaurantObjectId,
+      $or: [
+        { paidBusinessDate: businessDate },
+        { paidBusinessDate: null, status: "paid", businessDate },
+      ],
+    }).lean(),
+    Order.find({ restaurantId: restaurantObjectId, "payments.businessDate": businessDate })
+      .select("payments")
+      .lean(),
+    // Orders merged into another bill are not cancellations
+    Order.find({ restaurantId: restaurantObjectId, businessDate, status: "cancelled", mergedIntoOrderId: null })
+      .select("totalPrice")
+      .lean(),
+    Refund.find({ restaurantId: restaurantObjectId, businessDate }).lean(),
+    CashSession.find({ restaurantId: restaurantObjectId, businessDate }).sort({ openedAt: 1 }),
+  ]);
+
+  // ---- Sales (orders settled today) ----
+  const sales = {
+    orderCount: paidOrders.length,
+    grossSales: 0,
+    discountTotal: 0,
+    serviceCharge: 0,
+    taxTotal: 0,
+    roundOff: 0,
+    netSales: 0,
+  };
+  const taxes = {};
+  const discounts = {};
+
+  paidOrders.forEach((order) => {
+    const bill = order.bill || { subtotal: order.totalPrice, grandTotal: order.totalPrice };
+    sales.grossSales += bill.subtotal || 0;
+    sales.discountTotal += bill.discountTotal || 0;
+    sales.serviceCharge += bill.serviceCharge || 0;
+    sales.taxTotal += bill.taxTotal || 0;
+    sales.roundOff += bill.roundOff || 0;
+    sales.netSales += bill.grandTotal || 0;
+
+    (bill.taxes || []).forEach((tax) => {
+      const key = `${tax.name}@${tax.rate}`;
+      taxes[key] = taxes[key] || { name: tax.name, rate: tax.rate, amount: 0 };
+      taxes[key].amount += tax.amount;
+    });
+
+    (order.discounts || []).forEach((application) => {
+      const line = (bill.discounts || []).find(
+        (entry) => entry.applicationId && entry.applicationId.toString() === application._id.toString()
+      );
+      const key = application.kind;
+      discounts[key] = discounts[key] || { kind: key, count: 0, amount: 0 };
+      discounts[key].count += 1;
+      discounts[key].amount += line ? line.amount : 0;
+    });
+  });
+
+  Object.keys(sales).forEach((key) => {
+    if (key !== "orderCount") sales[key] = round2(sales[key]);
+  });
+
+  // ---- Payments taken today, by method ----
+  const payments = {};
+  PAYMENT_METHODS.forEach((method) => {
+    payments[method] = { count: 0, amount: 0, tips: 0 };
+  });
+
+  const seenOrders = new Set();
+  const addPayment = (payment) => {
+    const entry = payments[payment.method];
+    if (!entry) return;
+    entry.count += 1;
+    entry.amount += payment.amount;
+    entry.tips += payment.tip || 0;
+  };
+
+  paymentOrders.forEach((order) => {
+    seenOrders.add(order._id.toString());
+    order.payments
+      .filter((payment) => payment.businessDate === businessDate)
+      .forEach(addPayment);
+  });
+  // Payments recorded before tenders carried a business date
+  paidOrders
+    .filter((order) => !seenOrders.has(order._id.toString()))
+    .forEach((order) => {
+      const undated = (order.payments || []).filter((payment) => !payment.businessDate);
+      if (undated.length > 0) {
+        undated.forEach(addPayment);
+      } else if ((order.payments || []).length === 0 && order.paymentMethod && payments[order.paymentMethod]) {
+        addPayment({ method: order.paymentMethod, amount: order.bill ? order.bill.grandTotal : order.totalPrice });
+      }
+    });
+
+  Object.values(payments).forEach((entry) => {
+    entry.amount = round2(entry.amount);
+    entry.tips = round2(entry.tips);
+  });
+
+  // ---- Refunds and voids booked today ----
+  const refundSummary = {
+    count: refunds.length,
+    amount: 0,
+    refunds: { count: 0, amount: 0 },
+    voids: { count: 0, amount: 0 },
+    byMethod: {},
+    byReason: {},
+  };
+  refunds.forEach((refund) => {
+    refundSummary.amount += refund.amount;
+    const bucket = refund.type === "void" ? refundSummary.voids : refundSummary.refunds;
+    bucket.count += 1;
+    bucket.amount += refund.amount;
+    if (refund.method) {
+      refundSummary.byMethod[refund.method] = round2((refundSummary.byMethod[refund.method] || 0) + refund.amount);
+    }
+    refundSummary.byReason[refund.reasonCode] = round2(
+      (refundSummary.byReason[refund.reasonCode] || 0) + refund.amount
+    );
+  });
+  refundSummary.amount = round2(refundSummary.amount);
+  refundSummary.refunds.amount = round2(refundSummary.refunds.amount);
+  refundSummary.voids.amount = round2(refundSummary.voids.amount);
+
+  // ---- Cancellations (orders placed today and cancelled) ----
+  const cancellations = {
+    count: cancelledOrders.length,
+    amount: round2(cancelledOrders.reduce((sum, order) => sum + (order.totalPrice || 0), 0)),
+  };
+
+  // ---- Cash drawers ----
+  const cashSessions = await Promise.all(
+    sessions.map(async (session) => {
+      const cash = session.status === "closed"
+        ? {
+          cashSales: session.cashSales,
+          cashTips: session.cashTips,
+          cashRefunds: session.cashRefunds,
+          expectedCash: session.expectedCash,
+        }
+        : await computeExpectedCash(session);
+      return {
+        sessionId: session._id,
+        status: session.status,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+        openingFloat: session.openingFloat,
+        ...cash,
+        countedCash: session.countedCash,
+        variance: session.variance,
+      };
+    })
+  );
+
+  return {
+    businessDate,
+    sales,
+    taxes: Object.values(taxes).map((tax) => ({ ...tax, amount: round2(tax.amount) })),
+    discounts: Object.values(discounts).map((entry) => ({ ...entry, amount: round2(entry.amount) })),
+    payments,
+    tipTotal: round2(Object.values(payments).reduce((sum, entry) => sum + entry.tips, 0)),
+    refunds: refundSummary,
+    cancellations,
+    // Revenue after today's refunds and voids
+    netRevenue: round2(sales.netSales - refundSummary.amount),
+    cashSessions,
+  };
+};
+
+module.exports = {
+  computeExpectedCash,
+  buildDaySummary,
+};
@@ -0,0 +1,346 @@
+/**
+ * Reservation scheduling: turn times, table conflicts and availability search
+ *
+ * A booking holds its tables from startAt until endAt (startAt + turn time)
+ * plus the restaurant's reset buffer. Times are stored in UTC; the bookable
+ * window and day view use the restaurant's timezone.
+ */
+const mongoose = require("mongoose");
+const Reservation = require("../models/Reservation");
+const Table = require("../models/Table");
+const { DEFAULT_TIMEZONE, getBusinessDate } = require("./numbering");
+
+const ACTIVE_RESERVATION_STATUSES = ["booked", "seated"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_SETTINGS = {
+  defaultTurnMinutes: 90,
+  turnTimes: [],
+  bufferMinutes: 10,
+  slotIntervalMinutes: 15,
+  openingTime: "11:00",
+  closingTime: "22:00",
+};
+
+const getReservationSettings = (restaurant) => {
+  const settings = restaurant?.reservationSettings;
+  const plain = settings && typeof settings.toObject === "function" ? settings.toObject() : settings;
+  return { ...DEFAULT_SETTINGS, ...(plain || {}) };
+};
+
+/**
+ * Minutes a party of this size holds its table(s)
+ * @param {Object} settings - see getReservationSettings
+ * @param {Number} partySize
+ * @returns {Number}
+ */
+const getTurnMinutes = (settings, partySize) => {
+  const matching = (settings.turnTimes || [])
+    .filter((rule) => partySize >= rule.minPartySize)
+    .sort((a, b) => b.minPartySize - a.minPartySize);
+  return matching.length > 0 ? matching[0].minutes : settings.defaultTurnMinutes;
+};
+
+// Offset (ms) of a timezone from UTC at a given instant
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The UTC instant of a local date and time in the restaurant's timezone
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} time - HH:mm
+ * @param {String} timezone - IANA name
+ * @returns {Date}
+ */
+const localTimeToDate = (date, time, timezone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getTimezoneOffset(new Date(guess), timezone);
+  // Re-check once in case the guess fell on the other side of a DST change
+  const adjusted = guess - offset;
+  const adjustedOffset = getTimezoneOffset(new Date(adjusted), timezone);
+  return new Date(guess - adjustedOffset);
+};
+
+/**
+ * Local HH:mm of an instant in the restaurant's timezone
+ */
+const formatLocalTime = (date, timezone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(date);
+
+const minutesBetween = (from, to) => {
+  const [fromHours, fromMinutes] = from.split(":").map(Number);
+  const [toHours, toMinutes] = to.split(":").map(Number);
+  return toHours * 60 + toMinutes - (fromHours * 60 + fromMinutes);
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+/**
+ * Active bookings holding any of the tables during [startAt, endAt)
+ * (the reset buffer is kept on both sides)
+ * @param {Object} options - { restaurantId, tableIds, startAt, endAt, bufferMinutes, excludeId }
+ * @returns {Promise<Array>} conflicting Reservation documents
+ */
+const findConflicts = ({ restaurantId, tableIds, startAt, endAt, bufferMinutes = 0, excludeId = null }) => {
+  const filter = {
+    restaurantId,
+    status: { $in: ACTIVE_RESERVATION_STATUSES },
+    tableIds: { $in: tableIds },
+    startAt: { $lt: addMinutes(endAt, bufferMinutes) },
+    endAt: { $gt: addMinutes(startAt, -bufferMinutes) },
+  };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  return Reservation.find(filter).select("customerName partySize startAt endAt tableIds status");
+};
+
+/**
+ * Choose tables for a party from the free ones: the smallest single table that
+ * fits, otherwise the fewest tables of one area that together seat the party.
+ * @param {Array} tables - free Table documents
+ * @param {Number} partySize
+ * @returns {Array|null} chosen tables
+ */
+const pickTables = (tables, partySize) => {
+  const single = tables
+    .filter((table) => table.seats >= partySize)
+    .sort((a, b) => a.seats - b.seats)[0];
+  if (single) return [single];
+
+  const byArea = new Map();
+  tables.forEach((table) => {
+    const key = table.areaId ? table.areaId.toString() : "none";
+    if (!byArea.has(key)) byArea.set(key, []);
+    byArea.get(key).push(table);
+  });
+
+  let best = null;
+  byArea.forEach((areaTables) => {
+    const chosen = [];
+    let capacity = 0;
+    [...areaTables]
+      .sort((a, b) => b.seats - a.seats)
+      .forEach((table) => {
+        if (capacity < partySize) {
+          chosen.push(table);
+          capacity += table.seats;
+        }
+      });
+    if (capacity >= partySize && (!best || chosen.length < best.length)) {
+      best = chosen;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Ids of tables held by active bookings overlapping a period
+ */
+const getBusyTableIds = async (restaurantId, startAt, endAt, bufferMinutes, excludeId = null) => {
+  const tableIds = await Reservation.find({
+    restaurantId,
+    status: { $in: ACTIVE_RESERVATION_STATUSES },
+    startAt: { $lt: addMinutes(endAt, bufferMinutes) },
+    endAt: { $gt: addMinutes(startAt, -bufferMinutes) },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).distinct("tableIds");
+  return new Set(tableIds.map((id) => id.toString()));
+};
+
+/**
+ * Bookable slots of a day for a party size
+ * @param {Object} restaurant - Restaurant document
+ * @param {Array} tables - active Table documents of the restaurant
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} partySize
+ * @returns {Promise<Array>} [{ time, startAt, endAt, available, tableIds, tableNames }]
+ */
+const findAvailableSlots = async (restaurant, tables, date, partySize) => {
+  const settings = getReservationSettings(restaurant);
+  const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const turnMinutes = getTurnMinutes(settings, partySize);
+  const dayStart = localTimeToDate(date, settings.openingTime, timezone);
+  const windowMinutes = minutesBetween(settings.openingTime, settings.closingTime);
+  if (windowMinutes < 0) return [];
+
+  // One query for the whole day, then check slots in memory
+  const dayEnd = addMinutes(dayStart, windowMinutes + turnMinutes);
+  const bookings = await Reservation.find({
+    restaurantId: restaurant._id,
+    status: { $in: ACTIVE_RESERVATION_STATUSES },
+    startAt: { $lt: addMinutes(dayEnd, settings.bufferMinutes) },
+    endAt: { $gt: addMinutes(dayStart, -settings.bufferMinutes) },
+  }).select("startAt endAt tableIds");
+
+  const slots = [];
+  for (let offset = 0; offset <= windowMinutes; offset += settings.slotIntervalMinutes) {
+    const startAt = addMinutes(dayStart, offset);
+    const endAt = addMinutes(startAt, turnMinutes);
+    const busy = new Set();
+    bookings.forEach((booking) => {
+      if (
+        booking.startAt < addMinutes(endAt, settings.bufferMinutes) &&
+        booking.endAt > addMinutes(startAt, -settings.bufferMinutes)
+      ) {
+        booking.tableIds.forEach((id) => busy.add(id.toString()));
+      }
+    });
+
+    const chosen = pickTables(
+      tables.filter((table) => !busy.has(table._id.toString())),
+      partySize
+    );
+    slots.push({
+      time: formatLocalTime(startAt, timezone),
+      startAt,
+      endAt,
+      available: !!chosen,
+      tableIds: chosen ? chosen.map((table) => table._id) : [],
+      tableNames: chosen ? chosen.map((table) => table.tableName) : [],
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Validate reservation settings sent to PUT /api/restaurant/update
+ * @param {Object|String} input - settings object (or JSON string from FormData)
+ * @param {Object} current - the restaurant's current settings
+ * @returns {{ settings: Object, error: String|null }}
+ */
+const parseReservationSettings = (input, current) => {
+  let parsed = input;
+  if (typeof input === "string") {
+    try {
+      parsed = JSON.parse(input);
+    } catch (e) {
+      return { settings: null, error: "Reservation settings must be valid JSON" };
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { settings: null, error: "Reservation settings must be an object" };
+  }
+
+  const settings = { ...getReservationSettings({ reservationSettings: current }) };
+  const ranges = {
+    defaultTurnMinutes: [15, 480],
+    bufferMinutes: [0, 120],
+    slotIntervalMinutes: [5, 120],
+  };
+
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    if (parsed[field] === undefined) continue;
+    const value = Number(parsed[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { settings: null, error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    settings[field] = value;
+  }
+
+  for (const field of ["openingTime", "closingTime"]) {
+    if (parsed[field] === undefined) continue;
+    if (!TIME_PATTERN.test(parsed[field])) {
+      return { settings: null, error: `${field} must be HH:mm` };
+    }
+    settings[field] = parsed[field];
+  }
+
+  if (settings.closingTime <= settings.openingTime) {
+    return { settings: null, error: "Closing time must be after opening time" };
+  }
+
+  if (parsed.turnTimes !== undefined) {
+    if (!Array.isArray(parsed.turnTimes)) {
+      return { settings: null, error: "turnTimes must be a list" };
+    }
+    const turnTimes = [];
+    for (const rule of parsed.turnTimes) {
+      const minPartySize = Number(rule && rule.minPartySize);
+      const minutes = Number(rule && rule.minutes);
+      if (!Number.isInteger(minPartySize) || minPartySize < 1 || minPartySize > 100) {
+        return { settings: null, error: "Turn time party sizes must be between 1 and 100" };
+      }
+      if (!Number.isInteger(minutes) || minutes < 15 || minutes > 480) {
+        return { settings: null, error: "Turn times must be between 15 and 480 minutes" };
+      }
+      turnTimes.push({ minPartySize, minutes });
+    }
+    settings.turnTimes = turnTimes.sort((a, b) => a.minPartySize - b.minPartySize);
+  }
+
+  return { settings, error: null };
+};
+
+/**
+ * Check requested tables exist and together seat the party
+ * @param {String} restaurantId
+ * @param {Array} tableIds
+ * @param {Number} partySize
+ * @returns {Promise<Object>} { tables, error }
+ */
+const loadRequestedTables = async (restaurantId, tableIds, partySize) => {
+  if (!Array.isArray(tableIds) || tableIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { tables: null, error: "tableIds must be a list of table IDs" };
+  }
+  const uniqueIds = [...new Set(tableIds.map(String))];
+  const tables = await Table.find({ _id: { $in: uniqueIds }, restaurantId, isActive: true });
+  if (tables.length !== uniqueIds.length) {
+    return { tables: null, error: "One or more tables not found" };
+  }
+  const capacity = tables.reduce((sum, table) => sum + table.seats, 0);
+  if (capacity < partySize) {
+    return {
+      tables: null,
+      error: `Selected tables seat ${capacity}, not enough for a party of ${partySize}`,
+    };
+  }
+  return { tables, error: null };
+};
+
+/**
+ * Business day (YYYY-MM-DD, restaurant timezone) a booking belongs to
+ */
+const getReservationDate = (startAt, restaurant) =>
+  getBusinessDate(startAt, restaurant.timezone || DEFAULT_TIMEZONE);
+
+module.exports = {
+  ACTIVE_RESERVATION_STATUSES,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  getReservationSettings,
+  parseReservationSettings,
+  getTurnMinutes,
+  localTimeToDate,
+  formatLocalTime,
+  addMinutes,
+  findConflicts,
+  pickTables,
+  getBusyTableIds,
+  findAvailableSlots,
+  getReservationDate,
+  loadRequestedTables,
+};
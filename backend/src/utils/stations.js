@@ -0,0 +1,143 @@
+/**
+ * Kitchen stations and KOT routing
+ *
+ * An order item goes to its menu item's station, else its section's station,
+ * else the restaurant's default station. When no default station is set up,
+ * unmapped items stay unrouted ("none") and print on a general ticket.
+ * Station screens join `restaurant-<id>-station-<stationId>` for their tickets.
+ */
+const mongoose = require("mongoose");
+const KitchenStation = require("../models/KitchenStation");
+const MenuItem = require("../models/MenuItem");
+const Section = require("../models/Section");
+
+// Key used for items no station prepares
+const UNROUTED_STATION = "none";
+
+const stationRoom = (restaurantId, stationId) => `restaurant-${restaurantId}-station-${stationId}`;
+
+// Station ID string, or "none" for unrouted items
+const stationKey = (station) => (station ? station._id.toString() : UNROUTED_STATION);
+
+/**
+ * Check a stationId from the request body belongs to the restaurant
+ * @returns {Promise<Object>} { stationId, error } - stationId is null when unmapping
+ */
+const resolveStationId = async (restaurantId, stationId) => {
+  if (stationId === null || stationId === "") {
+    return { stationId: null, error: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(stationId)) {
+    return { stationId: null, error: "Invalid station ID format" };
+  }
+  const station = await KitchenStation.findOne({ _id: stationId, restaurantId, isActive: true }).select("_id");
+  if (!station) {
+    return { stationId: null, error: "Kitchen station not found" };
+  }
+  return { stationId: station._id, error: null };
+};
+
+/**
+ * Work out which station prepares each of the given menu items
+ * @param {String} restaurantId
+ * @param {Array} menuItemIds
+ * @returns {Promise<Object>} { stations, defaultStation, stationFor(menuItemId) -> station|null }
+ */
+const getStationRouting = async (restaurantId, menuItemIds = []) => {
+  const ids = [...new Set(menuItemIds.filter(Boolean).map((id) => id.toString()))];
+  const [stations, menuItems] = await Promise.all([
+    KitchenStation.find({ restaurantId, isActive: true }).sort({ sequence: 1, createdAt: 1 }),
+    ids.length > 0
+      ? MenuItem.find({ _id: { $in: ids }, restaurantId }).select("sectionId stationId")
+      : [],
+  ]);
+  const sections = await Section.find({
+    _id: { $in: menuItems.map((item) => item.sectionId) },
+  }).select("stationId");
+
+  const stationById = new Map(stations.map((station) => [station._id.toString(), station]));
+  const sectionStationIds = new Map(
+    sections.map((section) => [section._id.toString(), section.stationId ? section.stationId.toString() : null])
+  );
+  const defaultStation = stations.find((station) => station.isDefault) || null;
+
+  // Mappings to a removed station fall through to the next rule
+  const stationByMenuItem = new Map();
+  menuItems.forEach((item) => {
+    const station =
+      (item.stationId && stationById.get(item.stationId.toString())) ||
+      stationById.get(sectionStationIds.get(item.sectionId.toString())) ||
+      defaultStation;
+    stationByMenuItem.set(item._id.toString(), station);
+  });
+
+  return {
+    stations,
+    defaultStation,
+    stationFor: (menuItemId) =>
+      (menuItemId && stationByMenuItem.get(menuItemId.toString())) || defaultStation,
+  };
+};
+
+/**
+ * Group KOT lines by station, in station order (unrouted lines last)
+ * @param {Array} items - lines with menuItemId
+ * @param {Object} routing - from getStationRouting
+ * @returns {Array} [{ station, items }]
+ */
+const groupItemsByStation = (items, routing) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const station = routing.stationFor(item.menuItemId);
+    const key = stationKey(station);
+    if (!groups.has(key)) groups.set(key, { station, items: [] });
+    groups.get(key).items.push(item);
+  });
+
+  const rank = (key) => {
+    const index = routing.stations.findIndex((station) => station._id.toString() === key);
+    return index === -1 ? Infinity : index;
+  };
+  return [...groups.entries()].sort(([a], [b]) => rank(a) - rank(b)).map(([, group]) => group);
+};
+
+/**
+ * Tag every item of some orders with its station, optionally keeping only
+ * one station's items (orders with nothing for that station are dropped)
+ * @param {String} restaurantId
+ * @param {Array} orders - plain order objects
+ * @param {String|null} stationFilter - station ID or "none"
+ * @returns {Promise<Array>} orders with items[].stationId / stationName
+ */
+const routeOrdersToStations = async (restaurantId, orders, stationFilter = null) => {
+  const routing = await getStationRouting(
+    restaurantId,
+    orders.flatMap((order) => order.items.map((item) => item.menuItemId))
+  );
+
+  return orders
+    .map((order) => ({
+      ...order,
+      items: order.items
+        .filter((item) => !stationFilter || stationKey(routing.stationFor(item.menuItemId)) === stationFilter)
+        .map((item) => {
+          const station = routing.stationFor(item.menuItemId);
+          return {
+            ...item,
+            stationId: station ? station._id : null,
+            stationName: station ? station.name : null,
+          };
+        }),
+    }))
+    .filter((order) => !stationFilter || order.items.length > 0);
+};
+
+module.exports = {
+  UNROUTED_STATION,
+  stationRoom,
+  stationKey,
+  resolveStationId,
+  getStationRouting,
+  groupItemsByStation,
+  routeOrdersToStations,
+};
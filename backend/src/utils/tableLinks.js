@@ -0,0 +1,76 @@
+/**
+ * Table slugs and stored QR links (Table.qrCodeUrl)
+ */
+const Table = require("../models/Table");
+const { slugifyTableName, buildTableOrderUrl } = require("../config/urls");
+const { signTableToken } = require("./tableTokens");
+
+/**
+ * Pick a slug for a table that no other active table in the restaurant uses.
+ * @param {String} restaurantId
+ * @param {String} value - Requested slug or table name
+ * @param {String} excludeTableId - Table being updated (may keep its own slug)
+ * @returns {Promise<String>}
+ */
+const getUniqueTableSlug = async (restaurantId, value, excludeTableId = null) => {
+  const base = slugifyTableName(value) || "table";
+  const query = {
+    restaurantId,
+    isActive: true,
+    slug: new RegExp(`^${base}(-\\d+)?$`),
+  };
+  if (excludeTableId) query._id = { $ne: excludeTableId };
+
+  const taken = new Set((await Table.find(query).select("slug")).map((table) => table.slug));
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Link printed in a table's QR code: the ordering URL plus its signed token.
+ * @param {Object} table - Table document
+ * @param {Object} restaurant - Restaurant document (for the vanity slug)
+ * @param {String} baseUrl - Override for FRONTEND_URL
+ * @returns {String}
+ */
+const getTableQrUrl = (table, restaurant, baseUrl) =>
+  `${buildTableOrderUrl(table, restaurant, baseUrl)}?t=${signTableToken(table)}`;
+
+/**
+ * Rewrite the stored QR link of every active table of a restaurant, e.g.
+ * after the ordering domain or the restaurant slug changes. Tables without
+ * a slug get one from their name.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} options
+ * @param {String} options.baseUrl - Override for FRONTEND_URL
+ * @param {Boolean} options.dryRun - Report changes without saving
+ * @returns {Promise<{ checked: Number, updated: Number, changes: Array }>}
+ */
+const refreshTableQrUrls = async (restaurant, options = {}) => {
+  const tables = await Table.find({ restaurantId: restaurant._id, isActive: true }).sort({ createdAt: 1 });
+  const changes = [];
+
+  for (const table of tables) {
+    if (!table.slug) {
+      table.slug = await getUniqueTableSlug(restaurant._id, table.tableName, table._id);
+    }
+
+    const qrCodeUrl = getTableQrUrl(table, restaurant, options.baseUrl);
+    if (table.qrCodeUrl !== qrCodeUrl || table.isModified("slug")) {
+      changes.push({ tableId: table._id, tableName: table.tableName, from: table.qrCodeUrl, to: qrCodeUrl });
+      table.qrCodeUrl = qrCodeUrl;
+      if (!options.dryRun) await table.save();
+    }
+  }
+
+  return { checked: tables.length, updated: changes.length, changes };
+};
+
+module.exports = {
+  getUniqueTableSlug,
+  getTableQrUrl,
+  refreshTableQrUrls,
+};
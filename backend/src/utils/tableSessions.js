@@ -0,0 +1,324 @@
+/**
+ * Table session lifecycle
+ *
+ * A session is one visit to a table. It opens when staff seat guests or when
+ * the first order arrives, links every order placed during the visit and
+ * closes once all of them are paid (or staff end it). The table itself moves
+ * free -> seated -> occupied -> bill_requested -> cleaning -> free.
+ */
+const crypto = require("crypto");
+const Table = require("../models/Table");
+const TableSession = require("../models/TableSession");
+const Order = require("../models/Order");
+const Staff = require("../models/Staff");
+const { round2 } = require("./billing");
+
+const TABLE_STATUSES = ["free", "seated", "occupied", "bill_requested", "cleaning"];
+const UNSETTLED_ORDER_STATUSES = ["pending", "preparing", "ready", "served"];
+
+const setTableStatus = (table, status) => {
+  if (table.status !== status) {
+    table.status = status;
+    table.statusChangedAt = new Date();
+  }
+};
+
+const getOpenSession = (table) =>
+  TableSession.findOne({ tableId: table._id, status: "open" });
+
+/**
+ * Open a session for a table, or return the one already open.
+ * Also starts the seated-session nonce that customer session tokens bind to.
+ * @param {Object} table - Table document (saved here)
+ * @param {Object} options - { covers, waiterId, openedBy, status, reservationId }
+ * @returns {Promise<Object>} { session, created }
+ */
+const openTableSession = async (
+  table,
+  { covers = null, waiterId = null, openedBy, status = "seated", reservationId = null }
+) => {
+  let session = await getOpenSession(table);
+  let created = false;
+
+  if (!session) {
+    try {
+      session = await TableSession.create({
+        restaurantId: table.restaurantId,
+        tableId: table._id,
+        tableName: table.tableName,
+        covers,
+        waiterId,
+        openedBy,
+        reservationId,
+      });
+      created = true;
+    } catch (error) {
+      // Two devices seating / ordering at the same moment: use the winner's session
+      if (error.code !== 11000) throw error;
+      session = await getOpenSession(table);
+    }
+  }
+
+  table.currentSessionId = session._id;
+  if (created || table.status === "free" || table.status === "cleaning") {
+    setTableStatus(table, status);
+  }
+  if (!table.sessionNonce) {
+    table.sessionNonce = crypto.randomBytes(8).toString("hex");
+    table.sessionOpenedAt = session.seatedAt;
+  }
+  await table.save();
+
+  return { session, created };
+};
+
+/**
+ * Link a freshly saved order to its table session and mark the table occupied
+ * @param {Object} session - open TableSession document
+ * @param {Object} table - Table document
+ * @param {Object} order - saved Order document
+ */
+const recordSessionOrder = async (session, table, order) => {
+  if (!session.orderIds.some((id) => id.toString() === order._id.toString())) {
+    session.orderIds.push(order._id);
+  }
+  if (!session.firstOrderAt) {
+    session.firstOrderAt = order.createdAt || new Date();
+  }
+  if (!session.waiterId && order.servedBy) {
+    session.waiterId = order.servedBy;
+  }
+  await session.save();
+
+  // Ordering more after asking for the bill puts the table back to occupied
+  setTableStatus(table, "occupied");
+  table.currentSessionId = session._id;
+  await table.save();
+};
+
+/**
+ * Flag that the guests asked for the bill
+ * @returns {Promise<Object|null>} the open session, or null if the table has none
+ */
+const requestBill = async (table) => {
+  const session = await getOpenSession(table);
+  if (!session) return null;
+
+  session.billRequestedAt = new Date();
+  await session.save();
+
+  setTableStatus(table, "bill_requested");
+  await table.save();
+
+  return session;
+};
+
+const getSessionOrders = (session) =>
+  Order.find({ tableSessionId: session._id }).select(
+    "status orderToken bill totalPrice amountPaid balanceDue paymentStatus createdAt"
+  );
+
+const hasUnsettledOrders = (orders) =>
+  orders.some((order) => UNSETTLED_ORDER_STATUSES.includes(order.status));
+
+/**
+ * Close a session: the table goes to cleaning and customer session tokens stop working
+ * @param {Object} session - open TableSession document
+ * @param {Object} table - Table document
+ * @param {Object} options - { reason: "paid"|"closed", closedBy }
+ */
+const closeTableSession = async (session, table, { reason, closedBy = null }) => {
+  session.status = "closed";
+  session.closedAt = new Date();
+  session.closeReason = reason;
+  session.closedBy = closedBy;
+  await session.save();
+
+  if (table.currentSessionId && table.currentSessionId.toString() === session._id.toString()) {
+    table.currentSessionId = null;
+    table.sessionNonce = null;
+    table.sessionOpenedAt = null;
+    setTableStatus(table, "cleaning");
+    await table.save();
+  }
+};
+
+/**
+ * Close the order's table session once every order of the visit is paid or cancelled
+ * @param {Object} order - Order document (with tableSessionId)
+ * @returns {Promise<Object|null>} { session, table } when the session was closed
+ */
+const settleTableSession = async (order) => {
+  if (!order.tableSessionId) return null;
+
+  const session = await TableSession.findOne({ _id: order.tableSessionId, status: "open" });
+  if (!session) return null;
+
+  const orders = await getSessionOrders(session);
+  const anyPaid = orders.some((sessionOrder) => sessionOrder.status === "paid");
+  if (!anyPaid || hasUnsettledOrders(orders)) return null;
+
+  const table = await Table.findById(session.tableId);
+  if (!table) return null;
+
+  await closeTableSession(session, table, { reason: "paid" });
+  return { session, table };
+};
+
+/**
+ * Take an order off its table session (guests moved or the bill was merged
+ * elsewhere). The session closes when nothing unsettled is left on it.
+ * @param {Object} order - Order document, still pointing at the old session
+ * @param {Object} options - { reason: "transferred"|"merged", closedBy }
+ * @returns {Promise<Object|null>} { session, table, closed } for the old session
+ */
+const releaseOrderFromSession = async (order, { reason, closedBy = null }) => {
+  if (!order.tableSessionId) return null;
+
+  const session = await TableSession.findOne({ _id: order.tableSessionId, status: "open" });
+  if (!session) return null;
+
+  const orderId = order._id.toString();
+  session.orderIds = session.orderIds.filter((id) => id.toString() !== orderId);
+  await session.save();
+
+  const table = await Table.findById(session.tableId);
+  if (!table) return null;
+
+  const remaining = (await getSessionOrders(session)).filter(
+    (sessionOrder) => sessionOrder._id.toString() !== orderId
+  );
+  if (hasUnsettledOrders(remaining)) {
+    return { session, table, closed: false };
+  }
+
+  await closeTableSession(session, table, { reason, closedBy });
+  return { session, table, closed: true };
+};
+
+/**
+ * Totals for a session's orders (cancelled orders are left out)
+ */
+const summarizeSessionOrders = (orders) => {
+  const billable = orders.filter((order) => order.status !== "cancelled");
+  return {
+    orderCount: billable.length,
+    openOrderCount: billable.filter((order) => UNSETTLED_ORDER_STATUSES.includes(order.status)).length,
+    runningTotal: round2(
+      billable.reduce((sum, order) => sum + (order.bill?.grandTotal ?? order.totalPrice), 0)
+    ),
+    amountPaid: round2(billable.reduce((sum, order) => sum + (order.amountPaid || 0), 0)),
+  };
+};
+
+const serializeSession = (session, orders, waiter) => {
+  if (!session) return null;
+  const now = Date.now();
+  return {
+    sessionId: session._id,
+    covers: session.covers,
+    waiter: waiter ? { id: waiter._id, name: waiter.fullName } : session.waiterId ? { id: session.waiterId, name: null } : null,
+    seatedAt: session.seatedAt,
+    firstOrderAt: session.firstOrderAt,
+    billRequestedAt: session.billRequestedAt,
+    minutesSeated: Math.floor((now - new Date(session.seatedAt).getTime()) / 60000),
+    ...(orders ? summarizeSessionOrders(orders) : { orderCount: session.orderIds.length }),
+  };
+};
+
+/**
+ * Payload for the live board and "table-status-updated" events
+ */
+const serializeTableStatus = (table, session = null, orders = null, waiter = null) => ({
+  tableId: table._id,
+  tableName: table.tableName,
+  seats: table.seats,
+  areaId: table.areaId || null,
+  layout: table.layout,
+  status: table.status || "free",
+  statusChangedAt: table.statusChangedAt,
+  session: serializeSession(session, orders, waiter),
+});
+
+/**
+ * Broadcast a table's status change to the restaurant's dashboards
+ */
+const emitTableStatus = (io, table, session = null) => {
+  if (!io) return;
+  io.to(`restaurant-${table.restaurantId.toString()}`).emit("table-status-updated", {
+    ...serializeTableStatus(table, session && session.status === "open" ? session : null),
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Live status of every active table with its open session
+ * @param {string} restaurantId
+ * @param {Object} [options] - { areaId } to limit the board to one area ("none" = unassigned)
+ * @returns {Promise<Object>} { tables, counts }
+ */
+const buildTableBoard = async (restaurantId, { areaId } = {}) => {
+  const filter = { restaurantId, isActive: true };
+  if (areaId) {
+    filter.areaId = areaId === "none" ? null : areaId;
+  }
+  const tables = await Table.find(filter).sort({ tableName: 1 });
+  const sessions = await TableSession.find({
+    restaurantId,
+    status: "open",
+    tableId: { $in: tables.map((table) => table._id) },
+  });
+  const sessionIds = sessions.map((session) => session._id);
+
+  const [orders, waiters] = await Promise.all([
+    Order.find({ tableSessionId: { $in: sessionIds } }).select(
+      "tableSessionId status bill totalPrice amountPaid"
+    ),
+    Staff.find({
+      _id: { $in: sessions.map((session) => session.waiterId).filter(Boolean) },
+    }).select("fullName"),
+  ]);
+
+  const sessionByTable = new Map(sessions.map((session) => [session.tableId.toString(), session]));
+  const waiterById = new Map(waiters.map((waiter) => [waiter._id.toString(), waiter]));
+  const ordersBySession = new Map();
+  orders.forEach((order) => {
+    const key = order.tableSessionId.toString();
+    if (!ordersBySession.has(key)) ordersBySession.set(key, []);
+    ordersBySession.get(key).push(order);
+  });
+
+  const counts = Object.fromEntries(TABLE_STATUSES.map((status) => [status, 0]));
+  const board = tables.map((table) => {
+    const session = sessionByTable.get(table._id.toString()) || null;
+    const waiter = session && session.waiterId ? waiterById.get(session.waiterId.toString()) : null;
+    const entry = serializeTableStatus(
+      table,
+      session,
+      session ? ordersBySession.get(session._id.toString()) || [] : null,
+      waiter
+    );
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+    return entry;
+  });
+
+  return { tables: board, counts };
+};
+
+module.exports = {
+  TABLE_STATUSES,
+  UNSETTLED_ORDER_STATUSES,
+  setTableStatus,
+  getOpenSession,
+  openTableSession,
+  recordSessionOrder,
+  requestBill,
+  getSessionOrders,
+  hasUnsettledOrders,
+  closeTableSession,
+  settleTableSession,
+  releaseOrderFromSession,
+  serializeTableStatus,
+  emitTableStatus,
+  buildTableBoard,
+};
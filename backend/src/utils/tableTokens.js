@@ -0,0 +1,146 @@
+/**
+ * Signed table QR tokens
+ *
+ * QR links carry a table token (?t=...) so knowing a table _id is not enough
+ * to order or call the waiter. Tokens are HMAC-signed and bound to the
+ * table's qrTokenVersion: rotating a table bumps the version (old stickers
+ * stop working), revoking it rejects every token until it is rotated again.
+ *
+ * When a restaurant requires seated sessions, staff "open" a table when
+ * guests sit down (Table.sessionNonce) and guests swap their table token for
+ * a session token bound to that nonce. Closing the table invalidates it.
+ *
+ * Restaurant.tableAccessMode:
+ *   "open"    - no token needed (legacy links without ?t= keep working)
+ *   "token"   - a valid table or session token is required
+ *   "session" - a session token for the currently open table session is required
+ */
+const crypto = require("crypto");
+
+const TOKEN_SECRET =
+  process.env.TABLE_TOKEN_SECRET || process.env.JWT_SECRET || "your_jwt_secret_key";
+
+const sign = (value) =>
+  crypto.createHmac("sha256", TOKEN_SECRET).update(value).digest("base64url").slice(0, 22);
+
+const safeEqual = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Token printed in a table's QR link.
+ * @param {Object} table - Table document
+ * @returns {String}
+ */
+const signTableToken = (table) => {
+  const version = table.qrTokenVersion || 1;
+  return `${table._id}.${version}.${sign(`table:${table._id}:${version}`)}`;
+};
+
+/**
+ * Token for guests seated at an open table session.
+ * @param {Object} table - Table document (sessionNonce must be set)
+ * @returns {String}
+ */
+const signSessionToken = (table) => {
+  const version = table.qrTokenVersion || 1;
+  const nonce = table.sessionNonce;
+  return `${table._id}.${version}.${nonce}.${sign(`session:${table._id}:${version}:${nonce}`)}`;
+};
+
+/**
+ * Check a table or session token against the table's current state.
+ * @param {String} token
+ * @param {Object} table - Table document
+ * @returns {{ valid: Boolean, kind?: String, message?: String }}
+ */
+const verifyTableToken = (token, table) => {
+  if (!token || typeof token !== "string") {
+    return { valid: false, message: "Table token is missing. Please scan the QR code on your table." };
+  }
+
+  const parts = token.split(".");
+  const [tableId, version] = parts;
+  if (tableId !== table._id.toString() || (parts.length !== 3 && parts.length !== 4)) {
+    return { valid: false, message: "This QR code does not belong to this table" };
+  }
+
+  const isSession = parts.length === 4;
+  const signature = parts[parts.length - 1];
+  const expected = isSession
+    ? sign(`session:${tableId}:${version}:${parts[2]}`)
+    : sign(`table:${tableId}:${version}`);
+
+  if (!safeEqual(signature, expected)) {
+    return { valid: false, message: "Invalid table token" };
+  }
+
+  if (table.qrRevoked) {
+    return { valid: false, message: "This table's QR code has been disabled. Please ask staff for help." };
+  }
+
+  if (Number(version) !== (table.qrTokenVersion || 1)) {
+    return { valid: false, message: "This QR code is no longer valid. Please ask staff for a new one." };
+  }
+
+  if (isSession && parts[2] !== table.sessionNonce) {
+    return { valid: false, kind: "session", message: "Your table session has ended. Please ask staff to seat you." };
+  }
+
+  return { valid: true, kind: isSession ? "session" : "table" };
+};
+
+/**
+ * Token sent by the customer app: X-Table-Token header, body.tableToken or ?t=
+ * @param {Object} req
+ * @returns {String|null}
+ */
+const getTableTokenFromRequest = (req) =>
+  req.get("x-table-token") || req.body?.tableToken || req.query?.t || null;
+
+/**
+ * Whether a public (customer) request may act on a table.
+ * @param {Object} table - Table document
+ * @param {Object} restaurant - Restaurant document (tableAccessMode)
+ * @param {String} token
+ * @returns {{ valid: Boolean, status?: Number, code?: String, message?: String }}
+ */
+const checkTableAccess = (table, restaurant, token) => {
+  const mode = restaurant?.tableAccessMode || "open";
+
+  if (mode === "open" && !token) {
+    return { valid: true };
+  }
+
+  const result = verifyTableToken(token, table);
+  if (!result.valid) {
+    // Legacy links keep working in open mode even if a stale token is sent
+    if (mode === "open") return { valid: true };
+    return {
+      valid: false,
+      status: 403,
+      code: result.kind === "session" ? "TABLE_SESSION_CLOSED" : "INVALID_TABLE_TOKEN",
+      message: result.message,
+    };
+  }
+
+  if (mode === "session" && result.kind !== "session") {
+    return {
+      valid: false,
+      status: 403,
+      code: "TABLE_SESSION_REQUIRED",
+      message: table.sessionNonce
+        ? "Please join your table session before ordering"
+        : "This table has not been opened yet. Please ask staff to seat you.",
+    };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  signTableToken,
+  signSessionToken,
+  verifyTableToken,
+  getTableTokenFromRequest,
+  checkTableAccess,
+};
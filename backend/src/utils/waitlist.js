@@ -0,0 +1,215 @@
+/**
+ * Walk-in waitlist: quoted waits and "table ready" notifications
+ *
+ * Waits are estimated by replaying the queue against the floor: every table
+ * gets a time it should free up (from its live status and the average dining
+ * duration), then each waiting party in turn takes the earliest table that
+ * seats it, pushing that table back by one more sitting.
+ */
+const mongoose = require("mongoose");
+const Table = require("../models/Table");
+const TableSession = require("../models/TableSession");
+const { sendSms } = require("../config/sms");
+const { sendWaitlistReadyEmail } = require("../config/nodemailer");
+const { getReservationSettings, getTurnMinutes, getBusyTableIds, addMinutes } = require("./reservations");
+
+const WAITING_STATUSES = ["waiting", "notified"];
+// Minutes a table is held after the party is told it is ready
+const HOLD_MINUTES = 10;
+// Minutes to reset a table between parties
+const RESET_MINUTES = 5;
+// Past sessions used for the average dining duration
+const LOOKBACK_DAYS = 14;
+const MIN_SAMPLES = 5;
+
+/**
+ * Average minutes a party stays, from recently settled table sessions.
+ * Falls back to the reservation turn time until there is enough history.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Number} partySize - used for the fallback turn time
+ * @returns {Promise<Object>} { minutes, samples, source: "history"|"settings" }
+ */
+const getAverageDiningMinutes = async (restaurant, partySize = 2) => {
+  const since = addMinutes(new Date(), -LOOKBACK_DAYS * 24 * 60);
+  const [stats] = await TableSession.aggregate([
+    {
+      $match: {
+        restaurantId: new mongoose.Types.ObjectId(restaurant._id.toString()),
+        status: "closed",
+        closeReason: "paid",
+        closedAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        averageMs: { $avg: { $subtract: ["$closedAt", "$seatedAt"] } },
+        samples: { $sum: 1 },
+      },
+    },
+  ]);
+
+  if (stats && stats.samples >= MIN_SAMPLES && stats.averageMs > 0) {
+    return { minutes: Math.round(stats.averageMs / 60000), samples: stats.samples, source: "history" };
+  }
+
+  return {
+    minutes: getTurnMinutes(getReservationSettings(restaurant), partySize),
+    samples: stats ? stats.samples : 0,
+    source: "settings",
+  };
+};
+
+// When a table should be ready for the next party
+const getTableFreeAt = (table, session, diningMinutes, now) => {
+  switch (table.status) {
+    case "cleaning":
+      return addMinutes(now, RESET_MINUTES);
+    case "bill_requested":
+      return addMinutes(now, 10 + RESET_MINUTES);
+    case "seated":
+    case "occupied": {
+      const expectedEnd = session ? addMinutes(session.seatedAt, diningMinutes) : now;
+      // Overstaying parties still need a few minutes to pay and leave
+      const leaveAt = expectedEnd > addMinutes(now, 10) ? expectedEnd : addMinutes(now, 10);
+      return addMinutes(leaveAt, RESET_MINUTES);
+    }
+    default:
+      return now;
+  }
+};
+
+const roundUpToFive = (minutes) => Math.max(0, Math.ceil(minutes / 5) * 5);
+
+/**
+ * Estimated wait (minutes) for every party in the queue, in queue order
+ * @param {Object} restaurant - Restaurant document
+ * @param {Array} queue - waiting entries [{ _id, partySize }] oldest first
+ * @returns {Promise<Object>} { waits: Map(entryId -> minutes), diningMinutes, diningSource }
+ */
+const estimateQueueWaits = async (restaurant, queue) => {
+  const now = new Date();
+  const restaurantId = restaurant._id;
+  const largestParty = queue.reduce((max, entry) => Math.max(max, entry.partySize), 2);
+  const dining = await getAverageDiningMinutes(restaurant, largestParty);
+  const settings = getReservationSettings(restaurant);
+
+  const [tables, sessions, reservedTableIds] = await Promise.all([
+    Table.find({ restaurantId, isActive: true }).select("tableName seats status currentSessionId"),
+    TableSession.find({ restaurantId, status: "open" }).select("tableId seatedAt"),
+    // Tables booked within the next sitting are kept for their reservation
+    getBusyTableIds(restaurantId, now, addMinutes(now, dining.minutes), settings.bufferMinutes),
+  ]);
+
+  const sessionByTable = new Map(sessions.map((session) => [session.tableId.toString(), session]));
+  const slots = tables
+    .filter((table) => !reservedTableIds.has(table._id.toString()))
+    .map((table) => ({
+      table,
+      freeAt: getTableFreeAt(table, sessionByTable.get(table._id.toString()), dining.minutes, now),
+    }));
+
+  const waits = new Map();
+  queue.forEach((entry) => {
+    const fitting = slots
+      .filter((slot) => slot.table.seats >= entry.partySize)
+      .sort((a, b) => a.freeAt - b.freeAt);
+
+    let assigned;
+    if (fitting.length > 0) {
+      assigned = [fitting[0]];
+    } else {
+      // Big party: push together the tables that free up first
+      assigned = [];
+      let seats = 0;
+      [...slots]
+        .sort((a, b) => a.freeAt - b.freeAt)
+        .forEach((slot) => {
+          if (seats < entry.partySize) {
+            assigned.push(slot);
+            seats += slot.table.seats;
+          }
+        });
+      if (seats < entry.partySize) {
+        waits.set(entry._id.toString(), null);
+        return;
+      }
+    }
+
+    const startAt = new Date(Math.max(...assigned.map((slot) => slot.freeAt.getTime())));
+    waits.set(entry._id.toString(), roundUpToFive((startAt - now) / 60000));
+    assigned.forEach((slot) => {
+      slot.freeAt = addMinutes(startAt, dining.minutes + RESET_MINUTES);
+    });
+  });
+
+  return { waits, diningMinutes: dining.minutes, diningSource: dining.source };
+};
+
+/**
+ * Quote for a new party joining the back of the queue
+ * @returns {Promise<Object>} { quotedWaitMinutes (null = no table large enough), diningMinutes, diningSource, partiesAhead }
+ */
+const quoteWait = async (restaurant, queue, partySize) => {
+  const newEntry = { _id: "new", partySize };
+  const { waits, diningMinutes, diningSource } = await estimateQueueWaits(restaurant, [...queue, newEntry]);
+  return {
+    quotedWaitMinutes: waits.get("new"),
+    diningMinutes,
+    diningSource,
+    partiesAhead: queue.length,
+  };
+};
+
+const buildReadyMessage = (entry, restaurant, customMessage) =>
+  customMessage ||
+  `${restaurant.restaurantName}: Hi ${entry.customerName}, your table for ${entry.partySize} is ready. ` +
+    `Please come to the host stand within ${HOLD_MINUTES} minutes.`;
+
+/**
+ * Send the "table ready" notice by SMS or email
+ * @param {Object} entry - WaitlistEntry document
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} options - { channel: "sms"|"email", message? }
+ * @returns {Promise<Object>} notification record { channel, to, message, success, provider, error }
+ */
+const notifyReady = async (entry, restaurant, { channel, message }) => {
+  const text = buildReadyMessage(entry, restaurant, message);
+
+  if (channel === "email") {
+    const result = await sendWaitlistReadyEmail(entry.email, {
+      customerName: entry.customerName,
+      restaurantName: restaurant.restaurantName,
+      partySize: entry.partySize,
+      holdMinutes: HOLD_MINUTES,
+      message,
+    });
+    return {
+      channel,
+      to: entry.email,
+      message: text,
+      success: result.success,
+      provider: "email",
+      error: result.error || null,
+    };
+  }
+
+  const result = await sendSms(entry.phone, text);
+  return {
+    channel: "sms",
+    to: entry.phone,
+    message: text,
+    success: result.success,
+    provider: result.provider,
+    error: result.error || null,
+  };
+};
+
+module.exports = {
+  WAITING_STATUSES,
+  HOLD_MINUTES,
+  getAverageDiningMinutes,
+  estimateQueueWaits,
+  quoteWait,
+  notifyReady,
+};